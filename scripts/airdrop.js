@@ -0,0 +1,822 @@
+const { PublicKey } = require("@solana/web3.js");
+const {
+  getMint,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToCheckedInstruction,
+  createTransferCheckedInstruction,
+  createTransferCheckedWithFeeInstruction,
+  getTransferFeeConfig,
+  getEpochFee,
+  calculateEpochFee,
+} = require("@solana/spl-token");
+const fs = require("fs");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const { askConfirmation } = require("./token-creation/confirm");
+const { TOKEN_CONFIG } = require("./token-creation/token-config");
+const { loadRecipients } = require("./token-creation/recipients");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const {
+  parseTokenAmount,
+  parseRecordedAmount,
+  formatTokenAmount,
+} = require("./token-creation/amounts");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const {
+  InvalidArgumentError,
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  InvalidAmountError,
+  InsufficientBalanceError,
+  NotTokenAuthorityError,
+  NotMintAuthorityError,
+  TransactionFailedError,
+} = require("./token-creation/errors");
+const {
+  parseArgs,
+  parseNetwork,
+  parsePositiveInt,
+  parsePriorityFee,
+  exitWithError,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const {
+  resolveSupplyCap,
+  createSupplyGuard,
+} = require("./token-creation/supply-guard");
+const {
+  STATUS,
+  getJournalPath,
+  loadJournal,
+  saveJournal,
+  markRecipients,
+  reconcileJournal,
+  getEntry,
+} = require("./token-creation/airdrop-journal");
+
+const DEFAULT_BATCH_SIZE = 5;
+const MAX_BATCH_SIZE = 8;
+
+/**
+ * Sum the raw amounts for a set of recipients
+ * @param {Array<{amount: string}>} recipients - Recipients
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Total raw token units
+ */
+function sumRawAmounts(recipients, decimals) {
+  return recipients.reduce((sum, r) => sum + parseTokenAmount(r.amount, decimals), 0n);
+}
+
+/**
+ * Work out the Token-2022 transfer fee to add on top of an amount so the
+ * recipient still receives the full amount after the fee is withheld. The
+ * fee is charged on the gross transfer, so the gross is found by inverting
+ * the fee schedule for the given epoch.
+ * @param {Object|null} transferFeeConfig - Mint transfer fee config, or null
+ * @param {bigint} epoch - Current epoch
+ * @param {bigint} rawAmount - Raw amount the recipient must receive
+ * @returns {bigint} Raw fee withheld from a transfer of rawAmount + fee
+ */
+function transferFeeFor(transferFeeConfig, epoch, rawAmount) {
+  if (!transferFeeConfig) {
+    return 0n;
+  }
+
+  const feeOf = (gross) => calculateEpochFee(transferFeeConfig, epoch, gross);
+  const { maximumFee, transferFeeBasisPoints } = getEpochFee(transferFeeConfig, epoch);
+
+  // Fee capped at its maximum
+  if (feeOf(rawAmount + maximumFee) === maximumFee) {
+    return maximumFee;
+  }
+
+  // Otherwise start from the largest gross that cannot overshoot and step
+  // up; gross - fee(gross) grows by at most one per step
+  const basisPoints = BigInt(transferFeeBasisPoints);
+  let gross = (rawAmount * 10000n) / (10000n - basisPoints);
+  while (gross - feeOf(gross) < rawAmount) {
+    gross += 1n;
+  }
+  return gross - rawAmount;
+}
+
+/**
+ * Build the instructions that deliver tokens to a single recipient
+ * @param {Object} params - Instruction parameters
+ * @param {bigint} params.transferFee - Token-2022 fee added to a transfer [default: 0n]
+ * @returns {Array} Instructions creating the recipient ATA (if missing) and funding it
+ */
+function buildRecipientInstructions({
+  mode,
+  mint,
+  decimals,
+  payer,
+  sourceAccount,
+  recipient,
+  programId,
+  transferFee = 0n,
+}) {
+  const destination = getAssociatedTokenAddressSync(
+    mint,
+    recipient.owner,
+    true,
+    programId
+  );
+  const rawAmount = parseTokenAmount(recipient.amount, decimals);
+
+  const instructions = [
+    createAssociatedTokenAccountIdempotentInstruction(
+      payer,
+      destination,
+      recipient.owner,
+      mint,
+      programId
+    ),
+  ];
+
+  if (mode === "mint") {
+    instructions.push(
+      createMintToCheckedInstruction(
+        mint,
+        destination,
+        payer,
+        rawAmount,
+        decimals,
+        [],
+        programId
+      )
+    );
+  } else if (transferFee > 0n) {
+    // The fee is withheld from the transfer, so send it on top
+    instructions.push(
+      createTransferCheckedWithFeeInstruction(
+        sourceAccount,
+        mint,
+        destination,
+        payer,
+        rawAmount + transferFee,
+        decimals,
+        transferFee,
+        [],
+        programId
+      )
+    );
+  } else {
+    instructions.push(
+      createTransferCheckedInstruction(
+        sourceAccount,
+        mint,
+        destination,
+        payer,
+        rawAmount,
+        decimals,
+        [],
+        programId
+      )
+    );
+  }
+
+  return instructions;
+}
+
+/**
+ * Distribute tokens to a list of recipients
+ * @param {string} network - Network to use (devnet/mainnet)
+ * @param {string} recipientsFile - CSV or JSON file with recipient addresses and amounts
+ * @param {Object} options - Distribution options
+ * @param {string|null} options.mode - 'mint' or 'transfer' (defaults to mint while mint authority is active)
+ * @param {number} options.batchSize - Recipients per transaction (1-8)
+ * @param {boolean} options.dryRun - Only show what would be done without executing
+ * @param {string|null} options.journalPath - Journal file (defaults to one derived from the recipients file)
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Distribute without prompting
+ * @param {Connection|null} options.connection - Connection to use instead of one for the network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'distributed', 'partial', 'nothing-to-do', 'dry-run' or
+ *   'cancelled'; distributed and partial results carry the per-recipient results, the confirmed
+ *   transactions and the recordFile. A partial run left recipients undelivered or stopped early.
+ * @throws {DoodiError} InvalidArgument, TokenInfoNotFound, NetworkMismatch, InvalidAmount,
+ *   NotMintAuthority, NotTokenAuthority, InsufficientBalance or SupplyCapExceeded
+ */
+async function airdrop(network = "devnet", recipientsFile, options = {}) {
+  const {
+    batchSize = DEFAULT_BATCH_SIZE,
+    dryRun = false,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    skipConfirmation = false,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+  let { journalPath = null } = options;
+  let { mode = null } = options;
+
+  // Larger batches do not fit in one transaction
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+    throw new InvalidArgumentError(`Invalid batch size: ${batchSize} (must be between 1 and ${MAX_BATCH_SIZE})`);
+  }
+
+  // Load token info
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  logger.info(
+    `🪂 ${dryRun ? "DRY RUN - " : ""}Airdrop for ${tokenInfo.name}...`
+  );
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  // Validate network matches
+  if (tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  // Load recipients
+  let recipients;
+  try {
+    recipients = loadRecipients(recipientsFile);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message, { recipientsFile });
+  }
+
+  if (recipients.length === 0) {
+    throw new InvalidArgumentError("Recipients file contains no entries", { recipientsFile });
+  }
+
+  // Connect to network
+  const connection = options.connection || createConnection(network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  // Load wallet
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(network);
+  const walletKeypair =
+    keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+
+  logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+
+  // Get mint info
+  logger.info(`\n🔍 Checking token mint info...`);
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  const hasMintAuthority =
+    mintInfo.mintAuthority !== null &&
+    mintInfo.mintAuthority.equals(walletKeypair.publicKey);
+  const format = (raw) => formatTokenAmount(raw, mintInfo.decimals, { grouping: true });
+
+  // Amounts finer than the mint decimals cannot be sent exactly
+  recipients.forEach((recipient, index) => {
+    try {
+      parseTokenAmount(recipient.amount, mintInfo.decimals);
+    } catch (error) {
+      throw new InvalidAmountError(`Invalid amount on entry ${index + 1}: ${error.message}`, {
+        recipientsFile,
+        entry: index + 1,
+        amount: recipient.amount,
+      });
+    }
+  });
+
+  // Determine distribution mode
+  if (!mode) {
+    mode = hasMintAuthority ? "mint" : "transfer";
+    logger.info(`   • Mode: ${mode} (auto-detected)`);
+  } else {
+    logger.info(`   • Mode: ${mode}`);
+  }
+
+  if (mode === "mint" && !hasMintAuthority) {
+    throw new NotMintAuthorityError(
+      "Wallet is not the mint authority - mint mode unavailable. " +
+        "Use --mode transfer to distribute from the creator token account",
+      {
+        wallet: walletKeypair.publicKey.toString(),
+        mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null,
+      }
+    );
+  }
+
+  // Load the distribution journal and reconcile it against chain state
+  journalPath =
+    journalPath || getJournalPath(recipientsFile, tokenInfo.mintAddress, network);
+  let journal;
+  try {
+    journal = loadJournal(journalPath, {
+      mintAddress: tokenInfo.mintAddress,
+      network,
+      mode,
+      recipientsFile,
+    });
+  } catch (error) {
+    throw new InvalidArgumentError(error.message, { journalPath });
+  }
+
+  if (journal.mode !== mode) {
+    throw new InvalidArgumentError(`Journal was started in ${journal.mode} mode, but ${mode} requested`, {
+      journalPath,
+      journalMode: journal.mode,
+      mode,
+    });
+  }
+
+  logger.info(`\n📒 Journal: ${journalPath}`);
+  const reconciled = await reconcileJournal(connection, journal);
+  if (!dryRun) {
+    saveJournal(journalPath, journal);
+  }
+
+  if (reconciled.confirmed + reconciled.failed + reconciled.inFlight > 0) {
+    logger.info(`   • Reconciled with chain: ${reconciled.confirmed} confirmed, ${reconciled.failed} retryable, ${reconciled.inFlight} still in flight`);
+  }
+
+  const alreadyConfirmed = [];
+  const inFlight = [];
+  const pendingRecipients = [];
+  recipients.forEach((recipient) => {
+    const entry = getEntry(journal, recipient.address);
+    if (entry && entry.status === STATUS.CONFIRMED) {
+      if (
+        parseRecordedAmount(entry.amount, mintInfo.decimals) !==
+        parseTokenAmount(recipient.amount, mintInfo.decimals)
+      ) {
+        logger.warn(`⚠️  ${recipient.address} already received ${entry.amount}, input now says ${recipient.amount} - skipping`);
+      }
+      alreadyConfirmed.push(recipient);
+    } else if (entry && (entry.status === STATUS.PENDING || entry.status === STATUS.SENT)) {
+      inFlight.push(recipient);
+    } else {
+      pendingRecipients.push(recipient);
+    }
+  });
+
+  logger.info(`   • Already confirmed: ${alreadyConfirmed.length}`);
+  if (inFlight.length > 0) {
+    logger.warn(`⚠️  ${inFlight.length} recipients have transactions still in flight - they will be skipped`);
+    logger.warn(`   Re-run after their blockhash expires to reconcile them`);
+  }
+
+  const summary = {
+    network,
+    mintAddress: tokenInfo.mintAddress,
+    mode,
+    journalPath,
+    recipients: recipients.length,
+    alreadyConfirmed: alreadyConfirmed.length,
+    inFlight: inFlight.length,
+  };
+
+  if (pendingRecipients.length === 0) {
+    logger.info(`\n✅ Nothing to do - all recipients are confirmed or in flight`);
+    return { status: "nothing-to-do", ...summary };
+  }
+
+  const totalRaw = sumRawAmounts(pendingRecipients, mintInfo.decimals);
+  const totalAmount = format(totalRaw);
+
+  // Mint mode must never push supply past the configured cap. In-flight
+  // batches count against the cap too since they may still land.
+  let supplyGuard = null;
+  if (mode === "mint") {
+    supplyGuard = createSupplyGuard(connection, mint, resolveSupplyCap(tokenInfo));
+    const remainingRaw = await supplyGuard.remainingMintable();
+    logger.info(
+      `   • Remaining mintable: ${format(remainingRaw)} ${TOKEN_CONFIG.symbol} (cap ${format(BigInt(supplyGuard.cap) * 10n ** BigInt(mintInfo.decimals))})`
+    );
+
+    const requiredRaw = sumRawAmounts([...pendingRecipients, ...inFlight], mintInfo.decimals);
+    await supplyGuard.assertCanMint(requiredRaw);
+  }
+
+  // Transfer mode draws from the creator token account. Token-2022 mints
+  // with a transfer fee withhold it from each transfer, so it is sent on
+  // top of every amount and must be covered by the source balance too.
+  let sourceAccount = null;
+  let feeFor = () => 0n;
+  let transferFeeRaw = 0n;
+  if (mode === "transfer") {
+    sourceAccount = new PublicKey(tokenInfo.creatorTokenAccount);
+    const sourceInfo = await getAccount(
+      connection,
+      sourceAccount,
+      "confirmed",
+      programId
+    );
+
+    if (!sourceInfo.owner.equals(walletKeypair.publicKey)) {
+      throw new NotTokenAuthorityError("Wallet does not own the creator token account", {
+        wallet: walletKeypair.publicKey.toString(),
+        account: sourceAccount.toString(),
+        owner: sourceInfo.owner.toString(),
+      });
+    }
+
+    logger.info(`   • Source Account: ${sourceAccount.toString()}`);
+    logger.info(
+      `   • Source Balance: ${format(sourceInfo.amount)} ${TOKEN_CONFIG.symbol}`
+    );
+
+    const transferFeeConfig = getTransferFeeConfig(mintInfo);
+    if (transferFeeConfig) {
+      const { epoch } = await connection.getEpochInfo("confirmed");
+      feeFor = (raw) => transferFeeFor(transferFeeConfig, BigInt(epoch), raw);
+    }
+
+    // In-flight batches may still land and draw on the same balance, for
+    // the amounts journaled when they were sent
+    const inFlightAmounts = inFlight.map((recipient) =>
+      parseRecordedAmount(getEntry(journal, recipient.address).amount, mintInfo.decimals)
+    );
+    const inFlightRaw = inFlightAmounts.reduce((sum, raw) => sum + raw + feeFor(raw), 0n);
+    transferFeeRaw = pendingRecipients.reduce(
+      (sum, r) => sum + feeFor(parseTokenAmount(r.amount, mintInfo.decimals)),
+      0n
+    );
+    const requiredRaw = totalRaw + transferFeeRaw + inFlightRaw;
+
+    if (transferFeeRaw > 0n) {
+      logger.info(`   • Transfer Fees: ${format(transferFeeRaw)} ${TOKEN_CONFIG.symbol}`);
+    }
+    if (inFlightRaw > 0n) {
+      logger.info(`   • Reserved In Flight: ${format(inFlightRaw)} ${TOKEN_CONFIG.symbol}`);
+    }
+
+    if (requiredRaw > sourceInfo.amount) {
+      throw new InsufficientBalanceError(
+        `Insufficient balance: ${format(requiredRaw)} ${TOKEN_CONFIG.symbol} required ` +
+          `(${totalAmount} to send, ${format(transferFeeRaw)} in transfer fees, ${format(inFlightRaw)} in flight), ` +
+          `${format(sourceInfo.amount)} ${TOKEN_CONFIG.symbol} available`,
+        {
+          account: sourceAccount.toString(),
+          required: formatTokenAmount(requiredRaw, mintInfo.decimals),
+          available: formatTokenAmount(sourceInfo.amount, mintInfo.decimals),
+          inFlight: formatTokenAmount(inFlightRaw, mintInfo.decimals),
+          transferFee: formatTokenAmount(transferFeeRaw, mintInfo.decimals),
+        }
+      );
+    }
+  }
+
+  // Split recipients into batches
+  const batches = [];
+  for (let i = 0; i < pendingRecipients.length; i += batchSize) {
+    batches.push(pendingRecipients.slice(i, i + batchSize));
+  }
+
+  logger.info(`\n📊 Airdrop Summary:`);
+  logger.info(`   • Recipients to process: ${pendingRecipients.length} of ${recipients.length}`);
+  logger.info(`   • Total amount: ${totalAmount} ${TOKEN_CONFIG.symbol}`);
+  if (transferFeeRaw > 0n) {
+    logger.info(`   • Transfer fees (sent on top): ${format(transferFeeRaw)} ${TOKEN_CONFIG.symbol}`);
+  }
+  logger.info(`   • Batches: ${batches.length} (up to ${batchSize} recipients each)`);
+
+  if (dryRun) {
+    pendingRecipients.forEach((r, i) => {
+      logger.info(`   ${i + 1}. ${r.address} → ${format(parseTokenAmount(r.amount, mintInfo.decimals))} ${TOKEN_CONFIG.symbol}`);
+    });
+    logger.info(`\n🎯 DRY RUN COMPLETE - No tokens were actually distributed`);
+    return {
+      status: "dry-run",
+      ...summary,
+      pending: pendingRecipients.length,
+      totalAmount: formatTokenAmount(totalRaw, mintInfo.decimals),
+      transferFee: formatTokenAmount(transferFeeRaw, mintInfo.decimals),
+      batches: batches.length,
+    };
+  }
+
+  // Confirm airdrop
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n${"=".repeat(60)}`);
+    logger.info(`⚠️  AIRDROP CONFIRMATION REQUIRED ⚠️`);
+    logger.info(`${"=".repeat(60)}`);
+    logger.info(`🪂 AIRDROP OPERATION:`);
+    logger.info(`   • Will ${mode === "mint" ? "mint" : "transfer"}: ${totalAmount} ${TOKEN_CONFIG.symbol}`);
+    if (transferFeeRaw > 0n) {
+      logger.info(`   • Plus transfer fees: ${format(transferFeeRaw)} ${TOKEN_CONFIG.symbol}`);
+    }
+    logger.info(`   • Recipients: ${pendingRecipients.length}`);
+    logger.info(`   • Network: ${network.toUpperCase()}`);
+    logger.info(`   • Missing token accounts will be created at the wallet's expense`);
+    logger.info(`\n${"=".repeat(60)}`);
+
+    confirmed = await confirm(`🪂 Do you want to proceed with the airdrop? (yes/no): `);
+  }
+
+  if (!confirmed) {
+    logger.info(`❌ Airdrop cancelled by user`);
+    return { status: "cancelled", ...summary };
+  }
+
+  // Execute batches
+  const results = [];
+  const transactions = [];
+  let stoppedEarly = false;
+  for (const [batchIndex, batch] of batches.entries()) {
+    logger.info(`\n📦 Sending batch ${batchIndex + 1}/${batches.length}...`);
+
+    if (supplyGuard) {
+      try {
+        await supplyGuard.assertCanMint(sumRawAmounts(batch, mintInfo.decimals));
+      } catch (error) {
+        logger.error(`   ❌ ${error.message}`);
+        logger.error(`   Stopping airdrop - remaining batches were not sent`);
+        stoppedEarly = true;
+        break;
+      }
+    }
+
+    const instructions = batch.flatMap((recipient) =>
+      buildRecipientInstructions({
+        mode,
+        mint,
+        decimals: mintInfo.decimals,
+        payer: walletKeypair.publicKey,
+        sourceAccount,
+        recipient,
+        programId,
+        transferFee: feeFor(parseTokenAmount(recipient.amount, mintInfo.decimals)),
+      })
+    );
+
+    let signature = null;
+    let status;
+    let errorMessage;
+    try {
+      const sent = await sendInstructions(connection, instructions, [walletKeypair], {
+        priorityFee,
+        logger,
+        // Journal each signature before it is broadcast, so a crash after
+        // broadcast can always be reconciled instead of re-sent
+        onSigned: (signed) => {
+          signature = signed.signature;
+          markRecipients(journal, batch, STATUS.PENDING, {
+            signature,
+            lastValidBlockHeight: signed.lastValidBlockHeight,
+            error: undefined,
+          });
+          saveJournal(journalPath, journal);
+        },
+        onSent: () => {
+          markRecipients(journal, batch, STATUS.SENT);
+          saveJournal(journalPath, journal);
+        },
+      });
+      transactions.push(sent);
+      status = STATUS.CONFIRMED;
+    } catch (error) {
+      errorMessage = error.message;
+      // A failed simulation or on-chain error is final; a batch that was
+      // never signed cannot land; anything else leaves the batch
+      // pending/sent for the next run to reconcile
+      if (error instanceof TransactionFailedError) {
+        status = STATUS.FAILED;
+      } else if (!signature) {
+        status = STATUS.UNSENT;
+      }
+    }
+
+    if (status === STATUS.UNSENT) {
+      // Drop any signature left by an earlier failed run
+      markRecipients(journal, batch, status, {
+        signature: undefined,
+        lastValidBlockHeight: undefined,
+        error: errorMessage,
+      });
+      saveJournal(journalPath, journal);
+    } else if (status) {
+      markRecipients(journal, batch, status, { error: errorMessage });
+      saveJournal(journalPath, journal);
+    }
+
+    if (status === STATUS.CONFIRMED) {
+      logger.info(`   ✅ Batch confirmed: ${signature}`);
+    } else if (status === STATUS.FAILED) {
+      logger.error(`   ❌ Batch failed: ${errorMessage}`);
+    } else if (status === STATUS.UNSENT) {
+      logger.error(`   ❌ Batch not sent: ${errorMessage}`);
+    } else {
+      logger.warn(`   ⚠️  Batch unconfirmed: ${errorMessage}`);
+      if (signature) {
+        logger.warn(`   Signature ${signature} recorded - re-run to reconcile`);
+      }
+    }
+
+    batch.forEach((recipient) => {
+      results.push({
+        address: recipient.address,
+        amount: recipient.amount,
+        status: status || getEntry(journal, recipient.address).status,
+        signature,
+        ...(errorMessage && { error: errorMessage }),
+      });
+    });
+  }
+
+  const succeeded = results.filter((r) => r.status === STATUS.CONFIRMED);
+  const failed = results.filter((r) => r.status !== STATUS.CONFIRMED);
+  const distributedRaw = sumRawAmounts(succeeded, mintInfo.decimals);
+
+  logger.info(`\n🎉 Airdrop finished!`);
+  logger.info(`   • Delivered: ${succeeded.length}/${results.length} recipients`);
+  logger.info(`   • Distributed: ${format(distributedRaw)} ${TOKEN_CONFIG.symbol}`);
+  if (failed.length > 0) {
+    logger.info(`   • Not delivered: ${failed.length} recipients (see airdrop record)`);
+    logger.info(`   • Re-run the same command to retry - confirmed recipients are skipped`);
+  }
+
+  // Save airdrop record
+  const airdropRecord = {
+    timestamp: new Date().toISOString(),
+    tokenInfo: {
+      name: tokenInfo.name,
+      symbol: tokenInfo.symbol,
+      mintAddress: tokenInfo.mintAddress,
+      network: network,
+    },
+    airdropDetails: {
+      mode,
+      recipientsFile,
+      journal: journalPath,
+      sourceAccount: sourceAccount ? sourceAccount.toString() : null,
+      totalRequested: formatTokenAmount(totalRaw, mintInfo.decimals),
+      totalDistributed: formatTokenAmount(distributedRaw, mintInfo.decimals),
+    },
+    recipients: results,
+  };
+
+  const airdropRecordFile = `airdrop-record-${Date.now()}.json`;
+  fs.writeFileSync(airdropRecordFile, JSON.stringify(airdropRecord, null, 2));
+  logger.info(`\n💾 Airdrop record saved to: ${airdropRecordFile}`);
+
+  let opsLog = { error: null };
+  if (transactions.length > 0) {
+    const updatedMintInfo = await getMint(connection, mint, "confirmed", programId);
+    opsLog = recordOperation({
+      type: "airdrop",
+      network,
+      operator: walletKeypair.publicKey.toString(),
+      mintAddress: tokenInfo.mintAddress,
+      params: {
+        ...airdropRecord.airdropDetails,
+        recipients: succeeded.map(({ address, amount }) => ({ address, amount })),
+      },
+      transactions,
+      before: { supply: formatTokenAmount(mintInfo.supply, mintInfo.decimals) },
+      after: { supply: formatTokenAmount(updatedMintInfo.supply, mintInfo.decimals) },
+    }, { logger });
+  }
+
+  return {
+    status: failed.length > 0 || stoppedEarly ? "partial" : "distributed",
+    ...summary,
+    totalRequested: airdropRecord.airdropDetails.totalRequested,
+    totalDistributed: airdropRecord.airdropDetails.totalDistributed,
+    delivered: succeeded.length,
+    failed: failed.length,
+    stoppedEarly,
+    results,
+    transactions,
+    recordFile: airdropRecordFile,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🪂 Token Airdrop Script
+
+Distribute tokens to a list of recipients, creating their token accounts as needed.
+
+Usage: node airdrop.js [network] <recipients-file> [options]
+
+Arguments:
+  network               Network to use: devnet, mainnet or localnet [default: devnet]
+  recipients-file       CSV (address,amount) or JSON list of recipients
+
+Options:
+  --mode <mint|transfer>  Mint new tokens or transfer from the creator token account
+                          [default: mint while mint authority is active, else transfer]
+  --batch-size <n>        Recipients per transaction (1-${MAX_BATCH_SIZE}) [default: ${DEFAULT_BATCH_SIZE}]
+  --journal <path>        Journal file tracking per-recipient state
+                          [default: derived from recipients file, mint and network]
+  --token <selector>      Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --priority-fee <auto|micro-lamports>
+                          Priority fee per compute unit [default: auto, from recent fees]
+  --dry-run               Show what would be done without executing
+  --yes                   Distribute without prompting
+  --json                  Print the result as JSON on stdout (logs go to stderr)
+  --help, -h              Show this help message
+
+Recipients file formats:
+  CSV:   address,amount            (header line optional)
+  JSON:  [{ "address": "...", "amount": 100 }]  or  { "<address>": 100 }
+  Holder snapshots written by snapshot.js (CSV or JSON) load as-is
+
+Examples:
+  node airdrop.js devnet recipients.csv                     # Mint to recipients on devnet
+  node airdrop.js mainnet recipients.csv --mode transfer    # Transfer from creator account
+  node airdrop.js mainnet recipients.json --dry-run         # Preview distribution
+
+⚠️  IMPORTANT WARNINGS:
+  • Each new token account costs rent, paid by the wallet
+  • Mint mode refuses any batch that would push supply past the configured cap
+  • A per-recipient result file is written after every run
+  • Runs are resumable: re-running the same recipients file skips recipients
+    already confirmed on-chain and reconciles interrupted batches first
+  • Always test with --dry-run first on important operations
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, [
+      { name: "--mode", value: "<mint|transfer>" },
+      { name: "--batch-size", value: "<n>" },
+      { name: "--journal", value: "<path>" },
+      { name: "--token", value: "<selector>" },
+      { name: "--priority-fee", value: "<fee>" },
+      { name: "--dry-run" },
+      { name: "--yes" },
+      { name: "--json" },
+      { name: "--help" },
+    ]);
+  } catch (error) {
+    if (json) {
+      exitWithError("Invalid arguments", { json: "airdrop" })(error);
+    }
+    console.error(`❌ ${error.message}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const { positional, options } = parsed;
+  if (options.help || positional.length === 0) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const fail = exitWithError("Airdrop failed", { json: json ? "airdrop" : null });
+
+  let network;
+  let airdropOptions;
+  try {
+    network = positional.length > 1 ? parseNetwork(positional[0]) : "devnet";
+    if (options.mode && !["mint", "transfer"].includes(options.mode)) {
+      throw new InvalidArgumentError(`Invalid mode: ${options.mode} (expected mint or transfer)`);
+    }
+    airdropOptions = {
+      mode: options.mode || null,
+      batchSize: options.batchSize ? parsePositiveInt(options.batchSize, "batch size") : DEFAULT_BATCH_SIZE,
+      journalPath: options.journal || null,
+      token: options.token || null,
+      priorityFee: options.priorityFee !== undefined ? parsePriorityFee(options.priorityFee) : null,
+      dryRun: Boolean(options.dryRun),
+      skipConfirmation: Boolean(options.yes),
+    };
+  } catch (error) {
+    fail(error);
+  }
+
+  const recipientsFile = positional.length > 1 ? positional[1] : positional[0];
+
+  airdrop(network, recipientsFile, airdropOptions)
+    .then((result) => {
+      if (json) {
+        writeJsonResult("airdrop", result);
+      }
+      if (result.status === "partial") {
+        process.exitCode = 1;
+      }
+    })
+    .catch(fail);
+}
+
+module.exports = { airdrop };
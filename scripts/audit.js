@@ -0,0 +1,539 @@
+const { PublicKey } = require("@solana/web3.js");
+const {
+  getMint,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  getTokenMetadata,
+} = require("@solana/spl-token");
+const { Metadata } = require("@metaplex-foundation/mpl-token-metadata");
+const fs = require("fs");
+const { createConnection, getNetworkConfig } = require("./token-creation/network-config");
+const {
+  getTokenProgramId,
+  getTokenProgramName,
+} = require("./token-creation/token-program");
+const {
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
+const {
+  parseRecordedAmount,
+  parseTokenAmount,
+  formatTokenAmount,
+} = require("./token-creation/amounts");
+const { collectBurnRecords, buildBurnLedger } = require("./token-creation/burn-ledger");
+const { trimPadding, fetchOffChainMetadata } = require("./update-metadata");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+} = require("./token-creation/errors");
+const { exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/** Token info fields holding transaction signatures */
+const TRANSACTION_FIELDS = [
+  "mintTransaction",
+  "metadataTransaction",
+  "metadataUpdateTransaction",
+  "metadataImmutableTransaction",
+  "mintAuthorityTransferTransaction",
+  "metadataAuthorityTransferTransaction",
+  "revokeTransaction",
+  "revokeFreezeTransaction",
+];
+
+/** Pages of mint history (1000 signatures each) searched for the creation transaction */
+const MAX_HISTORY_PAGES = 10;
+
+/**
+ * Collects audit findings and logs each check as it is made
+ * @param {Object} logger - Logger with info/warn/error
+ * @returns {Object} { findings, check(field, recorded, onChain, options), flag(finding) }
+ */
+function createFindings(logger) {
+  const findings = [];
+
+  /**
+   * Record a discrepancy
+   * @param {Object} finding - { field, severity, message, recorded, onChain, repairable }
+   */
+  function flag(finding) {
+    findings.push({ recorded: null, onChain: null, repairable: false, ...finding });
+    const icon = finding.severity === "error" ? "❌" : "⚠️ ";
+    logger.warn(`   ${icon} ${finding.message}`);
+  }
+
+  /**
+   * Compare a recorded value with the on-chain one
+   * @param {string} field - Field name; repairable fields are token info keys
+   * @param {*} recorded - Value in the local record (undefined when missing)
+   * @param {*} onChain - Value found on chain
+   * @param {Object} options - Check options
+   * @param {string} options.label - Name shown in the log [default: field]
+   * @param {string} options.severity - 'error' or 'warning' [default: 'error']
+   * @param {boolean} options.repairable - Whether --repair may copy the on-chain value
+   * @param {boolean} options.showValues - Print the values (off for long text such as descriptions)
+   */
+  function check(field, recorded, onChain, options = {}) {
+    const { label = field, severity = "error", repairable = false, showValues = true } = options;
+    if (recorded === onChain) {
+      logger.info(`   ✅ ${label}: ${showValues ? (onChain === null ? "None" : onChain) : "matches"}`);
+      return;
+    }
+    const shown = recorded === undefined ? "(not recorded)" : recorded === null ? "None" : recorded;
+    flag({
+      field,
+      severity,
+      message: showValues
+        ? `${label}: recorded ${shown}, on chain ${onChain === null ? "None" : onChain}`
+        : `${label}: differs`,
+      recorded: recorded === undefined ? null : recorded,
+      onChain,
+      repairable,
+    });
+  }
+
+  return { findings, check, flag };
+}
+
+/**
+ * Find the oldest signature touching a mint, which is its creation transaction
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @returns {Promise<string|null>} Signature, or null when history is longer than the search
+ */
+async function findCreationSignature(connection, mint) {
+  let before;
+  for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+    const signatures = await connection.getSignaturesForAddress(mint, { before, limit: 1000 });
+    if (signatures.length === 0) {
+      return null;
+    }
+    if (signatures.length < 1000) {
+      return signatures[signatures.length - 1].signature;
+    }
+    before = signatures[signatures.length - 1].signature;
+  }
+  return null;
+}
+
+/**
+ * Read the token metadata from its Metaplex account, or from the mint for
+ * Token-2022 embedded metadata
+ * @param {Connection} connection - Solana connection
+ * @param {Object} tokenInfo - Token info record
+ * @param {PublicKey} programId - Token program of the mint
+ * @returns {Promise<Object|null>} { name, symbol, uri, updateAuthority, isMutable }, or null when missing
+ */
+async function fetchTokenMetadata(connection, tokenInfo, programId) {
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  if (tokenInfo.metadataAccount === tokenInfo.mintAddress) {
+    const embedded = await getTokenMetadata(connection, mint, "confirmed", programId);
+    if (!embedded) {
+      return null;
+    }
+    return {
+      name: embedded.name,
+      symbol: embedded.symbol,
+      uri: embedded.uri,
+      updateAuthority: embedded.updateAuthority ? embedded.updateAuthority.toString() : null,
+      isMutable: Boolean(embedded.updateAuthority),
+    };
+  }
+
+  const accountInfo = await connection.getAccountInfo(new PublicKey(tokenInfo.metadataAccount));
+  if (!accountInfo) {
+    return null;
+  }
+  const [metadata] = Metadata.fromAccountInfo(accountInfo);
+  return {
+    name: trimPadding(metadata.data.name),
+    symbol: trimPadding(metadata.data.symbol),
+    uri: trimPadding(metadata.data.uri),
+    updateAuthority: metadata.updateAuthority.toString(),
+    isMutable: metadata.isMutable,
+  };
+}
+
+/**
+ * Compare the local token record with chain state: mint decimals, supply and
+ * authorities, the metadata account and the metadata file, the creator token
+ * account and every recorded transaction. With `repair`, fields the chain is
+ * authoritative for are copied into the record; supply, metadata content and
+ * failed transactions are only reported.
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.metadataPath - Metadata file to compare with [default: ./doodimeta.json]
+ * @param {boolean} options.repair - Update repairable fields in the token info file
+ * @param {boolean} options.skipConfirmation - Repair without prompting
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} { status, network, mintAddress, findings, repaired, onChain } with status
+ *   'clean', 'drift', 'repaired' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound or NetworkMismatch
+ */
+async function auditToken(options = {}) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    metadataPath = "./doodimeta.json",
+    repair = false,
+    skipConfirmation = false,
+    confirm = askConfirmation,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+  const { findings, check, flag } = createFindings(logger);
+  const onChain = {};
+
+  logger.info(`🔍 Auditing ${tokenInfo.name} (${tokenInfo.symbol}) on ${tokenInfo.network}...`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+
+  // Mint
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  const { decimals } = mintInfo;
+  onChain.mint = {
+    tokenProgram: getTokenProgramName(programId),
+    decimals,
+    supply: formatTokenAmount(mintInfo.supply, decimals),
+    mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null,
+    freezeAuthority: mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toString() : null,
+  };
+
+  logger.info(`\n🪙 Mint (${onChain.mint.tokenProgram}):`);
+  check("decimals", tokenInfo.decimals, decimals, { label: "Decimals", repairable: true });
+  check("mintAuthority", tokenInfo.mintAuthority, onChain.mint.mintAuthority, {
+    label: "Mint authority",
+    repairable: true,
+  });
+  check("freezeAuthority", tokenInfo.freezeAuthority, onChain.mint.freezeAuthority, {
+    label: "Freeze authority",
+    // Records made before freeze authority was tracked do not have the field
+    severity: tokenInfo.freezeAuthority === undefined ? "warning" : "error",
+    repairable: true,
+  });
+
+  // Supply: the cap less recorded burns, unless tokens are still to be minted
+  const capRaw = parseRecordedAmount(tokenInfo.totalSupply, decimals);
+  const burnRecords = collectBurnRecords(".", tokenInfo.mintAddress);
+  const burnedRaw =
+    burnRecords.length > 0 ? parseTokenAmount(buildBurnLedger(burnRecords).totalBurned, decimals) : 0n;
+  const expectedRaw = capRaw - burnedRaw;
+  const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+
+  if (mintInfo.supply > capRaw) {
+    flag({
+      field: "supply",
+      severity: "error",
+      message: `Supply ${format(mintInfo.supply)} exceeds totalSupply ${format(capRaw)}`,
+      recorded: tokenInfo.totalSupply,
+      onChain: onChain.mint.supply,
+    });
+  } else if (mintInfo.supply !== expectedRaw) {
+    const burns = burnRecords.length > 0 ? ` less ${format(burnedRaw)} recorded burned` : "";
+    flag({
+      field: "supply",
+      severity: "warning",
+      message:
+        `Supply ${format(mintInfo.supply)} differs from totalSupply ${format(capRaw)}${burns} ` +
+        `(unminted supply or unrecorded burns)`,
+      recorded: formatTokenAmount(expectedRaw, decimals),
+      onChain: onChain.mint.supply,
+    });
+  } else {
+    logger.info(`   ✅ Supply: ${format(mintInfo.supply)}`);
+  }
+
+  // Metadata
+  logger.info(`\n📝 Metadata:`);
+  const metadata = tokenInfo.metadataAccount
+    ? await fetchTokenMetadata(connection, tokenInfo, programId)
+    : null;
+  onChain.metadata = metadata;
+
+  if (!tokenInfo.metadataAccount) {
+    flag({ field: "metadataAccount", severity: "warning", message: "No metadata account recorded" });
+  } else if (!metadata) {
+    flag({
+      field: "metadataAccount",
+      severity: "error",
+      message: `Metadata account ${tokenInfo.metadataAccount} not found`,
+      recorded: tokenInfo.metadataAccount,
+    });
+  } else {
+    check("name", tokenInfo.name, metadata.name, { label: "Name", repairable: true });
+    check("symbol", tokenInfo.symbol, metadata.symbol, { label: "Symbol", repairable: true });
+    if (tokenInfo.metadataUpdateAuthority !== undefined) {
+      check("metadataUpdateAuthority", tokenInfo.metadataUpdateAuthority, metadata.updateAuthority, {
+        label: "Update authority",
+        repairable: true,
+      });
+    }
+    check("metadataImmutable", Boolean(tokenInfo.metadataImmutableAt), !metadata.isMutable, {
+      label: "Immutable",
+      severity: "warning",
+    });
+
+    if (metadataPath && fs.existsSync(metadataPath)) {
+      const localMetadata = JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+      const fields = ["name", "symbol"].concat(localMetadata.uri ? ["uri"] : []);
+      fields.forEach((field) =>
+        check(`${metadataPath}:${field}`, localMetadata[field], metadata[field], {
+          label: `${metadataPath} ${field}`,
+          severity: "warning",
+        })
+      );
+
+      // Off-chain fields live in the JSON the on-chain URI points at
+      const offChain = await fetchOffChainMetadata(metadata.uri);
+      if (!offChain) {
+        flag({
+          field: "uri",
+          severity: "warning",
+          message: `Could not fetch metadata JSON from ${metadata.uri || "(empty URI)"}`,
+          onChain: metadata.uri,
+        });
+      } else {
+        ["name", "symbol", "description", "image"].forEach((field) =>
+          check(`${metadataPath}:${field}@uri`, localMetadata[field], offChain[field], {
+            label: `${metadataPath} ${field} (at URI)`,
+            severity: "warning",
+            showValues: field !== "description",
+          })
+        );
+      }
+    } else if (metadataPath) {
+      logger.info(`   💡 ${metadataPath} not found - skipping metadata content checks`);
+    }
+  }
+
+  // Creator token account
+  logger.info(`\n👛 Creator token account:`);
+  const expectedAccount = getAssociatedTokenAddressSync(
+    mint,
+    new PublicKey(tokenInfo.creatorWallet),
+    false,
+    programId
+  );
+  let creatorAccount = null;
+  if (tokenInfo.creatorTokenAccount) {
+    creatorAccount = await getAccount(
+      connection,
+      new PublicKey(tokenInfo.creatorTokenAccount),
+      "confirmed",
+      programId
+    ).catch(() => null);
+  }
+
+  const accountProblem = !tokenInfo.creatorTokenAccount
+    ? "not recorded"
+    : !creatorAccount
+      ? `${tokenInfo.creatorTokenAccount} not found`
+      : !creatorAccount.mint.equals(mint)
+        ? `${tokenInfo.creatorTokenAccount} holds another mint (${creatorAccount.mint.toString()})`
+        : creatorAccount.owner.toString() !== tokenInfo.creatorWallet
+          ? `${tokenInfo.creatorTokenAccount} is owned by ${creatorAccount.owner.toString()}, not ${tokenInfo.creatorWallet}`
+          : null;
+
+  if (accountProblem) {
+    // The creator's associated account is the one token creation records
+    const associated = await getAccount(connection, expectedAccount, "confirmed", programId).catch(
+      () => null
+    );
+    flag({
+      field: "creatorTokenAccount",
+      severity: "error",
+      message: `Creator token account ${accountProblem}`,
+      recorded: tokenInfo.creatorTokenAccount || null,
+      onChain: associated ? expectedAccount.toString() : null,
+      repairable: Boolean(associated),
+    });
+  } else {
+    onChain.creatorTokenAccount = {
+      address: tokenInfo.creatorTokenAccount,
+      owner: creatorAccount.owner.toString(),
+      balance: formatTokenAmount(creatorAccount.amount, decimals),
+    };
+    logger.info(`   ✅ ${tokenInfo.creatorTokenAccount} (${format(creatorAccount.amount)} ${tokenInfo.symbol})`);
+  }
+
+  // Recorded transactions
+  logger.info(`\n🧾 Transactions:`);
+  const recordedFields = TRANSACTION_FIELDS.filter((field) => tokenInfo[field]);
+  const signatures = recordedFields.map((field) => tokenInfo[field]);
+  const { value: statuses } = signatures.length
+    ? await connection.getSignatureStatuses(signatures, { searchTransactionHistory: true })
+    : { value: [] };
+
+  onChain.transactions = {};
+  recordedFields.forEach((field, i) => {
+    const status = statuses[i];
+    onChain.transactions[field] = status ? (status.err ? "failed" : status.confirmationStatus) : null;
+    if (!status) {
+      flag({
+        field,
+        severity: "error",
+        message: `${field} ${tokenInfo[field]} not found on chain`,
+        recorded: tokenInfo[field],
+      });
+    } else if (status.err) {
+      flag({
+        field,
+        severity: "error",
+        message: `${field} ${tokenInfo[field]} failed: ${JSON.stringify(status.err)}`,
+        recorded: tokenInfo[field],
+        onChain: "failed",
+      });
+    } else {
+      logger.info(`   ✅ ${field}: ${tokenInfo[field]} (${status.confirmationStatus})`);
+    }
+  });
+
+  if (!tokenInfo.mintTransaction) {
+    const creation = await findCreationSignature(connection, mint);
+    flag({
+      field: "mintTransaction",
+      severity: "warning",
+      message: `mintTransaction not recorded${creation ? ` - mint was created in ${creation}` : ""}`,
+      onChain: creation,
+      repairable: Boolean(creation),
+    });
+  }
+
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress, findings, onChain };
+
+  if (findings.length === 0) {
+    logger.info(`\n✅ Token info matches chain state`);
+    return { status: "clean", ...summary, repaired: [] };
+  }
+
+  const errorCount = findings.filter((finding) => finding.severity === "error").length;
+  const repairable = findings.filter((finding) => finding.repairable);
+  logger.info(
+    `\n📋 ${findings.length} discrepanc${findings.length === 1 ? "y" : "ies"} (${errorCount} error${errorCount === 1 ? "" : "s"}), ` +
+      `${repairable.length} repairable from chain`
+  );
+
+  if (!repair || repairable.length === 0) {
+    if (repairable.length > 0) {
+      logger.info(`💡 Run with --repair to copy the on-chain values into the token info file`);
+    }
+    return { status: "drift", ...summary, repaired: [] };
+  }
+
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n🔧 Repair will update the token info file:`);
+    repairable.forEach((finding) =>
+      logger.info(`   • ${finding.field}: ${finding.recorded === null ? "None" : finding.recorded}  →  ${finding.onChain === null ? "None" : finding.onChain}`)
+    );
+    confirmed = await confirm("\nUpdate the token info file? (yes/no): ");
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Repair cancelled by user");
+    return { status: "cancelled", ...summary, repaired: [] };
+  }
+
+  repairable.forEach((finding) => {
+    tokenInfo[finding.field] = finding.onChain;
+  });
+  tokenInfo.auditRepairedAt = new Date().toISOString();
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+
+  const repaired = repairable.map((finding) => finding.field);
+  logger.info(`\n💾 Token info repaired: ${repaired.join(", ")}`);
+  if (repaired.length < findings.length) {
+    logger.info(`   ${findings.length - repaired.length} discrepancies need attention on chain or in the metadata file`);
+  }
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info(`\n🔗 ${networkConfig.explorerUrl}/address/${tokenInfo.mintAddress}${clusterParam}`);
+
+  return { status: "repaired", ...summary, repaired };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🔍 Token Audit Script
+
+Compare the local token info record with chain state: mint decimals, supply
+and authorities, the metadata account and metadata file, the creator token
+account and every recorded transaction.
+
+Usage: node audit.js [options]
+
+Options:
+  --token <selector>    Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --token-info <path>   Token info file [default: ./doodi-token-info.json]
+  --metadata <path>     Metadata file to compare with [default: ./doodimeta.json]
+  --repair              Copy on-chain authorities, decimals, name, symbol,
+                        creator token account and mint transaction into the record
+  --yes                 Repair without prompting
+  --json                Print the result as JSON on stdout (logs go to stderr)
+  --help, -h            Show this help message
+
+Exits with status 1 while discrepancies remain.
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  auditToken({
+    tokenInfoPath: optionValue("--token-info"),
+    token: optionValue("--token"),
+    metadataPath: optionValue("--metadata") || "./doodimeta.json",
+    repair: args.includes("--repair"),
+    skipConfirmation: args.includes("--yes"),
+  })
+    .then((result) => {
+      if (json) {
+        writeJsonResult("audit", result);
+      }
+      if (result.status === "drift") {
+        process.exitCode = 1;
+      }
+    })
+    .catch(exitWithError("Audit failed", { json: json ? "audit" : null }));
+}
+
+module.exports = { auditToken };
@@ -0,0 +1,581 @@
+const { PublicKey } = require("@solana/web3.js");
+const fs = require("fs");
+const { burnTokens } = require("./burn-tokens");
+const { TOKEN_CONFIG } = require("./token-creation/token-config");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const {
+  collectBurnRecords,
+  updateBurnLedger,
+} = require("./token-creation/burn-ledger");
+const {
+  parseTokenAmount,
+  parseRecordedAmount,
+  formatTokenAmount,
+  percentOf,
+} = require("./token-creation/amounts");
+const { askConfirmation } = require("./token-creation/confirm");
+const { CampaignError, InvalidArgumentError } = require("./token-creation/errors");
+const { exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/**
+ * Raw units of a campaign amount (config values, tranches and state totals)
+ * @param {string|number} value - Amount in UI units
+ * @returns {bigint} Raw token units at the token decimals
+ */
+function toRaw(value) {
+  return parseRecordedAmount(value, TOKEN_CONFIG.decimals);
+}
+
+/**
+ * Format a campaign amount for display
+ * @param {string|number|bigint} value - Amount in UI units, or raw units as a bigint
+ * @returns {string} Amount with thousands separators
+ */
+function display(value) {
+  const raw = typeof value === "bigint" ? value : toRaw(value);
+  return formatTokenAmount(raw, TOKEN_CONFIG.decimals, { grouping: true });
+}
+
+/**
+ * Load and validate a campaign config file
+ * @param {string} configPath - Campaign config JSON file
+ * @returns {Object} Validated campaign config
+ * @throws {CampaignError} When the file is missing or malformed
+ */
+function loadCampaignConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new CampaignError(`Campaign config not found: ${configPath}`, { configPath });
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new CampaignError(`${configPath} is not valid JSON: ${error.message}`, { configPath });
+  }
+  const {
+    name,
+    network = "devnet",
+    totalToBurn,
+    trancheSize,
+    intervalMinutes,
+    sources = [],
+  } = config;
+
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new CampaignError("Campaign name is required (letters, digits, - and _ only)", { name });
+  }
+  if (!["devnet", "mainnet"].includes(network)) {
+    throw new CampaignError(`Invalid network: ${network}`, { network });
+  }
+  const parseConfigAmount = (value, field) => {
+    try {
+      return parseTokenAmount(String(value), TOKEN_CONFIG.decimals);
+    } catch (error) {
+      throw new CampaignError(`${field}: ${error.message}`, { field, value });
+    }
+  };
+  const totalRaw = parseConfigAmount(totalToBurn, "totalToBurn");
+  const trancheRaw = parseConfigAmount(trancheSize, "trancheSize");
+
+  if (totalRaw <= 0n) {
+    throw new CampaignError("totalToBurn must be greater than 0", { totalToBurn });
+  }
+  if (trancheRaw <= 0n || trancheRaw > totalRaw) {
+    throw new CampaignError("trancheSize must be greater than 0 and at most totalToBurn", {
+      trancheSize,
+      totalToBurn,
+    });
+  }
+  if (!(intervalMinutes >= 0)) {
+    throw new CampaignError("intervalMinutes must be 0 or greater", { intervalMinutes });
+  }
+  sources.forEach((source) => {
+    try {
+      new PublicKey(source);
+    } catch (error) {
+      throw new CampaignError(`Invalid source address: ${source}`, { source });
+    }
+  });
+
+  return {
+    name,
+    network,
+    totalToBurn: formatTokenAmount(totalRaw, TOKEN_CONFIG.decimals),
+    trancheSize: formatTokenAmount(trancheRaw, TOKEN_CONFIG.decimals),
+    intervalMinutes,
+    sources,
+  };
+}
+
+/**
+ * State file path for a campaign
+ * @param {Object} config - Campaign config
+ * @returns {string} State file path
+ */
+function getStatePath(config) {
+  return `burn-campaign-${config.name}.state.json`;
+}
+
+/**
+ * Load campaign progress or start fresh
+ * @param {Object} config - Campaign config
+ * @returns {Object} Campaign state
+ */
+function loadCampaignState(config) {
+  const statePath = getStatePath(config);
+  if (!fs.existsSync(statePath)) {
+    return {
+      name: config.name,
+      startedAt: null,
+      burned: "0",
+      nextTrancheAt: null,
+      inProgress: null,
+      tranches: [],
+    };
+  }
+  return JSON.parse(fs.readFileSync(statePath, "utf8"));
+}
+
+/**
+ * Persist campaign progress
+ * @param {Object} config - Campaign config
+ * @param {Object} state - Campaign state
+ */
+function saveCampaignState(config, state) {
+  const statePath = getStatePath(config);
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Describe the next tranche of a campaign
+ * @param {Object} config - Campaign config
+ * @param {Object} state - Campaign state
+ * @returns {Object|null} Next tranche, or null when the campaign is complete
+ */
+function getNextTranche(config, state) {
+  const remaining = toRaw(config.totalToBurn) - toRaw(state.burned);
+  if (remaining <= 0n) {
+    return null;
+  }
+
+  const trancheRaw = toRaw(config.trancheSize);
+  const index = state.tranches.length;
+  return {
+    index,
+    amount: formatTokenAmount(trancheRaw < remaining ? trancheRaw : remaining, TOKEN_CONFIG.decimals),
+    source:
+      config.sources.length > 0
+        ? config.sources[index % config.sources.length]
+        : null,
+  };
+}
+
+/**
+ * Record a tranche as executed
+ * @param {Object} state - Campaign state
+ * @param {Object} tranche - Tranche that was burned
+ * @param {Object} record - Burn record (with recordFile) written by burnTokens
+ * @param {number} intervalMinutes - Delay before the next tranche
+ */
+function recordTranche(state, tranche, record, intervalMinutes) {
+  state.tranches.push({
+    index: tranche.index,
+    amount: tranche.amount,
+    source: record.burnDetails.fromOwner,
+    signature: record.burnDetails.signature,
+    recordFile: record.recordFile,
+    executedAt: record.timestamp,
+  });
+  state.burned = formatTokenAmount(
+    toRaw(state.burned) + toRaw(tranche.amount),
+    TOKEN_CONFIG.decimals
+  );
+  state.inProgress = null;
+  state.nextTrancheAt = new Date(
+    new Date(record.timestamp).getTime() + intervalMinutes * 60 * 1000
+  ).toISOString();
+}
+
+/**
+ * Print campaign progress
+ * @param {Object} config - Campaign config
+ * @param {Object} state - Campaign state
+ * @param {Object} logger - Logger with info/warn/error [default: console]
+ */
+function printCampaignStatus(config, state, logger = console) {
+  const next = getNextTranche(config, state);
+  const percent = percentOf(toRaw(state.burned), toRaw(config.totalToBurn)).toFixed(2);
+
+  logger.info(`🔥 Burn Campaign: ${config.name}`);
+  logger.info(`   • Network: ${config.network}`);
+  logger.info(`   • Progress: ${display(state.burned)} / ${display(config.totalToBurn)} ${TOKEN_CONFIG.symbol} (${percent}%)`);
+  logger.info(`   • Tranche size: ${display(config.trancheSize)} ${TOKEN_CONFIG.symbol} every ${config.intervalMinutes} minutes`);
+  logger.info(`   • Sources: ${config.sources.length > 0 ? config.sources.join(", ") : "wallet"}`);
+  logger.info(`   • Tranches executed: ${state.tranches.length}`);
+  if (next) {
+    logger.info(`   • Next tranche: #${next.index + 1} - ${display(next.amount)} ${TOKEN_CONFIG.symbol} from ${next.source || "wallet"}`);
+    logger.info(`   • Due: ${state.nextTrancheAt || "now"}`);
+  } else {
+    logger.info(`   • ✅ Campaign complete`);
+  }
+}
+
+/**
+ * Summarise campaign progress for a result object
+ * @param {Object} config - Campaign config
+ * @param {Object} state - Campaign state
+ * @returns {Object} Name, network, burned and total amounts, tranche count and the next tranche
+ */
+function campaignSummary(config, state) {
+  return {
+    name: config.name,
+    network: config.network,
+    burned: state.burned,
+    totalToBurn: config.totalToBurn,
+    tranchesExecuted: state.tranches.length,
+    nextTranche: getNextTranche(config, state),
+    nextTrancheAt: state.nextTrancheAt,
+  };
+}
+
+/**
+ * Execute due tranches of a burn campaign without interactive prompts
+ * @param {string} configPath - Campaign config JSON file
+ * @param {Object} options - Run options
+ * @param {boolean} options.yes - Explicit confirmation that tranches may burn without prompting
+ * @param {boolean} options.watch - Keep running and wait for each tranche until complete
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the campaign network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function} options.confirm - async (question) => boolean, used by the mainnet signer guard
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Campaign summary with status 'complete' or 'waiting'
+ *   and the tranches burned by this run
+ * @throws {DoodiError} CampaignError, InvalidArgument (without --yes) or any burnTokens error
+ */
+async function runCampaign(configPath, options = {}) {
+  const {
+    yes = false,
+    watch = false,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    priorityFee = null,
+    connection = null,
+    confirm = askConfirmation,
+    logger = console,
+  } = options;
+
+  const config = loadCampaignConfig(configPath);
+  const state = loadCampaignState(config);
+  const burned = [];
+
+  printCampaignStatus(config, state, logger);
+
+  // A previous run died between starting a burn and recording it. Adopt
+  // the burn record if the burn landed; never guess.
+  if (state.inProgress) {
+    const landed = collectBurnRecords(".").find(
+      (record) =>
+        record.campaign === config.name &&
+        new Date(record.timestamp) >= new Date(state.inProgress.startedAt)
+    );
+
+    if (!landed) {
+      throw new CampaignError(
+        `Tranche #${state.inProgress.index + 1} was interrupted and no burn record was found - ` +
+          `check the wallet's recent transactions, then clear "inProgress" in ${getStatePath(config)}`,
+        { inProgress: state.inProgress, statePath: getStatePath(config) }
+      );
+    }
+
+    logger.info(`\n♻️  Recovered interrupted tranche #${state.inProgress.index + 1} from ${landed.recordFile}`);
+    recordTranche(state, state.inProgress, landed, config.intervalMinutes);
+    saveCampaignState(config, state);
+  }
+
+  if (!getNextTranche(config, state)) {
+    return { status: "complete", ...campaignSummary(config, state), burned };
+  }
+
+  if (!yes) {
+    throw new InvalidArgumentError(
+      "Campaigns burn without prompting - pass --yes to confirm (every tranche is IRREVERSIBLE)"
+    );
+  }
+
+  // Unlock and confirm the wallet once rather than before every tranche
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network: config.network });
+  const keypair =
+    options.keypair ||
+    (await loadSigner(getNetworkConfig(config.network), walletPath, {
+      address: tokenInfo ? tokenInfo.mintAddress : null,
+      confirm,
+      logger,
+    }));
+
+  let tranche = getNextTranche(config, state);
+  while (tranche) {
+    const dueAt = state.nextTrancheAt ? new Date(state.nextTrancheAt).getTime() : 0;
+    const waitMs = dueAt - Date.now();
+
+    if (waitMs > 0) {
+      if (!watch) {
+        logger.info(`\n⏰ Next tranche is not due until ${state.nextTrancheAt}`);
+        return { status: "waiting", ...campaignSummary(config, state), burned };
+      }
+      logger.info(`\n⏰ Waiting until ${state.nextTrancheAt} for tranche #${tranche.index + 1}...`);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+
+    if (!state.startedAt) {
+      state.startedAt = new Date().toISOString();
+    }
+    state.inProgress = { ...tranche, startedAt: new Date().toISOString() };
+    saveCampaignState(config, state);
+
+    logger.info(`\n${"=".repeat(60)}`);
+    logger.info(`🔥 Tranche #${tranche.index + 1}: ${display(tranche.amount)} ${TOKEN_CONFIG.symbol} from ${tranche.source || "wallet"}`);
+    logger.info(`${"=".repeat(60)}`);
+
+    const result = await burnTokens(
+      config.network,
+      tranche.amount,
+      tranche.source,
+      false,
+      {
+        skipConfirmation: true,
+        campaign: config.name,
+        tokenInfoPath,
+        token,
+        walletPath,
+        keypair,
+        priorityFee,
+        logger,
+        connection,
+      }
+    );
+
+    if (result.status !== "burned") {
+      state.inProgress = null;
+      saveCampaignState(config, state);
+      throw new CampaignError(`Tranche #${tranche.index + 1} did not burn - stopping campaign`, {
+        tranche,
+        status: result.status,
+      });
+    }
+
+    recordTranche(
+      state,
+      tranche,
+      { ...result.record, recordFile: result.recordFile },
+      config.intervalMinutes
+    );
+    saveCampaignState(config, state);
+    burned.push(state.tranches[state.tranches.length - 1]);
+
+    logger.info(`\n✅ Tranche #${tranche.index + 1} complete - ${display(state.burned)} / ${display(config.totalToBurn)} ${TOKEN_CONFIG.symbol} burned`);
+    tranche = getNextTranche(config, state);
+  }
+
+  logger.info(`\n🎉 Campaign ${config.name} complete!`);
+  return { status: "complete", ...campaignSummary(config, state), burned };
+}
+
+/**
+ * Show progress of a campaign
+ * @param {string} configPath - Campaign config JSON file
+ * @param {Object} options - Status options
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Object} Campaign summary
+ * @throws {CampaignError} When the config is missing or malformed
+ */
+function showCampaignStatus(configPath, options = {}) {
+  const { logger = console } = options;
+
+  const config = loadCampaignConfig(configPath);
+  const state = loadCampaignState(config);
+  printCampaignStatus(config, state, logger);
+  return campaignSummary(config, state);
+}
+
+/**
+ * Rebuild burn-ledger.json and print the burn history with supply over time
+ * @param {Object} options - Report options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.network - Only consider registry records on this network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Object} The rebuilt burn ledger
+ */
+function showBurnReport(options = {}) {
+  const { tokenInfoPath = null, token = null, network = null, logger = console } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  const mintAddress = tokenInfo ? tokenInfo.mintAddress : null;
+
+  const ledger = updateBurnLedger(".", "burn-ledger.json", mintAddress);
+
+  logger.info(`📜 Burn History${mintAddress ? ` for ${mintAddress}` : ""}`);
+  logger.info(`   • Burns: ${ledger.burnCount}`);
+  const ledgerRaw = (value) => parseTokenAmount(value, ledger.decimals);
+  const ledgerDisplay = (value) =>
+    formatTokenAmount(ledgerRaw(value), ledger.decimals, { grouping: true });
+
+  logger.info(`   • Total burned: ${ledgerDisplay(ledger.totalBurned)} ${TOKEN_CONFIG.symbol}`);
+
+  if (ledger.entries.length === 0) {
+    logger.info(`\n   No burn records found`);
+    return ledger;
+  }
+
+  const initialSupplyRaw = ledgerRaw(ledger.entries[0].supplyBefore);
+  const barWidth = 30;
+
+  logger.info(`\n📉 Supply over time:`);
+  logger.info(`   ${"Date".padEnd(20)} ${"Burned".padStart(16)} ${"Cumulative".padStart(16)} ${"Supply after".padStart(18)}`);
+  ledger.entries.forEach((entry) => {
+    const filled =
+      initialSupplyRaw > 0n
+        ? Number((ledgerRaw(entry.supplyAfter) * BigInt(barWidth)) / initialSupplyRaw)
+        : 0;
+    logger.info(
+      `   ${entry.timestamp.slice(0, 19).replace("T", " ").padEnd(20)} ` +
+        `${ledgerDisplay(entry.amount).padStart(16)} ` +
+        `${ledgerDisplay(entry.cumulativeBurned).padStart(16)} ` +
+        `${ledgerDisplay(entry.supplyAfter).padStart(18)} ` +
+        `${"█".repeat(filled)}${"░".repeat(barWidth - filled)}` +
+        `${entry.campaign ? ` (${entry.campaign})` : ""}`
+    );
+  });
+
+  const campaigns = Object.entries(ledger.campaigns);
+  if (campaigns.length > 0) {
+    logger.info(`\n🔥 By campaign:`);
+    campaigns.forEach(([name, total]) => {
+      logger.info(`   • ${name}: ${ledgerDisplay(total)} ${TOKEN_CONFIG.symbol}`);
+    });
+  }
+
+  logger.info(`\n💾 Ledger saved to: burn-ledger.json`);
+  return ledger;
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🔥 Burn Campaign Script
+
+Run recurring deflationary burns in tranches and track cumulative burn history.
+
+Usage: node burn-campaign.js <command> [arguments]
+
+Commands:
+  status <config>          Show campaign progress and the next tranche
+  run <config> --yes       Execute due tranches without prompting
+  run <config> --yes --watch
+                           Keep running until the campaign completes
+  report                   Rebuild burn-ledger.json from the operations log and legacy
+                           burn-record-*.json files, and print burn history with supply over time
+
+Options:
+  --token <selector>       Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --json                   Print the result as JSON on stdout (logs go to stderr)
+
+Campaign config (JSON):
+  {
+    "name": "q4-buyback",
+    "network": "mainnet",
+    "totalToBurn": 10000000,
+    "trancheSize": 1000000,
+    "intervalMinutes": 1440,
+    "sources": ["<owner address>"]      (optional, defaults to the wallet)
+  }
+
+Examples:
+  node burn-campaign.js status q4-buyback.json
+  node burn-campaign.js run q4-buyback.json --yes          # From cron: burns the due tranche
+  node burn-campaign.js run q4-buyback.json --yes --watch  # Long-running
+  node burn-campaign.js report
+
+⚠️  IMPORTANT WARNINGS:
+  • --yes skips the per-burn prompt: every tranche is IRREVERSIBLE
+  • The wallet must own, or be an approved delegate of, every source account
+  • Progress is kept in burn-campaign-<name>.state.json - do not delete it mid-campaign
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const tokenIndex = args.findIndex((arg) => arg === "--token");
+  const token = tokenIndex !== -1 && tokenIndex + 1 < args.length ? args[tokenIndex + 1] : null;
+
+  const requireConfig = () => {
+    if (!args[1] || args[1].startsWith("--")) {
+      throw new InvalidArgumentError("Campaign config file is required");
+    }
+    return args[1];
+  };
+
+  const commands = {
+    status: {
+      label: "Failed to read campaign",
+      run: () => showCampaignStatus(requireConfig()),
+    },
+    run: {
+      label: "Burn campaign failed",
+      run: () =>
+        runCampaign(requireConfig(), {
+          yes: args.includes("--yes"),
+          watch: args.includes("--watch"),
+          token,
+        }),
+    },
+    report: {
+      label: "Failed to build burn report",
+      run: () => showBurnReport({ token }),
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+  const jsonCommand = json ? `campaign ${command}` : null;
+
+  Promise.resolve()
+    .then(commands[command].run)
+    .then((result) => {
+      if (json) {
+        writeJsonResult(`campaign ${command}`, result);
+      }
+    })
+    .catch(exitWithError(commands[command].label, { json: jsonCommand }));
+}
+
+module.exports = {
+  runCampaign,
+  showCampaignStatus,
+  showBurnReport,
+};
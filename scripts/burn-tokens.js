@@ -1,260 +1,617 @@
 const { PublicKey } = require("@solana/web3.js");
 const {
-  getOrCreateAssociatedTokenAccount,
-  burn,
+  getAssociatedTokenAddressSync,
+  createBurnCheckedInstruction,
+  createApproveCheckedInstruction,
   getMint,
   getAccount,
 } = require("@solana/spl-token");
-const fs = require("fs");
 const { createConnection } = require("./token-creation/network-config");
-const { loadWallet } = require("./token-creation/wallet-manager");
+const { loadSigner } = require("./token-creation/wallet-guard");
 const { TOKEN_CONFIG } = require("./token-creation/token-config");
+const {
+  buildOfflineTransaction,
+  exportTransaction,
+} = require("./token-creation/offline-signing");
+const { updateBurnLedger, burnRecordFromOperation } = require("./token-creation/burn-ledger");
+const { OPS_LOG_PATH, recordOperation } = require("./token-creation/ops-log");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  InvalidAddressError,
+  InvalidAmountError,
+  InsufficientBalanceError,
+  TokenAccountNotFoundError,
+  NotTokenAuthorityError,
+} = require("./token-creation/errors");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { exitWithError, parsePriorityFee } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const {
+  getTokenProgramId,
+  getTokenProgramName,
+} = require("./token-creation/token-program");
+const {
+  isDecimalAmount,
+  parseTokenAmount,
+  formatTokenAmount,
+  percentOf,
+} = require("./token-creation/amounts");
 
 /**
  * Burn tokens from a specified account
  * @param {string} network - Network to use (devnet/mainnet)
- * @param {number} amount - Amount of tokens to burn (in UI units)
+ * @param {string|null} amount - Amount of tokens to burn (decimal string in UI units), or null for all
  * @param {string} fromAddress - Address to burn tokens from (optional, defaults to creator wallet)
  * @param {boolean} dryRun - Only show what would be done without executing
+ * @param {Object} options - Additional options
+ * @param {Object|null} options.offline - Export an unsigned transaction instead of sending:
+ *   { outFile, nonceAccount, authority } where authority is the offline owner address
+ * @param {boolean} options.skipConfirmation - Burn without the interactive prompt
+ * @param {string|null} options.campaign - Campaign name recorded in the burn record
+ * @param {string|null} options.mintAddress - Burn another mint of this token instead, e.g. its pool's LP mint
+ *   [default: the recorded mint]
+ * @param {string|null} options.mintSymbol - Symbol shown for that mint [default: 'tokens']
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Burn result with status 'burned', 'dry-run', 'exported' or 'cancelled';
+ *   burned results carry the signature, the confirmed transaction, the burn record and its recordFile
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidAddress, InvalidAmount,
+ *   TokenAccountNotFound, NotTokenAuthority, InsufficientBalance, SimulationFailed,
+ *   TransactionFailed or TransactionExpired
  */
 async function burnTokens(
   network = "devnet",
   amount = null,
   fromAddress = null,
-  dryRun = false
+  dryRun = false,
+  options = {}
 ) {
-  try {
-    // Load token info
-    if (!fs.existsSync("./doodi-token-info.json")) {
-      console.error(
-        "❌ Token info file not found. Please create a token first."
-      );
-      process.exit(1);
+  const {
+    offline = null,
+    skipConfirmation = false,
+    campaign = null,
+    mintAddress = null,
+    mintSymbol = null,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  // Load token info
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  const burnMintAddress = mintAddress || tokenInfo.mintAddress;
+  const symbol = mintAddress ? mintSymbol || "tokens" : TOKEN_CONFIG.symbol;
+
+  logger.info(
+    `🔥 ${dryRun ? "DRY RUN - " : ""}Token Burn for ${tokenInfo.name}...`
+  );
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${burnMintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  // Validate network matches
+  if (tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  // Connect to network
+  const connection = options.connection || createConnection(network);
+  const mint = new PublicKey(burnMintAddress);
+
+  // Load wallet
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(network);
+  // Offline mode never loads a private key: the owner signs elsewhere
+  const walletKeypair = offline
+    ? null
+    : keypair || (await loadSigner(networkConfig, walletPath, { address: burnMintAddress, confirm, logger }));
+  const signerPublicKey = offline
+    ? new PublicKey(offline.authority)
+    : walletKeypair.publicKey;
+
+  if (offline) {
+    logger.info(`✍️  Offline mode - owner ${signerPublicKey.toString()} will sign on another machine`);
+  } else {
+    logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+  }
+
+  // Get mint info
+  logger.info(`\n🔍 Checking token mint info...`);
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  const format = (raw) => formatTokenAmount(raw, mintInfo.decimals, { grouping: true });
+  const currentSupplyRaw = mintInfo.supply;
+
+  logger.info(`   • Current total supply: ${format(currentSupplyRaw)} ${symbol}`);
+  logger.info(`   • Mint Authority: ${mintInfo.mintAuthority?.toString() || "None (Revoked)"}`);
+  logger.info(`   • Freeze Authority: ${mintInfo.freezeAuthority?.toString() || "None"}`);
+  logger.info(`   • Token Program: ${getTokenProgramName(programId)}`);
+
+  // Determine the account to burn from
+  let burnFromAddress;
+  if (fromAddress) {
+    try {
+      burnFromAddress = new PublicKey(fromAddress);
+      logger.info(`\n🎯 Burning from specified address: ${fromAddress}`);
+    } catch (error) {
+      throw new InvalidAddressError(`Invalid fromAddress: ${fromAddress}`, { address: fromAddress });
     }
+  } else {
+    burnFromAddress = signerPublicKey;
+    logger.info(`\n🎯 Burning from wallet address: ${signerPublicKey.toString()}`);
+  }
+
+  // Get the token account to burn from. Never create it: a new account
+  // holds nothing to burn and would only cost the wallet rent.
+  logger.info(`\n🏦 Getting token account...`);
+  const tokenAccount = {
+    address: getAssociatedTokenAddressSync(mint, burnFromAddress, true, programId),
+  };
 
-    const tokenInfo = JSON.parse(
-      fs.readFileSync("./doodi-token-info.json", "utf8")
+  let accountInfo;
+  try {
+    accountInfo = await getAccount(connection, tokenAccount.address, "confirmed", programId);
+  } catch (error) {
+    throw new TokenAccountNotFoundError(
+      `No ${symbol} token account found for ${burnFromAddress.toString()} ` +
+        `(expected ${tokenAccount.address.toString()})`,
+      { owner: burnFromAddress.toString(), tokenAccount: tokenAccount.address.toString() }
+    );
+  }
+
+  const currentBalanceRaw = accountInfo.amount;
+
+  logger.info(`   • Token Account: ${tokenAccount.address.toString()}`);
+  logger.info(`   • Current Balance: ${format(currentBalanceRaw)} ${symbol}`);
+
+  // Preflight: the signer must be the account owner or an approved delegate
+  const isOwner = accountInfo.owner.equals(signerPublicKey);
+  const isDelegate =
+    !isOwner &&
+    accountInfo.delegate !== null &&
+    accountInfo.delegate.equals(signerPublicKey);
+
+  if (!isOwner && !isDelegate) {
+    throw new NotTokenAuthorityError(
+      `${signerPublicKey.toString()} cannot burn from this account - the owner must sign the burn, ` +
+        `or first approve this wallet as delegate: node burn-tokens.js approve ${network} <amount> ` +
+        `--delegate ${signerPublicKey.toString()}`,
+      {
+        signer: signerPublicKey.toString(),
+        owner: accountInfo.owner.toString(),
+        delegate: accountInfo.delegate ? accountInfo.delegate.toString() : null,
+      }
     );
+  }
+
+  // A delegate can burn at most its remaining allowance
+  let burnableRaw = currentBalanceRaw;
+  if (isDelegate) {
+    const allowanceRaw = accountInfo.delegatedAmount;
+    burnableRaw = allowanceRaw < currentBalanceRaw ? allowanceRaw : currentBalanceRaw;
+    logger.info(`   • Burn authority: delegate (allowance ${format(allowanceRaw)} ${symbol})`);
+  } else {
+    logger.info(`   • Burn authority: owner`);
+  }
+
+  if (burnableRaw === 0n) {
+    throw new InsufficientBalanceError("No tokens to burn in this account!", {
+      tokenAccount: tokenAccount.address.toString(),
+      available: "0",
+    });
+  }
 
-    console.log(
-      `🔥 ${dryRun ? "DRY RUN - " : ""}Token Burn for ${tokenInfo.name}...`
+  // Determine burn amount
+  let burnAmountRaw;
+  if (amount === null) {
+    // Burn everything the signer may burn if no amount specified: the
+    // on-chain raw balance, so nothing is left behind by rounding
+    burnAmountRaw = burnableRaw;
+    logger.info(
+      `\n🔥 Burning ${isDelegate ? "the full delegated allowance" : "ALL tokens"} from account...`
     );
-    console.log(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
-    console.log(`   Mint Address: ${tokenInfo.mintAddress}`);
-    console.log(`   Network: ${tokenInfo.network}`);
-
-    // Validate network matches
-    if (tokenInfo.network !== network) {
-      console.warn(
-        `⚠️  Network mismatch: Token is on ${tokenInfo.network}, but ${network} specified.`
+  } else {
+    burnAmountRaw = parseTokenAmount(amount, mintInfo.decimals);
+    if (burnAmountRaw <= 0n) {
+      throw new InvalidAmountError("Burn amount must be greater than 0", { amount });
+    }
+    if (burnAmountRaw > burnableRaw) {
+      throw new InsufficientBalanceError(
+        `Insufficient ${isDelegate ? "delegated allowance" : "balance"}: requested ` +
+          `${format(burnAmountRaw)} ${symbol}, available ${format(burnableRaw)} ${symbol}`,
+        {
+          requested: formatTokenAmount(burnAmountRaw, mintInfo.decimals),
+          available: formatTokenAmount(burnableRaw, mintInfo.decimals),
+        }
       );
-      console.log(`   Using token network: ${tokenInfo.network}`);
-      network = tokenInfo.network;
     }
+    logger.info(`\n🔥 Burning ${format(burnAmountRaw)} ${symbol}...`);
+  }
 
-    // Connect to network
-    const connection = createConnection(network);
-    const mint = new PublicKey(tokenInfo.mintAddress);
-
-    // Load wallet
-    const { getNetworkConfig } = require("./token-creation/network-config");
-    const networkConfig = getNetworkConfig(network);
-    const walletKeypair = loadWallet(networkConfig);
-
-    console.log(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
-
-    // Get mint info
-    console.log(`\\n🔍 Checking token mint info...`);
-    const mintInfo = await getMint(connection, mint);
-    const currentSupplyRaw = Number(mintInfo.supply);
-    const currentSupplyUI = currentSupplyRaw / Math.pow(10, mintInfo.decimals);
-
-    console.log(`   • Current total supply: ${currentSupplyUI.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-    console.log(`   • Mint Authority: ${mintInfo.mintAuthority?.toString() || "None (Revoked)"}`);
-    console.log(`   • Freeze Authority: ${mintInfo.freezeAuthority?.toString() || "None"}`);
-
-    // Determine the account to burn from
-    let burnFromAddress;
-    if (fromAddress) {
-      try {
-        burnFromAddress = new PublicKey(fromAddress);
-        console.log(`\\n🎯 Burning from specified address: ${fromAddress}`);
-      } catch (error) {
-        console.error(`❌ Invalid fromAddress: ${error.message}`);
-        process.exit(1);
-      }
-    } else {
-      burnFromAddress = walletKeypair.publicKey;
-      console.log(`\\n🎯 Burning from wallet address: ${walletKeypair.publicKey.toString()}`);
-    }
+  // Calculate new supply after burn
+  const burnAmount = formatTokenAmount(burnAmountRaw, mintInfo.decimals);
+  const newSupplyRaw = currentSupplyRaw - burnAmountRaw;
+
+  logger.info(`\n📊 Burn Summary:`);
+  logger.info(`   • Amount to burn: ${format(burnAmountRaw)} ${symbol}`);
+  logger.info(`   • Current total supply: ${format(currentSupplyRaw)} ${symbol}`);
+  logger.info(`   • New total supply after burn: ${format(newSupplyRaw)} ${symbol}`);
+  logger.info(`   • Percentage of supply burned: ${percentOf(burnAmountRaw, currentSupplyRaw).toFixed(2)}%`);
+
+  const summary = {
+    network,
+    mintAddress: burnMintAddress,
+    fromAccount: tokenAccount.address.toString(),
+    fromOwner: burnFromAddress.toString(),
+    authority: signerPublicKey.toString(),
+    authorityType: isDelegate ? "delegate" : "owner",
+    amount: burnAmount,
+    rawAmount: burnAmountRaw.toString(),
+    supplyBefore: formatTokenAmount(currentSupplyRaw, mintInfo.decimals),
+  };
+
+  if (dryRun) {
+    logger.info(`\n🎯 DRY RUN COMPLETE - No tokens were actually burned`);
+    return {
+      status: "dry-run",
+      ...summary,
+      supplyAfter: formatTokenAmount(newSupplyRaw, mintInfo.decimals),
+    };
+  }
+
+  const burnInstruction = createBurnCheckedInstruction(
+    tokenAccount.address,
+    mint,
+    signerPublicKey, // owner or approved delegate, checked in preflight
+    burnAmountRaw,
+    mintInfo.decimals,
+    [],
+    programId
+  );
+
+  // Export an unsigned transaction for offline signing
+  if (offline) {
+    const { transaction, nonce } = await buildOfflineTransaction(connection, {
+      instructions: [burnInstruction],
+      feePayer: signerPublicKey,
+      nonceAccount: new PublicKey(offline.nonceAccount),
+    });
+
+    exportTransaction(offline.outFile, transaction, {
+      network,
+      operation: "burn",
+      description: `Burn ${format(burnAmountRaw)} ${symbol} from ${tokenAccount.address.toString()}`,
+      mintAddress: burnMintAddress,
+      nonceAccount: offline.nonceAccount,
+      nonce,
+    });
 
-    // Get the token account to burn from
-    console.log(`\\n🏦 Getting token account...`);
-    const tokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      walletKeypair,
-      mint,
-      burnFromAddress
+    logger.info(`\n✍️  Unsigned burn transaction exported to: ${offline.outFile}`);
+    logger.info(`   Next steps:`);
+    logger.info(`   1. node offline-tx.js sign ${offline.outFile} <owner-keypair>   (on the air-gapped machine)`);
+    logger.info(`   2. node offline-tx.js submit ${offline.outFile}`);
+    return { status: "exported", ...summary, outFile: offline.outFile };
+  }
+
+  // Confirm burn operation (non-interactive callers confirm up front)
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n${"=".repeat(60)}`);
+    logger.info(`⚠️  TOKEN BURN CONFIRMATION REQUIRED ⚠️`);
+    logger.info(`${"=".repeat(60)}`);
+    logger.info(`🔥 BURN OPERATION:`);
+    logger.info(`   • Will burn: ${format(burnAmountRaw)} ${symbol}`);
+    logger.info(`   • From account: ${tokenAccount.address.toString()}`);
+    logger.info(`   • Owner: ${burnFromAddress.toString()}`);
+    logger.info(`   • Signing as: ${isDelegate ? "delegate" : "owner"} (${signerPublicKey.toString()})`);
+    logger.info(`   • Network: ${network.toUpperCase()}`);
+    logger.info(`   • This operation is IRREVERSIBLE!`);
+    logger.info(`   • Burned tokens will be permanently removed from circulation`);
+    logger.info(`\n${"=".repeat(60)}`);
+
+    confirmed = await confirm(
+      `🔥 Do you want to proceed with burning ${format(burnAmountRaw)} ${symbol} tokens? (yes/no): `
     );
+  }
 
-    const accountInfo = await getAccount(connection, tokenAccount.address);
-    const currentBalanceRaw = Number(accountInfo.amount);
-    const currentBalanceUI = currentBalanceRaw / Math.pow(10, mintInfo.decimals);
+  if (!confirmed) {
+    logger.info(`❌ Token burn cancelled by user`);
+    return { status: "cancelled", ...summary };
+  }
 
-    console.log(`   • Token Account: ${tokenAccount.address.toString()}`);
-    console.log(`   • Current Balance: ${currentBalanceUI.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
+  // Perform the burn
+  logger.info(`\n🔥 Executing token burn...`);
+  logger.info(`   • Burning ${format(burnAmountRaw)} ${symbol}...`);
+
+  const transaction = await sendInstructions(connection, [burnInstruction], [walletKeypair], {
+    priorityFee,
+    logger,
+  });
+  const burnSignature = transaction.signature;
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const explorerUrl = `${networkConfig.explorerUrl}/tx/${burnSignature}${clusterParam}`;
+
+  logger.info(`\n🎉 Token burn completed successfully!`);
+  logger.info(`   • Burned: ${format(burnAmountRaw)} ${symbol}`);
+  logger.info(`   • Transaction: ${burnSignature} (${transaction.confirmationStatus})`);
+  logger.info(`   • Explorer: ${explorerUrl}`);
+
+  // Get updated supply info
+  logger.info(`\n📊 Updated Token Supply:`);
+  const updatedMintInfo = await getMint(connection, mint, "confirmed", programId);
+  logger.info(`   • New total supply: ${format(updatedMintInfo.supply)} ${symbol}`);
+  logger.info(`   • Tokens permanently removed from circulation: ${format(burnAmountRaw)} ${symbol}`);
+
+  // Log the burn. Burns of another mint are logged under that mint, so
+  // they stay out of the token's burn ledger.
+  const opsLog = recordOperation({
+    type: "burn",
+    network,
+    operator: signerPublicKey.toString(),
+    mintAddress: burnMintAddress,
+    params: {
+      name: mintAddress ? `${tokenInfo.name} ${symbol}` : tokenInfo.name,
+      symbol: mintAddress ? symbol : tokenInfo.symbol,
+      amount: burnAmount,
+      rawAmount: burnAmountRaw.toString(),
+      decimals: mintInfo.decimals,
+      fromAccount: tokenAccount.address.toString(),
+      fromOwner: burnFromAddress.toString(),
+      authorityType: isDelegate ? "delegate" : "owner",
+      ...(campaign && { campaign }),
+    },
+    transactions: [transaction],
+    before: {
+      supply: formatTokenAmount(currentSupplyRaw, mintInfo.decimals),
+      rawSupply: currentSupplyRaw.toString(),
+    },
+    after: {
+      supply: formatTokenAmount(updatedMintInfo.supply, mintInfo.decimals),
+      rawSupply: updatedMintInfo.supply.toString(),
+    },
+  }, { logger });
+  const burnRecord = opsLog.entry ? burnRecordFromOperation(opsLog.entry) : null;
+  if (burnRecord) {
+    logger.info(`\n💾 Burn logged as operation #${opsLog.entry.seq} in ${OPS_LOG_PATH}`);
+    updateBurnLedger(".", "burn-ledger.json", tokenInfo.mintAddress);
+  }
 
-    if (currentBalanceUI === 0) {
-      console.error(`❌ No tokens to burn in this account!`);
-      process.exit(1);
-    }
+  return {
+    status: "burned",
+    ...summary,
+    supplyAfter: formatTokenAmount(updatedMintInfo.supply, mintInfo.decimals),
+    signature: burnSignature,
+    transaction,
+    explorerUrl,
+    recordFile: burnRecord ? burnRecord.recordFile : null,
+    record: burnRecord,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
 
-    // Determine burn amount
-    let burnAmount;
-    if (amount === null) {
-      // Burn all tokens if no amount specified
-      burnAmount = currentBalanceUI;
-      console.log(`\\n🔥 Burning ALL tokens from account...`);
-    } else {
-      if (amount <= 0) {
-        console.error(`❌ Burn amount must be greater than 0`);
-        process.exit(1);
-      }
-      if (amount > currentBalanceUI) {
-        console.error(`❌ Insufficient balance!`);
-        console.error(`   • Requested to burn: ${amount.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-        console.error(`   • Available balance: ${currentBalanceUI.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-        process.exit(1);
-      }
-      burnAmount = amount;
-      console.log(`\\n🔥 Burning ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol}...`);
-    }
+/**
+ * Approve a delegate (e.g. the burn wallet) to burn tokens from the holder's account
+ * @param {string} network - Network to use (devnet/mainnet)
+ * @param {string|null} amount - Allowance in UI units as a decimal string (null approves the whole balance)
+ * @param {string} delegateAddress - Address allowed to burn on the holder's behalf
+ * @param {Object} options - Additional options
+ * @param {string|null} options.walletPath - Holder wallet file (defaults to the configured wallet)
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {boolean} options.skipConfirmation - Approve without prompting
+ * @param {Object|null} options.offline - Export an unsigned transaction instead of sending:
+ *   { outFile, nonceAccount, authority } where authority is the holder address
+ * @param {Connection|null} options.connection - Connection to use instead of one for the network
+ * @param {Keypair|null} options.keypair - Holder signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Approval result with status 'approved', 'exported' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidAddress, InvalidAmount,
+ *   TokenAccountNotFound, InsufficientBalance or a transaction-sender error
+ */
+async function approveBurnDelegate(
+  network = "devnet",
+  amount = null,
+  delegateAddress,
+  options = {}
+) {
+  const {
+    walletPath = null,
+    offline = null,
+    tokenInfoPath = null,
+    token = null,
+    skipConfirmation = false,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  // Load token info
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
 
-    // Calculate new supply after burn
-    const newSupplyUI = currentSupplyUI - burnAmount;
-    const burnAmountRaw = BigInt(
-      Math.round(burnAmount * Math.pow(10, mintInfo.decimals))
+  if (tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
     );
+  }
+
+  let delegate;
+  try {
+    delegate = new PublicKey(delegateAddress);
+  } catch (error) {
+    throw new InvalidAddressError(`Invalid delegate address: ${delegateAddress}`, {
+      address: delegateAddress,
+    });
+  }
 
-    console.log(`\\n📊 Burn Summary:`);
-    console.log(`   • Amount to burn: ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-    console.log(`   • Current total supply: ${currentSupplyUI.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-    console.log(`   • New total supply after burn: ${newSupplyUI.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-    console.log(`   • Percentage of supply burned: ${((burnAmount / currentSupplyUI) * 100).toFixed(2)}%`);
+  const connection = options.connection || createConnection(network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(network);
 
-    if (dryRun) {
-      console.log(`\\n🎯 DRY RUN COMPLETE - No tokens were actually burned`);
-      return;
-    }
+  const holderKeypair = offline
+    ? null
+    : keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+  const holder = offline ? new PublicKey(offline.authority) : holderKeypair.publicKey;
 
-    // Confirm burn operation
-    const readline = require("readline");
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
+  logger.info(`🤝 Approving burn delegate for ${tokenInfo.name}...`);
+  logger.info(`   Holder: ${holder.toString()}`);
+  logger.info(`   Delegate: ${delegate.toString()}`);
 
-    const confirmed = await new Promise((resolve) => {
-      console.log(`\\n${"=".repeat(60)}`);
-      console.log(`⚠️  TOKEN BURN CONFIRMATION REQUIRED ⚠️`);
-      console.log(`${"=".repeat(60)}`);
-      console.log(`🔥 BURN OPERATION:`);
-      console.log(`   • Will burn: ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-      console.log(`   • From account: ${tokenAccount.address.toString()}`);
-      console.log(`   • Owner: ${burnFromAddress.toString()}`);
-      console.log(`   • Network: ${network.toUpperCase()}`);
-      console.log(`   • This operation is IRREVERSIBLE!`);
-      console.log(`   • Burned tokens will be permanently removed from circulation`);
-      console.log(`\\n${"=".repeat(60)}`);
-
-      rl.question(
-        `🔥 Do you want to proceed with burning ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol} tokens? (yes/no): `,
-        (answer) => {
-          rl.close();
-          const confirmed =
-            answer.toLowerCase().trim() === "yes" ||
-            answer.toLowerCase().trim() === "y";
-          resolve(confirmed);
-        }
-      );
-    });
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  const holderAccount = getAssociatedTokenAddressSync(mint, holder, true, programId);
 
-    if (!confirmed) {
-      console.log(`❌ Token burn cancelled by user`);
-      return;
-    }
+  let accountInfo;
+  try {
+    accountInfo = await getAccount(connection, holderAccount, "confirmed", programId);
+  } catch (error) {
+    throw new TokenAccountNotFoundError(
+      `No ${TOKEN_CONFIG.symbol} token account found for ${holder.toString()}`,
+      { owner: holder.toString(), tokenAccount: holderAccount.toString() }
+    );
+  }
+
+  const format = (raw) => formatTokenAmount(raw, mintInfo.decimals, { grouping: true });
+  const balanceRaw = accountInfo.amount;
 
-    // Perform the burn
-    console.log(`\\n🔥 Executing token burn...`);
-    console.log(`   • Burning ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol}...`);
-
-    const burnSignature = await burn(
-      connection,
-      walletKeypair,
-      tokenAccount.address,
-      mint,
-      burnFromAddress.equals(walletKeypair.publicKey) ? walletKeypair : walletKeypair, // Use wallet as authority if burning from own account
-      burnAmountRaw
+  const allowanceRaw = amount === null ? balanceRaw : parseTokenAmount(amount, mintInfo.decimals);
+
+  if (allowanceRaw <= 0n) {
+    throw new InvalidAmountError("Allowance must be greater than 0", { amount });
+  }
+  if (allowanceRaw > balanceRaw) {
+    throw new InsufficientBalanceError(
+      `Allowance must be at most the balance (${format(balanceRaw)} ${TOKEN_CONFIG.symbol})`,
+      {
+        requested: formatTokenAmount(allowanceRaw, mintInfo.decimals),
+        available: formatTokenAmount(balanceRaw, mintInfo.decimals),
+      }
     );
+  }
 
-    console.log(`\\n⏳ Confirming burn transaction...`);
-    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
-    const confirmation = await connection.confirmTransaction({
-      signature: burnSignature,
-      blockhash,
-      lastValidBlockHeight
-    }, "confirmed");
+  const allowance = format(allowanceRaw);
+  const summary = {
+    network,
+    mintAddress: tokenInfo.mintAddress,
+    holder: holder.toString(),
+    tokenAccount: holderAccount.toString(),
+    delegate: delegate.toString(),
+    allowance: formatTokenAmount(allowanceRaw, mintInfo.decimals),
+    rawAllowance: allowanceRaw.toString(),
+    replacedDelegate: accountInfo.delegate ? accountInfo.delegate.toString() : null,
+  };
+
+  logger.info(`   • Token Account: ${holderAccount.toString()}`);
+  logger.info(`   • Balance: ${format(balanceRaw)} ${TOKEN_CONFIG.symbol}`);
+  logger.info(`   • Allowance: ${allowance} ${TOKEN_CONFIG.symbol}`);
+  if (accountInfo.delegate) {
+    logger.warn(`⚠️  Replaces existing delegate ${accountInfo.delegate.toString()}`);
+  }
 
-    if (confirmation.value.err) {
-      console.error(`❌ Burn transaction failed: ${JSON.stringify(confirmation.value.err)}`);
-      process.exit(1);
-    }
+  const approveInstruction = createApproveCheckedInstruction(
+    holderAccount,
+    mint,
+    delegate,
+    holder,
+    allowanceRaw,
+    mintInfo.decimals,
+    [],
+    programId
+  );
+
+  if (offline) {
+    const { transaction, nonce } = await buildOfflineTransaction(connection, {
+      instructions: [approveInstruction],
+      feePayer: holder,
+      nonceAccount: new PublicKey(offline.nonceAccount),
+    });
 
-    console.log(`\\n🎉 Token burn completed successfully!`);
-    console.log(`   • Burned: ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-    console.log(`   • Transaction: ${burnSignature}`);
-    console.log(`   • Explorer: https://explorer.solana.com/tx/${burnSignature}?cluster=${network === 'mainnet' ? 'mainnet-beta' : network}`);
-
-    // Get updated supply info
-    console.log(`\\n📊 Updated Token Supply:`);
-    const updatedMintInfo = await getMint(connection, mint);
-    const updatedSupplyUI = Number(updatedMintInfo.supply) / Math.pow(10, mintInfo.decimals);
-    console.log(`   • New total supply: ${updatedSupplyUI.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-    console.log(`   • Tokens permanently removed from circulation: ${burnAmount.toLocaleString()} ${TOKEN_CONFIG.symbol}`);
-
-    // Save burn record
-    const burnRecord = {
-      timestamp: new Date().toISOString(),
-      tokenInfo: {
-        name: tokenInfo.name,
-        symbol: tokenInfo.symbol,
-        mintAddress: tokenInfo.mintAddress,
-        network: network,
-      },
-      burnDetails: {
-        amount: burnAmount,
-        fromAccount: tokenAccount.address.toString(),
-        fromOwner: burnFromAddress.toString(),
-        signature: burnSignature,
-        supplyBefore: currentSupplyUI,
-        supplyAfter: updatedSupplyUI,
-      },
-    };
+    exportTransaction(offline.outFile, transaction, {
+      network,
+      operation: "approve",
+      description: `Approve ${delegate.toString()} to burn up to ${allowance} ${TOKEN_CONFIG.symbol} from ${holderAccount.toString()}`,
+      mintAddress: tokenInfo.mintAddress,
+      nonceAccount: offline.nonceAccount,
+      nonce,
+    });
 
-    const burnRecordFile = `burn-record-${Date.now()}.json`;
-    fs.writeFileSync(burnRecordFile, JSON.stringify(burnRecord, null, 2));
-    console.log(`\\n💾 Burn record saved to: ${burnRecordFile}`);
+    logger.info(`\n✍️  Unsigned approve transaction exported to: ${offline.outFile}`);
+    logger.info(`   Next steps:`);
+    logger.info(`   1. node offline-tx.js sign ${offline.outFile} <holder-keypair>`);
+    logger.info(`   2. node offline-tx.js submit ${offline.outFile}`);
+    return { status: "exported", ...summary, outFile: offline.outFile };
+  }
 
-  } catch (error) {
-    console.error("❌ Token burn failed:", error.message);
-    if (error.logs) {
-      console.error("Transaction logs:");
-      error.logs.forEach((log, i) => {
-        console.error(`  ${i + 1}. ${log}`);
-      });
-    }
-    process.exit(1);
+  const confirmed =
+    skipConfirmation ||
+    (await confirm(
+      `\n🤝 Allow ${delegate.toString()} to burn up to ${allowance} ${TOKEN_CONFIG.symbol}? (yes/no): `
+    ));
+
+  if (!confirmed) {
+    logger.info(`❌ Approval cancelled by user`);
+    return { status: "cancelled", ...summary };
   }
+
+  const transaction = await sendInstructions(connection, [approveInstruction], [holderKeypair], {
+    priorityFee,
+    logger,
+  });
+  const { signature } = transaction;
+
+  const opsLog = recordOperation({
+    type: "approve-burn-delegate",
+    network,
+    operator: holder.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { tokenAccount: summary.tokenAccount, delegate: summary.delegate, allowance: summary.allowance },
+    transactions: [transaction],
+    before: {
+      delegate: summary.replacedDelegate,
+      delegatedAmount: formatTokenAmount(accountInfo.delegatedAmount, mintInfo.decimals),
+    },
+    after: { delegate: summary.delegate, delegatedAmount: summary.allowance },
+  }, { logger });
+
+  logger.info(`\n✅ Delegate approved`);
+  logger.info(`   • Transaction: ${signature} (${transaction.confirmationStatus})`);
+  logger.info(`   • The delegate can now run: node burn-tokens.js ${network} <amount> --from ${holder.toString()}`);
+
+  return {
+    status: "approved",
+    ...summary,
+    signature,
+    transaction,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
 }
 
 // Show usage
@@ -265,14 +622,26 @@ function showUsage() {
 Permanently burn tokens from circulation to reduce total supply.
 
 Usage: node burn-tokens.js [network] [amount] [options]
+       node burn-tokens.js approve [network] <amount> --delegate <address> [--wallet <path>]
 
 Arguments:
   network               Network to use: 'devnet' or 'mainnet' [default: devnet]
-  amount               Amount of tokens to burn (UI units). Use 'all' to burn entire balance
+  amount               Amount of tokens to burn (UI units). Use 'all' to burn entire balance.
+                       Amounts are exact - more decimal places than the token has are rejected
 
 Options:
-  --from <address>     Burn tokens from specific address (default: wallet address)
+  --from <address>     Burn tokens from specific address (default: wallet address).
+                       The wallet must be the owner or an approved delegate of that account
   --dry-run           Show what would be done without executing
+  --offline <file>    Export an unsigned transaction instead of sending (requires --nonce, --authority)
+  --nonce <address>   Durable nonce account for --offline (see offline-tx.js create-nonce)
+  --authority <addr>  Owner or delegate address that will sign offline
+  --delegate <addr>   (approve) Address allowed to burn on the holder's behalf
+  --wallet <path>     (approve) Holder wallet file
+  --token <selector>  Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --priority-fee <auto|micro-lamports>
+                      Priority fee per compute unit [default: auto, from recent fees]
+  --json              Print the result as JSON on stdout (logs go to stderr)
   --help, -h          Show this help message
 
 Examples:
@@ -280,13 +649,17 @@ Examples:
   node burn-tokens.js mainnet all                       # Burn all tokens from wallet
   node burn-tokens.js mainnet 500000 --dry-run          # Preview burn operation
   node burn-tokens.js mainnet 250000 --from <address>   # Burn from specific address
+  node burn-tokens.js mainnet 1000 --offline burn.json --nonce <nonce> --authority <owner>
+                                                        # Export for air-gapped signing
+  node burn-tokens.js approve mainnet 250000 --delegate <burn-wallet> --wallet ~/holder.json
+                                                        # Holder delegates 250K to the burn wallet
 
 ⚠️  IMPORTANT WARNINGS:
   • Burned tokens are PERMANENTLY DESTROYED and cannot be recovered
   • This reduces the total circulating supply forever
   • Make sure you have sufficient SOL for transaction fees
   • Always test with --dry-run first on important operations
-  • Only the token account owner can burn tokens from that account
+  • Only the token account owner or its approved delegate can burn from that account
 
 💡 Use Cases:
   • Reduce total token supply permanently
@@ -304,35 +677,106 @@ if (require.main === module) {
     process.exit(0);
   }
 
-  const network = args[0] || "devnet";
-  let amount = args[1];
-  
-  // Handle 'all' keyword
-  if (amount === "all") {
-    amount = null; // null means burn all
-  } else if (amount) {
-    amount = parseFloat(amount);
-    if (isNaN(amount)) {
-      console.error(`❌ Invalid amount: ${args[1]}`);
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  // Print the result document when --json was given
+  const reportResult = (command) => (result) => {
+    if (json) {
+      writeJsonResult(command, result);
+    }
+  };
+
+  let priorityFee = null;
+  try {
+    priorityFee = args.includes("--priority-fee") ? parsePriorityFee(optionValue("--priority-fee")) : null;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  let offline = null;
+  if (args.includes("--offline")) {
+    offline = {
+      outFile: optionValue("--offline"),
+      nonceAccount: optionValue("--nonce"),
+      authority: optionValue("--authority"),
+    };
+    if (!offline.outFile || !offline.nonceAccount || !offline.authority) {
+      console.error("❌ --offline requires <file>, --nonce <address> and --authority <address>");
       showUsage();
       process.exit(1);
     }
   }
 
-  // Parse options
-  const fromIndex = args.findIndex(arg => arg === '--from');
-  const fromAddress = fromIndex !== -1 && fromIndex + 1 < args.length ? args[fromIndex + 1] : null;
+  if (args[0] === "approve") {
+    const positional = args.slice(1, 3).filter((arg) => !arg.startsWith("--"));
+    const approveNetwork = positional.length > 1 ? positional[0] : "devnet";
+    const rawAllowance = positional.length > 1 ? positional[1] : positional[0];
+    const allowance = rawAllowance === "all" ? null : rawAllowance;
+    const delegate = optionValue("--delegate");
+
+    if (!["devnet", "mainnet"].includes(approveNetwork)) {
+      console.error(`❌ Invalid network: ${approveNetwork}`);
+      process.exit(1);
+    }
+    if (allowance !== null && !isDecimalAmount(allowance)) {
+      console.error(`❌ Invalid amount: ${rawAllowance}`);
+      process.exit(1);
+    }
+    if (!delegate) {
+      console.error("❌ --delegate <address> is required");
+      showUsage();
+      process.exit(1);
+    }
+
+    approveBurnDelegate(approveNetwork, allowance, delegate, {
+      walletPath: optionValue("--wallet"),
+      token: optionValue("--token"),
+      offline,
+      priorityFee,
+    })
+      .then(reportResult("approve"))
+      .catch(exitWithError("Approval failed", { json: json ? "approve" : null }));
+  } else {
+    const network = args[0] || "devnet";
+    let amount = args[1];
   
-  const dryRun = args.includes("--dry-run");
+    // Handle 'all' keyword
+    if (amount === "all") {
+      amount = null; // null means burn all
+    } else if (amount) {
+      if (!isDecimalAmount(amount)) {
+        console.error(`❌ Invalid amount: ${args[1]}`);
+        showUsage();
+        process.exit(1);
+      }
+    }
 
-  if (!["devnet", "mainnet"].includes(network)) {
-    console.error(`❌ Invalid network: ${network}`);
-    console.error("Valid networks: devnet, mainnet");
-    showUsage();
-    process.exit(1);
-  }
+    // Parse options
+    const fromIndex = args.findIndex(arg => arg === '--from');
+    const fromAddress = fromIndex !== -1 && fromIndex + 1 < args.length ? args[fromIndex + 1] : null;
+  
+    const dryRun = args.includes("--dry-run");
 
-  burnTokens(network, amount, fromAddress, dryRun);
+    if (!["devnet", "mainnet"].includes(network)) {
+      console.error(`❌ Invalid network: ${network}`);
+      console.error("Valid networks: devnet, mainnet");
+      showUsage();
+      process.exit(1);
+    }
+
+    burnTokens(network, amount, fromAddress, dryRun, { offline, priorityFee, token: optionValue("--token") })
+      .then(reportResult("burn"))
+      .catch(exitWithError("Token burn failed", { json: json ? "burn" : null }));
+  }
 }
 
-module.exports = { burnTokens };
\ No newline at end of file
+module.exports = { burnTokens, approveBurnDelegate };
\ No newline at end of file
@@ -0,0 +1,633 @@
+const { PublicKey, Keypair, SystemProgram } = require("@solana/web3.js");
+const {
+  TOKEN_PROGRAM_ID,
+  NATIVE_MINT,
+  ACCOUNT_SIZE,
+  MINT_SIZE,
+  getMint,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createInitializeMint2Instruction,
+  createInitializeAccount3Instruction,
+  createTransferCheckedInstruction,
+} = require("@solana/spl-token");
+const {
+  TokenSwap,
+  TokenSwapLayout,
+  CurveType,
+  TOKEN_SWAP_PROGRAM_ID,
+} = require("@solana/spl-token-swap");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { parseTokenAmount, formatTokenAmount } = require("./token-creation/amounts");
+const { askConfirmation } = require("./token-creation/confirm");
+const { burnTokens } = require("./burn-tokens");
+const {
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  InvalidAmountError,
+  InsufficientBalanceError,
+  TokenAccountNotFoundError,
+  NotTokenAuthorityError,
+  PoolSetupError,
+  TransactionFailedError,
+  TransactionExpiredError,
+  TransactionPendingError,
+} = require("./token-creation/errors");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const {
+  exitWithError,
+  parseAddress,
+  parseAmount,
+  parsePriorityFee,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const {
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
+
+/**
+ * Fee settings the deployed token-swap program accepts (its production
+ * constraints): 0.25% trade fee, 0.05% to the pool owner, 20% of the owner
+ * fee to the host, nothing on withdrawal
+ */
+const SWAP_FEES = {
+  tradeFeeNumerator: 25n,
+  tradeFeeDenominator: 10000n,
+  ownerTradeFeeNumerator: 5n,
+  ownerTradeFeeDenominator: 10000n,
+  ownerWithdrawFeeNumerator: 0n,
+  ownerWithdrawFeeDenominator: 0n,
+  hostFeeNumerator: 20n,
+  hostFeeDenominator: 100n,
+};
+
+/** Owner fee account owner the deployed token-swap program requires */
+const SWAP_FEE_OWNER = "HfoTxFR1Tm6kGmWgYWD6J7YHVy1UwqSULUGVLXkJqaKN";
+
+/** LP mint decimals; the constant-product curve mints 10^9 raw LP units to the first depositor */
+const LP_DECIMALS = 9;
+
+const SOL_DECIMALS = 9;
+
+/**
+ * Check whether the swap state account of a recorded pool was initialized
+ * @param {Connection} connection - Solana connection
+ * @param {Object} pool - Recorded pool
+ * @returns {Promise<string>} 'missing', 'created' (allocated only) or 'initialized'
+ */
+async function getSwapAccountState(connection, pool) {
+  const accountInfo = await connection.getAccountInfo(new PublicKey(pool.address));
+  if (!accountInfo) {
+    return "missing";
+  }
+  return TokenSwapLayout.decode(accountInfo.data).isInitialized ? "initialized" : "created";
+}
+
+/**
+ * Make sure the allocation of a recorded pool whose swap account is missing
+ * can no longer land. It only never landed once the blockhash of its last
+ * signed attempt has expired; records without a block height predate it
+ * and are long expired.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} pool - Recorded pool
+ * @throws {TransactionPendingError} When the allocation may still land
+ */
+async function assertAllocationExpired(connection, pool) {
+  if (pool.allocateLastValidBlockHeight === undefined || pool.allocateLastValidBlockHeight === null) {
+    return;
+  }
+  const blockHeight = await connection.getBlockHeight("confirmed");
+  if (blockHeight <= pool.allocateLastValidBlockHeight) {
+    throw new TransactionPendingError(
+      `Pool allocation ${pool.allocateTransaction} may still land - retry in a minute`,
+      { pool: pool.address, signature: pool.allocateTransaction }
+    );
+  }
+}
+
+/**
+ * Instructions that allocate the swap state account, the LP mint and both
+ * vaults, funding the wrapped SOL vault with the SOL side of the deposit
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params - Accounts and amounts
+ * @returns {Promise<Array<TransactionInstruction>>} Instructions
+ */
+async function buildAllocateInstructions(connection, { payer, swap, lpMint, tokenVault, solVault, authority, mint, lamports, swapProgramId }) {
+  const rent = (space) => connection.getMinimumBalanceForRentExemption(space);
+
+  return [
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: swap,
+      lamports: await rent(TokenSwapLayout.span),
+      space: TokenSwapLayout.span,
+      programId: swapProgramId,
+    }),
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: lpMint,
+      lamports: await rent(MINT_SIZE),
+      space: MINT_SIZE,
+      programId: TOKEN_PROGRAM_ID,
+    }),
+    createInitializeMint2Instruction(lpMint, LP_DECIMALS, authority, null, TOKEN_PROGRAM_ID),
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: tokenVault,
+      lamports: await rent(ACCOUNT_SIZE),
+      space: ACCOUNT_SIZE,
+      programId: TOKEN_PROGRAM_ID,
+    }),
+    createInitializeAccount3Instruction(tokenVault, mint, authority, TOKEN_PROGRAM_ID),
+    // A native account's token balance is its lamports above rent
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: solVault,
+      lamports: (await rent(ACCOUNT_SIZE)) + Number(lamports),
+      space: ACCOUNT_SIZE,
+      programId: TOKEN_PROGRAM_ID,
+    }),
+    createInitializeAccount3Instruction(solVault, NATIVE_MINT, authority, TOKEN_PROGRAM_ID),
+  ];
+}
+
+/**
+ * Create a constant-product pool pairing the token with wrapped SOL on the
+ * SPL token-swap program. The token side is deposited from the recorded
+ * creator token account, the pool and LP mint are recorded in the token
+ * info file, and the LP tokens can be burned to lock the liquidity.
+ * An interrupted run resumes from the recorded pool.
+ * @param {Object} options - Additional options
+ * @param {string} options.tokenAmount - Tokens to deposit, in UI units
+ * @param {string} options.solAmount - SOL to deposit
+ * @param {boolean} options.burnLp - Burn the LP tokens once the pool exists (see burnTokens)
+ * @param {string|null} options.feeOwner - Owner of the pool fee account [default: the deployed program's fee owner]
+ * @param {string|null} options.swapProgramId - Token-swap program [default: the deployed SPL token-swap]
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Create without prompting
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'created' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, PoolSetup, InvalidAmount, TokenAccountNotFound,
+ *   NotTokenAuthority, InsufficientBalance or a transaction-sender error
+ */
+async function createPool(options = {}) {
+  const {
+    tokenAmount,
+    solAmount,
+    burnLp = false,
+    feeOwner = null,
+    swapProgramId = null,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    skipConfirmation = false,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  const recorded = tokenInfo.liquidityPool || null;
+  if (recorded && recorded.status === "created") {
+    throw new PoolSetupError(`A pool is already recorded for ${tokenInfo.symbol}: ${recorded.address}`, {
+      pool: recorded.address,
+      lpMint: recorded.lpMint,
+    });
+  }
+
+  logger.info(`🌊 Creating ${tokenInfo.symbol}/SOL pool for ${tokenInfo.name}...`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  const walletKeypair = keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+  logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+
+  const programId = await getTokenProgramId(connection, mint);
+  if (!programId.equals(TOKEN_PROGRAM_ID)) {
+    throw new PoolSetupError("Token-2022 mints are not supported by the token-swap program", {
+      mintAddress: tokenInfo.mintAddress,
+    });
+  }
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  const { decimals } = mintInfo;
+  const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+
+  const tokenRaw = parseTokenAmount(tokenAmount, decimals);
+  const lamports = parseTokenAmount(solAmount, SOL_DECIMALS);
+  if (tokenRaw <= 0n || lamports <= 0n) {
+    throw new InvalidAmountError("Both pool deposits must be greater than 0", { tokenAmount, solAmount });
+  }
+
+  // The token side comes from the recorded creator token account
+  const sourceAccount = new PublicKey(tokenInfo.creatorTokenAccount);
+  const source = await getAccount(connection, sourceAccount, "confirmed", programId).catch(() => null);
+  if (!source) {
+    throw new TokenAccountNotFoundError(`Creator token account not found: ${tokenInfo.creatorTokenAccount}`, {
+      tokenAccount: tokenInfo.creatorTokenAccount,
+    });
+  }
+  if (!source.owner.equals(walletKeypair.publicKey)) {
+    throw new NotTokenAuthorityError(
+      `Wallet ${walletKeypair.publicKey.toString()} does not own the creator token account (owner: ${source.owner.toString()})`,
+      { signer: walletKeypair.publicKey.toString(), owner: source.owner.toString() }
+    );
+  }
+  if (source.amount < tokenRaw) {
+    throw new InsufficientBalanceError(
+      `Creator token account holds ${format(source.amount)} ${tokenInfo.symbol}, the pool needs ${format(tokenRaw)}`,
+      {
+        available: formatTokenAmount(source.amount, decimals),
+        requested: formatTokenAmount(tokenRaw, decimals),
+      }
+    );
+  }
+
+  // Resume a pool whose accounts were allocated but not initialized
+  let pool = null;
+  if (recorded) {
+    const swapState = await getSwapAccountState(connection, recorded);
+    if (swapState === "missing") {
+      await assertAllocationExpired(connection, recorded);
+      logger.info(`♻️  Previous pool setup never landed - starting over`);
+    } else if (recorded.deposit.token !== formatTokenAmount(tokenRaw, decimals) || recorded.deposit.sol !== formatTokenAmount(lamports, SOL_DECIMALS)) {
+      throw new PoolSetupError(
+        `An unfinished pool ${recorded.address} holds ${recorded.deposit.sol} SOL for ${recorded.deposit.token} ${tokenInfo.symbol} - rerun with those amounts`,
+        { pool: recorded.address, deposit: recorded.deposit }
+      );
+    } else {
+      pool = { ...recorded, swapState };
+      logger.info(`♻️  Resuming pool ${recorded.address} (accounts ${swapState === "initialized" ? "initialized" : "allocated"})`);
+    }
+  }
+
+  const swapProgram = swapProgramId
+    ? new PublicKey(swapProgramId)
+    : pool
+      ? new PublicKey(pool.programId)
+      : TOKEN_SWAP_PROGRAM_ID;
+  const feeOwnerKey = new PublicKey(feeOwner || (pool ? pool.feeOwner : SWAP_FEE_OWNER));
+
+  const solPerToken =
+    Number(formatTokenAmount(lamports, SOL_DECIMALS)) / Number(formatTokenAmount(tokenRaw, decimals));
+
+  logger.info(`\n📋 Pool:`);
+  logger.info(`   • Deposit: ${format(tokenRaw)} ${tokenInfo.symbol} + ${formatTokenAmount(lamports, SOL_DECIMALS, { grouping: true })} SOL`);
+  logger.info(`   • Opening price: 1 ${tokenInfo.symbol} = ${solPerToken.toPrecision(6)} SOL`);
+  logger.info(`   • Program: ${swapProgram.toString()} (constant product, 0.25% trade fee)`);
+  logger.info(`   • Fee owner: ${feeOwnerKey.toString()}`);
+  logger.info(`   • LP tokens: ${burnLp ? "burned after creation (liquidity locked for good)" : "kept in the wallet"}`);
+
+  if (!pool) {
+    const balance = BigInt(await connection.getBalance(walletKeypair.publicKey));
+    if (balance < lamports) {
+      throw new InsufficientBalanceError(
+        `Wallet holds ${formatTokenAmount(balance, SOL_DECIMALS)} SOL, the pool needs ${formatTokenAmount(lamports, SOL_DECIMALS)} SOL plus rent and fees`,
+        {
+          available: formatTokenAmount(balance, SOL_DECIMALS),
+          requested: formatTokenAmount(lamports, SOL_DECIMALS),
+        }
+      );
+    }
+  }
+
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress };
+
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n⚠️  The deposit ratio sets the opening price - arbitrage will correct a wrong one at your expense.`);
+    if (burnLp) {
+      logger.info(`🔥 Burning the LP tokens is IRREVERSIBLE: the deposit can never be withdrawn.`);
+    }
+    confirmed = await confirm("\nCreate the pool? (yes/no): ");
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary };
+  }
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const sendOptions = { priorityFee, logger };
+  // A resumed run logs the allocation it finds recorded, without its slot
+  const transactions = pool ? [{ signature: pool.allocateTransaction, slot: null }] : [];
+
+  // Step 1: allocate the swap account, LP mint and vaults (SOL side deposited)
+  if (!pool) {
+    const swap = Keypair.generate();
+    const lpMint = Keypair.generate();
+    const tokenVault = Keypair.generate();
+    const solVault = Keypair.generate();
+    const [authority] = PublicKey.findProgramAddressSync([swap.publicKey.toBuffer()], swapProgram);
+
+    pool = {
+      program: "spl-token-swap",
+      programId: swapProgram.toString(),
+      address: swap.publicKey.toString(),
+      authority: authority.toString(),
+      lpMint: lpMint.publicKey.toString(),
+      lpAccount: getAssociatedTokenAddressSync(lpMint.publicKey, walletKeypair.publicKey).toString(),
+      feeOwner: feeOwnerKey.toString(),
+      feeAccount: getAssociatedTokenAddressSync(lpMint.publicKey, feeOwnerKey, true).toString(),
+      tokenVault: tokenVault.publicKey.toString(),
+      solVault: solVault.publicKey.toString(),
+      deposit: {
+        token: formatTokenAmount(tokenRaw, decimals),
+        sol: formatTokenAmount(lamports, SOL_DECIMALS),
+      },
+      status: "initializing",
+      allocateTransaction: null,
+      allocateLastValidBlockHeight: null,
+    };
+
+    const instructions = await buildAllocateInstructions(connection, {
+      payer: walletKeypair.publicKey,
+      swap: swap.publicKey,
+      lpMint: lpMint.publicKey,
+      tokenVault: tokenVault.publicKey,
+      solVault: solVault.publicKey,
+      authority,
+      mint,
+      lamports,
+      swapProgramId: swapProgram,
+    });
+
+    logger.info(`\n🏗️  Allocating pool accounts...`);
+    try {
+      const transaction = await sendInstructions(
+        connection,
+        instructions,
+        [walletKeypair, swap, lpMint, tokenVault, solVault],
+        {
+          ...sendOptions,
+          // Record the addresses before broadcasting: the SOL deposit lives in them
+          onSigned: ({ signature, lastValidBlockHeight }) => {
+            pool.allocateTransaction = signature;
+            pool.allocateLastValidBlockHeight = lastValidBlockHeight;
+            tokenInfo.liquidityPool = pool;
+            saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+          },
+        }
+      );
+      transactions.push(transaction);
+      logger.info(`   ✅ Transaction: ${transaction.signature} (${transaction.confirmationStatus})`);
+    } catch (error) {
+      // Nothing was created: the transaction failed, never passed simulation or expired unseen
+      if (error instanceof TransactionFailedError || error instanceof TransactionExpiredError) {
+        delete tokenInfo.liquidityPool;
+        saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+        throw error;
+      }
+      // Anything else may have left a signed allocation in flight; the
+      // record stays for the next run to resume or start over
+      if (pool.allocateTransaction) {
+        throw new TransactionPendingError(
+          `Pool allocation ${pool.allocateTransaction} may still land (${error.message}) - rerun to resume`,
+          { pool: pool.address, signature: pool.allocateTransaction }
+        );
+      }
+      throw error;
+    }
+    pool.swapState = "created";
+  }
+
+  // Step 2: deposit the token side and initialize the swap
+  if (pool.swapState !== "initialized") {
+    const lpMint = new PublicKey(pool.lpMint);
+    const instructions = [
+      createAssociatedTokenAccountIdempotentInstruction(
+        walletKeypair.publicKey,
+        new PublicKey(pool.feeAccount),
+        feeOwnerKey,
+        lpMint
+      ),
+      createAssociatedTokenAccountIdempotentInstruction(
+        walletKeypair.publicKey,
+        new PublicKey(pool.lpAccount),
+        walletKeypair.publicKey,
+        lpMint
+      ),
+      createTransferCheckedInstruction(
+        sourceAccount,
+        mint,
+        new PublicKey(pool.tokenVault),
+        walletKeypair.publicKey,
+        tokenRaw,
+        decimals,
+        [],
+        programId
+      ),
+      // Only the swap account's address is used; it does not sign initialization
+      TokenSwap.createInitSwapInstruction(
+        { publicKey: new PublicKey(pool.address) },
+        new PublicKey(pool.authority),
+        new PublicKey(pool.tokenVault),
+        new PublicKey(pool.solVault),
+        lpMint,
+        new PublicKey(pool.feeAccount),
+        new PublicKey(pool.lpAccount),
+        TOKEN_PROGRAM_ID,
+        swapProgram,
+        SWAP_FEES.tradeFeeNumerator,
+        SWAP_FEES.tradeFeeDenominator,
+        SWAP_FEES.ownerTradeFeeNumerator,
+        SWAP_FEES.ownerTradeFeeDenominator,
+        SWAP_FEES.ownerWithdrawFeeNumerator,
+        SWAP_FEES.ownerWithdrawFeeDenominator,
+        SWAP_FEES.hostFeeNumerator,
+        SWAP_FEES.hostFeeDenominator,
+        CurveType.ConstantProduct
+      ),
+    ];
+
+    logger.info(`\n🌊 Depositing ${format(tokenRaw)} ${tokenInfo.symbol} and initializing the pool...`);
+    const transaction = await sendInstructions(connection, instructions, [walletKeypair], sendOptions);
+    pool.initializeTransaction = transaction.signature;
+    transactions.push(transaction);
+    logger.info(`   ✅ Transaction: ${transaction.signature} (${transaction.confirmationStatus})`);
+  }
+
+  const lpAccount = await getAccount(connection, new PublicKey(pool.lpAccount), "confirmed", TOKEN_PROGRAM_ID);
+  delete pool.swapState;
+  pool.status = "created";
+  pool.createdAt = new Date().toISOString();
+  pool.lpAmount = formatTokenAmount(lpAccount.amount, LP_DECIMALS);
+  tokenInfo.liquidityPool = pool;
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+
+  const opsLog = recordOperation({
+    type: "create-pool",
+    network: tokenInfo.network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: {
+      program: pool.program,
+      programId: pool.programId,
+      feeOwner: pool.feeOwner,
+      deposit: pool.deposit,
+      burnLp,
+    },
+    transactions,
+    before: null,
+    after: {
+      pool: pool.address,
+      lpMint: pool.lpMint,
+      lpAccount: pool.lpAccount,
+      lpAmount: pool.lpAmount,
+      tokenVault: pool.tokenVault,
+      solVault: pool.solVault,
+    },
+  }, { logger });
+
+  logger.info(`\n🎉 Pool created!`);
+  logger.info(`   • Pool: ${pool.address}`);
+  logger.info(`   • LP Mint: ${pool.lpMint}`);
+  logger.info(`   • LP tokens: ${formatTokenAmount(lpAccount.amount, LP_DECIMALS, { grouping: true })} in ${pool.lpAccount}`);
+  logger.info(`💾 Pool recorded in the token info file`);
+
+  let lpBurn = null;
+  if (burnLp) {
+    logger.info(`\n🔥 Burning LP tokens...`);
+    lpBurn = await burnTokens(tokenInfo.network, null, null, false, {
+      mintAddress: pool.lpMint,
+      mintSymbol: `${tokenInfo.symbol}-SOL LP`,
+      tokenInfoPath,
+      token,
+      walletPath,
+      keypair: walletKeypair,
+      connection,
+      confirm,
+      skipConfirmation,
+      priorityFee,
+      logger,
+    });
+
+    if (lpBurn.status === "burned") {
+      pool.lpBurnedAt = new Date().toISOString();
+      pool.lpBurnTransaction = lpBurn.signature;
+      tokenInfo.liquidityPool = pool;
+      saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+    }
+  }
+
+  logger.info(`\n🔗 ${networkConfig.explorerUrl}/address/${pool.address}${clusterParam}`);
+
+  return {
+    status: "created",
+    ...summary,
+    pool,
+    lpBurn,
+    explorerUrl: `${networkConfig.explorerUrl}/address/${pool.address}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🌊 Create Pool Script
+
+Create a constant-product token/SOL pool on the SPL token-swap program,
+depositing the token side from the recorded creator token account.
+
+Usage: node create-pool.js --token-amount <amount> --sol <amount> [options]
+
+Options:
+  --token-amount <amount>  Tokens to deposit
+  --sol <amount>           SOL to deposit (wrapped in the pool's SOL vault)
+  --burn-lp                Burn the LP tokens afterwards - locks the liquidity forever
+  --fee-owner <address>    Owner of the pool fee account [default: the deployed program's fee owner]
+  --swap-program <address> Token-swap program [default: SPL token-swap]
+  --token <selector>       Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --token-info <path>      Token info file [default: ./doodi-token-info.json]
+  --priority-fee <auto|micro-lamports>
+                           Priority fee per compute unit [default: auto, from recent fees]
+  --json                   Print the result as JSON on stdout (logs go to stderr)
+  --help, -h               Show this help message
+
+Examples:
+  node create-pool.js --token-amount 100000000 --sol 50
+  node create-pool.js --token-amount 100000000 --sol 50 --burn-lp
+
+💡 On a local validator, load the token-swap program and pass --swap-program
+   (and --fee-owner unless it was built with the production fee constraints).
+
+⚠️  The deposit ratio sets the opening price.
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let options;
+  try {
+    options = {
+      tokenAmount: parseAmount(optionValue("--token-amount"), "token amount"),
+      solAmount: parseAmount(optionValue("--sol"), "SOL amount"),
+      burnLp: args.includes("--burn-lp"),
+      feeOwner: args.includes("--fee-owner") ? parseAddress(optionValue("--fee-owner"), "fee owner") : null,
+      swapProgramId: args.includes("--swap-program")
+        ? parseAddress(optionValue("--swap-program"), "swap program")
+        : null,
+      tokenInfoPath: optionValue("--token-info"),
+      token: optionValue("--token"),
+      priorityFee: args.includes("--priority-fee") ? parsePriorityFee(optionValue("--priority-fee")) : null,
+    };
+  } catch (error) {
+    exitWithError("Invalid arguments", { json: json ? "create-pool" : null })(error);
+  }
+
+  createPool(options)
+    .then((result) => {
+      if (json) {
+        writeJsonResult("create-pool", result);
+      }
+    })
+    .catch(exitWithError("Failed to create pool", { json: json ? "create-pool" : null }));
+}
+
+module.exports = { createPool };
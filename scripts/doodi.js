@@ -0,0 +1,903 @@
+#!/usr/bin/env node
+const { createToken } = require("./token-creation/token-core");
+const { TOKEN_PROGRAMS } = require("./token-creation/token-program");
+const {
+  loadTokenInfo,
+  resolveTokenInfoPath,
+} = require("./token-creation/token-info");
+const {
+  GLOBAL_OPTIONS,
+  parseArgs,
+  parseNetwork,
+  parseAddress,
+  parseAmount,
+  parsePositiveInt,
+  parseDate,
+  parsePriorityFee,
+  parseTokenExtensions,
+  exitWithError,
+} = require("./token-creation/cli-args");
+const { InvalidArgumentError, NetworkMismatchError } = require("./token-creation/errors");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const { showTokenInfo } = require("./info");
+const { auditToken } = require("./audit");
+const { showHistory, verifyOpsLog } = require("./ops-log");
+const { listTokens, migrateTokenInfo } = require("./tokens");
+const { airdrop } = require("./airdrop");
+const { snapshotHolders } = require("./snapshot");
+const { burnTokens, approveBurnDelegate } = require("./burn-tokens");
+const { revokeMintAuthority } = require("./revoke-mint-authority");
+const { freezeAccount, thawAccount, revokeFreezeAuthority } = require("./freeze");
+const { updateMetadata, makeMetadataImmutable } = require("./update-metadata");
+const { validateMetadataCommand } = require("./validate-metadata");
+const {
+  createTokenMultisig,
+  transferMintAuthority,
+  proposeMint,
+} = require("./multisig");
+const {
+  createNonce,
+  signTransaction,
+  submitTransaction,
+  inspectTransaction,
+} = require("./offline-tx");
+const {
+  runCampaign,
+  showCampaignStatus,
+  showBurnReport,
+} = require("./burn-campaign");
+const { fundVesting, releaseVested, showVestingStatus } = require("./vesting");
+const { createPool } = require("./create-pool");
+const { importKeystore, exportKeystore } = require("./wallet");
+const { runPlan } = require("./plan");
+
+const OFFLINE_OPTIONS = [
+  { name: "--offline", value: "<file>", description: "Export an unsigned transaction instead of sending" },
+  { name: "--nonce", value: "<address>", description: "Durable nonce account (with --offline)" },
+  { name: "--authority", value: "<address>", description: "Offline signer address (with --offline)" },
+];
+
+/**
+ * Build the offline signing options shared by burn, approve and revoke
+ * @param {Object} options - Parsed command options
+ * @returns {Object|null} { outFile, nonceAccount, authority } or null when not offline
+ */
+function parseOffline(options) {
+  if (!options.offline) {
+    return null;
+  }
+  if (!options.nonce || !options.authority) {
+    throw new InvalidArgumentError("--offline requires --nonce <address> and --authority <address>");
+  }
+  return {
+    outFile: options.offline,
+    nonceAccount: parseAddress(options.nonce, "nonce account"),
+    authority: parseAddress(options.authority, "authority"),
+  };
+}
+
+/**
+ * Resolve the network for a command that works on the recorded token.
+ * An explicit --network must match the token's network.
+ * @param {Object} ctx - Global context
+ * @returns {string} Token network
+ */
+function resolveTokenNetwork(ctx) {
+  const tokenInfo = loadTokenInfo(ctx.tokenInfoPath);
+  if (!tokenInfo) {
+    return ctx.network || "devnet";
+  }
+  if (ctx.network && ctx.network !== tokenInfo.network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but --network ${ctx.network} was given`,
+      { tokenNetwork: tokenInfo.network, network: ctx.network }
+    );
+  }
+  return tokenInfo.network;
+}
+
+/**
+ * Command table. Each entry has a summary, an argument synopsis, its own
+ * options and a run(ctx, positional, options) function. Entries with
+ * `subcommands` group related commands (e.g. `doodi multisig create`).
+ * Commands work on the token selected from the registry unless they set
+ * `tokenRecord: false`.
+ */
+const COMMANDS = {
+  create: {
+    summary: "Create the token mint, creator account and metadata",
+    tokenRecord: false,
+    options: [
+      { name: "--overwrite", description: "Replace an existing devnet record for this symbol" },
+      { name: "--program", value: "<spl-token|token-2022>", description: "Token program [default: spl-token]" },
+      { name: "--metadata-uri", value: "<uri>", description: "URI the metadata JSON is published at (required unless TOKEN_CONFIG.uri is set)" },
+      { name: "--transfer-fee", value: "<bps>:<max-fee>", description: "Token-2022 transfer fee (max fee in raw units)" },
+      { name: "--no-embedded-metadata", description: "Token-2022: use Metaplex metadata instead" },
+      { name: "--permanent-delegate", value: "<address>", description: "Token-2022 permanent delegate (can move any tokens)" },
+      { name: "--interest-rate", value: "<bps>", description: "Token-2022 interest-bearing rate" },
+      { name: "--freeze-authority", value: "<address>", description: "Freeze authority, or 'wallet' for the creator [default: none]" },
+    ],
+    run: (ctx, positional, options) => {
+      const program = options.program || "spl-token";
+      if (!TOKEN_PROGRAMS[program]) {
+        throw new InvalidArgumentError(`Invalid program: ${program} (expected ${Object.keys(TOKEN_PROGRAMS).join(" or ")})`);
+      }
+      const extensions = parseTokenExtensions(options);
+      if (program !== "token-2022" && Object.keys(extensions).length > 0) {
+        throw new InvalidArgumentError("Extensions require --program token-2022");
+      }
+      return createToken(ctx.network || "devnet", ctx.walletPath, {
+        program,
+        extensions,
+        metadataUri: options.metadataUri || null,
+        freezeAuthority:
+          options.freezeAuthority && options.freezeAuthority !== "wallet"
+            ? parseAddress(options.freezeAuthority, "--freeze-authority")
+            : options.freezeAuthority || null,
+        tokenInfoPath: ctx.tokenInfoPath,
+        overwrite: Boolean(options.overwrite),
+        priorityFee: ctx.priorityFee,
+      });
+    },
+  },
+  info: {
+    summary: "Show the recorded token next to the live mint state",
+    run: (ctx) => {
+      resolveTokenNetwork(ctx);
+      return showTokenInfo({ tokenInfoPath: ctx.tokenInfoPath });
+    },
+  },
+  audit: {
+    summary: "Compare the token record with chain state",
+    options: [
+      { name: "--metadata", value: "<path>", description: "Metadata file [default: ./doodimeta.json]" },
+      { name: "--repair", description: "Copy on-chain values into the token record" },
+    ],
+    run: (ctx, positional, options) =>
+      auditToken({
+        network: resolveTokenNetwork(ctx),
+        tokenInfoPath: ctx.tokenInfoPath,
+        metadataPath: options.metadata || "./doodimeta.json",
+        repair: Boolean(options.repair),
+        skipConfirmation: ctx.yes,
+      }).then((result) => {
+        // Non-zero exit while discrepancies remain, for scheduled checks
+        if (result.status === "drift") {
+          process.exitCode = 1;
+        }
+        return result;
+      }),
+  },
+  history: {
+    summary: "List operations from the operations log",
+    tokenRecord: false,
+    options: [
+      { name: "--type", value: "<type>", description: "Only this operation type (e.g. burn, revoke-mint-authority)" },
+      { name: "--mint", value: "<address>", description: "Only operations on this mint" },
+      { name: "--operator", value: "<address>", description: "Only operations signed by this wallet" },
+      { name: "--since", value: "<date>", description: "Only operations at or after this date (ISO 8601)" },
+      { name: "--until", value: "<date>", description: "Only operations at or before this date (ISO 8601, a bare date includes the whole day)" },
+      { name: "--limit", value: "<n>", description: "Only the most recent n matching operations" },
+    ],
+    run: (ctx, positional, options) =>
+      showHistory({
+        type: options.type || null,
+        network: ctx.network,
+        mintAddress: options.mint ? parseAddress(options.mint, "--mint") : null,
+        operator: options.operator ? parseAddress(options.operator, "--operator") : null,
+        since: options.since ? parseDate(options.since, "--since") : null,
+        until: options.until ? parseDate(options.until, "--until", { endOfDay: true }) : null,
+        limit: options.limit ? parsePositiveInt(options.limit, "--limit") : null,
+      }),
+  },
+  "verify-log": {
+    summary: "Check the operations log hash chain and its transactions on chain",
+    tokenRecord: false,
+    options: [{ name: "--offline", description: "Only check the hash chain (no network access)" }],
+    run: (ctx, positional, options) =>
+      verifyOpsLog({ offline: Boolean(options.offline) }).then((result) => {
+        if (result.status === "invalid") {
+          process.exitCode = 1;
+        }
+        return result;
+      }),
+  },
+  airdrop: {
+    summary: "Mint or transfer tokens to a recipient list",
+    args: "<recipients-file>",
+    options: [
+      { name: "--mode", value: "<mint|transfer>", description: "Distribution mode [default: mint while mint authority is active]" },
+      { name: "--batch-size", value: "<n>", description: "Recipients per transaction, at most 8 [default: 5]" },
+      { name: "--journal", value: "<path>", description: "Journal file tracking per-recipient state" },
+      { name: "--dry-run", description: "Show what would be done without executing" },
+    ],
+    run: (ctx, positional, options) => {
+      if (!positional[0]) {
+        throw new InvalidArgumentError("Recipients file is required");
+      }
+      if (options.mode && !["mint", "transfer"].includes(options.mode)) {
+        throw new InvalidArgumentError(`Invalid mode: ${options.mode} (expected mint or transfer)`);
+      }
+      return airdrop(resolveTokenNetwork(ctx), positional[0], {
+        mode: options.mode || null,
+        batchSize: options.batchSize ? parsePositiveInt(options.batchSize, "batch size") : undefined,
+        journalPath: options.journal || null,
+        dryRun: Boolean(options.dryRun),
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }).then((result) => {
+        if (result.status === "partial") {
+          process.exitCode = 1;
+        }
+        return result;
+      });
+    },
+  },
+  snapshot: {
+    summary: "Export every holder with distribution statistics",
+    options: [
+      { name: "--out", value: "<file>", description: "Output file [default: holder-snapshot-<timestamp>.csv]" },
+      { name: "--format", value: "<csv|json>", description: "Output format [default: from --out extension]" },
+      { name: "--exclude", value: "<file>", description: "JSON list of treasury/LP addresses to leave out" },
+      { name: "--top", value: "<n>", description: "Size of the top-N concentration bucket [default: 10]" },
+    ],
+    run: (ctx, positional, options) => {
+      resolveTokenNetwork(ctx);
+      if (options.format && !["csv", "json"].includes(options.format)) {
+        throw new InvalidArgumentError(`Invalid format: ${options.format} (expected csv or json)`);
+      }
+      return snapshotHolders({
+        outFile: options.out || null,
+        format: options.format || null,
+        excludeFile: options.exclude || null,
+        top: options.top ? parsePositiveInt(options.top, "--top") : undefined,
+        tokenInfoPath: ctx.tokenInfoPath,
+      });
+    },
+  },
+  burn: {
+    summary: "Burn tokens from the wallet or an approved account",
+    args: "<amount|all>",
+    options: [
+      { name: "--from", value: "<address>", description: "Owner to burn from (wallet must be owner or delegate)" },
+      { name: "--dry-run", description: "Show what would be done without executing" },
+      ...OFFLINE_OPTIONS,
+    ],
+    run: (ctx, positional, options) =>
+      burnTokens(
+        resolveTokenNetwork(ctx),
+        parseAmount(positional[0], "amount", { allowAll: true }),
+        options.from ? parseAddress(options.from, "--from address") : null,
+        Boolean(options.dryRun),
+        {
+          offline: parseOffline(options),
+          skipConfirmation: ctx.yes,
+          tokenInfoPath: ctx.tokenInfoPath,
+          walletPath: ctx.walletPath,
+          priorityFee: ctx.priorityFee,
+        }
+      ),
+  },
+  approve: {
+    summary: "Approve a delegate to burn from the wallet's token account",
+    args: "<amount|all>",
+    options: [
+      { name: "--delegate", value: "<address>", description: "Address allowed to burn (required)" },
+      ...OFFLINE_OPTIONS,
+    ],
+    run: (ctx, positional, options) =>
+      approveBurnDelegate(
+        resolveTokenNetwork(ctx),
+        parseAmount(positional[0], "amount", { allowAll: true }),
+        parseAddress(options.delegate, "--delegate"),
+        {
+          walletPath: ctx.walletPath,
+          priorityFee: ctx.priorityFee,
+          offline: parseOffline(options),
+          tokenInfoPath: ctx.tokenInfoPath,
+          skipConfirmation: ctx.yes,
+        }
+      ),
+  },
+  revoke: {
+    summary: "Permanently revoke mint authority",
+    options: OFFLINE_OPTIONS,
+    run: (ctx, positional, options) =>
+      revokeMintAuthority({
+        network: resolveTokenNetwork(ctx),
+        offline: parseOffline(options),
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }),
+  },
+  freeze: {
+    summary: "Freeze a holder's token account",
+    args: "<address>",
+    options: OFFLINE_OPTIONS,
+    run: (ctx, positional, options) =>
+      freezeAccount(parseAddress(positional[0], "token account or wallet address"), {
+        network: resolveTokenNetwork(ctx),
+        offline: parseOffline(options),
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }),
+  },
+  thaw: {
+    summary: "Thaw a frozen token account",
+    args: "<address>",
+    options: OFFLINE_OPTIONS,
+    run: (ctx, positional, options) =>
+      thawAccount(parseAddress(positional[0], "token account or wallet address"), {
+        network: resolveTokenNetwork(ctx),
+        offline: parseOffline(options),
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }),
+  },
+  "revoke-freeze-authority": {
+    summary: "Permanently revoke freeze authority",
+    options: OFFLINE_OPTIONS,
+    run: (ctx, positional, options) =>
+      revokeFreezeAuthority({
+        network: resolveTokenNetwork(ctx),
+        offline: parseOffline(options),
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }),
+  },
+  "update-metadata": {
+    summary: "Diff and update on-chain name, symbol and URI",
+    args: "[metadata-file]",
+    options: [
+      { name: "--uri", value: "<uri>", description: "New metadata URI" },
+      { name: "--dry-run", description: "Only show the diff" },
+    ],
+    run: (ctx, positional, options) => {
+      resolveTokenNetwork(ctx);
+      return updateMetadata(positional[0] || "./doodimeta.json", {
+        uri: options.uri || null,
+        dryRun: Boolean(options.dryRun),
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      });
+    },
+  },
+  "make-immutable": {
+    summary: "Permanently lock the token metadata",
+    run: (ctx) => {
+      resolveTokenNetwork(ctx);
+      return makeMetadataImmutable({
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      });
+    },
+  },
+  "validate-metadata": {
+    summary: "Check metadata JSON against the Metaplex standard",
+    tokenRecord: false,
+    args: "[metadata-file]",
+    options: [
+      { name: "--uri", value: "<uri>", description: "On-chain URI the JSON will be published at" },
+      { name: "--bundle", value: "<dir>", description: "Bundle the image and a hashed files block into <dir>" },
+      { name: "--skip-remote", description: "Do not fetch the image" },
+    ],
+    run: (ctx, positional, options) =>
+      validateMetadataCommand(positional[0] || "./doodimeta.json", {
+        uri: options.uri || null,
+        checkRemote: !options.skipRemote,
+        bundleDir: options.bundle || null,
+      }),
+  },
+  multisig: {
+    summary: "Manage an SPL Token multisig mint authority",
+    subcommands: {
+      create: {
+        summary: "Create an M-of-N multisig account",
+        args: "<m> <signer1,signer2,...>",
+        run: (ctx, positional) => {
+          resolveTokenNetwork(ctx);
+          const signers = (positional[1] || "")
+            .split(",")
+            .filter(Boolean)
+            .map((signer) => parseAddress(signer, "signer"));
+          if (signers.length === 0) {
+            throw new InvalidArgumentError("At least one signer is required");
+          }
+          return createTokenMultisig(parsePositiveInt(positional[0], "threshold"), signers, {
+            tokenInfoPath: ctx.tokenInfoPath,
+            walletPath: ctx.walletPath,
+            priorityFee: ctx.priorityFee,
+          });
+        },
+      },
+      "transfer-mint-authority": {
+        summary: "Move mint authority to the multisig",
+        args: "<multisig-address>",
+        options: [
+          { name: "--metadata-authority", value: "<address>", description: "Also move metadata update authority" },
+        ],
+        run: (ctx, positional, options) => {
+          resolveTokenNetwork(ctx);
+          return transferMintAuthority(
+            parseAddress(positional[0], "multisig address"),
+            options.metadataAuthority ? parseAddress(options.metadataAuthority, "--metadata-authority") : null,
+            {
+              tokenInfoPath: ctx.tokenInfoPath,
+              walletPath: ctx.walletPath,
+              priorityFee: ctx.priorityFee,
+              skipConfirmation: ctx.yes,
+            }
+          );
+        },
+      },
+      "propose-mint": {
+        summary: "Export an unsigned multisig mint for co-signing",
+        args: "<recipient> <amount>",
+        options: [
+          { name: "--nonce", value: "<address>", description: "Durable nonce account (required)" },
+          { name: "--out", value: "<file>", description: "Proposal file (required)" },
+          { name: "--fee-payer", value: "<address>", description: "Fee payer [default: first signer]" },
+          { name: "--signers", value: "<a,b,...>", description: "Co-signers [default: first M]" },
+        ],
+        run: (ctx, positional, options) => {
+          resolveTokenNetwork(ctx);
+          if (!options.out) {
+            throw new InvalidArgumentError("--out <file> is required");
+          }
+          return proposeMint(
+            parseAddress(positional[0], "recipient"),
+            parseAmount(positional[1]),
+            {
+              nonceAccount: parseAddress(options.nonce, "--nonce"),
+              outFile: options.out,
+              feePayer: options.feePayer ? parseAddress(options.feePayer, "--fee-payer") : null,
+              signers: options.signers
+                ? options.signers.split(",").map((signer) => parseAddress(signer, "signer"))
+                : null,
+              tokenInfoPath: ctx.tokenInfoPath,
+            }
+          );
+        },
+      },
+    },
+  },
+  tx: {
+    summary: "Durable nonce accounts and offline transactions",
+    subcommands: {
+      nonce: {
+        summary: "Create a durable nonce account",
+        tokenRecord: false,
+        options: [
+          { name: "--authority", value: "<address>", description: "Nonce authority [default: wallet]" },
+        ],
+        run: (ctx, positional, options) =>
+          createNonce(
+            ctx.network || "devnet",
+            options.authority ? parseAddress(options.authority, "--authority") : null,
+            { walletPath: ctx.walletPath, priorityFee: ctx.priorityFee }
+          ),
+      },
+      inspect: {
+        summary: "Show an exported transaction",
+        tokenRecord: false,
+        args: "<file>",
+        run: (ctx, positional) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Transaction file is required");
+          }
+          return inspectTransaction(positional[0]);
+        },
+      },
+      sign: {
+        summary: "Add a signature to an exported transaction (no network access)",
+        tokenRecord: false,
+        args: "<file> <keypair>",
+        options: [
+          { name: "--out", value: "<file>", description: "Write the signed transaction here [default: overwrite]" },
+        ],
+        run: (ctx, positional, options) => {
+          if (!positional[0] || !positional[1]) {
+            throw new InvalidArgumentError("Transaction file and keypair file are required");
+          }
+          return signTransaction(positional[0], positional[1], options.out || null, {
+            skipConfirmation: ctx.yes,
+          });
+        },
+      },
+      submit: {
+        summary: "Broadcast a fully signed exported transaction",
+        tokenRecord: false,
+        args: "<file>",
+        run: (ctx, positional) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Transaction file is required");
+          }
+          return submitTransaction(positional[0], { tokenInfoPath: ctx.tokenInfoPath });
+        },
+      },
+    },
+  },
+  token: {
+    summary: "Token registry",
+    subcommands: {
+      list: {
+        summary: "List the tokens in the registry",
+        tokenRecord: false,
+        run: () => listTokens(),
+      },
+      migrate: {
+        summary: "Move ./doodi-token-info.json into the registry",
+        tokenRecord: false,
+        run: () => migrateTokenInfo(),
+      },
+    },
+  },
+  campaign: {
+    summary: "Scheduled burn campaigns",
+    subcommands: {
+      status: {
+        summary: "Show campaign progress",
+        tokenRecord: false,
+        args: "<config>",
+        run: (ctx, positional) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Campaign config file is required");
+          }
+          return showCampaignStatus(positional[0]);
+        },
+      },
+      run: {
+        summary: "Execute due tranches (requires --yes)",
+        args: "<config>",
+        options: [
+          { name: "--watch", description: "Keep running until the campaign completes" },
+        ],
+        run: (ctx, positional, options) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Campaign config file is required");
+          }
+          resolveTokenNetwork(ctx);
+          return runCampaign(positional[0], {
+            yes: ctx.yes,
+            watch: Boolean(options.watch),
+            tokenInfoPath: ctx.tokenInfoPath,
+            walletPath: ctx.walletPath,
+            priorityFee: ctx.priorityFee,
+          });
+        },
+      },
+      report: {
+        summary: "Rebuild the burn ledger from the operations log and show supply over time",
+        run: (ctx) => showBurnReport({ tokenInfoPath: ctx.tokenInfoPath }),
+      },
+    },
+  },
+  "create-pool": {
+    summary: "Create a token/SOL constant-product pool on SPL token-swap",
+    options: [
+      { name: "--token-amount", value: "<amount>", description: "Tokens to deposit from the creator token account" },
+      { name: "--sol", value: "<amount>", description: "SOL to deposit" },
+      { name: "--burn-lp", description: "Burn the LP tokens afterwards (locks the liquidity)" },
+      { name: "--fee-owner", value: "<address>", description: "Owner of the pool fee account" },
+      { name: "--swap-program", value: "<address>", description: "Token-swap program [default: SPL token-swap]" },
+    ],
+    run: (ctx, positional, options) =>
+      createPool({
+        network: resolveTokenNetwork(ctx),
+        tokenAmount: parseAmount(options.tokenAmount, "--token-amount"),
+        solAmount: parseAmount(options.sol, "--sol"),
+        burnLp: Boolean(options.burnLp),
+        feeOwner: options.feeOwner ? parseAddress(options.feeOwner, "--fee-owner") : null,
+        swapProgramId: options.swapProgram ? parseAddress(options.swapProgram, "--swap-program") : null,
+        tokenInfoPath: ctx.tokenInfoPath,
+        walletPath: ctx.walletPath,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }),
+  },
+  plan: {
+    summary: "Rehearse a launch plan on devnet/localnet, then run it on mainnet",
+    tokenRecord: false,
+    args: "<plan-file>",
+    options: [
+      { name: "--fund", value: "<sol>", description: "SOL airdropped to the rehearsal wallet [default: 2]" },
+    ],
+    run: (ctx, positional, options) => {
+      if (!positional[0]) {
+        throw new InvalidArgumentError("Plan file is required");
+      }
+      return runPlan(positional[0], {
+        network: ctx.network || "devnet",
+        walletPath: ctx.walletPath,
+        fundSol: options.fund ? Number(parseAmount(options.fund, "--fund")) : undefined,
+        priorityFee: ctx.priorityFee,
+        skipConfirmation: ctx.yes,
+      }).then((result) => {
+        if (result.status === "diverged") {
+          process.exitCode = 1;
+        }
+        return result;
+      });
+    },
+  },
+  wallet: {
+    summary: "Encrypted wallet keystores",
+    subcommands: {
+      import: {
+        summary: "Encrypt a plaintext keypair file into a keystore",
+        tokenRecord: false,
+        args: "<keypair-file>",
+        options: [{ name: "--out", value: "<path>", description: "Keystore to write (required)" }],
+        run: (ctx, positional, options) => {
+          if (!positional[0] || !options.out) {
+            throw new InvalidArgumentError("Keypair file and --out are required");
+          }
+          return importKeystore(positional[0], options.out);
+        },
+      },
+      export: {
+        summary: "Decrypt a keystore into a plaintext keypair file",
+        tokenRecord: false,
+        args: "<keystore-file>",
+        options: [{ name: "--out", value: "<path>", description: "Keypair file to write (required)" }],
+        run: (ctx, positional, options) => {
+          if (!positional[0] || !options.out) {
+            throw new InvalidArgumentError("Keystore file and --out are required");
+          }
+          return exportKeystore(positional[0], options.out, { skipConfirmation: ctx.yes });
+        },
+      },
+    },
+  },
+  vesting: {
+    summary: "Team and partner allocations on a cliff + linear schedule",
+    subcommands: {
+      fund: {
+        summary: "Move unfunded allocations into their escrow accounts",
+        args: "<schedule>",
+        run: (ctx, positional) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Vesting schedule file is required");
+          }
+          return fundVesting(positional[0], {
+            network: resolveTokenNetwork(ctx),
+            tokenInfoPath: ctx.tokenInfoPath,
+            walletPath: ctx.walletPath,
+            priorityFee: ctx.priorityFee,
+            skipConfirmation: ctx.yes,
+          });
+        },
+      },
+      release: {
+        summary: "Send everything vested and not yet released",
+        args: "<schedule>",
+        options: [
+          { name: "--beneficiary", value: "<address>", description: "Only release to this beneficiary" },
+        ],
+        run: (ctx, positional, options) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Vesting schedule file is required");
+          }
+          return releaseVested(positional[0], {
+            network: resolveTokenNetwork(ctx),
+            beneficiary: options.beneficiary ? parseAddress(options.beneficiary, "beneficiary") : null,
+            tokenInfoPath: ctx.tokenInfoPath,
+            walletPath: ctx.walletPath,
+            priorityFee: ctx.priorityFee,
+            skipConfirmation: ctx.yes,
+          });
+        },
+      },
+      status: {
+        summary: "Show vested, released and locked amounts",
+        args: "<schedule>",
+        run: (ctx, positional) => {
+          if (!positional[0]) {
+            throw new InvalidArgumentError("Vesting schedule file is required");
+          }
+          return showVestingStatus(positional[0], {
+            network: resolveTokenNetwork(ctx),
+            tokenInfoPath: ctx.tokenInfoPath,
+          });
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Find the command named by the leading arguments
+ * @param {Array<string>} argv - Arguments after `doodi`
+ * @returns {Object} { name, command, rest } (command is null when unknown)
+ */
+function findCommand(argv) {
+  const [first, second] = argv;
+  const entry = COMMANDS[first];
+  if (!entry) {
+    return { name: first, command: null, rest: argv.slice(1) };
+  }
+  if (!entry.subcommands) {
+    return { name: first, command: entry, rest: argv.slice(1) };
+  }
+  const sub = entry.subcommands[second];
+  return {
+    name: sub ? `${first} ${second}` : first,
+    command: sub || entry,
+    rest: argv.slice(sub ? 2 : 1),
+  };
+}
+
+/**
+ * Format option specs as aligned help lines
+ * @param {Array<Object>} options - Option specs
+ * @returns {string} Help lines
+ */
+function formatOptions(options) {
+  return options
+    .map((option) => {
+      const flag = option.value ? `${option.name} ${option.value}` : option.name;
+      return `  ${flag.padEnd(34)} ${option.description}`;
+    })
+    .join("\n");
+}
+
+/**
+ * List commands (with subcommands expanded) as aligned help lines
+ * @returns {string} Help lines
+ */
+function formatCommands() {
+  const lines = [];
+  Object.entries(COMMANDS).forEach(([name, entry]) => {
+    if (entry.subcommands) {
+      Object.entries(entry.subcommands).forEach(([subName, sub]) => {
+        lines.push(`  ${`${name} ${subName}`.padEnd(34)} ${sub.summary}`);
+      });
+    } else {
+      lines.push(`  ${name.padEnd(34)} ${entry.summary}`);
+    }
+  });
+  return lines.join("\n");
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🪙 DOODi Token CLI
+
+Usage: node doodi.js <command> [arguments] [options]
+
+Commands:
+${formatCommands()}
+
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+
+Run 'node doodi.js <command> --help' for command details.
+`);
+}
+
+/**
+ * Show help for a single command or command group
+ * @param {string} name - Command name (e.g. 'multisig create')
+ * @param {Object} command - Command entry
+ */
+function showCommandUsage(name, command) {
+  if (command.subcommands) {
+    const lines = Object.entries(command.subcommands).map(
+      ([subName, sub]) => `  ${`${name} ${subName}`.padEnd(34)} ${sub.summary}`
+    );
+    console.log(`\n${command.summary}\n\nUsage: node doodi.js ${name} <command> [options]\n\nCommands:\n${lines.join("\n")}\n`);
+    return;
+  }
+
+  const sections = [
+    `\n${command.summary}`,
+    `Usage: node doodi.js ${name}${command.args ? ` ${command.args}` : ""} [options]`,
+  ];
+  if (command.options && command.options.length > 0) {
+    sections.push(`Options:\n${formatOptions(command.options)}`);
+  }
+  sections.push(`Global options:\n${formatOptions(GLOBAL_OPTIONS)}\n`);
+  console.log(sections.join("\n\n"));
+}
+
+/**
+ * Parse arguments, build the global context and run a command
+ * @param {Array<string>} argv - Arguments after `doodi`
+ */
+async function main(argv) {
+  const { name, command, rest } = findCommand(argv);
+
+  if (!command) {
+    if (name && !["--help", "-h", "help"].includes(name)) {
+      console.error(`❌ Unknown command: ${name}`);
+      showUsage();
+      process.exit(1);
+    }
+    showUsage();
+    return;
+  }
+
+  // Keep stdout clean for the JSON document, including for argument errors
+  const json = rest.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(rest, [...GLOBAL_OPTIONS, ...(command.options || [])]);
+  } catch (error) {
+    if (json) {
+      exitWithError("Invalid arguments", { json: name })(error);
+    }
+    console.error(`❌ ${error.message}`);
+    showCommandUsage(name, command);
+    process.exit(1);
+  }
+
+  const { positional, options } = parsed;
+  if (command.subcommands && positional.length > 0) {
+    console.error(`❌ Unknown command: ${name} ${positional[0]}`);
+    showCommandUsage(name, command);
+    process.exit(1);
+  }
+  if (options.help || command.subcommands) {
+    showCommandUsage(name, command);
+    process.exit(0);
+  }
+
+  const ctx = {
+    network: null,
+    walletPath: options.wallet || null,
+    tokenInfoPath: options.tokenInfo || null,
+    json,
+    yes: Boolean(options.yes),
+    priorityFee: null,
+  };
+
+  let result;
+  try {
+    if (options.network) {
+      ctx.network = parseNetwork(options.network);
+    }
+    if (options.priorityFee !== undefined) {
+      ctx.priorityFee = parsePriorityFee(options.priorityFee);
+    }
+
+    if (command.tokenRecord !== false) {
+      ctx.tokenInfoPath = resolveTokenInfoPath(ctx.tokenInfoPath, {
+        token: options.token || null,
+        network: ctx.network,
+      });
+    }
+
+    result = await command.run(ctx, positional, options);
+  } catch (error) {
+    exitWithError(`${name} failed`, { json: ctx.json ? name : null })(error);
+  }
+
+  if (ctx.json) {
+    writeJsonResult(name, result);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { COMMANDS, main };
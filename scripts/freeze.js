@@ -0,0 +1,598 @@
+const { PublicKey } = require("@solana/web3.js");
+const {
+  getMint,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  createFreezeAccountInstruction,
+  createThawAccountInstruction,
+  createSetAuthorityInstruction,
+  AuthorityType,
+} = require("@solana/spl-token");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const {
+  buildOfflineTransaction,
+  exportTransaction,
+} = require("./token-creation/offline-signing");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { formatTokenAmount } = require("./token-creation/amounts");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  InvalidAddressError,
+  TokenAccountNotFoundError,
+  NotFreezeAuthorityError,
+} = require("./token-creation/errors");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const { exitWithError, parsePriorityFee } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const {
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
+
+/**
+ * Load the token record, connection, signer and mint state shared by the
+ * freeze-authority operations
+ * @param {Object} options - Operation options (see freezeAccount)
+ * @returns {Promise<Object>} { tokenInfo, connection, networkConfig, mint, mintInfo, programId, walletKeypair, signerPublicKey }
+ */
+async function loadFreezeContext(options) {
+  const {
+    offline = null,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    keypair = null,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  // Offline mode never loads a private key: the authority signs elsewhere
+  const walletKeypair = offline ? null : keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm: options.confirm, logger }));
+  const signerPublicKey = offline
+    ? new PublicKey(offline.authority)
+    : walletKeypair.publicKey;
+
+  if (offline) {
+    logger.info(`✍️  Offline mode - authority ${signerPublicKey.toString()} will sign on another machine`);
+  } else {
+    logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+  }
+
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+
+  return {
+    tokenInfo,
+    connection,
+    networkConfig,
+    mint,
+    mintInfo,
+    programId,
+    walletKeypair,
+    signerPublicKey,
+  };
+}
+
+/**
+ * Check that the signer holds the mint's freeze authority
+ * @param {Object} mintInfo - Mint state
+ * @param {PublicKey} signerPublicKey - Signer
+ * @throws {NotFreezeAuthorityError} When the mint has no freeze authority or the signer is not it
+ */
+function assertFreezeAuthority(mintInfo, signerPublicKey) {
+  if (!mintInfo.freezeAuthority) {
+    throw new NotFreezeAuthorityError("This token has no freeze authority - accounts can never be frozen or thawed", {
+      signer: signerPublicKey.toString(),
+      freezeAuthority: null,
+    });
+  }
+  if (!mintInfo.freezeAuthority.equals(signerPublicKey)) {
+    throw new NotFreezeAuthorityError(
+      `Wallet ${signerPublicKey.toString()} is not the freeze authority (current authority: ${mintInfo.freezeAuthority.toString()})`,
+      { signer: signerPublicKey.toString(), freezeAuthority: mintInfo.freezeAuthority.toString() }
+    );
+  }
+}
+
+/**
+ * Find the token account to freeze or thaw. The address may be the token
+ * account itself or a wallet, in which case its associated token account
+ * is used.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @param {string} address - Token account or owner wallet address
+ * @param {PublicKey} programId - Token program
+ * @returns {Promise<Object>} Token account state
+ */
+async function resolveTokenAccount(connection, mint, address, programId) {
+  let target;
+  try {
+    target = new PublicKey(address);
+  } catch (error) {
+    throw new InvalidAddressError(`Invalid address: ${address}`, { address });
+  }
+
+  const accountInfo = await connection.getAccountInfo(target);
+  const tokenAccountAddress =
+    accountInfo && accountInfo.owner.equals(programId)
+      ? target
+      : getAssociatedTokenAddressSync(mint, target, true, programId);
+
+  let account;
+  try {
+    account = await getAccount(connection, tokenAccountAddress, "confirmed", programId);
+  } catch (error) {
+    throw new TokenAccountNotFoundError(`No token account for ${address}`, {
+      address,
+      tokenAccount: tokenAccountAddress.toString(),
+    });
+  }
+
+  if (!account.mint.equals(mint)) {
+    throw new TokenAccountNotFoundError(`${address} holds a different token (${account.mint.toString()})`, {
+      address,
+      tokenAccount: tokenAccountAddress.toString(),
+    });
+  }
+
+  return account;
+}
+
+/**
+ * Record a frozen or thawed account in the token info file
+ * @param {Object} tokenInfo - Token info record
+ * @param {Object} account - Token account state
+ * @param {boolean} frozen - Whether the account is now frozen
+ * @param {string|null} signature - Transaction that changed it (null when found on-chain)
+ */
+function recordAccountState(tokenInfo, account, frozen, signature) {
+  const address = account.address.toString();
+  const existing = (tokenInfo.frozenAccounts || []).find((entry) => entry.tokenAccount === address);
+  const frozenAccounts = (tokenInfo.frozenAccounts || []).filter(
+    (entry) => entry.tokenAccount !== address
+  );
+
+  if (frozen && existing && !signature) {
+    frozenAccounts.push(existing);
+  } else if (frozen) {
+    frozenAccounts.push({
+      tokenAccount: address,
+      owner: account.owner.toString(),
+      frozenAt: new Date().toISOString(),
+      freezeTransaction: signature,
+    });
+  }
+
+  tokenInfo.frozenAccounts = frozenAccounts;
+}
+
+/**
+ * Freeze or thaw a holder's token account
+ * @param {string} action - 'freeze' or 'thaw'
+ * @param {string} address - Token account or owner wallet address
+ * @param {Object} options - See freezeAccount
+ * @returns {Promise<Object>} Operation result
+ */
+async function setAccountFrozen(action, address, options) {
+  const {
+    offline = null,
+    tokenInfoPath = null,
+    token = null,
+    skipConfirmation = false,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+  const freeze = action === "freeze";
+
+  const context = await loadFreezeContext(options);
+  const { tokenInfo, connection, networkConfig, mint, mintInfo, programId, walletKeypair, signerPublicKey } =
+    context;
+
+  logger.info(`${freeze ? "🧊 Freezing" : "☀️  Thawing"} a ${tokenInfo.name} account...`);
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  const account = await resolveTokenAccount(connection, mint, address, programId);
+  const summary = {
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    tokenAccount: account.address.toString(),
+    owner: account.owner.toString(),
+    balance: formatTokenAmount(account.amount, mintInfo.decimals),
+  };
+
+  logger.info(`   Token Account: ${summary.tokenAccount}`);
+  logger.info(`   Owner: ${summary.owner}`);
+  logger.info(`   Balance: ${formatTokenAmount(account.amount, mintInfo.decimals, { grouping: true })} ${tokenInfo.symbol}`);
+
+  if (account.isFrozen === freeze) {
+    logger.info(`✅ Account is already ${freeze ? "frozen" : "thawed"}`);
+
+    // Record the state found on-chain (e.g. after an offline submit)
+    recordAccountState(tokenInfo, account, freeze, null);
+    saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+    return { status: freeze ? "already-frozen" : "already-thawed", ...summary };
+  }
+
+  assertFreezeAuthority(mintInfo, signerPublicKey);
+
+  const createInstruction = freeze ? createFreezeAccountInstruction : createThawAccountInstruction;
+  const instruction = createInstruction(account.address, mint, signerPublicKey, [], programId);
+
+  // Export an unsigned transaction for offline signing
+  if (offline) {
+    const { transaction, nonce } = await buildOfflineTransaction(connection, {
+      instructions: [instruction],
+      feePayer: signerPublicKey,
+      nonceAccount: new PublicKey(offline.nonceAccount),
+    });
+
+    exportTransaction(offline.outFile, transaction, {
+      network: tokenInfo.network,
+      operation: action,
+      description: `${freeze ? "Freeze" : "Thaw"} ${tokenInfo.symbol} account ${summary.tokenAccount} (owner ${summary.owner})`,
+      mintAddress: tokenInfo.mintAddress,
+      nonceAccount: offline.nonceAccount,
+      nonce,
+    });
+
+    logger.info(`\n✍️  Unsigned ${action} transaction exported to: ${offline.outFile}`);
+    logger.info(`   Next steps:`);
+    logger.info(`   1. node offline-tx.js sign ${offline.outFile} <freeze-authority-keypair>   (on the air-gapped machine)`);
+    logger.info(`   2. node offline-tx.js submit ${offline.outFile}`);
+    logger.info(`   3. node freeze.js ${action} ${address}   (records the change in the token info file)`);
+    return { status: "exported", ...summary, outFile: offline.outFile };
+  }
+
+  // Confirm action
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    if (freeze) {
+      logger.info(`\n⚠️  WARNING: The owner will not be able to transfer or burn from this account`);
+      logger.info(`   until the freeze authority thaws it.`);
+    }
+    confirmed = await confirm(`\nDo you want to ${action} this account? (yes/no): `);
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary };
+  }
+
+  logger.info(`\n${freeze ? "🧊 Freezing" : "☀️  Thawing"} account...`);
+  const transaction = await sendInstructions(connection, [instruction], [walletKeypair], {
+    priorityFee,
+    logger,
+  });
+  const { signature } = transaction;
+
+  logger.info(`✅ Account ${freeze ? "frozen" : "thawed"} successfully!`);
+  logger.info(`   Transaction: ${signature} (${transaction.confirmationStatus})`);
+
+  recordAccountState(tokenInfo, account, freeze, signature);
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+  logger.info("\n💾 Token info updated");
+
+  const opsLog = recordOperation({
+    type: action,
+    network: tokenInfo.network,
+    operator: signerPublicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { tokenAccount: summary.tokenAccount, owner: summary.owner },
+    transactions: [transaction],
+    before: { frozen: !freeze, balance: summary.balance },
+    after: { frozen: freeze, balance: summary.balance },
+  }, { logger });
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const explorerUrl = `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`;
+  logger.info(`\n🔗 ${explorerUrl}`);
+
+  return {
+    status: freeze ? "frozen" : "thawed",
+    ...summary,
+    signature,
+    transaction,
+    explorerUrl,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+/**
+ * Freeze a holder's token account so it cannot send or burn tokens
+ * @param {string} address - Token account or owner wallet address
+ * @param {Object} options - Additional options
+ * @param {Object|null} options.offline - Export an unsigned transaction instead of sending:
+ *   { outFile, nonceAccount, authority } where authority is the offline freeze authority address
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Freeze without prompting
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'frozen', 'already-frozen', 'exported' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidAddress, TokenAccountNotFound,
+ *   NotFreezeAuthority or a transaction-sender error
+ */
+function freezeAccount(address, options = {}) {
+  return setAccountFrozen("freeze", address, options);
+}
+
+/**
+ * Thaw a frozen token account
+ * @param {string} address - Token account or owner wallet address
+ * @param {Object} options - Same options as freezeAccount
+ * @returns {Promise<Object>} Result with status 'thawed', 'already-thawed', 'exported' or 'cancelled'
+ * @throws {DoodiError} Same errors as freezeAccount
+ */
+function thawAccount(address, options = {}) {
+  return setAccountFrozen("thaw", address, options);
+}
+
+/**
+ * Revoke the freeze authority so no account of the token can ever be
+ * frozen or thawed again
+ * @param {Object} options - Same options as freezeAccount
+ * @returns {Promise<Object>} Result with status 'revoked', 'already-revoked', 'exported' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, NotFreezeAuthority or a transaction-sender error
+ */
+async function revokeFreezeAuthority(options = {}) {
+  const {
+    offline = null,
+    tokenInfoPath = null,
+    token = null,
+    skipConfirmation = false,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  const context = await loadFreezeContext(options);
+  const { tokenInfo, connection, networkConfig, mint, mintInfo, programId, walletKeypair, signerPublicKey } =
+    context;
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress };
+
+  logger.info(`🔒 Revoking freeze authority for ${tokenInfo.name}...`);
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  if (!mintInfo.freezeAuthority) {
+    logger.info("✅ Freeze authority is already null - accounts can never be frozen");
+
+    // Update token info file
+    tokenInfo.freezeAuthority = null;
+    saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+    return { status: "already-revoked", ...summary };
+  }
+
+  assertFreezeAuthority(mintInfo, signerPublicKey);
+
+  const frozenAccounts = tokenInfo.frozenAccounts || [];
+  summary.frozenAccounts = frozenAccounts.map((entry) => entry.tokenAccount);
+
+  const revokeInstruction = createSetAuthorityInstruction(
+    mint,
+    signerPublicKey,
+    AuthorityType.FreezeAccount,
+    null, // Set to null to remove authority
+    [],
+    programId
+  );
+
+  // Export an unsigned transaction for offline signing
+  if (offline) {
+    const { transaction, nonce } = await buildOfflineTransaction(connection, {
+      instructions: [revokeInstruction],
+      feePayer: signerPublicKey,
+      nonceAccount: new PublicKey(offline.nonceAccount),
+    });
+
+    exportTransaction(offline.outFile, transaction, {
+      network: tokenInfo.network,
+      operation: "revoke-freeze-authority",
+      description: `Revoke freeze authority of ${tokenInfo.symbol} (${mint.toString()}) - IRREVERSIBLE`,
+      mintAddress: tokenInfo.mintAddress,
+      nonceAccount: offline.nonceAccount,
+      nonce,
+    });
+
+    logger.info(`\n✍️  Unsigned revoke transaction exported to: ${offline.outFile}`);
+    logger.info(`   Next steps:`);
+    logger.info(`   1. node offline-tx.js sign ${offline.outFile} <freeze-authority-keypair>   (on the air-gapped machine)`);
+    logger.info(`   2. node offline-tx.js submit ${offline.outFile}   (records the revocation in the token info file)`);
+    return { status: "exported", ...summary, outFile: offline.outFile };
+  }
+
+  // Confirm action
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n⚠️  WARNING: This action is IRREVERSIBLE!`);
+    logger.info(`🔒 Revoking freeze authority means no account can ever be frozen or thawed again.`);
+    if (frozenAccounts.length > 0) {
+      logger.warn(`⚠️  ${frozenAccounts.length} recorded account(s) are frozen and will stay frozen FOREVER:`);
+      frozenAccounts.forEach((entry) => {
+        logger.warn(`   • ${entry.tokenAccount} (owner ${entry.owner})`);
+      });
+    }
+
+    confirmed = await confirm("\nDo you want to revoke freeze authority? (yes/no): ");
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary };
+  }
+
+  logger.info("\n🔒 Revoking freeze authority...");
+  const transaction = await sendInstructions(connection, [revokeInstruction], [walletKeypair], {
+    priorityFee,
+    logger,
+  });
+  const { signature } = transaction;
+
+  logger.info(`✅ Freeze authority revoked successfully!`);
+  logger.info(`   Transaction: ${signature} (${transaction.confirmationStatus})`);
+
+  // Update token info file
+  tokenInfo.freezeAuthority = null;
+  tokenInfo.freezeAuthorityRevokedAt = new Date().toISOString();
+  tokenInfo.revokeFreezeTransaction = signature;
+
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+  logger.info("\n💾 Token info updated");
+
+  const opsLog = recordOperation({
+    type: "revoke-freeze-authority",
+    network: tokenInfo.network,
+    operator: signerPublicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: {},
+    transactions: [transaction],
+    before: { freezeAuthority: mintInfo.freezeAuthority.toString(), frozenAccounts: summary.frozenAccounts },
+    after: { freezeAuthority: null },
+  }, { logger });
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const explorerUrl = `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`;
+  logger.info(`\n🔗 Revoke Transaction: ${explorerUrl}`);
+
+  return {
+    status: "revoked",
+    ...summary,
+    signature,
+    transaction,
+    explorerUrl,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🧊 Freeze Authority Script
+
+Freeze and thaw holder token accounts, or permanently revoke the freeze authority.
+Only tokens created with a freeze authority (create --freeze-authority) support this.
+
+Usage: node freeze.js freeze <address> [options]
+       node freeze.js thaw <address> [options]
+       node freeze.js revoke-freeze-authority [options]
+
+Arguments:
+  address             Token account, or a wallet whose associated token account is used
+
+Options:
+  --offline <file>    Export an unsigned transaction instead of sending (requires --nonce, --authority)
+  --nonce <address>   Durable nonce account for --offline (see offline-tx.js create-nonce)
+  --authority <addr>  Freeze authority address that will sign offline
+  --token <selector>  Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --priority-fee <auto|micro-lamports>
+                      Priority fee per compute unit [default: auto, from recent fees]
+  --json              Print the result as JSON on stdout (logs go to stderr)
+  --help, -h          Show this help message
+
+Requirements:
+  - doodi-token-info.json file must exist
+  - Wallet must be the current freeze authority
+
+⚠️  WARNING: revoke-freeze-authority is IRREVERSIBLE - accounts that are still
+   frozen stay frozen forever.
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [command, address] = args;
+
+  if (args.includes("--help") || args.includes("-h") || !command) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  let offline = null;
+  if (args.includes("--offline")) {
+    offline = {
+      outFile: optionValue("--offline"),
+      nonceAccount: optionValue("--nonce"),
+      authority: optionValue("--authority"),
+    };
+    if (!offline.outFile || !offline.nonceAccount || !offline.authority) {
+      console.error("❌ --offline requires <file>, --nonce <address> and --authority <address>");
+      showUsage();
+      process.exit(1);
+    }
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let priorityFee = null;
+  try {
+    priorityFee = args.includes("--priority-fee") ? parsePriorityFee(optionValue("--priority-fee")) : null;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  let run;
+  if (command === "freeze" || command === "thaw") {
+    if (!address || address.startsWith("--")) {
+      console.error(`❌ ${command} requires a token account or wallet address`);
+      showUsage();
+      process.exit(1);
+    }
+    const operation = command === "freeze" ? freezeAccount : thawAccount;
+    run = operation(address, { offline, priorityFee, token: optionValue("--token") });
+  } else if (command === "revoke-freeze-authority") {
+    run = revokeFreezeAuthority({ offline, priorityFee, token: optionValue("--token") });
+  } else {
+    console.error(`❌ Unknown command: ${command}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  run
+    .then((result) => {
+      if (json) {
+        writeJsonResult(command, result);
+      }
+    })
+    .catch(exitWithError(`${command} failed`, { json: json ? command : null }));
+}
+
+module.exports = { freezeAccount, thawAccount, revokeFreezeAuthority };
@@ -0,0 +1,72 @@
+/**
+ * Library entry point. The script functions take a connection, keypair,
+ * logger and confirm callback through their options, throw the typed errors
+ * below instead of exiting, and resolve to a result object with a `status`
+ * ("created", "burned", "revoked", "cancelled", ...).
+ */
+const { createToken } = require("./token-creation/token-core");
+const { burnTokens, approveBurnDelegate } = require("./burn-tokens");
+const { runCampaign, showCampaignStatus, showBurnReport } = require("./burn-campaign");
+const { airdrop } = require("./airdrop");
+const { revokeMintAuthority } = require("./revoke-mint-authority");
+const { freezeAccount, thawAccount, revokeFreezeAuthority } = require("./freeze");
+const {
+  createTokenMultisig,
+  transferMintAuthority: transferMintAuthorityToMultisig,
+  proposeMint,
+} = require("./multisig");
+const {
+  createNonce,
+  signTransaction,
+  submitTransaction,
+  inspectTransaction,
+} = require("./offline-tx");
+const { updateMetadata, makeMetadataImmutable } = require("./update-metadata");
+const { validateMetadataCommand: validateMetadata } = require("./validate-metadata");
+const { snapshotHolders } = require("./snapshot");
+const { listTokens, migrateTokenInfo } = require("./tokens");
+const { auditToken } = require("./audit");
+const { showHistory, verifyOpsLog } = require("./ops-log");
+const { fundVesting, releaseVested, showVestingStatus } = require("./vesting");
+const { createPool } = require("./create-pool");
+const { importKeystore, exportKeystore } = require("./wallet");
+const { runPlan } = require("./plan");
+const errors = require("./token-creation/errors");
+
+module.exports = {
+  createToken,
+  burnTokens,
+  approveBurnDelegate,
+  runCampaign,
+  showCampaignStatus,
+  showBurnReport,
+  airdrop,
+  revokeMintAuthority,
+  freezeAccount,
+  thawAccount,
+  revokeFreezeAuthority,
+  createTokenMultisig,
+  transferMintAuthorityToMultisig,
+  proposeMint,
+  createNonce,
+  signTransaction,
+  submitTransaction,
+  inspectTransaction,
+  updateMetadata,
+  makeMetadataImmutable,
+  validateMetadata,
+  snapshotHolders,
+  listTokens,
+  migrateTokenInfo,
+  auditToken,
+  showHistory,
+  verifyOpsLog,
+  fundVesting,
+  releaseVested,
+  showVestingStatus,
+  createPool,
+  importKeystore,
+  exportKeystore,
+  runPlan,
+  ...errors,
+};
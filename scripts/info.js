@@ -0,0 +1,145 @@
+const { PublicKey } = require("@solana/web3.js");
+const { getMint } = require("@solana/spl-token");
+const { createConnection, getNetworkConfig } = require("./token-creation/network-config");
+const {
+  getTokenProgramId,
+  getTokenProgramName,
+} = require("./token-creation/token-program");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const { formatTokenAmount } = require("./token-creation/amounts");
+const { TokenInfoNotFoundError } = require("./token-creation/errors");
+const { exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/**
+ * Show the recorded token info next to the live mint state
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.network - Only consider registry records on this network
+ * @param {Object} options.connection - Connection to use [default: from the token network]
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} { network, mintAddress, explorerUrl, tokenInfo, onChain, warnings }
+ * @throws {TokenInfoNotFoundError} When there is no token info record
+ */
+async function showTokenInfo(options = {}) {
+  const { tokenInfoPath = null, token = null, network = null, logger = console } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  logger.info(`🪙 ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+  if (tokenInfo.metadataAccount) {
+    logger.info(`   Metadata Account: ${tokenInfo.metadataAccount}`);
+  }
+  if (tokenInfo.creatorTokenAccount) {
+    logger.info(`   Creator Token Account: ${tokenInfo.creatorTokenAccount}`);
+  }
+
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+
+  const onChain = {
+    tokenProgram: getTokenProgramName(programId),
+    decimals: mintInfo.decimals,
+    supply: formatTokenAmount(mintInfo.supply, mintInfo.decimals),
+    rawSupply: mintInfo.supply.toString(),
+    mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null,
+    freezeAuthority: mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toString() : null,
+  };
+
+  logger.info(`\n📊 On-chain mint:`);
+  logger.info(`   • Token Program: ${onChain.tokenProgram}`);
+  logger.info(`   • Decimals: ${onChain.decimals}`);
+  logger.info(`   • Current Supply: ${formatTokenAmount(mintInfo.supply, mintInfo.decimals, { grouping: true })} ${tokenInfo.symbol}`);
+  logger.info(`   • Mint Authority: ${onChain.mintAuthority || "None (Revoked)"}`);
+  logger.info(`   • Freeze Authority: ${onChain.freezeAuthority || "None"}`);
+
+  const warnings = [];
+  if ((tokenInfo.mintAuthority || null) !== onChain.mintAuthority) {
+    const warning = `Token info records mint authority ${tokenInfo.mintAuthority || "None"}`;
+    warnings.push(warning);
+    logger.warn(`   ⚠️  ${warning}`);
+  }
+
+  if (
+    tokenInfo.freezeAuthority !== undefined &&
+    (tokenInfo.freezeAuthority || null) !== onChain.freezeAuthority
+  ) {
+    const warning = `Token info records freeze authority ${tokenInfo.freezeAuthority || "None"}`;
+    warnings.push(warning);
+    logger.warn(`   ⚠️  ${warning}`);
+  }
+  if (tokenInfo.frozenAccounts && tokenInfo.frozenAccounts.length > 0) {
+    logger.info(`   • Frozen accounts (recorded): ${tokenInfo.frozenAccounts.length}`);
+  }
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const explorerUrl = `${networkConfig.explorerUrl}/address/${tokenInfo.mintAddress}${clusterParam}`;
+  logger.info(`\n🔗 ${explorerUrl}`);
+
+  return {
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    explorerUrl,
+    tokenInfo,
+    onChain,
+    warnings,
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🪙 Token Info Script
+
+Show the recorded token info next to the live on-chain mint state.
+
+Usage: node info.js [options]
+
+Options:
+  --token <selector>    Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --token-info <path>   Token info file [default: ./doodi-token-info.json]
+  --json                Print the result as JSON on stdout (logs go to stderr)
+  --help, -h            Show this help message
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+  const tokenInfoPath = optionValue("--token-info");
+  const token = optionValue("--token");
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  showTokenInfo({ tokenInfoPath, token })
+    .then((result) => {
+      if (json) {
+        writeJsonResult("info", result);
+      }
+    })
+    .catch(exitWithError("Failed to load token info", { json: json ? "info" : null }));
+}
+
+module.exports = { showTokenInfo };
@@ -0,0 +1,684 @@
+const { Keypair, PublicKey, SystemProgram } = require("@solana/web3.js");
+const {
+  MULTISIG_SIZE,
+  getMinimumBalanceForRentExemptMultisig,
+  createInitializeMultisigInstruction,
+  createSetAuthorityInstruction,
+  getMultisig,
+  getMint,
+  AuthorityType,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToCheckedInstruction,
+} = require("@solana/spl-token");
+const {
+  createUpdateMetadataAccountV2Instruction,
+} = require("@metaplex-foundation/mpl-token-metadata");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const { TOKEN_CONFIG } = require("./token-creation/token-config");
+const {
+  buildOfflineTransaction,
+  exportTransaction,
+} = require("./token-creation/offline-signing");
+const {
+  resolveSupplyCap,
+  createSupplyGuard,
+} = require("./token-creation/supply-guard");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const {
+  parseTokenAmount,
+  formatTokenAmount,
+} = require("./token-creation/amounts");
+const {
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  InvalidArgumentError,
+  InvalidAddressError,
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  NotMintAuthorityError,
+} = require("./token-creation/errors");
+const {
+  parseAddress,
+  parseAmount,
+  parsePositiveInt,
+  exitWithError,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const { signTransaction } = require("./offline-tx");
+
+const MAX_MULTISIG_SIGNERS = 11;
+
+/**
+ * Load the token record a multisig operation works on
+ * @param {string|null} tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {Object} selection - Registry selection: { token, network }
+ * @returns {Object} Parsed token info
+ * @throws {DoodiError} TokenInfoNotFound or NetworkMismatch
+ */
+function requireTokenInfo(tokenInfoPath = null, selection = {}) {
+  const { token = null, network = null } = selection;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+  return tokenInfo;
+}
+
+/**
+ * Parse an address argument
+ * @param {string} address - Base58 address
+ * @param {string} label - What the address is, for the error message
+ * @returns {PublicKey} Public key
+ * @throws {InvalidAddressError} When the address is not a valid public key
+ */
+function toPublicKey(address, label) {
+  try {
+    return new PublicKey(address);
+  } catch (error) {
+    throw new InvalidAddressError(`Invalid ${label}: ${address}`, { address });
+  }
+}
+
+/**
+ * Create an SPL Token multisig account with M-of-N signers
+ * @param {number} m - Required number of signatures
+ * @param {Array<string>} signerAddresses - Signer addresses (N)
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Payer wallet file (defaults to the configured wallet)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Payer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'created', the multisig address and its signers
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidAddress, InvalidArgument
+ *   or a transaction-sender error
+ */
+async function createTokenMultisig(m, signerAddresses, options = {}) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+    network: expectedNetwork = null,
+  } = options;
+
+  const tokenInfo = requireTokenInfo(tokenInfoPath, { token, network: expectedNetwork });
+  const network = tokenInfo.network;
+
+  const signers = signerAddresses.map((address) => toPublicKey(address, "signer address"));
+
+  if (new Set(signers.map((s) => s.toString())).size !== signers.length) {
+    throw new InvalidArgumentError("Signer list contains duplicates", { signers: signerAddresses });
+  }
+
+  if (signers.length < 1 || signers.length > MAX_MULTISIG_SIGNERS) {
+    throw new InvalidArgumentError(`A multisig needs between 1 and ${MAX_MULTISIG_SIGNERS} signers`, {
+      n: signers.length,
+    });
+  }
+
+  if (m < 1 || m > signers.length) {
+    throw new InvalidArgumentError(`Threshold must be between 1 and ${signers.length}`, { m });
+  }
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(network);
+  const connection = options.connection || createConnection(network);
+  const walletKeypair =
+    keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+
+  logger.info(`👥 Creating ${m}-of-${signers.length} SPL Token multisig on ${networkConfig.name}...`);
+  logger.info(`👛 Payer: ${walletKeypair.publicKey.toString()}`);
+  signers.forEach((signer, i) => {
+    logger.info(`   ${i + 1}. ${signer.toString()}`);
+  });
+
+  // The multisig must be owned by the same program as the mint it will control
+  const programId = await getTokenProgramId(
+    connection,
+    new PublicKey(tokenInfo.mintAddress)
+  );
+  const multisigKeypair = Keypair.generate();
+  const multisig = multisigKeypair.publicKey;
+  const lamports = await getMinimumBalanceForRentExemptMultisig(connection);
+  const transaction = await sendInstructions(
+    connection,
+    [
+      SystemProgram.createAccount({
+        fromPubkey: walletKeypair.publicKey,
+        newAccountPubkey: multisig,
+        space: MULTISIG_SIZE,
+        lamports,
+        programId,
+      }),
+      createInitializeMultisigInstruction(multisig, signers, m, programId),
+    ],
+    [walletKeypair, multisigKeypair],
+    { priorityFee, logger }
+  );
+
+  logger.info(`\n✅ Multisig created: ${multisig.toString()}`);
+
+  const opsLog = recordOperation({
+    type: "create-multisig",
+    network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { m, signers: signers.map((signer) => signer.toString()) },
+    transactions: [transaction],
+    before: null,
+    after: { multisig: multisig.toString() },
+  }, { logger });
+  logger.info(`\n💡 Hand over mint authority with:`);
+  logger.info(`   node multisig.js transfer-mint-authority ${multisig.toString()}`);
+
+  return {
+    status: "created",
+    network,
+    mintAddress: tokenInfo.mintAddress,
+    multisig: multisig.toString(),
+    m,
+    n: signers.length,
+    signers: signers.map((signer) => signer.toString()),
+    signature: transaction.signature,
+    transaction,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+/**
+ * Transfer mint authority (and optionally metadata update authority) away
+ * from the hot wallet to an SPL Token multisig
+ * @param {string} multisigAddress - Multisig account address
+ * @param {string|null} metadataAuthority - New metadata update authority address
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Transfer without prompting
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'transferred' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidAddress, InvalidArgument,
+ *   NotMintAuthority or a transaction-sender error
+ */
+async function transferMintAuthority(multisigAddress, metadataAuthority = null, options = {}) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    skipConfirmation = false,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = requireTokenInfo(tokenInfoPath, { token, network });
+
+  if (!tokenInfo.mintAuthority) {
+    throw new NotMintAuthorityError("Mint authority already revoked for this token - nothing to transfer", {
+      mintAddress: tokenInfo.mintAddress,
+    });
+  }
+
+  const multisig = toPublicKey(multisigAddress, "multisig address");
+  const newMetadataAuthority = metadataAuthority ? toPublicKey(metadataAuthority, "metadata authority") : null;
+
+  // An SPL Token multisig cannot sign Metaplex instructions, so it would
+  // permanently lock metadata updates
+  if (newMetadataAuthority && newMetadataAuthority.equals(multisig)) {
+    throw new InvalidArgumentError(
+      "An SPL Token multisig cannot sign metadata updates - use a separate update authority " +
+        "(e.g. a program-based multisig vault)",
+      { metadataAuthority }
+    );
+  }
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const walletKeypair =
+    keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+  const mint = new PublicKey(tokenInfo.mintAddress);
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress, multisig: multisig.toString() };
+
+  logger.info(`👥 Transferring mint authority for ${tokenInfo.name}...`);
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+  logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+
+  // Verify current mint authority
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  if (!mintInfo.mintAuthority || !mintInfo.mintAuthority.equals(walletKeypair.publicKey)) {
+    throw new NotMintAuthorityError(
+      `Wallet ${walletKeypair.publicKey.toString()} is not the mint authority ` +
+        `(current authority: ${mintInfo.mintAuthority?.toString() || "None (Revoked)"})`,
+      {
+        signer: walletKeypair.publicKey.toString(),
+        mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null,
+      }
+    );
+  }
+
+  // Verify the multisig exists and is initialized
+  let multisigInfo;
+  try {
+    multisigInfo = await getMultisig(connection, multisig, "confirmed", programId);
+  } catch (error) {
+    throw new InvalidAddressError(`${multisigAddress} is not an SPL Token multisig account`, {
+      address: multisigAddress,
+    });
+  }
+
+  const signerSet = [
+    multisigInfo.signer1,
+    multisigInfo.signer2,
+    multisigInfo.signer3,
+    multisigInfo.signer4,
+    multisigInfo.signer5,
+    multisigInfo.signer6,
+    multisigInfo.signer7,
+    multisigInfo.signer8,
+    multisigInfo.signer9,
+    multisigInfo.signer10,
+    multisigInfo.signer11,
+  ]
+    .slice(0, multisigInfo.n)
+    .map((signer) => signer.toString());
+
+  logger.info(`\n👥 Multisig ${multisig.toString()} (${multisigInfo.m}-of-${multisigInfo.n}):`);
+  signerSet.forEach((signer, i) => {
+    logger.info(`   ${i + 1}. ${signer}`);
+  });
+
+  logger.info(`\n⚠️  WARNING: The wallet will no longer be able to mint on its own.`);
+  logger.info(`   Every future mint needs ${multisigInfo.m} of ${multisigInfo.n} signatures.`);
+  if (metadataAuthority) {
+    logger.info(`   Metadata update authority moves to: ${metadataAuthority}`);
+  }
+
+  const confirmed =
+    skipConfirmation ||
+    (await confirm(
+      "\nDo you want to transfer mint authority to the multisig? (yes/no): "
+    ));
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary };
+  }
+
+  logger.info("\n👥 Transferring mint authority...");
+  const transaction = await sendInstructions(
+    connection,
+    [
+      createSetAuthorityInstruction(
+        mint,
+        walletKeypair.publicKey,
+        AuthorityType.MintTokens,
+        multisig,
+        [],
+        programId
+      ),
+    ],
+    [walletKeypair],
+    { priorityFee, logger }
+  );
+  const { signature } = transaction;
+  const transactions = [transaction];
+  logger.info(`✅ Mint authority transferred. Transaction: ${signature}`);
+
+  let metadataSignature = null;
+  if (newMetadataAuthority) {
+    logger.info("\n📝 Transferring metadata update authority...");
+    const instruction = createUpdateMetadataAccountV2Instruction(
+      {
+        metadata: new PublicKey(tokenInfo.metadataAccount),
+        updateAuthority: walletKeypair.publicKey,
+      },
+      {
+        updateMetadataAccountArgsV2: {
+          data: null,
+          updateAuthority: newMetadataAuthority,
+          primarySaleHappened: null,
+          isMutable: null,
+        },
+      }
+    );
+    const sent = await sendInstructions(connection, [instruction], [walletKeypair], { priorityFee, logger });
+    metadataSignature = sent.signature;
+    transactions.push(sent);
+    logger.info(`✅ Metadata update authority transferred. Transaction: ${metadataSignature}`);
+  }
+
+  // Update token info file
+  tokenInfo.mintAuthority = multisig.toString();
+  tokenInfo.mintAuthorityMultisig = {
+    address: multisig.toString(),
+    m: multisigInfo.m,
+    n: multisigInfo.n,
+    signers: signerSet,
+  };
+  tokenInfo.mintAuthorityTransferredAt = new Date().toISOString();
+  tokenInfo.mintAuthorityTransferTransaction = signature;
+  if (metadataAuthority) {
+    tokenInfo.metadataUpdateAuthority = metadataAuthority;
+    tokenInfo.metadataAuthorityTransferTransaction = metadataSignature;
+  }
+
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+  logger.info("\n💾 Token info updated");
+
+  const opsLog = recordOperation({
+    type: "transfer-mint-authority",
+    network: tokenInfo.network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { multisig: multisig.toString(), metadataAuthority },
+    transactions,
+    before: { mintAuthority: walletKeypair.publicKey.toString() },
+    after: {
+      mintAuthority: multisig.toString(),
+      multisig: tokenInfo.mintAuthorityMultisig,
+      ...(metadataAuthority && { metadataUpdateAuthority: metadataAuthority }),
+    },
+  }, { logger });
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info("\n🔗 View on Solana Explorer:");
+  logger.info(`   Transfer Transaction: ${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`);
+
+  return {
+    status: "transferred",
+    ...summary,
+    metadataUpdateAuthority: metadataAuthority,
+    signature,
+    metadataSignature,
+    transactions,
+    explorerUrl: `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+/**
+ * Build an unsigned multisig mint transaction for the signers to co-sign
+ * @param {string} recipient - Recipient wallet address
+ * @param {string} amount - Amount to mint (decimal string in UI units)
+ * @param {Object} options - Proposal options
+ * @param {string} options.nonceAccount - Durable nonce account
+ * @param {string} options.outFile - Where to write the proposal
+ * @param {string|null} options.feePayer - Fee payer address (defaults to the first signer)
+ * @param {Array<string>|null} options.signers - Which multisig signers will co-sign (defaults to the first M)
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'proposed' and the proposal file
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, NotMintAuthority, InvalidAddress,
+ *   InvalidArgument, InvalidAmount or SupplyCapExceeded
+ */
+async function proposeMint(recipient, amount, options = {}) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = requireTokenInfo(tokenInfoPath, { token, network });
+
+  if (!tokenInfo.mintAuthorityMultisig) {
+    throw new NotMintAuthorityError("Mint authority is not held by a multisig - see transfer-mint-authority", {
+      mintAddress: tokenInfo.mintAddress,
+    });
+  }
+
+  const { address, m, signers: signerSet } = tokenInfo.mintAuthorityMultisig;
+  const multisig = new PublicKey(address);
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  const cosigners = options.signers || signerSet.slice(0, m);
+  if (cosigners.length < m || cosigners.some((s) => !signerSet.includes(s))) {
+    throw new InvalidArgumentError(`Choose at least ${m} signers from the multisig signer set`, {
+      signers: cosigners,
+      signerSet,
+    });
+  }
+
+  const recipientOwner = toPublicKey(recipient, "recipient");
+
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  if (!mintInfo.mintAuthority || !mintInfo.mintAuthority.equals(multisig)) {
+    throw new NotMintAuthorityError(
+      `On-chain mint authority ${mintInfo.mintAuthority?.toString() || "None (Revoked)"} ` +
+        `does not match the recorded multisig ${address}`,
+      { mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null, multisig: address }
+    );
+  }
+
+  const rawAmount = parseTokenAmount(amount, mintInfo.decimals);
+  const displayAmount = formatTokenAmount(rawAmount, mintInfo.decimals, { grouping: true });
+
+  // Same cap enforcement as direct mints
+  const supplyGuard = createSupplyGuard(connection, mint, resolveSupplyCap(tokenInfo));
+  await supplyGuard.assertCanMint(rawAmount);
+
+  const feePayer = options.feePayer ? toPublicKey(options.feePayer, "fee payer") : new PublicKey(cosigners[0]);
+  const destination = getAssociatedTokenAddressSync(mint, recipientOwner, true, programId);
+
+  const { transaction, nonce } = await buildOfflineTransaction(connection, {
+    instructions: [
+      createAssociatedTokenAccountIdempotentInstruction(
+        feePayer,
+        destination,
+        recipientOwner,
+        mint,
+        programId
+      ),
+      createMintToCheckedInstruction(
+        mint,
+        destination,
+        multisig,
+        rawAmount,
+        mintInfo.decimals,
+        cosigners.map((s) => new PublicKey(s)),
+        programId
+      ),
+    ],
+    feePayer,
+    nonceAccount: toPublicKey(options.nonceAccount, "nonce account"),
+  });
+
+  exportTransaction(options.outFile, transaction, {
+    network: tokenInfo.network,
+    operation: "multisig-mint",
+    description: `Mint ${displayAmount} ${TOKEN_CONFIG.symbol} to ${recipient} via ${m}-of-${signerSet.length} multisig`,
+    mintAddress: tokenInfo.mintAddress,
+    nonceAccount: options.nonceAccount,
+    nonce,
+  });
+
+  logger.info(`📝 Mint proposal created: ${options.outFile}`);
+  logger.info(`   • Amount: ${displayAmount} ${TOKEN_CONFIG.symbol}`);
+  logger.info(`   • Recipient: ${recipient}`);
+  logger.info(`   • Co-signers: ${cosigners.join(", ")}`);
+  logger.info(`   • Fee payer: ${feePayer.toString()}`);
+  logger.info(`\n📋 Next Steps:`);
+  logger.info(`   • Each co-signer runs: node multisig.js co-sign ${options.outFile} <keypair>`);
+  logger.info(`   • Then broadcast with: node offline-tx.js submit ${options.outFile}`);
+
+  return {
+    status: "proposed",
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    outFile: options.outFile,
+    amount: formatTokenAmount(rawAmount, mintInfo.decimals),
+    rawAmount: rawAmount.toString(),
+    recipient,
+    cosigners,
+    feePayer: feePayer.toString(),
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+👥 Multisig Mint Authority Script
+
+Hand mint authority to an SPL Token M-of-N multisig and mint through it.
+
+Usage: node multisig.js <command> [arguments]
+
+Commands:
+  create <m> <signer1,signer2,...>
+                           Create an M-of-N SPL Token multisig (max ${MAX_MULTISIG_SIGNERS} signers)
+  transfer-mint-authority <multisig> [--metadata-authority <address>]
+                           Move mint authority from the wallet to the multisig
+  propose-mint <recipient> <amount> --nonce <nonce> --out <file> [--fee-payer <address>] [--signers a,b]
+                           Build an unsigned mint transaction for the co-signers
+  co-sign <file> <keypair> Add one signer's signature to a proposal
+
+Options:
+  --token <selector>       Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --yes                    Skip confirmation prompts
+  --json                   Print the result as JSON on stdout (logs go to stderr)
+
+Examples:
+  node multisig.js create 2 <addr1>,<addr2>,<addr3>
+  node multisig.js transfer-mint-authority <multisig>
+  node multisig.js propose-mint <recipient> 50000 --nonce <nonce> --out mint.json
+  node multisig.js co-sign mint.json ~/signer1.json
+  node offline-tx.js submit mint.json
+
+⚠️  IMPORTANT WARNINGS:
+  • After transfer the wallet can no longer mint alone
+  • SPL Token multisigs cannot sign Metaplex metadata updates - give metadata
+    update authority to a separate address with --metadata-authority
+  • Mints proposed through the multisig still respect the supply cap
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const commands = {
+    create: {
+      label: "Failed to create multisig",
+      run: () => {
+        const signers = (args[2] || "").split(",").filter(Boolean);
+        if (signers.length === 0) {
+          throw new InvalidArgumentError("Usage: node multisig.js create <m> <signer1,signer2,...>");
+        }
+        return createTokenMultisig(parsePositiveInt(args[1], "threshold"), signers, {
+          token: optionValue("--token"),
+        });
+      },
+    },
+    "transfer-mint-authority": {
+      label: "Failed to transfer mint authority",
+      run: () =>
+        transferMintAuthority(
+          parseAddress(args[1], "multisig address"),
+          optionValue("--metadata-authority"),
+          { token: optionValue("--token"), skipConfirmation: args.includes("--yes") }
+        ),
+    },
+    "propose-mint": {
+      label: "Failed to create mint proposal",
+      run: () => {
+        const outFile = optionValue("--out");
+        if (!outFile) {
+          throw new InvalidArgumentError("--out <file> is required");
+        }
+        const signers = optionValue("--signers");
+        return proposeMint(parseAddress(args[1], "recipient"), parseAmount(args[2]), {
+          nonceAccount: parseAddress(optionValue("--nonce"), "--nonce"),
+          outFile,
+          feePayer: optionValue("--fee-payer"),
+          signers: signers ? signers.split(",") : null,
+          token: optionValue("--token"),
+        });
+      },
+    },
+    "co-sign": {
+      label: "Failed to sign transaction",
+      run: () => {
+        if (!args[1] || !args[2]) {
+          throw new InvalidArgumentError("Usage: node multisig.js co-sign <file> <keypair>");
+        }
+        return signTransaction(args[1], args[2], null, { skipConfirmation: args.includes("--yes") });
+      },
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+  const jsonCommand = json ? `multisig ${command}` : null;
+
+  Promise.resolve()
+    .then(commands[command].run)
+    .then((result) => {
+      if (json) {
+        writeJsonResult(`multisig ${command}`, result);
+      }
+    })
+    .catch(exitWithError(commands[command].label, { json: jsonCommand }));
+}
+
+module.exports = {
+  createTokenMultisig,
+  transferMintAuthority,
+  proposeMint,
+};
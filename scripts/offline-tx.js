@@ -0,0 +1,493 @@
+const { PublicKey } = require("@solana/web3.js");
+const { getMint } = require("@solana/spl-token");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const {
+  createNonceAccount,
+  loadExportedTransaction,
+  signExportedTransaction,
+  submitExportedTransaction,
+} = require("./token-creation/offline-signing");
+const { recordOperation } = require("./token-creation/ops-log");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { formatTokenAmount } = require("./token-creation/amounts");
+const {
+  listTokenRecords,
+  resolveTokenInfoPath,
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  InvalidArgumentError,
+  InvalidAddressError,
+  TokenInfoNotFoundError,
+  TransactionFailedError,
+} = require("./token-creation/errors");
+const { parseNetwork, exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/**
+ * Print a human-readable summary of an exported transaction
+ * @param {Object} envelope - Transaction envelope
+ * @param {Transaction} transaction - Deserialized transaction
+ * @param {Object} logger - Logger with info/warn/error
+ */
+function printTransactionSummary(envelope, transaction, logger) {
+  logger.info(`   • Operation: ${envelope.operation}`);
+  logger.info(`   • Description: ${envelope.description}`);
+  logger.info(`   • Network: ${envelope.network}`);
+  logger.info(`   • Nonce Account: ${envelope.nonceAccount}`);
+  logger.info(`   • Fee Payer: ${transaction.feePayer.toString()}`);
+  logger.info(`   • Instructions:`);
+  transaction.instructions.forEach((instruction, i) => {
+    logger.info(`     ${i + 1}. Program ${instruction.programId.toString()}`);
+  });
+  logger.info(`   • Required signers:`);
+  envelope.requiredSigners.forEach((signer) => {
+    const signed = transaction.signatures.some(
+      (s) => s.publicKey.toString() === signer && s.signature !== null
+    );
+    logger.info(`     ${signed ? "✅" : "⏳"} ${signer}`);
+  });
+}
+
+/**
+ * Read the mint fields an offline operation can change
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @returns {Promise<Object>} { supply, rawSupply, mintAuthority, freezeAuthority }
+ */
+async function readMintState(connection, mint) {
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  return {
+    supply: formatTokenAmount(mintInfo.supply, mintInfo.decimals),
+    rawSupply: mintInfo.supply.toString(),
+    mintAuthority: mintInfo.mintAuthority ? mintInfo.mintAuthority.toString() : null,
+    freezeAuthority: mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toString() : null,
+  };
+}
+
+/**
+ * Find the token record for the mint an envelope operates on
+ * @param {Object} envelope - Transaction envelope
+ * @param {string|null} tokenInfoPath - Token info file (bypasses the registry)
+ * @returns {Object|null} { tokenInfo, recordPath }, or null when no record describes the mint
+ */
+function findTokenRecord(envelope, tokenInfoPath) {
+  let recordPath;
+  try {
+    // While the registry is empty the legacy file is the only candidate
+    const selection =
+      listTokenRecords().length > 0 ? { token: envelope.mintAddress, network: envelope.network } : {};
+    recordPath = resolveTokenInfoPath(tokenInfoPath, selection);
+  } catch (error) {
+    if (error instanceof TokenInfoNotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+
+  const tokenInfo = loadTokenInfo(recordPath);
+  if (!tokenInfo || tokenInfo.mintAddress !== envelope.mintAddress) {
+    return null;
+  }
+  return { tokenInfo, recordPath };
+}
+
+/**
+ * Update a token record the way the online command would have after the
+ * operation landed. Operations that leave the record alone return false.
+ * @param {Object} tokenInfo - Token info record (modified in place)
+ * @param {string} operation - Envelope operation
+ * @param {Object} after - Mint state after the transaction (see readMintState)
+ * @param {string} signature - Transaction signature
+ * @returns {boolean} Whether the record changed
+ */
+function applyToTokenRecord(tokenInfo, operation, after, signature) {
+  const now = new Date().toISOString();
+
+  switch (operation) {
+    case "revoke-mint-authority":
+      tokenInfo.mintAuthority = after.mintAuthority;
+      tokenInfo.status = "completed";
+      tokenInfo.mintAuthorityRevokedAt = now;
+      tokenInfo.revokeTransaction = signature;
+      return true;
+    case "revoke-freeze-authority":
+      tokenInfo.freezeAuthority = after.freezeAuthority;
+      tokenInfo.freezeAuthorityRevokedAt = now;
+      tokenInfo.revokeFreezeTransaction = signature;
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Create a durable nonce account for offline transactions
+ * @param {string} network - Network to use (devnet/mainnet)
+ * @param {string|null} authority - Nonce authority address (defaults to the wallet)
+ * @param {Object} options - Additional options
+ * @param {string|null} options.walletPath - Payer wallet file (defaults to the configured wallet)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the network
+ * @param {Keypair|null} options.keypair - Payer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'created' and the nonce account
+ * @throws {DoodiError} InvalidAddress or a transaction-sender error
+ */
+async function createNonce(network = "devnet", authority = null, options = {}) {
+  const {
+    walletPath = null,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  let nonceAuthority = null;
+  if (authority) {
+    try {
+      nonceAuthority = new PublicKey(authority);
+    } catch (error) {
+      throw new InvalidAddressError(`Invalid nonce authority: ${authority}`, { address: authority });
+    }
+  }
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(network);
+  const connection = options.connection || createConnection(network);
+  const walletKeypair = keypair || (await loadSigner(networkConfig, walletPath, { confirm, logger }));
+  nonceAuthority = nonceAuthority || walletKeypair.publicKey;
+
+  logger.info(`🔢 Creating durable nonce account on ${networkConfig.name}...`);
+  logger.info(`👛 Payer: ${walletKeypair.publicKey.toString()}`);
+  logger.info(`🔑 Nonce authority: ${nonceAuthority.toString()}`);
+
+  const { nonceAccount, signature } = await createNonceAccount(
+    connection,
+    walletKeypair,
+    nonceAuthority,
+    { priorityFee, logger }
+  );
+
+  logger.info(`\n✅ Nonce account created: ${nonceAccount.toString()}`);
+  logger.info(`   Transaction: ${signature}`);
+  logger.info(`\n💡 Pass --nonce ${nonceAccount.toString()} together with --offline to build transactions`);
+
+  return {
+    status: "created",
+    network,
+    nonceAccount: nonceAccount.toString(),
+    authority: nonceAuthority.toString(),
+    signature,
+  };
+}
+
+/**
+ * Sign an exported transaction with a keypair file or encrypted keystore.
+ * Needs no network access. The signer goes through the same checks as an
+ * online wallet (see loadSigner), for the network the envelope targets.
+ * @param {string} filePath - Transaction envelope file
+ * @param {string} keypairPath - Signer keypair or encrypted keystore file
+ * @param {string|null} outPath - Output file (defaults to overwriting filePath)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.skipConfirmation - Sign without prompting
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading keypairPath
+ * @param {Function|null} options.confirm - async (question, accepted) => boolean, replaces the terminal prompts
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'signed' or 'cancelled' and the signers still missing
+ * @throws {DoodiError} OfflineTransaction, InvalidArgument, Keystore, SignerNotAllowed or MainnetNotConfirmed
+ */
+async function signTransaction(filePath, keypairPath, outPath = null, options = {}) {
+  const { skipConfirmation = false, confirm = askConfirmation, logger = console } = options;
+
+  const { envelope, transaction } = loadExportedTransaction(filePath);
+
+  logger.info(`✍️  Signing offline transaction...`);
+  printTransactionSummary(envelope, transaction, logger);
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const keypair =
+    options.keypair ||
+    (await loadSigner(getNetworkConfig(envelope.network), keypairPath, {
+      address: envelope.mintAddress || null,
+      confirm,
+      logger,
+    }));
+  logger.info(`\n🔑 Signer: ${keypair.publicKey.toString()}`);
+
+  const confirmed =
+    skipConfirmation ||
+    (await confirm("\nDo you want to sign this transaction? (yes/no): "));
+
+  if (!confirmed) {
+    logger.info("❌ Signing cancelled by user");
+    return { status: "cancelled", file: filePath, signer: keypair.publicKey.toString() };
+  }
+
+  const updated = signExportedTransaction(filePath, keypair, outPath || filePath);
+  const remaining = updated.requiredSigners.filter(
+    (signer) => !updated.signedBy.includes(signer)
+  );
+
+  logger.info(`\n✅ Signature added`);
+  logger.info(`   Saved to: ${outPath || filePath}`);
+  if (remaining.length > 0) {
+    logger.info(`   Still waiting for: ${remaining.join(", ")}`);
+  } else {
+    logger.info(`   All signatures present - ready for submit`);
+  }
+
+  return {
+    status: "signed",
+    file: outPath || filePath,
+    operation: updated.operation,
+    signer: keypair.publicKey.toString(),
+    signedBy: updated.signedBy,
+    remaining,
+  };
+}
+
+/**
+ * Broadcast a fully signed exported transaction. The mint is read before
+ * and after so the operations log records what changed, and the token
+ * record is updated as the online command would have (e.g. a revoke).
+ * @param {string} filePath - Transaction envelope file
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: the registry record for the envelope mint]
+ * @param {Connection|null} options.connection - Connection to use instead of one for the envelope network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'submitted', the signature and slot, and the mint state
+ *   before and after
+ * @throws {DoodiError} OfflineTransaction, TransactionExpired or TransactionFailed
+ */
+async function submitTransaction(filePath, options = {}) {
+  const { tokenInfoPath = null, logger = console } = options;
+
+  const { envelope, transaction } = loadExportedTransaction(filePath);
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(envelope.network);
+  const connection = options.connection || createConnection(envelope.network);
+
+  logger.info(`📡 Submitting offline transaction to ${networkConfig.name}...`);
+  printTransactionSummary(envelope, transaction, logger);
+
+  const mint = envelope.mintAddress ? new PublicKey(envelope.mintAddress) : null;
+  const before = mint ? await readMintState(connection, mint) : null;
+
+  const { signature, slot, err } = await submitExportedTransaction(connection, filePath);
+
+  if (err) {
+    throw new TransactionFailedError(`Transaction ${signature} failed: ${JSON.stringify(err)}`, {
+      signature,
+      err,
+    });
+  }
+
+  const clusterParam =
+    networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info(`\n🎉 Transaction confirmed!`);
+  logger.info(`   Signature: ${signature}`);
+  logger.info(`   Explorer: ${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`);
+
+  const after = mint ? await readMintState(connection, mint) : null;
+  if (after) {
+    logger.info(`\n📊 Mint state:`);
+    ["supply", "mintAuthority", "freezeAuthority"].forEach((field) => {
+      const from = before[field] === null ? "None" : before[field];
+      const to = after[field] === null ? "None" : after[field];
+      logger.info(`   • ${field}: ${from === to ? to : `${from} → ${to}`}`);
+    });
+  }
+
+  let tokenInfoUpdated = false;
+  const record = after ? findTokenRecord(envelope, tokenInfoPath) : null;
+  if (record && applyToTokenRecord(record.tokenInfo, envelope.operation, after, signature)) {
+    saveTokenInfo(record.tokenInfo, record.recordPath);
+    tokenInfoUpdated = true;
+    logger.info(`\n💾 Token info updated: ${record.recordPath}`);
+  }
+
+  const opsLog = recordOperation({
+    type: envelope.operation,
+    network: envelope.network,
+    operator: transaction.feePayer ? transaction.feePayer.toString() : null,
+    mintAddress: envelope.mintAddress,
+    params: { offline: true, description: envelope.description, nonceAccount: envelope.nonceAccount },
+    transactions: [{ signature, slot }],
+    before,
+    after,
+  }, { logger });
+
+  return {
+    status: "submitted",
+    network: envelope.network,
+    operation: envelope.operation,
+    mintAddress: envelope.mintAddress,
+    signature,
+    slot,
+    before,
+    after,
+    tokenInfoUpdated,
+    explorerUrl: `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+/**
+ * Show an exported transaction without signing or sending it
+ * @param {string} filePath - Transaction envelope file
+ * @param {Object} options - Additional options
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Object} Result with status 'inspected' and the envelope fields
+ * @throws {OfflineTransactionError} When the file is missing or malformed
+ */
+function inspectTransaction(filePath, options = {}) {
+  const { logger = console } = options;
+
+  const { envelope, transaction } = loadExportedTransaction(filePath);
+  logger.info(`🔍 Offline transaction: ${filePath}`);
+  printTransactionSummary(envelope, transaction, logger);
+
+  return {
+    status: "inspected",
+    file: filePath,
+    operation: envelope.operation,
+    description: envelope.description,
+    network: envelope.network,
+    mintAddress: envelope.mintAddress,
+    nonceAccount: envelope.nonceAccount,
+    requiredSigners: envelope.requiredSigners,
+    signedBy: envelope.signedBy,
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+✍️  Offline Signing Script
+
+Sign irreversible operations on an air-gapped machine using durable nonces.
+
+Usage: node offline-tx.js <command> [arguments]
+
+Commands:
+  create-nonce [network] [--authority <address>]
+                           Create a durable nonce account (authority defaults to wallet)
+  inspect <tx-file>        Show an exported transaction and its signature status
+  sign <tx-file> <keypair> [--out <file>]
+                           Sign an exported transaction (no network access needed);
+                           <keypair> may be an encrypted keystore
+  submit <tx-file>         Broadcast a fully signed transaction
+
+Options:
+  --yes                    Sign without prompting
+  --json                   Print the result as JSON on stdout (logs go to stderr)
+
+Workflow:
+  1. node offline-tx.js create-nonce mainnet --authority <offline-address>
+  2. node burn-tokens.js mainnet 1000 --offline burn.json --nonce <nonce> --authority <offline-address>
+     node revoke-mint-authority.js --offline revoke.json --nonce <nonce> --authority <offline-address>
+  3. Copy the file to the air-gapped machine:
+     node offline-tx.js sign burn.json ~/offline-keypair.json
+  4. Copy it back and broadcast:
+     node offline-tx.js submit burn.json
+
+Token creation is not exported for offline signing: its fresh mint keypair
+must sign on the online machine, and nothing it does is irreversible. Create
+with a hot wallet, then move the mint authority to the offline key or a multisig.
+
+⚠️  IMPORTANT WARNINGS:
+  • A transaction stays valid until its nonce is advanced - keep unsigned files safe
+  • Always inspect a transaction before signing it
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const requireFile = () => {
+    if (!args[1] || args[1].startsWith("--")) {
+      throw new InvalidArgumentError("Transaction file is required");
+    }
+    return args[1];
+  };
+
+  const commands = {
+    "create-nonce": {
+      name: "tx nonce",
+      label: "Failed to create nonce account",
+      run: () =>
+        createNonce(
+          args[1] && !args[1].startsWith("--") ? parseNetwork(args[1]) : "devnet",
+          optionValue("--authority")
+        ),
+    },
+    inspect: {
+      name: "tx inspect",
+      label: "Failed to read transaction",
+      run: () => inspectTransaction(requireFile()),
+    },
+    sign: {
+      name: "tx sign",
+      label: "Failed to sign transaction",
+      run: () => {
+        const filePath = requireFile();
+        if (!args[2] || args[2].startsWith("--")) {
+          throw new InvalidArgumentError("Keypair file is required");
+        }
+        return signTransaction(filePath, args[2], optionValue("--out"), {
+          skipConfirmation: args.includes("--yes"),
+        });
+      },
+    },
+    submit: {
+      name: "tx submit",
+      label: "Failed to submit transaction",
+      run: () => submitTransaction(requireFile()),
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+  const { name, label, run } = commands[command];
+
+  Promise.resolve()
+    .then(run)
+    .then((result) => {
+      if (json) {
+        writeJsonResult(name, result);
+      }
+    })
+    .catch(exitWithError(label, { json: json ? name : null }));
+}
+
+module.exports = {
+  createNonce,
+  signTransaction,
+  submitTransaction,
+  inspectTransaction,
+};
@@ -0,0 +1,270 @@
+const { createConnection } = require("./token-creation/network-config");
+const {
+  OPS_LOG_PATH,
+  readOperations,
+  verifyChain,
+} = require("./token-creation/ops-log");
+const {
+  exitWithError,
+  parseArgs,
+  parseNetwork,
+  parsePositiveInt,
+  parseDate,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/** getSignatureStatuses accepts at most this many signatures per call */
+const SIGNATURE_BATCH_SIZE = 256;
+
+/**
+ * List logged operations, oldest first
+ * @param {Object} options - Filters and options
+ * @param {string|null} options.type - Only this operation type (e.g. 'burn')
+ * @param {string|null} options.network - Only this network
+ * @param {string|null} options.mintAddress - Only operations on this mint
+ * @param {string|null} options.operator - Only operations signed by this wallet
+ * @param {string|null} options.since - Only operations at or after this ISO timestamp
+ * @param {string|null} options.until - Only operations at or before this ISO timestamp
+ * @param {number|null} options.limit - Only the most recent matching operations
+ * @param {string} options.logPath - Operations log [default: ./doodi-ops.jsonl]
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Object} { status: 'listed', logPath, total, entries }
+ * @throws {OpsLogError} When the log is unreadable
+ */
+function showHistory(options = {}) {
+  const {
+    type = null,
+    network = null,
+    mintAddress = null,
+    operator = null,
+    since = null,
+    until = null,
+    limit = null,
+    logPath = OPS_LOG_PATH,
+    logger = console,
+  } = options;
+
+  const all = readOperations(logPath);
+  const matching = all.filter(
+    (entry) =>
+      (!type || entry.type === type) &&
+      (!network || entry.network === network) &&
+      (!mintAddress || entry.mintAddress === mintAddress) &&
+      (!operator || entry.operator === operator) &&
+      (!since || entry.timestamp >= since) &&
+      (!until || entry.timestamp <= until)
+  );
+  const entries = limit ? matching.slice(-limit) : matching;
+
+  logger.info(`📜 Operations log ${logPath}: ${entries.length} of ${all.length} entries`);
+  entries.forEach((entry) => {
+    logger.info(`\n   #${entry.seq} ${entry.timestamp} ${entry.type} on ${entry.network}`);
+    if (entry.mintAddress) {
+      logger.info(`      Mint: ${entry.mintAddress}`);
+    }
+    if (entry.operator) {
+      logger.info(`      Operator: ${entry.operator}`);
+    }
+    entry.transactions.forEach(({ signature, slot }) => {
+      logger.info(`      Transaction: ${signature}${slot === null ? "" : ` (slot ${slot})`}`);
+    });
+  });
+
+  return { status: "listed", logPath, total: all.length, entries };
+}
+
+/**
+ * Verify the operations log: the hash chain must be intact, and every
+ * logged transaction must have landed without error (in the logged slot,
+ * when one was recorded)
+ * @param {Object} options - Options
+ * @param {boolean} options.offline - Only check the hash chain, without network access
+ * @param {string} options.logPath - Operations log [default: ./doodi-ops.jsonl]
+ * @param {Connection|null} options.connection - Connection to use for every network instead of one per network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'valid' or 'invalid' and the problems found
+ * @throws {OpsLogError} When the log is unreadable
+ */
+async function verifyOpsLog(options = {}) {
+  const { offline = false, logPath = OPS_LOG_PATH, logger = console } = options;
+
+  const entries = readOperations(logPath);
+  logger.info(`🔍 Verifying ${entries.length} entries in ${logPath}...`);
+
+  const problems = verifyChain(entries);
+  if (problems.length === 0) {
+    logger.info(`   ✅ Hash chain intact`);
+  }
+
+  let checked = 0;
+  if (!offline) {
+    const networks = [...new Set(entries.map((entry) => entry.network))];
+    for (const network of networks) {
+      const logged = entries
+        .filter((entry) => entry.network === network)
+        .flatMap((entry) => entry.transactions.map((transaction) => ({ seq: entry.seq, ...transaction })));
+      if (logged.length === 0) {
+        continue;
+      }
+
+      logger.info(`\n🧾 Checking ${logged.length} transactions on ${network}...`);
+      const connection = options.connection || createConnection(network);
+      const statuses = [];
+      for (let i = 0; i < logged.length; i += SIGNATURE_BATCH_SIZE) {
+        const batch = logged.slice(i, i + SIGNATURE_BATCH_SIZE).map(({ signature }) => signature);
+        const { value } = await connection.getSignatureStatuses(batch, { searchTransactionHistory: true });
+        statuses.push(...value);
+      }
+
+      const before = problems.length;
+      logged.forEach(({ seq, signature, slot }, i) => {
+        const status = statuses[i];
+        if (!status) {
+          problems.push({ seq, signature, problem: `transaction ${signature} not found on ${network}` });
+        } else if (status.err) {
+          problems.push({ seq, signature, problem: `transaction ${signature} failed: ${JSON.stringify(status.err)}` });
+        } else if (slot !== null && status.slot !== slot) {
+          problems.push({ seq, signature, problem: `transaction ${signature} landed in slot ${status.slot}, not ${slot}` });
+        }
+      });
+      checked += logged.length;
+
+      if (problems.length === before) {
+        logger.info(`   ✅ All found on chain`);
+      }
+    }
+  }
+
+  const summary = { logPath, entries: entries.length, transactionsChecked: checked, problems };
+
+  if (problems.length > 0) {
+    logger.warn(`\n❌ ${problems.length} problem(s):`);
+    problems.forEach(({ seq, problem }) => logger.warn(`   • #${seq}: ${problem}`));
+    return { status: "invalid", ...summary };
+  }
+
+  logger.info(`\n✅ Operations log verified${offline ? " (hash chain only)" : ""}`);
+  return { status: "valid", ...summary };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+📜 Operations Log Script
+
+Every operation (create, mint, burn, airdrop, revocations, freezes, metadata,
+vesting, pools, multisig) is appended to ${OPS_LOG_PATH}. Each entry records
+the operator, network, parameters, transactions and state before and after,
+and carries the hash of the entry before it.
+
+Usage: node ops-log.js <history|verify> [options]
+
+Commands:
+  history               List logged operations
+  verify                Check the hash chain and every logged transaction on chain
+
+History options:
+  --type <type>         Only this operation type (e.g. burn, revoke-mint-authority)
+  --network <network>   Only this network
+  --mint <address>      Only operations on this mint
+  --operator <address>  Only operations signed by this wallet
+  --since <date>        Only operations at or after this date (ISO 8601)
+  --until <date>        Only operations at or before this date (ISO 8601)
+                        A bare date such as 2025-10-01 includes that whole day
+  --limit <n>           Only the most recent n matching operations
+
+Verify options:
+  --offline             Only check the hash chain (no network access)
+
+Options:
+  --log <path>          Operations log [default: ${OPS_LOG_PATH}]
+  --json                Print the result as JSON on stdout (logs go to stderr)
+  --help, -h            Show this help message
+
+verify exits with status 1 when the log is invalid.
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [command] = args;
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  const commandSpecs = {
+    history: [
+      { name: "--type", value: "<type>" },
+      { name: "--network", value: "<network>" },
+      { name: "--mint", value: "<address>" },
+      { name: "--operator", value: "<address>" },
+      { name: "--since", value: "<date>" },
+      { name: "--until", value: "<date>" },
+      { name: "--limit", value: "<n>" },
+    ],
+    verify: [{ name: "--offline" }],
+  };
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, [
+      ...(commandSpecs[command] || []),
+      { name: "--log", value: "<path>" },
+      { name: "--json" },
+      { name: "--help" },
+    ]);
+  } catch (error) {
+    if (json) {
+      exitWithError("Invalid arguments", { json: `ops-log ${command}` })(error);
+    }
+    console.error(`❌ ${error.message}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const { positional, options } = parsed;
+  if (options.help || positional.length === 0) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const fail = exitWithError(`Operations log ${command} failed`, { json: json ? `ops-log ${command}` : null });
+  const logPath = options.log || OPS_LOG_PATH;
+
+  if (command === "history") {
+    try {
+      const result = showHistory({
+        type: options.type || null,
+        network: options.network ? parseNetwork(options.network) : null,
+        mintAddress: options.mint || null,
+        operator: options.operator || null,
+        since: options.since ? parseDate(options.since, "--since") : null,
+        until: options.until ? parseDate(options.until, "--until", { endOfDay: true }) : null,
+        limit: options.limit ? parsePositiveInt(options.limit, "--limit") : null,
+        logPath,
+      });
+      if (json) {
+        writeJsonResult("ops-log history", result);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  } else if (command === "verify") {
+    verifyOpsLog({ offline: Boolean(options.offline), logPath })
+      .then((result) => {
+        if (json) {
+          writeJsonResult("ops-log verify", result);
+        }
+        if (result.status === "invalid") {
+          process.exitCode = 1;
+        }
+      })
+      .catch(fail);
+  } else {
+    console.error("❌ Usage: node ops-log.js <history|verify> [options]");
+    process.exit(1);
+  }
+}
+
+module.exports = { showHistory, verifyOpsLog };
@@ -0,0 +1,493 @@
+const { PublicKey, Keypair, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const { getMint, getAccount, createMintToCheckedInstruction } = require("@solana/spl-token");
+const { createConnection } = require("./token-creation/network-config");
+const { TOKEN_CONFIG } = require("./token-creation/token-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const { formatTokenAmount } = require("./token-creation/amounts");
+const { askConfirmation } = require("./token-creation/confirm");
+const { resolveSupplyCap, createSupplyGuard } = require("./token-creation/supply-guard");
+const {
+  loadPlan,
+  describeStep,
+  expectAfterStep,
+  diffState,
+  getPlanReportPath,
+  savePlanReport,
+  findRehearsalReport,
+} = require("./token-creation/plan-file");
+const { PlanError } = require("./token-creation/errors");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const { createToken } = require("./token-creation/token-core");
+const { airdrop } = require("./airdrop");
+const { burnTokens } = require("./burn-tokens");
+const { revokeMintAuthority } = require("./revoke-mint-authority");
+const { auditToken } = require("./audit");
+const {
+  exitWithError,
+  parseArgs,
+  parseNetwork,
+  parseAmount,
+  parsePriorityFee,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/** SOL airdropped to a rehearsal's throwaway wallet */
+const DEFAULT_FUND_SOL = 2;
+
+/**
+ * Airdrop SOL to a rehearsal's throwaway wallet
+ * @param {Connection} connection - Devnet or localnet connection
+ * @param {PublicKey} wallet - Throwaway wallet
+ * @param {number} sol - SOL to request
+ * @param {Object} logger - Logger
+ */
+async function fundThrowawayWallet(connection, wallet, sol, logger) {
+  logger.info(`💧 Funding throwaway wallet ${wallet.toString()} with ${sol} SOL...`);
+  const signature = await connection.requestAirdrop(wallet, Math.round(sol * LAMPORTS_PER_SOL));
+  const latest = await connection.getLatestBlockhash("confirmed");
+  await connection.confirmTransaction({ signature, ...latest }, "confirmed");
+}
+
+/**
+ * Read the token state a plan checks after every step
+ * @param {Connection} connection - Solana connection
+ * @param {string} tokenInfoPath - Token record of the plan's token
+ * @param {PublicKey} wallet - Signing wallet, reported as 'wallet'
+ * @returns {Promise<Object>} { supply, creatorBalance, mintAuthority, freezeAuthority }
+ */
+async function readTokenState(connection, tokenInfoPath, wallet) {
+  const tokenInfo = loadTokenInfo(tokenInfoPath);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+  const account = await getAccount(
+    connection,
+    new PublicKey(tokenInfo.creatorTokenAccount),
+    "confirmed",
+    programId
+  ).catch(() => null);
+  const label = (key) => (key ? (key.equals(wallet) ? "wallet" : key.toString()) : null);
+
+  return {
+    supply: formatTokenAmount(mintInfo.supply, mintInfo.decimals),
+    creatorBalance: formatTokenAmount(account ? account.amount : 0n, mintInfo.decimals),
+    mintAuthority: label(mintInfo.mintAuthority),
+    freezeAuthority: label(mintInfo.freezeAuthority),
+  };
+}
+
+/**
+ * Mint to the creator token account, within the supply cap
+ * @param {Object} step - Plan step with a raw amount
+ * @param {Object} run - Step options (see executeStep)
+ * @returns {Promise<Object>} Result with status 'minted' or 'cancelled'
+ */
+async function mintToCreator(step, run) {
+  const { keypair, connection, tokenInfoPath, skipConfirmation, confirm, priorityFee, logger } = run;
+  const tokenInfo = loadTokenInfo(tokenInfoPath);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+  const programId = await getTokenProgramId(connection, mint);
+  const { decimals, supply } = await getMint(connection, mint, "confirmed", programId);
+
+  await createSupplyGuard(connection, mint, resolveSupplyCap(tokenInfo)).assertCanMint(step.amount);
+
+  if (!skipConfirmation) {
+    const amount = formatTokenAmount(step.amount, decimals, { grouping: true });
+    if (!(await confirm(`\nMint ${amount} ${tokenInfo.symbol} to ${tokenInfo.creatorTokenAccount}? (yes/no): `))) {
+      return { status: "cancelled" };
+    }
+  }
+
+  const transaction = await sendInstructions(
+    connection,
+    [
+      createMintToCheckedInstruction(
+        mint,
+        new PublicKey(tokenInfo.creatorTokenAccount),
+        keypair.publicKey,
+        step.amount,
+        decimals,
+        [],
+        programId
+      ),
+    ],
+    [keypair],
+    { priorityFee, logger }
+  );
+  logger.info(`   ✅ Transaction: ${transaction.signature} (${transaction.confirmationStatus})`);
+
+  const opsLog = recordOperation({
+    type: "mint",
+    network: tokenInfo.network,
+    operator: keypair.publicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { amount: formatTokenAmount(step.amount, decimals), to: tokenInfo.creatorTokenAccount },
+    transactions: [transaction],
+    before: { supply: formatTokenAmount(supply, decimals) },
+    after: { supply: formatTokenAmount(supply + step.amount, decimals) },
+  }, { logger });
+  return {
+    status: "minted",
+    signature: transaction.signature,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+/**
+ * Run one plan step through the same function its command uses
+ * @param {Object} step - Plan step
+ * @param {Object} run - { network, rehearsal, keypair, connection, tokenInfoPath, skipConfirmation, confirm, priorityFee, logger }
+ * @returns {Promise<Object>} The command's result
+ */
+async function executeStep(step, run) {
+  const { network, rehearsal, keypair, connection, tokenInfoPath, skipConfirmation, confirm, priorityFee, logger } = run;
+  const common = { keypair, connection, tokenInfoPath, skipConfirmation, confirm, priorityFee, logger };
+
+  switch (step.action) {
+    case "create":
+      return createToken(network, null, {
+        program: step.program,
+        freezeAuthority: step.freezeAuthority,
+        metadataUri: step.metadataUri,
+        // Rehearsal records are scratch files, replaced by the next rehearsal
+        overwrite: rehearsal,
+        ...common,
+      });
+    case "mint":
+      return mintToCreator(step, run);
+    case "airdrop": {
+      const result = await airdrop(network, step.recipientsFile, { mode: step.mode, ...common });
+      // Undelivered recipients fail the step, so the report stops here
+      if (result.status === "partial") {
+        throw new PlanError(
+          `Airdrop delivered to ${result.delivered} of ${result.delivered + result.failed} recipients` +
+            `${result.stoppedEarly ? " and stopped early" : ""} - see ${result.recordFile}`,
+          { recordFile: result.recordFile, journalPath: result.journalPath, failed: result.failed }
+        );
+      }
+      const [first] = result.transactions || [];
+      return { ...result, signature: first ? first.signature : null };
+    }
+    case "burn":
+      return burnTokens(network, formatTokenAmount(step.amount, TOKEN_CONFIG.decimals), null, false, common);
+    case "revoke":
+      return revokeMintAuthority({ ...common, network });
+    default:
+      throw new PlanError(`Unknown action ${step.action}`);
+  }
+}
+
+/**
+ * Print a step's diff rows
+ * @param {Array<Object>} diff - Rows (see diffState)
+ * @param {Object} logger - Logger
+ */
+function printDiff(diff, logger) {
+  diff.forEach((row) => {
+    const rehearsal = "rehearsal" in row ? `, rehearsal ${row.rehearsal}` : "";
+    logger.info(`   ${row.match ? "✅" : "❌"} ${row.field}: expected ${row.expected}, actual ${row.actual}${rehearsal}`);
+  });
+}
+
+/**
+ * Run a plan. On devnet or localnet it is a rehearsal: a throwaway wallet
+ * is funded by airdrop and the token record is a scratch file. On mainnet
+ * the plan only runs after a passing rehearsal of exactly the same plan and
+ * recipient files. After every step the token state is read back and
+ * compared with the expected one (and on mainnet with the rehearsal); the
+ * first divergence stops the plan. The report is saved after every step.
+ * @param {string} planPath - Plan JSON file (see plan-file.js)
+ * @param {Object} options - Additional options
+ * @param {string} options.network - Network to run on [default: devnet]
+ * @param {string|null} options.walletPath - Mainnet wallet file (defaults to the configured wallet)
+ * @param {number} options.fundSol - SOL for the rehearsal wallet [default: 2]
+ * @param {boolean} options.skipConfirmation - Run mainnet steps without prompting (rehearsals never prompt)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the network
+ * @param {Keypair|null} options.keypair - Signer to use instead of the throwaway or configured wallet
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'matched', 'diverged' or 'cancelled' and the report
+ * @throws {DoodiError} PlanError, or the error of the step that failed (recorded in the report)
+ */
+async function runPlan(planPath, options = {}) {
+  const {
+    network = "devnet",
+    walletPath = null,
+    fundSol = DEFAULT_FUND_SOL,
+    skipConfirmation = false,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  const rehearsal = network !== "mainnet";
+  const decimals = TOKEN_CONFIG.decimals;
+  const plan = loadPlan(planPath, decimals);
+
+  let rehearsed = null;
+  if (!rehearsal) {
+    rehearsed = findRehearsalReport(plan.name, plan.hash);
+    if (!rehearsed) {
+      throw new PlanError(
+        `No passing rehearsal of plan ${plan.name} with these exact steps and recipient files - rehearse it on devnet or localnet first`,
+        { plan: plan.name, planHash: plan.hash }
+      );
+    }
+  }
+
+  logger.info(`🎭 ${rehearsal ? "Rehearsing" : "Running"} plan ${plan.name} on ${network}...`);
+  plan.steps.forEach((step) => logger.info(`   ${step.index + 1}. ${describeStep(step, decimals)}`));
+  if (rehearsed) {
+    logger.info(`   Rehearsed on ${rehearsed.network} at ${rehearsed.finishedAt} (plan ${plan.hash.slice(0, 12)})`);
+  }
+
+  if (!rehearsal && !skipConfirmation) {
+    logger.info(`\n⚠️  These steps run on MAINNET and the token cannot be deleted afterwards.`);
+    if (!(await confirm(`\nRun ${plan.steps.length} steps on mainnet? (yes/no): `))) {
+      logger.info("❌ Operation cancelled by user");
+      return { status: "cancelled", network, plan: plan.name };
+    }
+  }
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(network);
+  const connection = options.connection || createConnection(network);
+
+  let signer = keypair;
+  if (!signer && rehearsal) {
+    signer = Keypair.generate();
+    await fundThrowawayWallet(connection, signer.publicKey, fundSol, logger);
+  } else if (!signer) {
+    signer = await loadSigner(networkConfig, walletPath, { confirm, logger });
+  }
+
+  const reportPath = getPlanReportPath(plan.name, network);
+  const report = {
+    plan: plan.name,
+    planHash: plan.hash,
+    network,
+    rehearsal,
+    rehearsalReport: rehearsed ? getPlanReportPath(rehearsed.plan, rehearsed.network) : null,
+    wallet: signer.publicKey.toString(),
+    mintAddress: null,
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    steps: [],
+  };
+  savePlanReport(report);
+
+  const run = {
+    network,
+    rehearsal,
+    keypair: signer,
+    connection,
+    tokenInfoPath: rehearsal ? `plan-${plan.name}.${network}.token.json` : null,
+    skipConfirmation: rehearsal || skipConfirmation,
+    confirm,
+    priorityFee,
+    logger,
+  };
+
+  const finish = (status) => {
+    report.status = status;
+    report.finishedAt = new Date().toISOString();
+    savePlanReport(report);
+    return { status, network, plan: plan.name, mintAddress: report.mintAddress, reportPath, steps: report.steps };
+  };
+
+  let expected = null;
+  for (const step of plan.steps) {
+    logger.info(`\n${"=".repeat(60)}`);
+    logger.info(`▶️  Step ${step.index + 1}/${plan.steps.length}: ${describeStep(step, decimals)}`);
+    logger.info(`${"=".repeat(60)}`);
+
+    const entry = {
+      index: step.index,
+      action: step.action,
+      description: describeStep(step, decimals),
+      status: "running",
+      signature: null,
+      diff: [],
+    };
+    report.steps.push(entry);
+    savePlanReport(report);
+
+    let result;
+    try {
+      result = await executeStep(step, run);
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.message;
+      finish("failed");
+      throw error;
+    }
+
+    if (result.status === "cancelled") {
+      entry.status = "cancelled";
+      return finish("cancelled");
+    }
+
+    if (step.action === "create") {
+      run.tokenInfoPath = result.recordPath;
+      report.mintAddress = result.mint;
+      report.tokenInfoPath = result.recordPath;
+    }
+    entry.signature = result.signature || result.metadataTransaction || null;
+
+    expected = expectAfterStep(expected, step, signer.publicKey.toString());
+    const actual = await readTokenState(connection, run.tokenInfoPath, signer.publicKey);
+    const rehearsedStep = rehearsed && rehearsed.steps[step.index];
+    entry.diff = diffState(expected, actual, decimals, rehearsedStep ? rehearsedStep.diff : null);
+
+    // The new record and metadata must match the chain before anything builds on them
+    if (step.action === "create") {
+      const audit = await auditToken({
+        tokenInfoPath: run.tokenInfoPath,
+        connection,
+        skipConfirmation: true,
+        logger: { info: () => {}, warn: () => {}, error: logger.error },
+      });
+      const errors = audit.findings.filter((finding) => finding.severity === "error").length;
+      const rehearsedAudit = rehearsedStep && rehearsedStep.diff.find((row) => row.field === "auditErrors");
+      entry.diff.push({
+        field: "auditErrors",
+        expected: 0,
+        actual: errors,
+        ...(rehearsed && { rehearsal: rehearsedAudit ? rehearsedAudit.actual : null }),
+        match: errors === 0,
+      });
+    }
+
+    logger.info(`\n🔎 Expected vs actual:`);
+    printDiff(entry.diff, logger);
+
+    entry.status = entry.diff.every((row) => row.match) ? "matched" : "diverged";
+    savePlanReport(report);
+
+    if (entry.status === "diverged") {
+      logger.error(`\n❌ Step ${step.index + 1} diverged from the plan - stopping`);
+      logger.info(`📄 Report: ${reportPath}`);
+      return finish("diverged");
+    }
+  }
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info(`\n🎉 Plan ${plan.name} ${rehearsal ? "rehearsed" : "completed"}: every step matched`);
+  logger.info(`📄 Report: ${reportPath}`);
+  if (rehearsal) {
+    logger.info(`💡 Run it on mainnet with: node plan.js ${planPath} --network mainnet`);
+  }
+  logger.info(`🔗 ${networkConfig.explorerUrl}/address/${report.mintAddress}${clusterParam}`);
+
+  return finish("matched");
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🎭 Plan Script
+
+Run a launch plan: rehearse it on devnet or localnet with a throwaway wallet,
+then run the identical plan on mainnet. Every step is checked against the
+expected token state, and mainnet steps against the rehearsal too.
+
+Usage: node plan.js <plan-file> [options]
+
+Options:
+  --network <network>     devnet or localnet rehearses; mainnet runs for real [default: devnet]
+  --wallet <path>         Mainnet wallet keypair or keystore [default: configured wallet]
+  --fund <sol>            SOL airdropped to the rehearsal wallet [default: ${DEFAULT_FUND_SOL}]
+  --priority-fee <auto|micro-lamports>
+                          Priority fee per compute unit [default: auto, from recent fees]
+  --yes                   Run mainnet steps without per-step prompts
+  --json                  Print the result as JSON on stdout (logs go to stderr)
+  --help, -h              Show this help message
+
+Plan file:
+  {
+    "name": "launch",
+    "steps": [
+      { "action": "create", "program": "spl-token", "freezeAuthority": null,
+        "metadataUri": "https://example.com/doodimeta.json" },
+      { "action": "mint", "amount": "1000000000" },
+      { "action": "airdrop", "recipients": "./team.csv", "mode": "transfer" },
+      { "action": "burn", "amount": "100000000" },
+      { "action": "revoke" }
+    ]
+  }
+
+Examples:
+  node plan.js launch.json                    # Rehearse on devnet
+  node plan.js launch.json --network mainnet  # Run after a passing rehearsal
+
+📄 Reports: plan-<name>.<network>.report.json, written after every step
+⚠️  A mainnet run refuses to start unless the plan and recipient files match a passing rehearsal.
+   A plan that stops part-way is finished with the individual commands.
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, [
+      { name: "--network", value: "<network>" },
+      { name: "--wallet", value: "<path>" },
+      { name: "--fund", value: "<sol>" },
+      { name: "--priority-fee", value: "<fee>" },
+      { name: "--yes" },
+      { name: "--json" },
+      { name: "--help" },
+    ]);
+  } catch (error) {
+    if (json) {
+      exitWithError("Invalid arguments", { json: "plan" })(error);
+    }
+    console.error(`❌ ${error.message}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const { positional, options: parsedOptions } = parsed;
+  if (parsedOptions.help || positional.length === 0) {
+    showUsage();
+    process.exit(0);
+  }
+
+  let options;
+  try {
+    options = {
+      network: parsedOptions.network ? parseNetwork(parsedOptions.network) : "devnet",
+      walletPath: parsedOptions.wallet || null,
+      fundSol: parsedOptions.fund ? Number(parseAmount(parsedOptions.fund, "--fund")) : DEFAULT_FUND_SOL,
+      skipConfirmation: Boolean(parsedOptions.yes),
+      priorityFee: parsedOptions.priorityFee ? parsePriorityFee(parsedOptions.priorityFee) : null,
+    };
+  } catch (error) {
+    exitWithError("Invalid arguments", { json: json ? "plan" : null })(error);
+  }
+
+  runPlan(positional[0], options)
+    .then((result) => {
+      if (json) {
+        writeJsonResult("plan", result);
+      }
+      if (result.status === "diverged") {
+        process.exitCode = 1;
+      }
+    })
+    .catch(exitWithError("Plan failed", { json: json ? "plan" : null }));
+}
+
+module.exports = { runPlan };
@@ -1,136 +1,242 @@
 const { PublicKey } = require("@solana/web3.js");
-const { setAuthority, AuthorityType } = require("@solana/spl-token");
-const fs = require("fs");
+const {
+  createSetAuthorityInstruction,
+  AuthorityType,
+} = require("@solana/spl-token");
 const { createConnection } = require("./token-creation/network-config");
-const { loadWallet } = require("./token-creation/wallet-manager");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const {
+  buildOfflineTransaction,
+  exportTransaction,
+} = require("./token-creation/offline-signing");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { formatTokenAmount } = require("./token-creation/amounts");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  NotMintAuthorityError,
+} = require("./token-creation/errors");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const { exitWithError, parsePriorityFee } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const {
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
 
 /**
  * Revoke mint authority for a token, making the supply permanently fixed
+ * @param {Object} options - Additional options
+ * @param {Object|null} options.offline - Export an unsigned transaction instead of sending:
+ *   { outFile, nonceAccount, authority } where authority is the offline mint authority address
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Revoke without prompting
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Revocation result with status 'revoked', 'already-revoked',
+ *   'exported' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, NotMintAuthority or a transaction-sender error
  */
-async function revokeMintAuthority() {
-  try {
-    // Load token info
-    if (!fs.existsSync("./doodi-token-info.json")) {
-      console.error("❌ Token info file not found. Please create a token first.");
-      process.exit(1);
-    }
+async function revokeMintAuthority(options = {}) {
+  const {
+    offline = null,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    skipConfirmation = false,
+    keypair = null,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+    network = null,
+  } = options;
 
-    const tokenInfo = JSON.parse(fs.readFileSync("./doodi-token-info.json", "utf8"));
-    
-    if (!tokenInfo.mintAuthority) {
-      console.log("✅ Mint authority already revoked for this token");
-      console.log(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
-      console.log(`   Mint Address: ${tokenInfo.mintAddress}`);
-      return;
-    }
+  // Load token info
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress };
+
+  // Connect to network
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  // Check current mint authority on chain - the record can be out of date
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await connection.getParsedAccountInfo(mint);
+  const mintData = mintInfo.value.data.parsed.info;
 
-    console.log(`🔒 Revoking mint authority for ${tokenInfo.name}...`);
-    console.log(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
-    console.log(`   Mint Address: ${tokenInfo.mintAddress}`);
-    console.log(`   Network: ${tokenInfo.network}`);
-
-    // Connect to network
-    const connection = createConnection(tokenInfo.network);
-    const mint = new PublicKey(tokenInfo.mintAddress);
-
-    // Load wallet
-    const { getNetworkConfig } = require("./token-creation/network-config");
-    const networkConfig = getNetworkConfig(tokenInfo.network);
-    const walletKeypair = loadWallet(networkConfig);
-
-    console.log(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
-
-    // Verify current mint authority
-    const mintInfo = await connection.getParsedAccountInfo(mint);
-    const mintData = mintInfo.value.data.parsed.info;
-    
-    if (!mintData.mintAuthority) {
-      console.log("✅ Mint authority is already null - token supply is fixed");
-      
-      // Update token info file
+  if (!mintData.mintAuthority) {
+    logger.info("✅ Mint authority is already null - token supply is fixed");
+    logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+    logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+
+    // Update token info file
+    if (tokenInfo.mintAuthority || tokenInfo.status !== "completed") {
       tokenInfo.mintAuthority = null;
       tokenInfo.status = "completed";
-      fs.writeFileSync("./doodi-token-info.json", JSON.stringify(tokenInfo, null, 2));
-      return;
+      saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
     }
+    return { status: "already-revoked", ...summary };
+  }
 
-    if (mintData.mintAuthority !== walletKeypair.publicKey.toString()) {
-      console.error(`❌ Wallet is not the mint authority`);
-      console.error(`   Current authority: ${mintData.mintAuthority}`);
-      console.error(`   Wallet: ${walletKeypair.publicKey.toString()}`);
-      process.exit(1);
-    }
+  if (!tokenInfo.mintAuthority) {
+    logger.warn(`⚠️  Token info records no mint authority, but ${mintData.mintAuthority} still holds it on chain`);
+  }
+
+  logger.info(`🔒 Revoking mint authority for ${tokenInfo.name}...`);
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
 
-    // Show current token supply
-    console.log(`📊 Current Token Supply: ${Number(mintData.supply) / Math.pow(10, mintData.decimals)} tokens`);
+  // Load wallet
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  // Offline mode never loads a private key: the authority signs elsewhere
+  const walletKeypair = offline ? null : keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+  const signerPublicKey = offline
+    ? new PublicKey(offline.authority)
+    : walletKeypair.publicKey;
 
-    // Confirm action
-    const readline = require('readline');
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+  if (offline) {
+    logger.info(`✍️  Offline mode - authority ${signerPublicKey.toString()} will sign on another machine`);
+  } else {
+    logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+  }
+
+  // Verify the signer holds the mint authority
+  if (mintData.mintAuthority !== signerPublicKey.toString()) {
+    throw new NotMintAuthorityError(
+      `Wallet ${signerPublicKey.toString()} is not the mint authority (current authority: ${mintData.mintAuthority})`,
+      { signer: signerPublicKey.toString(), mintAuthority: mintData.mintAuthority }
+    );
+  }
+
+  summary.supply = formatTokenAmount(mintData.supply, mintData.decimals);
+
+  // Show current token supply
+  logger.info(`📊 Current Token Supply: ${formatTokenAmount(mintData.supply, mintData.decimals, { grouping: true })} tokens`);
+
+  const revokeInstruction = createSetAuthorityInstruction(
+    mint,
+    signerPublicKey,
+    AuthorityType.MintTokens,
+    null, // Set to null to remove authority
+    [],
+    programId
+  );
+
+  // Export an unsigned transaction for offline signing
+  if (offline) {
+    const { transaction, nonce } = await buildOfflineTransaction(connection, {
+      instructions: [revokeInstruction],
+      feePayer: signerPublicKey,
+      nonceAccount: new PublicKey(offline.nonceAccount),
     });
 
-    const confirmed = await new Promise((resolve) => {
-      console.log(`\n⚠️  WARNING: This action is IRREVERSIBLE!`);
-      console.log(`🔒 Revoking mint authority will permanently fix the token supply.`);
-      console.log(`   No more tokens can ever be minted after this action.`);
-      
-      rl.question('\nDo you want to revoke mint authority? (yes/no): ', (answer) => {
-        rl.close();
-        const confirmed = answer.toLowerCase().trim() === 'yes' || answer.toLowerCase().trim() === 'y';
-        resolve(confirmed);
-      });
+    exportTransaction(offline.outFile, transaction, {
+      network: tokenInfo.network,
+      operation: "revoke-mint-authority",
+      description: `Revoke mint authority of ${tokenInfo.symbol} (${mint.toString()}) - IRREVERSIBLE`,
+      mintAddress: tokenInfo.mintAddress,
+      nonceAccount: offline.nonceAccount,
+      nonce,
     });
 
-    if (!confirmed) {
-      console.log('❌ Operation cancelled by user');
-      return;
-    }
+    logger.info(`\n✍️  Unsigned revoke transaction exported to: ${offline.outFile}`);
+    logger.info(`   Next steps:`);
+    logger.info(`   1. node offline-tx.js sign ${offline.outFile} <authority-keypair>   (on the air-gapped machine)`);
+    logger.info(`   2. node offline-tx.js submit ${offline.outFile}   (records the revocation in the token info file)`);
+    return { status: "exported", ...summary, outFile: offline.outFile };
+  }
 
-    // Revoke mint authority
-    console.log('\n🔒 Revoking mint authority...');
-    const signature = await setAuthority(
-      connection,
-      walletKeypair,
-      mint,
-      walletKeypair.publicKey,
-      AuthorityType.MintTokens,
-      null // Set to null to remove authority
-    );
+  // Confirm action
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n⚠️  WARNING: This action is IRREVERSIBLE!`);
+    logger.info(`🔒 Revoking mint authority will permanently fix the token supply.`);
+    logger.info(`   No more tokens can ever be minted after this action.`);
 
-    console.log(`✅ Mint authority revoked successfully!`);
-    console.log(`   Transaction: ${signature}`);
+    confirmed = await confirm('\nDo you want to revoke mint authority? (yes/no): ');
+  }
 
-    // Verify the change
-    const updatedMintInfo = await connection.getParsedAccountInfo(mint);
-    const updatedMintData = updatedMintInfo.value.data.parsed.info;
+  if (!confirmed) {
+    logger.info('❌ Operation cancelled by user');
+    return { status: "cancelled", ...summary };
+  }
 
-    console.log('\n📊 Final Token Status:');
-    console.log(`   Supply: ${Number(updatedMintData.supply) / Math.pow(10, updatedMintData.decimals)} tokens (FIXED)`);
-    console.log(`   Mint Authority: ${updatedMintData.mintAuthority || "None - Supply is permanent"}`);
+  // Revoke mint authority
+  logger.info('\n🔒 Revoking mint authority...');
+  const transaction = await sendInstructions(connection, [revokeInstruction], [walletKeypair], {
+    priorityFee,
+    logger,
+  });
+  const { signature } = transaction;
 
-    // Update token info file
-    tokenInfo.mintAuthority = null;
-    tokenInfo.status = "completed";
-    tokenInfo.mintAuthorityRevokedAt = new Date().toISOString();
-    tokenInfo.revokeTransaction = signature;
+  logger.info(`✅ Mint authority revoked successfully!`);
+  logger.info(`   Transaction: ${signature} (${transaction.confirmationStatus})`);
 
-    fs.writeFileSync("./doodi-token-info.json", JSON.stringify(tokenInfo, null, 2));
-    console.log('\n💾 Token info updated');
+  // Verify the change
+  const updatedMintInfo = await connection.getParsedAccountInfo(mint);
+  const updatedMintData = updatedMintInfo.value.data.parsed.info;
 
-    // Show explorer links
-    const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
-    console.log('\n🔗 View on Solana Explorer:');
-    console.log(`   Token: ${networkConfig.explorerUrl}/address/${mint.toString()}${clusterParam}`);
-    console.log(`   Revoke Transaction: ${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`);
+  logger.info('\n📊 Final Token Status:');
+  logger.info(`   Supply: ${formatTokenAmount(updatedMintData.supply, updatedMintData.decimals, { grouping: true })} tokens (FIXED)`);
+  logger.info(`   Mint Authority: ${updatedMintData.mintAuthority || "None - Supply is permanent"}`);
 
-    console.log(`\n🎉 ${tokenInfo.name} supply is now permanently fixed!`);
+  // Update token info file
+  tokenInfo.mintAuthority = null;
+  tokenInfo.status = "completed";
+  tokenInfo.mintAuthorityRevokedAt = new Date().toISOString();
+  tokenInfo.revokeTransaction = signature;
 
-  } catch (error) {
-    console.error("❌ Failed to revoke mint authority:", error.message);
-    process.exit(1);
-  }
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+  logger.info('\n💾 Token info updated');
+
+  const opsLog = recordOperation({
+    type: "revoke-mint-authority",
+    network: tokenInfo.network,
+    operator: signerPublicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: {},
+    transactions: [transaction],
+    before: { mintAuthority: mintData.mintAuthority, supply: summary.supply },
+    after: { mintAuthority: null, supply: formatTokenAmount(updatedMintData.supply, updatedMintData.decimals) },
+  }, { logger });
+
+  // Show explorer links
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info('\n🔗 View on Solana Explorer:');
+  logger.info(`   Token: ${networkConfig.explorerUrl}/address/${mint.toString()}${clusterParam}`);
+  logger.info(`   Revoke Transaction: ${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`);
+
+  logger.info(`\n🎉 ${tokenInfo.name} supply is now permanently fixed!`);
+
+  return {
+    status: "revoked",
+    ...summary,
+    signature,
+    transaction,
+    explorerUrl: `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
 }
 
 // Show usage
@@ -140,7 +246,17 @@ function showUsage() {
 
 This script permanently revokes the mint authority for a token, making the supply fixed forever.
 
-Usage: node revoke-mint-authority.js
+Usage: node revoke-mint-authority.js [options]
+
+Options:
+  --offline <file>    Export an unsigned transaction instead of sending (requires --nonce, --authority)
+  --nonce <address>   Durable nonce account for --offline (see offline-tx.js create-nonce)
+  --authority <addr>  Mint authority address that will sign offline
+  --token <selector>  Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --priority-fee <auto|micro-lamports>
+                      Priority fee per compute unit [default: auto, from recent fees]
+  --json              Print the result as JSON on stdout (logs go to stderr)
+  --help, -h          Show this help message
 
 Requirements:
   - doodi-token-info.json file must exist
@@ -148,6 +264,9 @@ Requirements:
   - Network connection to the blockchain
 
 ⚠️  WARNING: This action is IRREVERSIBLE!
+
+💡 To keep minting possible under shared control instead, hand mint authority
+   to an M-of-N multisig with multisig.js transfer-mint-authority.
 `);
 }
 
@@ -159,7 +278,45 @@ if (require.main === module) {
     process.exit(0);
   }
 
-  revokeMintAuthority();
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  let offline = null;
+  if (args.includes('--offline')) {
+    offline = {
+      outFile: optionValue('--offline'),
+      nonceAccount: optionValue('--nonce'),
+      authority: optionValue('--authority'),
+    };
+    if (!offline.outFile || !offline.nonceAccount || !offline.authority) {
+      console.error("❌ --offline requires <file>, --nonce <address> and --authority <address>");
+      showUsage();
+      process.exit(1);
+    }
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let priorityFee = null;
+  try {
+    priorityFee = args.includes('--priority-fee') ? parsePriorityFee(optionValue('--priority-fee')) : null;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  revokeMintAuthority({ offline, priorityFee, token: optionValue('--token') })
+    .then((result) => {
+      if (json) {
+        writeJsonResult("revoke", result);
+      }
+    })
+    .catch(exitWithError("Failed to revoke mint authority", { json: json ? "revoke" : null }));
 }
 
 module.exports = { revokeMintAuthority };
\ No newline at end of file
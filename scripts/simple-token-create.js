@@ -1,11 +1,18 @@
 const { createToken } = require("./token-creation/token-core");
 const { NETWORKS } = require("./token-creation/network-config");
+const { TOKEN_PROGRAMS } = require("./token-creation/token-program");
+const {
+  parseTokenExtensions,
+  parsePriorityFee,
+  exitWithError,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
 
 /**
  * Show usage instructions
  */
 function showUsage() {
-  console.log("Usage: node simple-token-create.js [network] [wallet-path]");
+  console.log("Usage: node simple-token-create.js [network] [wallet-path] [options]");
   console.log("");
   console.log("Arguments:");
   console.log(
@@ -13,27 +20,74 @@ function showUsage() {
   );
   console.log("  wallet-path  Custom wallet file path [optional]");
   console.log("");
+  console.log("Options:");
+  console.log(
+    "  --program <spl-token|token-2022>    Token program [default: spl-token]"
+  );
+  console.log("  Token-2022 extensions:");
+  console.log(
+    "  --transfer-fee <bps>:<max-fee>      Transfer fee in basis points, max fee in raw units"
+  );
+  console.log(
+    "  --no-embedded-metadata              Use Metaplex metadata instead of the metadata pointer"
+  );
+  console.log(
+    "  --metadata-uri <uri>                URI the metadata JSON is published at (required)"
+  );
+  console.log(
+    "  --permanent-delegate <address>      Permanent delegate (off by default - can move any tokens)"
+  );
+  console.log(
+    "  --interest-rate <bps>               Interest-bearing rate in basis points"
+  );
+  console.log(
+    "  --overwrite                         Replace an existing devnet record for this symbol"
+  );
+  console.log(
+    "  --freeze-authority <address|wallet> Freeze authority [default: none - accounts can never be frozen]"
+  );
+  console.log(
+    "  --priority-fee <auto|micro-lamports> Priority fee per compute unit [default: auto]"
+  );
+  console.log(
+    "  --json                              Print the result as JSON on stdout (logs go to stderr)"
+  );
+  console.log("");
   console.log("Examples:");
   console.log(
-    "  node simple-token-create.js                    # Deploy to devnet with default wallet"
+    "  node simple-token-create.js --metadata-uri https://...                # Deploy to devnet with default wallet"
   );
   console.log(
-    "  node simple-token-create.js devnet              # Deploy to devnet with default wallet"
+    "  node simple-token-create.js devnet --metadata-uri https://...         # Deploy to devnet with default wallet"
   );
   console.log(
-    "  node simple-token-create.js mainnet ~/wallet.json  # Deploy to mainnet with custom wallet"
+    "  node simple-token-create.js mainnet ~/wallet.json --metadata-uri https://...  # Deploy to mainnet with custom wallet"
+  );
+  console.log(
+    "  node simple-token-create.js devnet --program token-2022 --transfer-fee 50:1000000000 --metadata-uri https://..."
   );
   console.log("");
   console.log("Features:");
   console.log("  • Creates DOODi token with metadata");
   console.log("  • Creates token without initial minting (airdrop-ready)");
   console.log("  • Preserves mint authority for airdrop operations");
+  console.log("  • Records the token in tokens/<network>-<symbol>.json");
+  console.log("  • Refuses to overwrite an existing record (mainnet records never)");
+  console.log("  • Accepts encrypted keystores (see wallet.js); mainnet asks you to type 'mainnet <wallet prefix>'");
   console.log("");
   console.log("Post-Creation Scripts:");
   console.log(
     "  • airdrop.js - Mint-based airdrops or transfer-based distributions"
   );
   console.log("  • revoke-mint-authority.js - Permanently fix token supply");
+  console.log("  • multisig.js - Hand mint authority to an M-of-N multisig");
+  console.log("");
+  console.log("Offline signing:");
+  console.log("  Creation has no --offline mode. The new mint keypair is generated here and");
+  console.log("  must sign its own account, and creation is three transactions (mint, account,");
+  console.log("  metadata) that would each need a nonce. Nothing in it is irreversible: create");
+  console.log("  with a hot wallet, then move the authorities offline with");
+  console.log("  multisig.js transfer-mint-authority or revoke-mint-authority.js --offline.");
   console.log("");
   console.log("Supported Networks:");
   Object.entries(NETWORKS).forEach(([key, config]) => {
@@ -50,8 +104,55 @@ if (require.main === module) {
     process.exit(0);
   }
 
-  const network = args[0] || "devnet";
-  const walletPath = args[1] === "null" ? null : args[1] || null;
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const valueOptions = [
+    "--program",
+    "--transfer-fee",
+    "--metadata-uri",
+    "--permanent-delegate",
+    "--interest-rate",
+    "--priority-fee",
+    "--freeze-authority",
+  ];
+  const positional = args.filter(
+    (arg, i) => !arg.startsWith("--") && !valueOptions.includes(args[i - 1])
+  );
+
+  const network = positional[0] || "devnet";
+  const walletPath = positional[1] === "null" ? null : positional[1] || null;
+
+  const program = optionValue("--program") || "spl-token";
+  if (!TOKEN_PROGRAMS[program]) {
+    console.error(`❌ Invalid program: ${program}`);
+    console.error(`Supported programs: ${Object.keys(TOKEN_PROGRAMS).join(", ")}`);
+    process.exit(1);
+  }
+
+  let extensions;
+  let priorityFee = null;
+  try {
+    if (args.includes("--priority-fee")) {
+      priorityFee = parsePriorityFee(optionValue("--priority-fee"));
+    }
+    extensions = parseTokenExtensions({
+      transferFee: optionValue("--transfer-fee"),
+      noEmbeddedMetadata: args.includes("--no-embedded-metadata"),
+      permanentDelegate: optionValue("--permanent-delegate"),
+      interestRate: optionValue("--interest-rate"),
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (program !== "token-2022" && Object.keys(extensions).length > 0) {
+    console.error("❌ Extensions require --program token-2022");
+    process.exit(1);
+  }
 
   // Validate network
   if (!NETWORKS[network.toLowerCase()]) {
@@ -62,8 +163,26 @@ if (require.main === module) {
     process.exit(1);
   }
 
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
   // Create token using modular approach
-  createToken(network, walletPath);
+  createToken(network, walletPath, {
+    program,
+    extensions,
+    metadataUri: optionValue("--metadata-uri"),
+    overwrite: args.includes("--overwrite"),
+    freezeAuthority: optionValue("--freeze-authority"),
+    priorityFee,
+  })
+    .then((result) => {
+      if (json) {
+        writeJsonResult("create", result);
+      }
+    })
+    .catch(exitWithError("Token creation failed", { json: json ? "create" : null }));
 }
 
 module.exports = {
@@ -0,0 +1,215 @@
+const { PublicKey } = require("@solana/web3.js");
+const { getMint } = require("@solana/spl-token");
+const fs = require("fs");
+const path = require("path");
+const { createConnection } = require("./token-creation/network-config");
+const {
+  getTokenProgramId,
+  getTokenProgramName,
+} = require("./token-creation/token-program");
+const {
+  loadExcludeList,
+  fetchTokenAccounts,
+  aggregateByOwner,
+  buildSnapshot,
+  snapshotToCsv,
+} = require("./token-creation/holders");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const {
+  InvalidArgumentError,
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+} = require("./token-creation/errors");
+const {
+  parsePositiveInt,
+  exitWithError,
+} = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+const DEFAULT_EXCLUDE_FILE = "./snapshot-exclude.json";
+const DEFAULT_TOP = 10;
+
+/**
+ * Take a snapshot of every holder of the token and write it as CSV or JSON
+ * @param {Object} options - Snapshot options
+ * @param {string|null} options.outFile - Output file [default: holder-snapshot-<timestamp>.<format>]
+ * @param {string|null} options.format - 'csv' or 'json' [default: from outFile extension, else csv]
+ * @param {string|null} options.excludeFile - JSON list of treasury/LP addresses to leave out
+ * @param {number} options.top - Size of the top-N concentration bucket
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} The snapshot written, with the output file
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidArgument or InvalidAddress (exclude list)
+ */
+async function snapshotHolders(options = {}) {
+  const { top = DEFAULT_TOP, tokenInfoPath = null, token = null, network = null, logger = console } = options;
+  let { outFile = null, format = null, excludeFile = null } = options;
+
+  // Load token info
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  if (!excludeFile && fs.existsSync(DEFAULT_EXCLUDE_FILE)) {
+    excludeFile = DEFAULT_EXCLUDE_FILE;
+  }
+
+  const excluded = loadExcludeList(excludeFile);
+
+  format = format || (outFile && path.extname(outFile).toLowerCase() === ".json" ? "json" : "csv");
+  outFile = outFile || `holder-snapshot-${Date.now()}.${format}`;
+
+  logger.info(`📸 Taking holder snapshot for ${tokenInfo.name}...`);
+  logger.info(`   Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+  if (excludeFile) {
+    logger.info(`   Exclude list: ${excludeFile} (${excluded.size} addresses)`);
+  }
+
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+
+  logger.info(`\n🔍 Fetching ${getTokenProgramName(programId)} token accounts...`);
+  const { slot, accounts } = await fetchTokenAccounts(connection, mint, programId);
+  logger.info(`   • ${accounts.length} token accounts at slot ${slot}`);
+
+  const { holders, excludedHolders } = aggregateByOwner(accounts, excluded);
+  const snapshot = {
+    mintAddress: tokenInfo.mintAddress,
+    symbol: tokenInfo.symbol,
+    network: tokenInfo.network,
+    slot,
+    takenAt: new Date().toISOString(),
+    decimals: mintInfo.decimals,
+    ...buildSnapshot({
+      holders,
+      excludedHolders,
+      supplyRaw: mintInfo.supply,
+      decimals: mintInfo.decimals,
+      top,
+    }),
+  };
+
+  const { stats } = snapshot;
+  logger.info(`\n📊 Distribution:`);
+  logger.info(`   • Holders: ${stats.holderCount.toLocaleString()}`);
+  logger.info(`   • Supply: ${stats.supply} ${tokenInfo.symbol}`);
+  logger.info(`   • Circulating (excl. ${snapshot.excluded.length} excluded): ${stats.circulating} ${tokenInfo.symbol}`);
+  logger.info(`   • Top ${stats.topN} hold: ${stats.topNPercentOfCirculating}% of circulating (${stats.topNPercentOfSupply}% of supply)`);
+  logger.info(`   • Gini coefficient: ${stats.gini}`);
+
+  if (snapshot.holders.length > 0) {
+    logger.info(`\n🏆 Top holders:`);
+    snapshot.holders.slice(0, Math.min(top, 10)).forEach((holder) => {
+      logger.info(`   ${String(holder.rank).padStart(3)}. ${holder.address}  ${holder.amount} (${holder.percentOfSupply}%)`);
+    });
+  }
+
+  snapshot.excluded.forEach((holder) => {
+    logger.info(`   ⏭️  Excluded ${holder.label}: ${holder.address}  ${holder.amount} (${holder.percentOfSupply}%)`);
+  });
+
+  fs.writeFileSync(
+    outFile,
+    format === "json" ? JSON.stringify(snapshot, null, 2) : snapshotToCsv(snapshot)
+  );
+
+  logger.info(`\n💾 Snapshot saved to: ${outFile}`);
+  logger.info(`💡 Use it as an airdrop list: node airdrop.js ${tokenInfo.network} ${outFile}`);
+
+  return { ...snapshot, outFile, format };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+📸 Holder Snapshot Script
+
+Enumerate every token account for the mint, aggregate balances by owner and
+report how concentrated the supply is.
+
+Usage: node snapshot.js [options]
+
+Options:
+  --out <file>          Output file [default: holder-snapshot-<timestamp>.csv]
+  --format <csv|json>   Output format [default: from --out extension, else csv]
+  --exclude <file>      JSON list of treasury/LP addresses to leave out
+                        [default: ${DEFAULT_EXCLUDE_FILE} if present]
+  --top <n>             Size of the top-N concentration bucket [default: ${DEFAULT_TOP}]
+  --token <selector>    Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --json                Print the result as JSON on stdout (logs go to stderr)
+  --help, -h            Show this help message
+
+Exclude list format:
+  ["<address>", { "address": "<address>", "label": "LP vault" }]
+  Entries match either the owner wallet or a specific token account.
+
+Output:
+  CSV:   address,amount,raw_amount,percent_of_supply,rank  (stats in # comments)
+  JSON:  { stats, holders: [{ address, amount, ... }], excluded: [...] }
+  Both formats load directly as airdrop.js recipient lists; amounts are the
+  holders' balances, so edit or scale them before distributing.
+
+Examples:
+  node snapshot.js
+  node snapshot.js --exclude treasury.json --out holders.json --top 20
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  Promise.resolve()
+    .then(() => {
+      const format = optionValue("--format");
+      if (format && !["csv", "json"].includes(format)) {
+        throw new InvalidArgumentError(`Invalid format: ${format} (expected csv or json)`);
+      }
+
+      return snapshotHolders({
+        outFile: optionValue("--out"),
+        format,
+        excludeFile: optionValue("--exclude"),
+        top: args.includes("--top") ? parsePositiveInt(optionValue("--top"), "--top") : DEFAULT_TOP,
+        token: optionValue("--token"),
+      });
+    })
+    .then((result) => {
+      if (json) {
+        writeJsonResult("snapshot", result);
+      }
+    })
+    .catch(exitWithError("Snapshot failed", { json: json ? "snapshot" : null }));
+}
+
+module.exports = { snapshotHolders };
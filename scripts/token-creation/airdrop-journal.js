@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const JOURNAL_VERSION = 1;
+const SIGNATURE_STATUS_CHUNK = 256;
+
+/**
+ * Recipient states:
+ *   pending   - transaction signed and its signature recorded, may or may not have been sent
+ *   sent      - transaction accepted by the RPC node, awaiting confirmation
+ *   confirmed - transaction confirmed on-chain, never process again
+ *   failed    - transaction failed or expired without landing, safe to retry
+ *   unsent    - sending stopped before the transaction was signed, safe to retry
+ */
+const STATUS = {
+  PENDING: "pending",
+  SENT: "sent",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  UNSENT: "unsent",
+};
+
+/**
+ * Derive the default journal path for a distribution run. The same input
+ * file, mint and network always map to the same journal.
+ * @param {string} recipientsFile - Recipients file used for the run
+ * @param {string} mintAddress - Token mint address
+ * @param {string} network - Network name
+ * @returns {string} Journal file path
+ */
+function getJournalPath(recipientsFile, mintAddress, network) {
+  const key = crypto
+    .createHash("sha256")
+    .update(`${network}:${mintAddress}:${path.resolve(recipientsFile)}`)
+    .digest("hex")
+    .slice(0, 12);
+  return `airdrop-journal-${path.basename(recipientsFile, path.extname(recipientsFile))}-${key}.json`;
+}
+
+/**
+ * Load an existing journal or start a new one
+ * @param {string} journalPath - Journal file path
+ * @param {Object} run - Run parameters (mintAddress, network, mode, recipientsFile)
+ * @returns {Object} Journal object
+ */
+function loadJournal(journalPath, run) {
+  if (!fs.existsSync(journalPath)) {
+    return {
+      version: JOURNAL_VERSION,
+      mintAddress: run.mintAddress,
+      network: run.network,
+      mode: run.mode,
+      recipientsFile: run.recipientsFile,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      recipients: {},
+    };
+  }
+
+  const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+
+  if (journal.mintAddress !== run.mintAddress || journal.network !== run.network) {
+    throw new Error(
+      `Journal ${journalPath} belongs to mint ${journal.mintAddress} on ${journal.network}`
+    );
+  }
+
+  return journal;
+}
+
+/**
+ * Persist the journal atomically so a crash never leaves a truncated file
+ * @param {string} journalPath - Journal file path
+ * @param {Object} journal - Journal object
+ */
+function saveJournal(journalPath, journal) {
+  journal.updatedAt = new Date().toISOString();
+  const tempPath = `${journalPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(journal, null, 2));
+  fs.renameSync(tempPath, journalPath);
+}
+
+/**
+ * Record a state change for a set of recipients
+ * @param {Object} journal - Journal object
+ * @param {Array<{address: string, amount: string}>} recipients - Recipients in the transaction
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields (signature, lastValidBlockHeight, error)
+ */
+function markRecipients(journal, recipients, status, details = {}) {
+  const updatedAt = new Date().toISOString();
+  recipients.forEach((recipient) => {
+    journal.recipients[recipient.address] = {
+      ...journal.recipients[recipient.address],
+      amount: recipient.amount,
+      status,
+      ...details,
+      updatedAt,
+    };
+  });
+}
+
+/**
+ * Reconcile pending/sent journal entries against on-chain signature status.
+ * Entries whose transaction landed become confirmed; entries whose
+ * transaction failed or whose blockhash expired become failed (retryable).
+ * Entries still within their blockhash validity window stay in flight.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} journal - Journal object
+ * @returns {Object} Counts of confirmed, failed and in-flight entries after reconciliation
+ */
+async function reconcileJournal(connection, journal) {
+  const unresolved = Object.entries(journal.recipients).filter(
+    ([, entry]) =>
+      (entry.status === STATUS.PENDING || entry.status === STATUS.SENT) &&
+      entry.signature
+  );
+
+  const signatures = [...new Set(unresolved.map(([, entry]) => entry.signature))];
+  const statuses = new Map();
+
+  for (let i = 0; i < signatures.length; i += SIGNATURE_STATUS_CHUNK) {
+    const chunk = signatures.slice(i, i + SIGNATURE_STATUS_CHUNK);
+    const { value } = await connection.getSignatureStatuses(chunk, {
+      searchTransactionHistory: true,
+    });
+    chunk.forEach((signature, index) => statuses.set(signature, value[index]));
+  }
+
+  const blockHeight = unresolved.length > 0 ? await connection.getBlockHeight("confirmed") : 0;
+  const result = { confirmed: 0, failed: 0, inFlight: 0 };
+  const updatedAt = new Date().toISOString();
+
+  unresolved.forEach(([address, entry]) => {
+    const status = statuses.get(entry.signature);
+
+    if (status && status.err) {
+      journal.recipients[address] = {
+        ...entry,
+        status: STATUS.FAILED,
+        error: JSON.stringify(status.err),
+        updatedAt,
+      };
+      result.failed++;
+    } else if (
+      status &&
+      (status.confirmationStatus === "confirmed" ||
+        status.confirmationStatus === "finalized")
+    ) {
+      journal.recipients[address] = { ...entry, status: STATUS.CONFIRMED, updatedAt };
+      result.confirmed++;
+    } else if (!status && blockHeight > entry.lastValidBlockHeight) {
+      journal.recipients[address] = {
+        ...entry,
+        status: STATUS.FAILED,
+        error: "Transaction expired without landing",
+        updatedAt,
+      };
+      result.failed++;
+    } else {
+      result.inFlight++;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Look up a recipient's journal entry
+ * @param {Object} journal - Journal object
+ * @param {string} address - Recipient address
+ * @returns {Object|undefined} Journal entry
+ */
+function getEntry(journal, address) {
+  return journal.recipients[address];
+}
+
+module.exports = {
+  STATUS,
+  getJournalPath,
+  loadJournal,
+  saveJournal,
+  markRecipients,
+  reconcileJournal,
+  getEntry,
+};
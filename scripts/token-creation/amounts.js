@@ -0,0 +1,101 @@
+const { InvalidAmountError } = require("./errors");
+
+const DECIMAL_AMOUNT = /^\d+(\.\d+)?$/;
+
+/**
+ * Check that a value is a plain non-negative decimal amount (e.g. '1000' or
+ * '0.5'). Exponents, signs and separators are rejected.
+ * @param {string|number} value - Amount in UI units
+ * @returns {boolean} Whether the value is a decimal amount
+ */
+function isDecimalAmount(value) {
+  return (typeof value === "string" || typeof value === "number") && DECIMAL_AMOUNT.test(String(value).trim());
+}
+
+/**
+ * Convert a UI amount to raw token units without going through floats.
+ * Trailing zeros are ignored; any other digit beyond the mint decimals is an
+ * error rather than being rounded away.
+ * @param {string|number} value - Amount in UI units (e.g. '1234.5')
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Raw token units
+ */
+function parseTokenAmount(value, decimals) {
+  if (!isDecimalAmount(value)) {
+    throw new InvalidAmountError(`Invalid amount: ${value} (expected a decimal number such as 1000 or 0.5)`, {
+      amount: value,
+    });
+  }
+
+  const [whole, rawFraction = ""] = String(value).trim().split(".");
+  const fraction = rawFraction.replace(/0+$/, "");
+  if (fraction.length > decimals) {
+    throw new InvalidAmountError(`Amount ${value} has more than ${decimals} decimal places`, {
+      amount: value,
+      decimals,
+    });
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+/**
+ * Convert an amount read from a record file to raw token units. Records
+ * written before amounts were kept as strings hold JavaScript numbers; those
+ * are rounded at the mint decimals, as they were when the record was made.
+ * @param {string|number} value - Recorded amount in UI units
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Raw token units
+ */
+function parseRecordedAmount(value, decimals) {
+  if (typeof value === "number") {
+    return parseTokenAmount(value.toFixed(decimals), decimals);
+  }
+  return parseTokenAmount(value, decimals);
+}
+
+/**
+ * Format raw token units as a decimal string without going through floats
+ * @param {bigint|string|number} raw - Raw token units
+ * @param {number} decimals - Mint decimals
+ * @param {Object} options - Format options
+ * @param {boolean} options.grouping - Add thousands separators (e.g. "1,234.5")
+ * @returns {string} Decimal amount (e.g. "1234.5")
+ */
+function formatTokenAmount(raw, decimals, options = {}) {
+  const { grouping = false } = options;
+  const value = BigInt(raw);
+  const negative = value < 0n;
+  const absolute = negative ? -value : value;
+
+  const scale = 10n ** BigInt(decimals);
+  let whole = (absolute / scale).toString();
+  const fraction = (absolute % scale).toString().padStart(decimals, "0").replace(/0+$/, "");
+
+  if (grouping) {
+    whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  }
+
+  return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Percentage of part in total, to four decimal places
+ * @param {bigint} part - Numerator
+ * @param {bigint} total - Denominator
+ * @returns {number} Percentage (0-100)
+ */
+function percentOf(part, total) {
+  if (total === 0n) {
+    return 0;
+  }
+  return Number((part * 1000000n) / total) / 10000;
+}
+
+module.exports = {
+  isDecimalAmount,
+  parseTokenAmount,
+  parseRecordedAmount,
+  formatTokenAmount,
+  percentOf,
+};
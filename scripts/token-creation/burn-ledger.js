@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { TOKEN_CONFIG } = require("./token-config");
+const { parseRecordedAmount, formatTokenAmount } = require("./amounts");
+const { OPS_LOG_PATH, readOperations } = require("./ops-log");
+
+const BURN_RECORD_PATTERN = /^burn-record-\d+\.json$/;
+
+/**
+ * Burn record for a burn entry of the operations log, in the shape of the
+ * legacy burn-record files
+ * @param {Object} entry - Operations log entry of type 'burn'
+ * @returns {Object} Burn record; recordFile points at the log entry
+ */
+function burnRecordFromOperation(entry) {
+  const { params, before, after } = entry;
+  return {
+    timestamp: entry.timestamp,
+    tokenInfo: {
+      name: params.name,
+      symbol: params.symbol,
+      mintAddress: entry.mintAddress,
+      network: entry.network,
+    },
+    burnDetails: {
+      amount: params.amount,
+      rawAmount: params.rawAmount,
+      decimals: params.decimals,
+      fromAccount: params.fromAccount,
+      fromOwner: params.fromOwner,
+      authority: entry.operator,
+      authorityType: params.authorityType,
+      signature: entry.transactions[0].signature,
+      supplyBefore: before.supply,
+      supplyAfter: after.supply,
+      rawSupplyBefore: before.rawSupply,
+      rawSupplyAfter: after.rawSupply,
+    },
+    ...(params.campaign && { campaign: params.campaign }),
+    recordFile: `${path.basename(OPS_LOG_PATH)}#${entry.seq}`,
+  };
+}
+
+/**
+ * Read every burn in a directory: burn entries of the operations log and
+ * the burn-record-*.json files written before the log existed
+ * @param {string} directory - Directory holding the log and burn records
+ * @param {string|null} mintAddress - Only include burns of this mint
+ * @returns {Array<Object>} Burn records sorted oldest first, each with its file name
+ */
+function collectBurnRecords(directory = ".", mintAddress = null) {
+  const legacy = fs
+    .readdirSync(directory)
+    .filter((file) => BURN_RECORD_PATTERN.test(file))
+    .map((file) => ({
+      ...JSON.parse(fs.readFileSync(path.join(directory, file), "utf8")),
+      recordFile: file,
+    }));
+  const logged = readOperations(path.join(directory, path.basename(OPS_LOG_PATH)))
+    // Offline submits log no supply state, as they wrote no burn record before
+    .filter((entry) => entry.type === "burn" && entry.after)
+    .map(burnRecordFromOperation);
+
+  return [...legacy, ...logged]
+    .filter((record) => !mintAddress || record.tokenInfo.mintAddress === mintAddress)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Raw units of an amount in a burn record. Newer records carry the raw value;
+ * older ones only the UI amount.
+ * @param {string|undefined} raw - Recorded raw amount
+ * @param {string|number} value - Recorded UI amount
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Raw token units
+ */
+function recordedRaw(raw, value, decimals) {
+  return raw !== undefined ? BigInt(raw) : parseRecordedAmount(value, decimals);
+}
+
+/**
+ * Aggregate burn records into a cumulative ledger. Totals are summed in raw
+ * units and written as decimal strings.
+ * @param {Array<Object>} records - Burn records (oldest first)
+ * @returns {Object} Ledger with totals, per-campaign totals and running entries
+ */
+function buildBurnLedger(records) {
+  const decimals =
+    records.length > 0 && records[0].burnDetails.decimals !== undefined
+      ? records[0].burnDetails.decimals
+      : TOKEN_CONFIG.decimals;
+  const format = (raw) => formatTokenAmount(raw, decimals);
+
+  let cumulative = 0n;
+  const campaignTotals = {};
+
+  const entries = records.map((record) => {
+    const { burnDetails } = record;
+    const amountRaw = recordedRaw(burnDetails.rawAmount, burnDetails.amount, decimals);
+    cumulative += amountRaw;
+
+    const campaign = record.campaign || null;
+    if (campaign) {
+      campaignTotals[campaign] = (campaignTotals[campaign] || 0n) + amountRaw;
+    }
+
+    return {
+      timestamp: record.timestamp,
+      network: record.tokenInfo.network,
+      mintAddress: record.tokenInfo.mintAddress,
+      amount: format(amountRaw),
+      cumulativeBurned: format(cumulative),
+      supplyBefore: format(recordedRaw(burnDetails.rawSupplyBefore, burnDetails.supplyBefore, decimals)),
+      supplyAfter: format(recordedRaw(burnDetails.rawSupplyAfter, burnDetails.supplyAfter, decimals)),
+      fromOwner: burnDetails.fromOwner,
+      signature: burnDetails.signature,
+      campaign,
+      recordFile: record.recordFile,
+    };
+  });
+
+  const campaigns = {};
+  Object.entries(campaignTotals).forEach(([name, total]) => {
+    campaigns[name] = format(total);
+  });
+
+  return {
+    updatedAt: new Date().toISOString(),
+    decimals,
+    totalBurned: format(cumulative),
+    burnCount: entries.length,
+    campaigns,
+    entries,
+  };
+}
+
+/**
+ * Rebuild the cumulative ledger from the burn records in a directory and save it
+ * @param {string} directory - Directory holding burn records
+ * @param {string} ledgerFile - Ledger output file
+ * @param {string|null} mintAddress - Only include burns of this mint
+ * @returns {Object} Ledger
+ */
+function updateBurnLedger(directory = ".", ledgerFile = "burn-ledger.json", mintAddress = null) {
+  const ledger = buildBurnLedger(collectBurnRecords(directory, mintAddress));
+  fs.writeFileSync(path.join(directory, ledgerFile), JSON.stringify(ledger, null, 2));
+  return ledger;
+}
+
+module.exports = {
+  burnRecordFromOperation,
+  collectBurnRecords,
+  buildBurnLedger,
+  updateBurnLedger,
+};
@@ -0,0 +1,275 @@
+const { PublicKey } = require("@solana/web3.js");
+const { NETWORKS } = require("./network-config");
+const { isDecimalAmount } = require("./amounts");
+const {
+  InvalidArgumentError,
+  InvalidAddressError,
+  InvalidAmountError,
+} = require("./errors");
+const { writeJsonError } = require("./json-output");
+
+/**
+ * Options every doodi command accepts
+ */
+const GLOBAL_OPTIONS = [
+  { name: "--network", value: "<network>", description: "Network to use (devnet/mainnet) [default: token info network, else devnet]" },
+  { name: "--wallet", value: "<path>", description: "Wallet keypair or encrypted keystore file [default: configured wallet]" },
+  { name: "--token", value: "<selector>", description: "Registry token: <symbol>, <network>:<symbol> or <mint-address>" },
+  { name: "--token-info", value: "<path>", description: "Token info file (bypasses the registry)" },
+  { name: "--priority-fee", value: "<fee>", description: "'auto' or micro-lamports per compute unit [default: auto, from recent fees]" },
+  { name: "--json", description: "Print the command result as JSON on stdout (logs go to stderr)" },
+  { name: "--yes", description: "Skip confirmation prompts" },
+  { name: "--help", description: "Show help" },
+];
+
+/**
+ * Convert an option name to its key in the parsed options object
+ * @param {string} name - Option name (e.g. '--batch-size')
+ * @returns {string} camelCase key (e.g. 'batchSize')
+ */
+function optionKey(name) {
+  return name.replace(/^--/, "").replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse command-line arguments against a list of option specs. Options with
+ * a `value` take the next argument (or `--name=value`); others are flags.
+ * @param {Array<string>} argv - Arguments after the command name
+ * @param {Array<Object>} specs - Option specs ({ name, value?, description })
+ * @returns {Object} { positional, options } with options keyed by optionKey
+ */
+function parseArgs(argv, specs) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.split(/=(.*)/s, 2);
+    const spec = specs.find((s) => s.name === name);
+    if (!spec) {
+      throw new InvalidArgumentError(`Unknown option: ${name}`, { option: name });
+    }
+
+    if (!spec.value) {
+      options[optionKey(name)] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith("--"))) {
+      throw new InvalidArgumentError(`${name} requires a value ${spec.value}`, { option: name });
+    }
+    options[optionKey(name)] = value;
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Validate a network name
+ * @param {string} value - Network name
+ * @returns {string} Lowercased network name
+ */
+function parseNetwork(value) {
+  const network = String(value).toLowerCase();
+  if (!NETWORKS[network]) {
+    throw new InvalidArgumentError(`Invalid network: ${value} (valid networks: ${Object.keys(NETWORKS).join(", ")})`, {
+      network: value,
+    });
+  }
+  return network;
+}
+
+/**
+ * Validate a Solana address
+ * @param {string} value - Base58 address
+ * @param {string} label - What the address is, for the error message
+ * @returns {string} The address
+ */
+function parseAddress(value, label = "address") {
+  if (!value) {
+    throw new InvalidArgumentError(`${label} is required`);
+  }
+  try {
+    return new PublicKey(value).toString();
+  } catch (error) {
+    throw new InvalidAddressError(`Invalid ${label}: ${value}`, { address: value });
+  }
+}
+
+/**
+ * Validate a token amount in UI units. The amount stays a decimal string;
+ * it is converted exactly once the mint decimals are known (see amounts.js).
+ * @param {string} value - Amount (e.g. '1000' or '0.5'), or 'all' when allowed
+ * @param {string} label - What the amount is, for the error message
+ * @param {Object} options - Parse options
+ * @param {boolean} options.allowAll - Accept 'all' (returned as null)
+ * @returns {string|null} Amount, or null for 'all'
+ */
+function parseAmount(value, label = "amount", options = {}) {
+  const { allowAll = false } = options;
+
+  if (value === undefined || value === null) {
+    throw new InvalidArgumentError(`${label} is required`);
+  }
+  if (allowAll && value === "all") {
+    return null;
+  }
+  if (!isDecimalAmount(value) || !/[1-9]/.test(value)) {
+    throw new InvalidAmountError(`Invalid ${label}: ${value} (expected a positive number${allowAll ? " or 'all'" : ""})`, {
+      amount: value,
+    });
+  }
+  return String(value).trim();
+}
+
+/**
+ * Validate a positive whole number
+ * @param {string} value - Number
+ * @param {string} label - What the number is, for the error message
+ * @returns {number} Parsed number
+ */
+function parsePositiveInt(value, label) {
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw new InvalidArgumentError(`Invalid ${label}: ${value} (expected a positive whole number)`, { value });
+  }
+  return Number(value);
+}
+
+/**
+ * Validate a date. A date without a time is midnight UTC at the start of
+ * that day, or with endOfDay the last millisecond of it, so an inclusive
+ * upper bound like --until 2025-10-01 covers the whole day.
+ * @param {string} value - ISO 8601 date or timestamp
+ * @param {string} label - What the date is, for the error message
+ * @param {Object} options - { endOfDay } [default: false]
+ * @returns {string} Normalised ISO timestamp
+ */
+function parseDate(value, label, options = {}) {
+  const { endOfDay = false } = options;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new InvalidArgumentError(`Invalid ${label}: ${value} (expected ISO 8601, e.g. 2025-10-01 or 2025-10-01T12:00:00Z)`, {
+      value,
+    });
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(time + 24 * 60 * 60 * 1000 - 1).toISOString();
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Validate a priority fee
+ * @param {string} value - 'auto' or micro-lamports per compute unit
+ * @returns {string|number} 'auto' or the fee as a number
+ */
+function parsePriorityFee(value) {
+  if (value === "auto") {
+    return value;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new InvalidArgumentError(`Invalid priority fee: ${value} (expected 'auto' or micro-lamports per compute unit)`, {
+      priorityFee: value,
+    });
+  }
+  return Number(value);
+}
+
+/**
+ * Build a Token-2022 extension selection from command-line values
+ * @param {Object} values - Raw option values
+ * @param {string|null} values.transferFee - '<bps>:<max-fee>' (max fee in raw units)
+ * @param {boolean} values.noEmbeddedMetadata - Use Metaplex metadata instead of the metadata pointer
+ * @param {string|null} values.permanentDelegate - Permanent delegate address
+ * @param {string|null} values.interestRate - Interest rate in basis points
+ * @returns {Object} Extension selection (only the extensions that were set)
+ */
+function parseTokenExtensions(values) {
+  const extensions = {};
+
+  if (values.transferFee) {
+    const [basisPoints, maximumFee] = values.transferFee.split(":");
+    if (!/^\d+$/.test(basisPoints || "") || !/^\d+$/.test(maximumFee || "") || Number(basisPoints) > 10000) {
+      throw new InvalidArgumentError(`Invalid --transfer-fee: ${values.transferFee} (expected <bps>:<max-fee>)`, {
+        option: "--transfer-fee",
+      });
+    }
+    extensions.transferFee = {
+      basisPoints: Number(basisPoints),
+      maximumFee: BigInt(maximumFee),
+    };
+  }
+
+  if (values.noEmbeddedMetadata) {
+    extensions.embeddedMetadata = false;
+  }
+
+  if (values.permanentDelegate) {
+    extensions.permanentDelegate = new PublicKey(
+      parseAddress(values.permanentDelegate, "--permanent-delegate")
+    );
+  }
+
+  if (values.interestRate !== null && values.interestRate !== undefined) {
+    if (!/^-?\d+$/.test(values.interestRate)) {
+      throw new InvalidArgumentError(`Invalid --interest-rate: ${values.interestRate}`, {
+        option: "--interest-rate",
+      });
+    }
+    extensions.interestRate = Number(values.interestRate);
+  }
+
+  return extensions;
+}
+
+/**
+ * Build a rejection handler for a CLI entry point. Script functions throw
+ * instead of exiting, so the command line reports the failure (with any
+ * transaction logs) and sets the exit code here.
+ * @param {string} label - What failed (e.g. 'Token burn failed')
+ * @param {Object} options - Handler options
+ * @param {string|null} options.json - Command name; also write the error as a --json document
+ * @returns {Function} (error) => never
+ */
+function exitWithError(label, options = {}) {
+  const { json = null } = options;
+
+  return (error) => {
+    if (json) {
+      writeJsonError(json, error);
+    }
+    console.error(`❌ ${label}:`, error.message);
+    if (error.logs) {
+      console.error("Transaction logs:");
+      error.logs.forEach((log, i) => {
+        console.error(`  ${i + 1}. ${log}`);
+      });
+    }
+    process.exit(1);
+  };
+}
+
+module.exports = {
+  GLOBAL_OPTIONS,
+  parseArgs,
+  parseNetwork,
+  parseAddress,
+  parseAmount,
+  parsePositiveInt,
+  parseDate,
+  parsePriorityFee,
+  parseTokenExtensions,
+  exitWithError,
+};
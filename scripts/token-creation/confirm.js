@@ -0,0 +1,61 @@
+/**
+ * Ask the user to confirm an action on the terminal. This is the default
+ * `confirm` for every script function; tests and other non-interactive
+ * callers inject their own. The prompt goes to stderr so it never mixes
+ * with --json output.
+ * @param {string} question - Prompt text
+ * @param {Array<string>} accepted - Answers that count as confirmation
+ * @returns {Promise<boolean>} Whether the user confirmed
+ */
+function askConfirmation(question, accepted = ["yes", "y"]) {
+  const readline = require("readline");
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(accepted.includes(answer.trim()) || accepted.includes(answer.toLowerCase().trim()));
+    });
+  });
+}
+
+/**
+ * Read a secret such as a keystore password on the terminal without
+ * echoing it. Like askConfirmation the prompt goes to stderr.
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} What the user typed
+ */
+function askSecret(question) {
+  const readline = require("readline");
+  const { Writable } = require("stream");
+
+  // Print the prompt ourselves and send readline's echo of every
+  // keystroke to a stream that discards it
+  const muted = new Writable({
+    write(chunk, encoding, callback) {
+      callback();
+    },
+  });
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: muted,
+    terminal: true,
+  });
+  process.stderr.write(question);
+
+  return new Promise((resolve) => {
+    rl.question("", (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+module.exports = {
+  askConfirmation,
+  askSecret,
+};
@@ -0,0 +1,190 @@
+/**
+ * Base class for errors thrown by the script functions. Every error carries
+ * a stable machine-readable code and optional details, so library callers
+ * can branch on the failure without parsing messages.
+ */
+class DoodiError extends Error {
+  static code = "DOODI_ERROR";
+
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Structured context (addresses, amounts, ...)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.details = details;
+  }
+}
+
+/** A command-line argument or option is missing or malformed */
+class InvalidArgumentError extends DoodiError {
+  static code = "INVALID_ARGUMENT";
+}
+
+/** No token info record to operate on */
+class TokenInfoNotFoundError extends DoodiError {
+  static code = "TOKEN_INFO_NOT_FOUND";
+}
+
+/** The requested network is not the one the token lives on */
+class NetworkMismatchError extends DoodiError {
+  static code = "NETWORK_MISMATCH";
+}
+
+/** An amount is malformed, non-positive or finer than the mint decimals */
+class InvalidAmountError extends DoodiError {
+  static code = "INVALID_AMOUNT";
+}
+
+/** An address is not a valid public key, or not the kind of account expected (e.g. a mint) */
+class InvalidAddressError extends DoodiError {
+  static code = "INVALID_ADDRESS";
+}
+
+/** The account (or delegated allowance) holds less than requested */
+class InsufficientBalanceError extends DoodiError {
+  static code = "INSUFFICIENT_BALANCE";
+}
+
+/** The expected token account does not exist */
+class TokenAccountNotFoundError extends DoodiError {
+  static code = "TOKEN_ACCOUNT_NOT_FOUND";
+}
+
+/** A mint would push supply past the configured cap */
+class SupplyCapExceededError extends DoodiError {
+  static code = "SUPPLY_CAP_EXCEEDED";
+}
+
+/** The signer is neither owner nor delegate of a token account */
+class NotTokenAuthorityError extends DoodiError {
+  static code = "NOT_TOKEN_AUTHORITY";
+}
+
+/** The signer is not the mint authority */
+class NotMintAuthorityError extends DoodiError {
+  static code = "NOT_MINT_AUTHORITY";
+}
+
+/** The signer is not the freeze authority, or the mint has none */
+class NotFreezeAuthorityError extends DoodiError {
+  static code = "NOT_FREEZE_AUTHORITY";
+}
+
+/** The signer is not the metadata update authority, or the metadata is immutable */
+class NotMetadataAuthorityError extends DoodiError {
+  static code = "NOT_METADATA_AUTHORITY";
+}
+
+/** A keystore is malformed, unsupported, or the password is wrong */
+class KeystoreError extends DoodiError {
+  static code = "KEYSTORE_INVALID";
+}
+
+/** The wallet is not on the signer allowlist for the network */
+class SignerNotAllowedError extends DoodiError {
+  static code = "SIGNER_NOT_ALLOWED";
+}
+
+/** The typed mainnet confirmation was declined or did not match */
+class MainnetNotConfirmedError extends DoodiError {
+  static code = "MAINNET_NOT_CONFIRMED";
+}
+
+/** Token metadata failed validation */
+class MetadataValidationError extends DoodiError {
+  static code = "METADATA_INVALID";
+}
+
+/** A vesting schedule file is missing or malformed */
+class VestingScheduleError extends DoodiError {
+  static code = "VESTING_SCHEDULE_INVALID";
+}
+
+/** A burn campaign config is missing or malformed, or a tranche could not be completed */
+class CampaignError extends DoodiError {
+  static code = "CAMPAIGN_INVALID";
+}
+
+/** The operations log is unreadable, or another process holds its lock */
+class OpsLogError extends DoodiError {
+  static code = "OPS_LOG_INVALID";
+}
+
+/** A plan file is missing or malformed, or has no passing rehearsal */
+class PlanError extends DoodiError {
+  static code = "PLAN_INVALID";
+}
+
+/** A liquidity pool cannot be set up: one is already recorded, or the mint is unsupported */
+class PoolSetupError extends DoodiError {
+  static code = "POOL_SETUP_INVALID";
+}
+
+/** A token record already exists for the token being created */
+class TokenRecordExistsError extends DoodiError {
+  static code = "TOKEN_RECORD_EXISTS";
+}
+
+/** An exported transaction file is missing or malformed, or its signatures are incomplete */
+class OfflineTransactionError extends DoodiError {
+  static code = "OFFLINE_TRANSACTION_INVALID";
+}
+
+/** A transaction landed but failed on chain */
+class TransactionFailedError extends DoodiError {
+  static code = "TRANSACTION_FAILED";
+
+  constructor(message, details = {}) {
+    super(message, details);
+    this.logs = details.logs || [];
+  }
+}
+
+/** A transaction failed simulation and was never sent */
+class SimulationFailedError extends TransactionFailedError {
+  static code = "SIMULATION_FAILED";
+}
+
+/** Every attempt's blockhash expired before the transaction confirmed */
+class TransactionExpiredError extends DoodiError {
+  static code = "TRANSACTION_EXPIRED";
+}
+
+/** An earlier transaction may still land - retry once its blockhash has expired */
+class TransactionPendingError extends DoodiError {
+  static code = "TRANSACTION_PENDING";
+}
+
+module.exports = {
+  DoodiError,
+  InvalidArgumentError,
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  InvalidAmountError,
+  InvalidAddressError,
+  InsufficientBalanceError,
+  SupplyCapExceededError,
+  TokenAccountNotFoundError,
+  NotTokenAuthorityError,
+  NotMintAuthorityError,
+  NotFreezeAuthorityError,
+  NotMetadataAuthorityError,
+  KeystoreError,
+  SignerNotAllowedError,
+  MainnetNotConfirmedError,
+  MetadataValidationError,
+  VestingScheduleError,
+  CampaignError,
+  PlanError,
+  OpsLogError,
+  PoolSetupError,
+  TokenRecordExistsError,
+  OfflineTransactionError,
+  TransactionFailedError,
+  SimulationFailedError,
+  TransactionExpiredError,
+  TransactionPendingError,
+};
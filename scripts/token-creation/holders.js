@@ -0,0 +1,217 @@
+const { PublicKey } = require("@solana/web3.js");
+const { TOKEN_PROGRAM_ID, ACCOUNT_SIZE, unpackAccount } = require("@solana/spl-token");
+const fs = require("fs");
+const { formatTokenAmount, percentOf } = require("./amounts");
+const { InvalidArgumentError, InvalidAddressError } = require("./errors");
+
+/**
+ * Load the exclusion list. Entries are addresses, or objects with an
+ * address and an optional label (e.g. treasury, LP vault).
+ * @param {string|null} filePath - JSON file with the exclusion list
+ * @returns {Map<string, string>} Excluded owner/token account address → label
+ * @throws {DoodiError} InvalidArgument for a missing or malformed file, InvalidAddress for a bad entry
+ */
+function loadExcludeList(filePath) {
+  const excluded = new Map();
+  if (!filePath) {
+    return excluded;
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new InvalidArgumentError(`Exclude list not found: ${filePath}`, { filePath });
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new InvalidArgumentError(`Exclude list is not valid JSON: ${filePath}`, { filePath });
+  }
+  if (!Array.isArray(entries)) {
+    throw new InvalidArgumentError(`Exclude list must be a JSON array: ${filePath}`, { filePath });
+  }
+
+  entries.forEach((entry, index) => {
+    const address = typeof entry === "string" ? entry : entry && entry.address;
+    try {
+      new PublicKey(address);
+    } catch (error) {
+      throw new InvalidAddressError(`Invalid address on exclude entry ${index + 1}: ${address}`, {
+        address,
+        entry: index + 1,
+      });
+    }
+    excluded.set(address, (entry && entry.label) || "excluded");
+  });
+
+  return excluded;
+}
+
+/**
+ * Fetch every token account for a mint. Legacy token accounts have a fixed
+ * size; Token-2022 accounts carry extensions, so only the mint filter applies
+ * there and non-account data is dropped by unpackAccount.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @param {PublicKey} programId - Owning token program
+ * @returns {Promise<Object>} { slot, accounts } with unpacked token accounts
+ */
+async function fetchTokenAccounts(connection, mint, programId) {
+  const filters = [{ memcmp: { offset: 0, bytes: mint.toBase58() } }];
+  if (programId.equals(TOKEN_PROGRAM_ID)) {
+    filters.push({ dataSize: ACCOUNT_SIZE });
+  }
+
+  const { context, value } = await connection.getProgramAccounts(programId, {
+    commitment: "confirmed",
+    filters,
+    withContext: true,
+  });
+
+  const accounts = [];
+  value.forEach(({ pubkey, account }) => {
+    try {
+      accounts.push(unpackAccount(pubkey, account, programId));
+    } catch (error) {
+      // Not a token account
+    }
+  });
+
+  return { slot: context.slot, accounts };
+}
+
+/**
+ * Aggregate token accounts by owner, dropping empty and excluded ones.
+ * An exclusion matches either the owner or the token account itself.
+ * @param {Array<Object>} accounts - Unpacked token accounts
+ * @param {Map<string, string>} excluded - Exclusion list from loadExcludeList
+ * @returns {Object} { holders, excludedHolders } sorted by balance, largest first
+ */
+function aggregateByOwner(accounts, excluded = new Map()) {
+  const holders = new Map();
+  const excludedHolders = new Map();
+
+  accounts.forEach((account) => {
+    if (account.amount === 0n) {
+      return;
+    }
+
+    const owner = account.owner.toString();
+    const tokenAccount = account.address.toString();
+    const label = excluded.get(owner) || excluded.get(tokenAccount);
+    const target = label ? excludedHolders : holders;
+
+    const entry = target.get(owner) || { owner, rawAmount: 0n, accounts: [], label };
+    entry.rawAmount += account.amount;
+    entry.accounts.push(tokenAccount);
+    target.set(owner, entry);
+  });
+
+  const byBalance = (a, b) => (a.rawAmount === b.rawAmount ? 0 : a.rawAmount > b.rawAmount ? -1 : 1);
+  return {
+    holders: [...holders.values()].sort(byBalance),
+    excludedHolders: [...excludedHolders.values()].sort(byBalance),
+  };
+}
+
+/**
+ * Gini coefficient of holder balances (0 = perfectly even, 1 = one holder has everything)
+ * @param {Array<bigint>} balances - Raw balances
+ * @returns {number} Gini coefficient
+ */
+function giniCoefficient(balances) {
+  const n = balances.length;
+  if (n === 0) {
+    return 0;
+  }
+
+  const sorted = [...balances].sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+  let total = 0n;
+  let weighted = 0n;
+  sorted.forEach((balance, i) => {
+    total += balance;
+    weighted += BigInt(i + 1) * balance;
+  });
+
+  if (total === 0n) {
+    return 0;
+  }
+
+  // G = 2·Σ(i·xᵢ) / (n·Σxᵢ) − (n+1)/n, with the ratio kept exact until the end
+  const scale = 1000000n;
+  const ratio = Number((2n * weighted * scale) / (BigInt(n) * total)) / Number(scale);
+  return Math.max(0, ratio - (n + 1) / n);
+}
+
+/**
+ * Build a holder snapshot with distribution statistics
+ * @param {Object} params - Snapshot inputs
+ * @param {Array<Object>} params.holders - Included holders from aggregateByOwner
+ * @param {Array<Object>} params.excludedHolders - Excluded holders from aggregateByOwner
+ * @param {bigint} params.supplyRaw - Mint supply in raw units
+ * @param {number} params.decimals - Mint decimals
+ * @param {number} params.top - Size of the top-N concentration bucket
+ * @returns {Object} Snapshot holders and stats
+ */
+function buildSnapshot({ holders, excludedHolders, supplyRaw, decimals, top = 10 }) {
+  const circulatingRaw = holders.reduce((sum, h) => sum + h.rawAmount, 0n);
+  const excludedRaw = excludedHolders.reduce((sum, h) => sum + h.rawAmount, 0n);
+  const topRaw = holders.slice(0, top).reduce((sum, h) => sum + h.rawAmount, 0n);
+
+  const describe = (holder, rank) => ({
+    rank,
+    address: holder.owner,
+    amount: formatTokenAmount(holder.rawAmount, decimals),
+    rawAmount: holder.rawAmount.toString(),
+    percentOfSupply: percentOf(holder.rawAmount, supplyRaw),
+    tokenAccounts: holder.accounts,
+  });
+
+  return {
+    holders: holders.map((holder, i) => describe(holder, i + 1)),
+    excluded: excludedHolders.map((holder) => ({
+      ...describe(holder, null),
+      label: holder.label,
+    })),
+    stats: {
+      holderCount: holders.length,
+      supply: formatTokenAmount(supplyRaw, decimals),
+      circulating: formatTokenAmount(circulatingRaw, decimals),
+      excluded: formatTokenAmount(excludedRaw, decimals),
+      topN: top,
+      topNAmount: formatTokenAmount(topRaw, decimals),
+      topNPercentOfCirculating: percentOf(topRaw, circulatingRaw),
+      topNPercentOfSupply: percentOf(topRaw, supplyRaw),
+      gini: Number(giniCoefficient(holders.map((h) => h.rawAmount)).toFixed(4)),
+    },
+  };
+}
+
+/**
+ * Render a snapshot as CSV. Stats go in '#' comment lines, so the file
+ * loads directly as an airdrop recipients list (address,amount first).
+ * @param {Object} snapshot - Snapshot with header fields, holders and stats
+ * @returns {string} CSV content
+ */
+function snapshotToCsv(snapshot) {
+  const { stats } = snapshot;
+  const lines = [
+    `# ${snapshot.symbol} holder snapshot - ${snapshot.network} slot ${snapshot.slot} at ${snapshot.takenAt}`,
+    `# mint ${snapshot.mintAddress}`,
+    `# holders ${stats.holderCount}, supply ${stats.supply}, circulating ${stats.circulating}, excluded ${stats.excluded}`,
+    `# top ${stats.topN} hold ${stats.topNPercentOfCirculating}% of circulating (${stats.topNPercentOfSupply}% of supply), gini ${stats.gini}`,
+    "address,amount,raw_amount,percent_of_supply,rank",
+    ...snapshot.holders.map((h) =>
+      [h.address, h.amount, h.rawAmount, h.percentOfSupply, h.rank].join(",")
+    ),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  loadExcludeList,
+  fetchTokenAccounts,
+  aggregateByOwner,
+  giniCoefficient,
+  buildSnapshot,
+  snapshotToCsv,
+};
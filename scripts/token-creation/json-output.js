@@ -0,0 +1,91 @@
+const { DoodiError, TransactionFailedError } = require("./errors");
+
+/**
+ * Version of the --json document layout. Bump it when a field is renamed or
+ * removed; adding fields is backwards compatible.
+ */
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Send console.log/info to stderr so stdout carries only the JSON document
+ */
+function useJsonOutput() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * Serialise a value as JSON, writing BigInt values as decimal strings
+ * @param {*} value - Value to serialise
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(
+    value === undefined ? null : value,
+    (key, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Describe an error for the JSON document. Typed errors keep their code;
+ * transaction errors from web3.js map to TRANSACTION_FAILED and anything
+ * else to the generic DOODI_ERROR.
+ * @param {Error} error - Thrown error
+ * @returns {Object} { code, name, message, details, logs }
+ */
+function describeError(error) {
+  let code = DoodiError.code;
+  if (error instanceof DoodiError) {
+    code = error.code;
+  } else if (error && error.logs) {
+    code = TransactionFailedError.code;
+  }
+
+  return {
+    code,
+    name: (error && error.name) || "Error",
+    message: error && error.message ? error.message : String(error),
+    details: (error && error.details) || {},
+    logs: (error && error.logs) || [],
+  };
+}
+
+/**
+ * Write the JSON document for a successful command to stdout
+ * @param {string} command - Command name (e.g. 'burn')
+ * @param {*} result - Command result
+ */
+function writeJsonResult(command, result) {
+  const document = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    ok: true,
+    command,
+    result: result === undefined ? null : result,
+  };
+  process.stdout.write(toJson(document) + "\n");
+}
+
+/**
+ * Write the JSON document for a failed command to stdout
+ * @param {string} command - Command name (e.g. 'burn')
+ * @param {Error} error - Thrown error
+ */
+function writeJsonError(command, error) {
+  const document = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    ok: false,
+    command,
+    error: describeError(error),
+  };
+  process.stdout.write(toJson(document) + "\n");
+}
+
+module.exports = {
+  JSON_SCHEMA_VERSION,
+  useJsonOutput,
+  toJson,
+  describeError,
+  writeJsonResult,
+  writeJsonError,
+};
@@ -0,0 +1,149 @@
+const { Keypair } = require("@solana/web3.js");
+const crypto = require("crypto");
+const fs = require("fs");
+const { promisify } = require("util");
+const { KeystoreError } = require("./errors");
+
+const KEYSTORE_VERSION = 1;
+const scrypt = promisify(crypto.scrypt);
+
+/** scrypt cost: N = 2^17 takes about a second and 128 MiB per unlock */
+const SCRYPT_PARAMS = { n: 2 ** 17, r: 8, p: 1, dklen: 32 };
+
+/**
+ * Derive the AES key from a password
+ * @param {string} password - Keystore password
+ * @param {Object} kdfparams - { n, r, p, dklen, salt } (salt in hex)
+ * @returns {Promise<Buffer>} Key
+ */
+function deriveKey(password, { n, r, p, dklen, salt }) {
+  return scrypt(password.normalize("NFKC"), Buffer.from(salt, "hex"), dklen, {
+    N: n,
+    r,
+    p,
+    maxmem: 256 * n * r,
+  });
+}
+
+/**
+ * Whether parsed wallet file content is an encrypted keystore rather than
+ * a plaintext keypair (a JSON array of secret key bytes)
+ * @param {*} content - Parsed wallet file
+ * @returns {boolean} True for a keystore
+ */
+function isKeystore(content) {
+  return Boolean(content && !Array.isArray(content) && content.crypto && content.address);
+}
+
+/**
+ * Read a wallet file and report whether it is an encrypted keystore
+ * @param {string} walletPath - Wallet file
+ * @returns {Object|null} Parsed keystore, or null for any other file
+ */
+function readKeystore(walletPath) {
+  if (!walletPath || !fs.existsSync(walletPath)) {
+    return null;
+  }
+  try {
+    const content = JSON.parse(fs.readFileSync(walletPath, "utf8"));
+    return isKeystore(content) ? content : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encrypt a keypair with a password: scrypt derives an AES-256-GCM key and
+ * the address is authenticated alongside the secret key
+ * @param {Keypair} keypair - Keypair to encrypt
+ * @param {string} password - Keystore password
+ * @returns {Promise<Object>} Keystore, ready to write as JSON
+ */
+async function encryptKeypair(keypair, password) {
+  if (!password) {
+    throw new KeystoreError("A keystore password is required");
+  }
+
+  const address = keypair.publicKey.toString();
+  const kdfparams = { ...SCRYPT_PARAMS, salt: crypto.randomBytes(32).toString("hex") };
+  const key = await deriveKey(password, kdfparams);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(address));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    address,
+    crypto: {
+      cipher: "aes-256-gcm",
+      ciphertext: ciphertext.toString("hex"),
+      iv: iv.toString("hex"),
+      authTag: cipher.getAuthTag().toString("hex"),
+      kdf: "scrypt",
+      kdfparams,
+    },
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Decrypt a keystore
+ * @param {Object} keystore - Parsed keystore
+ * @param {string} password - Keystore password
+ * @returns {Promise<Keypair>} Keypair
+ * @throws {KeystoreError} When the format is unsupported or the password is wrong
+ */
+async function decryptKeystore(keystore, password) {
+  const { version, address, crypto: params } = keystore;
+  if (version !== KEYSTORE_VERSION || params.cipher !== "aes-256-gcm" || params.kdf !== "scrypt") {
+    throw new KeystoreError(`Unsupported keystore (version ${version}, ${params.cipher}/${params.kdf})`, {
+      address,
+    });
+  }
+
+  const key = await deriveKey(password || "", params.kdfparams);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(params.iv, "hex"));
+  decipher.setAAD(Buffer.from(address));
+  decipher.setAuthTag(Buffer.from(params.authTag, "hex"));
+
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(params.ciphertext, "hex")), decipher.final()]);
+  } catch (error) {
+    // GCM authentication fails for a wrong password and for a tampered file alike
+    throw new KeystoreError(`Wrong password for keystore ${address} (or the file was modified)`, { address });
+  }
+
+  const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  if (keypair.publicKey.toString() !== address) {
+    throw new KeystoreError(`Keystore decrypts to ${keypair.publicKey.toString()}, not ${address}`, { address });
+  }
+  return keypair;
+}
+
+/**
+ * Write a wallet file readable only by its owner, never replacing one
+ * @param {string} filePath - Destination
+ * @param {*} content - JSON content
+ * @throws {KeystoreError} When the file exists
+ */
+function writeWalletFile(filePath, content) {
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(content, null, 2), { mode: 0o600, flag: "wx" });
+  } catch (error) {
+    if (error.code === "EEXIST") {
+      throw new KeystoreError(`${filePath} already exists - wallet files are never overwritten`, { path: filePath });
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isKeystore,
+  readKeystore,
+  encryptKeypair,
+  decryptKeystore,
+  writeWalletFile,
+};
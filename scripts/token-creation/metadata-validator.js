@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Metaplex Token Metadata on-chain field limits (bytes)
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_URI_LENGTH = 200;
+
+const IMAGE_MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+};
+
+const URI_SCHEMES = ["https:", "ipfs:", "ar:"];
+
+/**
+ * Check that a value is a URI with a scheme wallets can resolve
+ * @param {string} value - URI to check
+ * @returns {boolean} Whether the URI is usable
+ */
+function isSupportedUri(value) {
+  try {
+    return URI_SCHEMES.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Guess an image MIME type from the URI path
+ * @param {string} uri - Image URI
+ * @returns {string|null} MIME type, or null if the extension is unknown
+ */
+function mimeTypeFromUri(uri) {
+  try {
+    const extension = path.extname(new URL(uri).pathname).toLowerCase();
+    return IMAGE_MIME_TYPES[extension] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Ask the host for the image's content type
+ * @param {string} uri - Image URI (https only)
+ * @returns {Promise<string|null>} Content type, or null when unreachable
+ */
+async function fetchContentType(uri) {
+  try {
+    const response = await fetch(uri, { method: "HEAD" });
+    if (!response.ok) {
+      return null;
+    }
+    return (response.headers.get("content-type") || "").split(";")[0].trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate off-chain metadata JSON against the Metaplex fungible token standard
+ * @param {Object} metadata - Parsed metadata JSON
+ * @param {Object} options - Validation options
+ * @param {string|null} options.uri - On-chain URI the JSON will be published at
+ * @param {boolean} options.checkRemote - Fetch the image to verify it exists and is an image
+ * @returns {Promise<Object>} { valid, errors, warnings }
+ */
+async function validateMetadata(metadata, options = {}) {
+  const { uri = null, checkRemote = true } = options;
+  const errors = [];
+  const warnings = [];
+
+  const checkString = (field, limit) => {
+    const value = metadata[field];
+    if (typeof value !== "string" || value.trim() === "") {
+      errors.push(`"${field}" is required`);
+    } else if (limit && Buffer.byteLength(value, "utf8") > limit) {
+      errors.push(`"${field}" is ${Buffer.byteLength(value, "utf8")} bytes, the limit is ${limit}`);
+    } else if (value !== value.trim()) {
+      warnings.push(`"${field}" has leading or trailing whitespace`);
+    }
+  };
+
+  checkString("name", MAX_NAME_LENGTH);
+  checkString("symbol", MAX_SYMBOL_LENGTH);
+
+  if (typeof metadata.description !== "string" || metadata.description.trim() === "") {
+    warnings.push(`"description" is missing - wallets and explorers show it`);
+  }
+
+  const metadataUri = uri || metadata.uri;
+  if (metadataUri) {
+    if (!isSupportedUri(metadataUri)) {
+      errors.push(`Metadata URI is not a valid ${URI_SCHEMES.join("/")} URI: ${metadataUri}`);
+    } else if (Buffer.byteLength(metadataUri, "utf8") > MAX_URI_LENGTH) {
+      errors.push(`Metadata URI is ${Buffer.byteLength(metadataUri, "utf8")} bytes, the limit is ${MAX_URI_LENGTH}`);
+    }
+  }
+
+  // Image
+  if (typeof metadata.image !== "string" || metadata.image.trim() === "") {
+    errors.push(`"image" is required`);
+  } else if (!isSupportedUri(metadata.image)) {
+    errors.push(`"image" is not a valid ${URI_SCHEMES.join("/")} URI: ${metadata.image}`);
+  } else {
+    const declaredType = mimeTypeFromUri(metadata.image);
+    if (!declaredType) {
+      warnings.push(`"image" has no recognised image extension (${Object.keys(IMAGE_MIME_TYPES).join(", ")})`);
+    }
+
+    if (checkRemote && new URL(metadata.image).protocol === "https:") {
+      const contentType = await fetchContentType(metadata.image);
+      if (contentType === null) {
+        errors.push(`"image" could not be fetched: ${metadata.image}`);
+      } else if (!contentType.startsWith("image/")) {
+        errors.push(`"image" is served as ${contentType || "unknown type"}, expected image/*`);
+      } else if (declaredType && contentType !== declaredType) {
+        warnings.push(`"image" extension suggests ${declaredType} but the host serves ${contentType}`);
+      }
+    }
+  }
+
+  // Optional blocks
+  if (metadata.properties !== undefined) {
+    const files = metadata.properties.files || [];
+    if (!Array.isArray(files)) {
+      errors.push(`"properties.files" must be an array`);
+    } else {
+      files.forEach((file, i) => {
+        if (!file || typeof file.uri !== "string" || typeof file.type !== "string") {
+          errors.push(`"properties.files[${i}]" needs "uri" and "type"`);
+        }
+      });
+    }
+  }
+
+  if (metadata.extensions !== undefined) {
+    if (typeof metadata.extensions !== "object" || Array.isArray(metadata.extensions)) {
+      errors.push(`"extensions" must be an object`);
+    } else {
+      Object.entries(metadata.extensions).forEach(([key, value]) => {
+        if (typeof value !== "string") {
+          errors.push(`"extensions.${key}" must be a string`);
+        }
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Read and validate a metadata JSON file
+ * @param {string} metadataPath - Metadata JSON file
+ * @param {Object} options - See validateMetadata
+ * @returns {Promise<Object>} { valid, errors, warnings, metadata }
+ */
+async function validateMetadataFile(metadataPath, options = {}) {
+  if (!fs.existsSync(metadataPath)) {
+    return {
+      valid: false,
+      errors: [`Metadata file not found: ${metadataPath}`],
+      warnings: [],
+      metadata: null,
+    };
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [`Metadata file is not valid JSON: ${error.message}`],
+      warnings: [],
+      metadata: null,
+    };
+  }
+
+  return { ...(await validateMetadata(metadata, options)), metadata };
+}
+
+/**
+ * Download the image, store it next to the metadata and add a hashed
+ * properties.files block so the published JSON pins the exact asset
+ * @param {Object} metadata - Parsed metadata JSON
+ * @param {string} outDir - Bundle output directory
+ * @returns {Promise<Object>} Bundle paths, image hash and the enriched metadata
+ */
+async function bundleMetadata(metadata, outDir) {
+  const response = await fetch(metadata.image);
+  if (!response.ok) {
+    throw new Error(`Failed to download image (${response.status}): ${metadata.image}`);
+  }
+
+  const image = Buffer.from(await response.arrayBuffer());
+  const contentType =
+    (response.headers.get("content-type") || "").split(";")[0].trim() ||
+    mimeTypeFromUri(metadata.image);
+  const sha256 = crypto.createHash("sha256").update(image).digest("hex");
+
+  const extension =
+    Object.keys(IMAGE_MIME_TYPES).find((ext) => IMAGE_MIME_TYPES[ext] === contentType) ||
+    path.extname(new URL(metadata.image).pathname) ||
+    "";
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const imageFile = path.join(outDir, `${metadata.symbol.toLowerCase()}${extension}`);
+  fs.writeFileSync(imageFile, image);
+
+  const bundled = {
+    ...metadata,
+    properties: {
+      ...(metadata.properties || {}),
+      category: "image",
+      files: [
+        {
+          uri: metadata.image,
+          type: contentType,
+          sha256,
+        },
+      ],
+    },
+    extensions: {
+      ...(metadata.extensions || {}),
+    },
+  };
+
+  const metadataFile = path.join(outDir, "metadata.json");
+  fs.writeFileSync(metadataFile, JSON.stringify(bundled, null, 2));
+
+  return { metadataFile, imageFile, sha256, contentType, metadata: bundled };
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_SYMBOL_LENGTH,
+  MAX_URI_LENGTH,
+  validateMetadata,
+  validateMetadataFile,
+  bundleMetadata,
+};
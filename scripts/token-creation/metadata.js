@@ -0,0 +1,70 @@
+const { PublicKey } = require("@solana/web3.js");
+const {
+  PROGRAM_ID: TOKEN_METADATA_PROGRAM_ID,
+  createCreateMetadataAccountV3Instruction,
+} = require("@metaplex-foundation/mpl-token-metadata");
+const { TOKEN_CONFIG } = require("./token-config");
+const { sendInstructions } = require("./transaction-sender");
+
+/**
+ * Metaplex metadata account of a mint
+ * @param {PublicKey} mint - Token mint
+ * @returns {PublicKey} Metadata account address
+ */
+function getMetadataAddress(mint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from("metadata"), TOKEN_METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    TOKEN_METADATA_PROGRAM_ID
+  );
+  return address;
+}
+
+/**
+ * Create the Metaplex metadata account for the token. The mint authority
+ * (the payer) signs; the metadata stays mutable so it can be corrected
+ * with update-metadata.js before being made immutable.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @param {Keypair} payer - Mint authority, pays for the account
+ * @param {PublicKey} updateAuthority - Metadata update authority
+ * @param {Object} options - { uri, priorityFee, logger } (see transaction-sender.js)
+ * @returns {Promise<Object>} { signature, slot, metadataAccount }
+ */
+async function createTokenMetadata(connection, mint, payer, updateAuthority, options = {}) {
+  const { uri = TOKEN_CONFIG.uri, ...sendOptions } = options;
+  const metadataAccount = getMetadataAddress(mint);
+
+  const instruction = createCreateMetadataAccountV3Instruction(
+    {
+      metadata: metadataAccount,
+      mint,
+      mintAuthority: payer.publicKey,
+      payer: payer.publicKey,
+      updateAuthority,
+    },
+    {
+      createMetadataAccountArgsV3: {
+        data: {
+          name: TOKEN_CONFIG.name,
+          symbol: TOKEN_CONFIG.symbol,
+          uri,
+          sellerFeeBasisPoints: 0,
+          creators: null,
+          collection: null,
+          uses: null,
+        },
+        isMutable: true,
+        collectionDetails: null,
+      },
+    }
+  );
+
+  const { signature, slot } = await sendInstructions(connection, [instruction], [payer], sendOptions);
+  return { signature, slot, metadataAccount };
+}
+
+module.exports = {
+  TOKEN_METADATA_PROGRAM_ID,
+  getMetadataAddress,
+  createTokenMetadata,
+};
@@ -0,0 +1,59 @@
+const { Connection } = require("@solana/web3.js");
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * Networks the scripts can run against, keyed by the name used on the
+ * command line. localnet is a solana-test-validator on its default port.
+ */
+const NETWORKS = {
+  devnet: {
+    name: "Devnet",
+    cluster: "devnet",
+    url: "https://api.devnet.solana.com",
+    explorerUrl: "https://explorer.solana.com",
+  },
+  mainnet: {
+    name: "Mainnet Beta",
+    cluster: "mainnet-beta",
+    url: "https://api.mainnet-beta.solana.com",
+    explorerUrl: "https://explorer.solana.com",
+  },
+  localnet: {
+    name: "Localnet",
+    cluster: "localnet",
+    url: "http://127.0.0.1:8899",
+    explorerUrl: "https://explorer.solana.com",
+  },
+};
+
+/**
+ * Look up a network configuration
+ * @param {string} network - Network name (devnet/mainnet/localnet)
+ * @returns {Object} { name, cluster, url, explorerUrl }
+ * @throws {InvalidArgumentError} When the network is unknown
+ */
+function getNetworkConfig(network) {
+  const config = NETWORKS[String(network).toLowerCase()];
+  if (!config) {
+    throw new InvalidArgumentError(
+      `Invalid network: ${network} (valid networks: ${Object.keys(NETWORKS).join(", ")})`,
+      { network }
+    );
+  }
+  return config;
+}
+
+/**
+ * Open a connection to a network
+ * @param {string} network - Network name (devnet/mainnet/localnet)
+ * @returns {Connection} Connection at 'confirmed' commitment
+ */
+function createConnection(network) {
+  return new Connection(getNetworkConfig(network).url, "confirmed");
+}
+
+module.exports = {
+  NETWORKS,
+  getNetworkConfig,
+  createConnection,
+};
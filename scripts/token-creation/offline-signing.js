@@ -0,0 +1,238 @@
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  NONCE_ACCOUNT_LENGTH,
+} = require("@solana/web3.js");
+const fs = require("fs");
+const { sendInstructions } = require("./transaction-sender");
+const {
+  InvalidAddressError,
+  OfflineTransactionError,
+  TransactionExpiredError,
+} = require("./errors");
+
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Create a durable nonce account. Transactions built against it stay valid
+ * until the nonce is advanced, which gives an air-gapped signer unlimited
+ * time instead of the ~60 second recent-blockhash window.
+ * @param {Connection} connection - Solana connection
+ * @param {Keypair} payer - Wallet paying rent for the nonce account
+ * @param {PublicKey} authority - Nonce authority (usually the offline signer)
+ * @param {Object} sendOptions - Options for sendInstructions (priorityFee, logger)
+ * @returns {Object} Nonce account address and creation signature
+ */
+async function createNonceAccount(connection, payer, authority, sendOptions = {}) {
+  const nonceKeypair = Keypair.generate();
+  const lamports = await connection.getMinimumBalanceForRentExemption(
+    NONCE_ACCOUNT_LENGTH
+  );
+
+  const transaction = new Transaction().add(
+    SystemProgram.createNonceAccount({
+      fromPubkey: payer.publicKey,
+      noncePubkey: nonceKeypair.publicKey,
+      authorizedPubkey: authority,
+      lamports,
+    })
+  );
+
+  const { signature } = await sendInstructions(
+    connection,
+    transaction.instructions,
+    [payer, nonceKeypair],
+    sendOptions
+  );
+
+  return { nonceAccount: nonceKeypair.publicKey, signature };
+}
+
+/**
+ * Build an unsigned transaction that uses a durable nonce instead of a
+ * recent blockhash
+ * @param {Connection} connection - Solana connection
+ * @param {Object} params - Transaction parameters
+ * @param {Array} params.instructions - Instructions to include
+ * @param {PublicKey} params.feePayer - Fee payer (must sign offline)
+ * @param {PublicKey} params.nonceAccount - Durable nonce account
+ * @returns {Object} Unsigned transaction and the nonce value it was built with
+ */
+async function buildOfflineTransaction(
+  connection,
+  { instructions, feePayer, nonceAccount }
+) {
+  const nonceInfo = await connection.getNonce(nonceAccount, "confirmed");
+  if (!nonceInfo) {
+    throw new InvalidAddressError(`Nonce account not found: ${nonceAccount.toString()}`, {
+      address: nonceAccount.toString(),
+    });
+  }
+
+  const transaction = new Transaction({
+    feePayer,
+    nonceInfo: {
+      nonce: nonceInfo.nonce,
+      nonceInstruction: SystemProgram.nonceAdvance({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: nonceInfo.authorizedPubkey,
+      }),
+    },
+  });
+  transaction.add(...instructions);
+
+  return { transaction, nonce: nonceInfo.nonce, nonceAuthority: nonceInfo.authorizedPubkey };
+}
+
+/**
+ * List the public keys that must sign a transaction
+ * @param {Transaction} transaction - Transaction
+ * @returns {Array<string>} Required signer addresses
+ */
+function getRequiredSigners(transaction) {
+  const message = transaction.compileMessage();
+  return message.accountKeys
+    .slice(0, message.header.numRequiredSignatures)
+    .map((key) => key.toString());
+}
+
+/**
+ * List the signers that have already signed a transaction
+ * @param {Transaction} transaction - Transaction
+ * @returns {Array<string>} Addresses with a signature present
+ */
+function getPresentSigners(transaction) {
+  return transaction.signatures
+    .filter(({ signature }) => signature !== null)
+    .map(({ publicKey }) => publicKey.toString());
+}
+
+/**
+ * Write a transaction envelope to disk. The transaction is stored as
+ * base64 of its wire format, with whatever signatures it already has.
+ * @param {string} filePath - Output file path
+ * @param {Transaction} transaction - Transaction to export
+ * @param {Object} meta - Descriptive fields (network, operation, description, nonceAccount, nonce)
+ */
+function exportTransaction(filePath, transaction, meta) {
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    ...meta,
+    createdAt: meta.createdAt || new Date().toISOString(),
+    requiredSigners: getRequiredSigners(transaction),
+    signedBy: getPresentSigners(transaction),
+    transaction: transaction
+      .serialize({ requireAllSignatures: false, verifySignatures: false })
+      .toString("base64"),
+  };
+
+  fs.writeFileSync(filePath, JSON.stringify(envelope, null, 2));
+  return envelope;
+}
+
+/**
+ * Read a transaction envelope from disk
+ * @param {string} filePath - Envelope file path
+ * @returns {Object} Envelope metadata and the deserialized transaction
+ */
+function loadExportedTransaction(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new OfflineTransactionError(`Transaction file not found: ${filePath}`, { filePath });
+  }
+
+  const envelope = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (envelope.version !== ENVELOPE_VERSION || !envelope.transaction) {
+    throw new OfflineTransactionError(`Unsupported transaction file: ${filePath}`, { filePath });
+  }
+
+  const transaction = Transaction.from(Buffer.from(envelope.transaction, "base64"));
+  return { envelope, transaction };
+}
+
+/**
+ * Add a signature to an exported transaction. Works without any network
+ * access, so it can run on an air-gapped machine.
+ * @param {string} filePath - Envelope file path
+ * @param {Keypair} keypair - Signing keypair
+ * @param {string} outPath - Where to write the signed envelope (defaults to filePath)
+ * @returns {Object} Updated envelope
+ */
+function signExportedTransaction(filePath, keypair, outPath = filePath) {
+  const { envelope, transaction } = loadExportedTransaction(filePath);
+  const signer = keypair.publicKey.toString();
+
+  if (!envelope.requiredSigners.includes(signer)) {
+    throw new OfflineTransactionError(
+      `${signer} is not a required signer (expected one of: ${envelope.requiredSigners.join(", ")})`,
+      { signer, requiredSigners: envelope.requiredSigners }
+    );
+  }
+
+  transaction.partialSign(keypair);
+  return exportTransaction(outPath, transaction, envelope);
+}
+
+/**
+ * Broadcast a fully signed exported transaction and wait for confirmation
+ * @param {Connection} connection - Solana connection
+ * @param {string} filePath - Envelope file path
+ * @returns {Object} Signature, slot and confirmation result
+ * @throws {DoodiError} OfflineTransaction when signatures are missing or invalid,
+ *   TransactionExpired when the nonce has advanced
+ */
+async function submitExportedTransaction(connection, filePath) {
+  const { envelope, transaction } = loadExportedTransaction(filePath);
+
+  const missing = envelope.requiredSigners.filter(
+    (signer) => !getPresentSigners(transaction).includes(signer)
+  );
+  if (missing.length > 0) {
+    throw new OfflineTransactionError(`Transaction is missing signatures from: ${missing.join(", ")}`, {
+      missing,
+    });
+  }
+
+  if (!transaction.verifySignatures()) {
+    throw new OfflineTransactionError("Transaction signatures do not verify - the file may have been modified", {
+      filePath,
+    });
+  }
+
+  const nonceAccount = new PublicKey(envelope.nonceAccount);
+  const { context, value: nonceInfo } = await connection.getNonceAndContext(
+    nonceAccount,
+    "confirmed"
+  );
+  if (!nonceInfo || nonceInfo.nonce !== envelope.nonce) {
+    throw new TransactionExpiredError(
+      "Nonce has advanced since this transaction was built - it can no longer land. Rebuild it.",
+      { nonceAccount: envelope.nonceAccount, nonce: envelope.nonce }
+    );
+  }
+
+  const signature = await connection.sendRawTransaction(transaction.serialize());
+  const confirmation = await connection.confirmTransaction(
+    {
+      signature,
+      nonceAccountPubkey: nonceAccount,
+      nonceValue: envelope.nonce,
+      minContextSlot: context.slot,
+    },
+    "confirmed"
+  );
+
+  return { signature, slot: confirmation.context.slot, err: confirmation.value.err };
+}
+
+module.exports = {
+  createNonceAccount,
+  buildOfflineTransaction,
+  getRequiredSigners,
+  getPresentSigners,
+  exportTransaction,
+  loadExportedTransaction,
+  signExportedTransaction,
+  submitExportedTransaction,
+};
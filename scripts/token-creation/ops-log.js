@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { OpsLogError } = require("./errors");
+
+const OPS_LOG_PATH = "./doodi-ops.jsonl";
+const GENESIS_HASH = "0".repeat(64);
+
+/** A lock older than this was left by a crashed process */
+const STALE_LOCK_MS = 30 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+
+/**
+ * JSON with object keys sorted, so an entry always hashes the same way
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry: everything but the hash itself, including the
+ * previous entry's hash
+ * @param {Object} entry - Log entry
+ * @returns {string} sha256 hex digest
+ */
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return crypto.createHash("sha256").update(canonicalize(body)).digest("hex");
+}
+
+/**
+ * Parse the log file. Every entry is written with its newline in one
+ * append, so text after the last newline is either a whole entry missing
+ * only its newline or a torn write cut short by a crash.
+ * @param {string} logPath - Log file
+ * @returns {Object} { entries, tail } - tail is null, { complete: true } or
+ *   { complete: false, offset } with the byte offset where the torn write starts
+ * @throws {OpsLogError} When a complete line is not valid JSON
+ */
+function parseLog(logPath) {
+  if (!fs.existsSync(logPath)) {
+    return { entries: [], tail: null };
+  }
+
+  const content = fs.readFileSync(logPath, "utf8");
+  const lines = content.split("\n");
+  const last = lines.pop();
+
+  const entries = lines
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim() !== "")
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new OpsLogError(`${logPath}:${number}: not valid JSON`, { logPath, line: number });
+      }
+    });
+
+  if (last.trim() === "") {
+    return { entries, tail: null };
+  }
+  try {
+    entries.push(JSON.parse(last));
+    return { entries, tail: { complete: true } };
+  } catch (error) {
+    return {
+      entries,
+      tail: { complete: false, offset: Buffer.byteLength(content) - Buffer.byteLength(last) },
+    };
+  }
+}
+
+/**
+ * Read every entry of the operations log. A torn final line, left by a
+ * crash in the middle of an append, is skipped; the next append removes it.
+ * @param {string} logPath - Log file [default: ./doodi-ops.jsonl]
+ * @returns {Array<Object>} Entries, oldest first (empty when there is no log)
+ * @throws {OpsLogError} When an earlier line is not valid JSON
+ */
+function readOperations(logPath = OPS_LOG_PATH) {
+  return parseLog(logPath).entries;
+}
+
+/**
+ * Run fn while holding the log's lock file, so concurrent runs cannot fork
+ * the hash chain
+ * @param {string} logPath - Log file
+ * @param {Function} fn - Synchronous work
+ * @returns {*} fn's result
+ * @throws {OpsLogError} When another process keeps the lock
+ */
+function withLogLock(logPath, fn) {
+  const lockPath = `${logPath}.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  let fd = null;
+
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockPath, "wx");
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      const stat = fs.statSync(lockPath, { throwIfNoEntry: false });
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        fs.rmSync(lockPath, { force: true });
+      } else if (Date.now() > deadline) {
+        throw new OpsLogError(`${lockPath} is held by another process`, { logPath });
+      } else {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+      }
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Append an operation to the hash-chained log. Entries are never rewritten;
+ * each carries the hash of the one before it. A torn final line is cut off
+ * first, so the new entry starts on a line of its own.
+ * @param {Object} operation - What happened
+ * @param {string} operation.type - Operation type (create, burn, revoke-mint-authority, ...)
+ * @param {string} operation.network - Network it ran on
+ * @param {string|null} operation.operator - Wallet that signed
+ * @param {string|null} operation.mintAddress - Mint it concerns
+ * @param {Object} operation.params - Parameters it ran with
+ * @param {Array<Object>} operation.transactions - [{ signature, slot }] in send order
+ * @param {Object|null} operation.before - Relevant state before
+ * @param {Object|null} operation.after - Relevant state after
+ * @param {string} logPath - Log file [default: ./doodi-ops.jsonl]
+ * @returns {Object} The appended entry
+ */
+function appendOperation(operation, logPath = OPS_LOG_PATH) {
+  return withLogLock(logPath, () => {
+    const { entries, tail } = parseLog(logPath);
+    const previous = entries[entries.length - 1];
+    if (tail && !tail.complete) {
+      fs.truncateSync(logPath, tail.offset);
+    }
+
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: new Date().toISOString(),
+      type: operation.type,
+      network: operation.network,
+      operator: operation.operator || null,
+      mintAddress: operation.mintAddress || null,
+      params: operation.params || {},
+      transactions: (operation.transactions || []).map(({ signature, slot }) => ({
+        signature,
+        slot: slot === undefined ? null : slot,
+      })),
+      before: operation.before || null,
+      after: operation.after || null,
+      prevHash: previous ? previous.hash : GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry);
+
+    const separator = tail && tail.complete ? "\n" : "";
+    fs.appendFileSync(logPath, `${separator}${JSON.stringify(entry)}\n`, { mode: 0o644 });
+    return entry;
+  });
+}
+
+/**
+ * Append an operation whose transactions already landed. They cannot be
+ * taken back, so a failed append (log locked or unreadable) is reported
+ * as a warning with the signatures instead of being thrown.
+ * @param {Object} operation - What happened (see appendOperation)
+ * @param {Object} options - Additional options
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string} options.logPath - Log file [default: ./doodi-ops.jsonl]
+ * @returns {Object} { entry, error } - entry is null and error the message when the append failed
+ */
+function recordOperation(operation, options = {}) {
+  const { logger = console, logPath = OPS_LOG_PATH } = options;
+
+  try {
+    return { entry: appendOperation(operation, logPath), error: null };
+  } catch (error) {
+    const signatures = (operation.transactions || []).map(({ signature }) => signature);
+    logger.warn(`⚠️  ${operation.type} was not recorded in ${logPath}: ${error.message}`);
+    logger.warn(`   The transactions did land: ${signatures.join(", ")}`);
+    return { entry: null, error: error.message };
+  }
+}
+
+/**
+ * Check the hash chain: consecutive sequence numbers, each entry linked to
+ * the previous hash, and each hash matching the entry's content
+ * @param {Array<Object>} entries - Entries (see readOperations)
+ * @returns {Array<Object>} Problems as [{ seq, problem }] (empty when intact)
+ */
+function verifyChain(entries) {
+  const problems = [];
+
+  entries.forEach((entry, index) => {
+    const previous = entries[index - 1];
+    if (entry.seq !== index + 1) {
+      problems.push({ seq: entry.seq, problem: `expected sequence ${index + 1} - entries were removed or reordered` });
+    }
+    if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      problems.push({ seq: entry.seq, problem: "does not link to the previous entry" });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: "content does not match its hash - the entry was modified" });
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  OPS_LOG_PATH,
+  readOperations,
+  appendOperation,
+  recordOperation,
+  verifyChain,
+};
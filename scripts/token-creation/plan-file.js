@@ -0,0 +1,271 @@
+const { PublicKey } = require("@solana/web3.js");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { TOKEN_PROGRAMS } = require("./token-program");
+const { parseTokenAmount, formatTokenAmount } = require("./amounts");
+const { loadRecipients } = require("./recipients");
+const { TOKEN_CONFIG } = require("./token-config");
+const { PlanError } = require("./errors");
+
+const ACTIONS = ["create", "mint", "airdrop", "burn", "revoke"];
+
+/**
+ * Parse a positive step amount
+ * @param {*} value - Configured amount
+ * @param {number} decimals - Mint decimals
+ * @param {string} entry - Step label for the error message
+ * @returns {bigint} Raw units
+ */
+function parseStepAmount(value, decimals, entry) {
+  let raw;
+  try {
+    raw = parseTokenAmount(String(value), decimals);
+  } catch (error) {
+    throw new PlanError(`${entry}.amount: ${error.message}`, { amount: value });
+  }
+  if (raw <= 0n) {
+    throw new PlanError(`${entry}.amount must be greater than 0`, { amount: value });
+  }
+  return raw;
+}
+
+/**
+ * Load and validate a plan. Steps run in order: one `create` first, then
+ * any of `mint` (to the creator account), `airdrop` (a recipients file,
+ * mint or transfer mode), `burn` (from the creator account) and `revoke`
+ * (mint authority). Recipient files are resolved relative to the plan.
+ * @param {string} planPath - Plan JSON file
+ * @param {number} decimals - Decimals the token will be created with
+ * @returns {Object} { name, hash, steps: [{ index, action, ... }] }
+ * @throws {PlanError} When the file is missing or malformed
+ */
+function loadPlan(planPath, decimals) {
+  if (!fs.existsSync(planPath)) {
+    throw new PlanError(`Plan not found: ${planPath}`, { planPath });
+  }
+
+  const content = fs.readFileSync(planPath, "utf8");
+  const plan = JSON.parse(content);
+  const { name, steps } = plan;
+
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new PlanError("Plan name is required (letters, digits, - and _ only)", { name });
+  }
+  if (!Array.isArray(steps) || steps.length === 0 || (steps[0] && steps[0].action) !== "create") {
+    throw new PlanError("A plan is a list of steps starting with 'create'", { name });
+  }
+
+  // The hash covers every input, so a mainnet run provably repeats the rehearsal
+  const hash = crypto.createHash("sha256").update(content);
+  let revoked = false;
+
+  const normalized = steps.map((step, index) => {
+    const entry = `steps[${index}]`;
+    const { action } = step;
+
+    if (!ACTIONS.includes(action)) {
+      throw new PlanError(`${entry}: unknown action ${action} (expected ${ACTIONS.join(", ")})`, { action });
+    }
+    if (action === "create" && index > 0) {
+      throw new PlanError(`${entry}: a plan creates one token, in its first step`, { action });
+    }
+
+    if (action === "create") {
+      const program = step.program || "spl-token";
+      if (!TOKEN_PROGRAMS[program]) {
+        throw new PlanError(`${entry}.program: expected ${Object.keys(TOKEN_PROGRAMS).join(" or ")}`, { program });
+      }
+      const freezeAuthority = step.freezeAuthority || null;
+      if (freezeAuthority && freezeAuthority !== "wallet") {
+        try {
+          new PublicKey(freezeAuthority);
+        } catch (error) {
+          throw new PlanError(`${entry}.freezeAuthority: invalid address ${freezeAuthority}`, { freezeAuthority });
+        }
+      }
+      const metadataUri = step.metadataUri || null;
+      if (!metadataUri && !TOKEN_CONFIG.uri) {
+        throw new PlanError(`${entry}.metadataUri: required - TOKEN_CONFIG.uri is not set`, { action });
+      }
+      return { index, action, program, freezeAuthority, metadataUri };
+    }
+
+    if (action === "airdrop") {
+      const recipientsFile = path.resolve(path.dirname(planPath), String(step.recipients || ""));
+      let recipients;
+      try {
+        recipients = loadRecipients(recipientsFile);
+      } catch (error) {
+        throw new PlanError(`${entry}.recipients: ${error.message}`, { recipients: step.recipients });
+      }
+      const mode = step.mode || (revoked ? "transfer" : "mint");
+      if (!["mint", "transfer"].includes(mode) || (mode === "mint" && revoked)) {
+        throw new PlanError(`${entry}.mode: ${mode} is not possible here`, { mode });
+      }
+      hash.update(fs.readFileSync(recipientsFile));
+      return {
+        index,
+        action,
+        recipientsFile,
+        mode,
+        recipients: recipients.map(({ address, amount }) => ({
+          address,
+          amount: parseStepAmount(amount, decimals, `${entry}.recipients[${address}]`),
+        })),
+      };
+    }
+
+    if (action === "mint" && revoked) {
+      throw new PlanError(`${entry}: cannot mint after the mint authority is revoked`, { action });
+    }
+    if (action === "revoke") {
+      if (revoked) {
+        throw new PlanError(`${entry}: the mint authority is already revoked`, { action });
+      }
+      revoked = true;
+      return { index, action };
+    }
+
+    return { index, action, amount: parseStepAmount(step.amount, decimals, entry) };
+  });
+
+  return { name, hash: hash.digest("hex"), steps: normalized };
+}
+
+/**
+ * Short description of a step
+ * @param {Object} step - Plan step
+ * @param {number} decimals - Mint decimals
+ * @returns {string} Description
+ */
+function describeStep(step, decimals) {
+  const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+  switch (step.action) {
+    case "create":
+      return `create (${step.program}, freeze authority: ${step.freezeAuthority || "none"})`;
+    case "airdrop": {
+      const total = step.recipients.reduce((sum, r) => sum + r.amount, 0n);
+      return `airdrop ${format(total)} to ${step.recipients.length} recipients (${step.mode}) from ${path.basename(step.recipientsFile)}`;
+    }
+    case "revoke":
+      return "revoke mint authority";
+    default:
+      return `${step.action} ${format(step.amount)}`;
+  }
+}
+
+/**
+ * Token state expected after a step. Authorities are recorded as 'wallet'
+ * when they are the signing wallet, so runs with different wallets compare.
+ * @param {Object|null} expected - State expected before the step (null before create)
+ * @param {Object} step - Plan step
+ * @param {string} wallet - Signing wallet address
+ * @returns {Object} { supply, creatorBalance, mintAuthority, freezeAuthority } (amounts raw)
+ */
+function expectAfterStep(expected, step, wallet) {
+  switch (step.action) {
+    case "create":
+      return {
+        supply: 0n,
+        creatorBalance: 0n,
+        mintAuthority: "wallet",
+        freezeAuthority: step.freezeAuthority,
+      };
+    case "mint":
+      return {
+        ...expected,
+        supply: expected.supply + step.amount,
+        creatorBalance: expected.creatorBalance + step.amount,
+      };
+    case "airdrop": {
+      const total = step.recipients.reduce((sum, r) => sum + r.amount, 0n);
+      const toWallet = step.recipients
+        .filter((r) => r.address === wallet)
+        .reduce((sum, r) => sum + r.amount, 0n);
+      return step.mode === "mint"
+        ? { ...expected, supply: expected.supply + total, creatorBalance: expected.creatorBalance + toWallet }
+        : { ...expected, creatorBalance: expected.creatorBalance - total + toWallet };
+    }
+    case "burn":
+      return {
+        ...expected,
+        supply: expected.supply - step.amount,
+        creatorBalance: expected.creatorBalance - step.amount,
+      };
+    case "revoke":
+      return { ...expected, mintAuthority: null };
+    default:
+      return expected;
+  }
+}
+
+/**
+ * Compare the expected token state with the one read from chain, and with
+ * the rehearsal's result for the same step when there is one
+ * @param {Object} expected - Expected state (see expectAfterStep)
+ * @param {Object} actual - State read from chain, amounts formatted
+ * @param {number} decimals - Mint decimals
+ * @param {Array<Object>|null} rehearsal - Diff rows of the rehearsal step
+ * @returns {Array<Object>} [{ field, expected, actual, rehearsal, match }]
+ */
+function diffState(expected, actual, decimals, rehearsal = null) {
+  return Object.keys(expected).map((field) => {
+    const value =
+      typeof expected[field] === "bigint" ? formatTokenAmount(expected[field], decimals) : expected[field];
+    const rehearsed = rehearsal && rehearsal.find((row) => row.field === field);
+    return {
+      field,
+      expected: value,
+      actual: actual[field],
+      ...(rehearsal && { rehearsal: rehearsed ? rehearsed.actual : null }),
+      match: actual[field] === value && (!rehearsed || rehearsed.actual === value),
+    };
+  });
+}
+
+/**
+ * Report file of a plan run
+ * @param {string} planName - Plan name
+ * @param {string} network - Network the plan ran on
+ * @returns {string} Report path
+ */
+function getPlanReportPath(planName, network) {
+  return `plan-${planName}.${network}.report.json`;
+}
+
+/**
+ * Persist a plan report atomically
+ * @param {Object} report - Plan report
+ */
+function savePlanReport(report) {
+  const reportPath = getPlanReportPath(report.plan, report.network);
+  fs.writeFileSync(`${reportPath}.tmp`, JSON.stringify(report, null, 2));
+  fs.renameSync(`${reportPath}.tmp`, reportPath);
+}
+
+/**
+ * Latest passing rehearsal of exactly this plan
+ * @param {string} planName - Plan name
+ * @param {string} hash - Plan hash (see loadPlan)
+ * @returns {Object|null} Rehearsal report
+ */
+function findRehearsalReport(planName, hash) {
+  const prefix = `plan-${planName}.`;
+  return fs
+    .readdirSync(".")
+    .filter((file) => file.startsWith(prefix) && file.endsWith(".report.json"))
+    .map((file) => JSON.parse(fs.readFileSync(file, "utf8")))
+    .filter((report) => report.rehearsal && report.status === "matched" && report.planHash === hash)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))[0] || null;
+}
+
+module.exports = {
+  loadPlan,
+  describeStep,
+  expectAfterStep,
+  diffState,
+  getPlanReportPath,
+  savePlanReport,
+  findRehearsalReport,
+};
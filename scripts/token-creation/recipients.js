@@ -0,0 +1,88 @@
+const { PublicKey } = require("@solana/web3.js");
+const fs = require("fs");
+const path = require("path");
+const { isDecimalAmount } = require("./amounts");
+
+/**
+ * Parse a CSV recipient list. Each line is `address,amount`; a header line
+ * and any extra columns are ignored.
+ * @param {string} content - Raw CSV file content
+ * @returns {Array<{address: string, amount: string}>} Raw recipient entries
+ */
+function parseCsv(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => line.split(",").map((cell) => cell.trim()))
+    .filter(([address, amount]) => !(address.toLowerCase() === "address" && isNaN(Number(amount))))
+    .map(([address, amount]) => ({ address, amount }));
+}
+
+/**
+ * Parse a JSON recipient list. Accepts an array of `{ address, amount }`
+ * objects, a holder snapshot (its `holders` array) or an object mapping
+ * addresses to amounts.
+ * @param {string} content - Raw JSON file content
+ * @returns {Array<{address: string, amount: string}>} Raw recipient entries
+ */
+function parseJson(content) {
+  let data = JSON.parse(content);
+
+  if (data && Array.isArray(data.holders)) {
+    data = data.holders;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((entry) => ({
+      address: entry.address || entry.owner || entry.wallet,
+      amount: entry.amount,
+    }));
+  }
+
+  return Object.entries(data).map(([address, amount]) => ({ address, amount }));
+}
+
+/**
+ * Load and validate a recipient list from a CSV or JSON file
+ * @param {string} filePath - Path to the recipients file
+ * @returns {Array<{address: string, owner: PublicKey, amount: string}>} Validated recipients,
+ *   amounts kept as decimal strings (see amounts.js)
+ */
+function loadRecipients(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Recipients file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, "utf8");
+  const entries =
+    path.extname(filePath).toLowerCase() === ".json"
+      ? parseJson(content)
+      : parseCsv(content);
+
+  const seen = new Set();
+  return entries.map(({ address, amount }, index) => {
+    let owner;
+    try {
+      owner = new PublicKey(address);
+    } catch (error) {
+      throw new Error(`Invalid address on entry ${index + 1}: ${address}`);
+    }
+
+    const parsedAmount = String(amount).trim();
+    if (!isDecimalAmount(parsedAmount) || !/[1-9]/.test(parsedAmount)) {
+      throw new Error(`Invalid amount on entry ${index + 1}: ${amount}`);
+    }
+
+    if (seen.has(owner.toString())) {
+      throw new Error(`Duplicate recipient on entry ${index + 1}: ${address}`);
+    }
+    seen.add(owner.toString());
+
+    return { address: owner.toString(), owner, amount: parsedAmount };
+  });
+}
+
+module.exports = {
+  loadRecipients,
+};
@@ -0,0 +1,90 @@
+const { getMint } = require("@solana/spl-token");
+const { TOKEN_CONFIG } = require("./token-config");
+const { getTokenProgramId } = require("./token-program");
+const { formatTokenAmount } = require("./amounts");
+const { InvalidArgumentError, SupplyCapExceededError } = require("./errors");
+
+/**
+ * Resolve the configured maximum supply (in whole tokens). The token info
+ * record wins over TOKEN_CONFIG so a deployed token keeps the cap it was
+ * created with.
+ * @param {Object|null} tokenInfo - Parsed doodi-token-info.json
+ * @returns {string} Maximum supply in whole tokens
+ */
+function resolveSupplyCap(tokenInfo = null) {
+  const cap = String((tokenInfo && tokenInfo.totalSupply) || TOKEN_CONFIG.supply);
+
+  if (!/^\d+$/.test(cap)) {
+    throw new InvalidArgumentError(`Invalid supply cap: ${cap} (must be a whole number of tokens)`, { cap });
+  }
+
+  return cap;
+}
+
+/**
+ * Create a minting guard for a mint. Every check re-reads the on-chain
+ * supply via getMint, so mints made elsewhere are always accounted for.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @param {string} cap - Maximum supply in whole tokens (see resolveSupplyCap)
+ * @returns {Object} Guard with remainingMintable() and assertCanMint()
+ */
+function createSupplyGuard(connection, mint, cap) {
+  /**
+   * Fetch current supply and cap in raw units
+   * @returns {Object} Current supply, cap and decimals
+   */
+  async function getSupplyState() {
+    const programId = await getTokenProgramId(connection, mint);
+    const mintInfo = await getMint(connection, mint, "confirmed", programId);
+    const capRaw = BigInt(cap) * 10n ** BigInt(mintInfo.decimals);
+    return { supplyRaw: mintInfo.supply, capRaw, decimals: mintInfo.decimals };
+  }
+
+  /**
+   * Raw amount that can still be minted without exceeding the cap
+   * @returns {Promise<bigint>} Remaining mintable raw units (0n when at or above cap)
+   */
+  async function remainingMintable() {
+    const { supplyRaw, capRaw } = await getSupplyState();
+    return supplyRaw >= capRaw ? 0n : capRaw - supplyRaw;
+  }
+
+  /**
+   * Throw if minting rawAmount would push supply past the cap
+   * @param {bigint} rawAmount - Raw units about to be minted (a single mint or a whole batch)
+   * @returns {Promise<bigint>} Remaining mintable raw units after the mint
+   * @throws {SupplyCapExceededError} When rawAmount is more than the remaining mintable amount
+   */
+  async function assertCanMint(rawAmount) {
+    const { supplyRaw, capRaw, decimals } = await getSupplyState();
+    const remaining = supplyRaw >= capRaw ? 0n : capRaw - supplyRaw;
+
+    if (rawAmount > remaining) {
+      const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+      throw new SupplyCapExceededError(
+        `Mint of ${format(rawAmount)} tokens would exceed the supply cap of ${format(capRaw)} ` +
+          `(current supply ${format(supplyRaw)}, remaining ${format(remaining)})`,
+        {
+          requested: formatTokenAmount(rawAmount, decimals),
+          cap: formatTokenAmount(capRaw, decimals),
+          supply: formatTokenAmount(supplyRaw, decimals),
+          remaining: formatTokenAmount(remaining, decimals),
+        }
+      );
+    }
+
+    return remaining - rawAmount;
+  }
+
+  return {
+    cap,
+    remainingMintable,
+    assertCanMint,
+  };
+}
+
+module.exports = {
+  resolveSupplyCap,
+  createSupplyGuard,
+};
@@ -0,0 +1,214 @@
+const {
+  Keypair,
+  SystemProgram,
+  Transaction,
+} = require("@solana/web3.js");
+const {
+  TOKEN_2022_PROGRAM_ID,
+  ExtensionType,
+  TYPE_SIZE,
+  LENGTH_SIZE,
+  getMintLen,
+  createInitializeMintInstruction,
+  createInitializeTransferFeeConfigInstruction,
+  createInitializeMetadataPointerInstruction,
+  createInitializePermanentDelegateInstruction,
+  createInitializeInterestBearingMintInstruction,
+} = require("@solana/spl-token");
+const {
+  pack,
+  createInitializeInstruction,
+} = require("@solana/spl-token-metadata");
+const { sendInstructions } = require("./transaction-sender");
+
+/**
+ * Default Token-2022 extension selection. Embedded metadata is on; the
+ * permanent delegate stays off unless explicitly requested because it can
+ * move or burn anyone's tokens.
+ */
+const DEFAULT_EXTENSIONS = {
+  transferFee: null, // { basisPoints, maximumFee (raw bigint) }
+  embeddedMetadata: true,
+  permanentDelegate: null, // PublicKey
+  interestRate: null, // basis points
+};
+
+/**
+ * List the mint extension types for a selection
+ * @param {Object} extensions - Extension selection (see DEFAULT_EXTENSIONS)
+ * @returns {Array<ExtensionType>} Extension types stored in the mint account
+ */
+function getExtensionTypes(extensions) {
+  const types = [];
+  if (extensions.transferFee) types.push(ExtensionType.TransferFeeConfig);
+  if (extensions.embeddedMetadata) types.push(ExtensionType.MetadataPointer);
+  if (extensions.permanentDelegate) types.push(ExtensionType.PermanentDelegate);
+  if (extensions.interestRate !== null && extensions.interestRate !== undefined) {
+    types.push(ExtensionType.InterestBearingConfig);
+  }
+  return types;
+}
+
+/**
+ * Create a Token-2022 mint with the selected extensions in one transaction.
+ * Extension initializers must run before InitializeMint; embedded metadata
+ * must run after it.
+ * @param {Connection} connection - Solana connection
+ * @param {Keypair} payer - Payer and mint authority
+ * @param {Object} params - Mint parameters
+ * @param {number} params.decimals - Mint decimals
+ * @param {PublicKey|null} params.freezeAuthority - Freeze authority
+ * @param {Object} params.extensions - Extension selection (see DEFAULT_EXTENSIONS)
+ * @param {Object} params.metadata - { name, symbol, uri } for embedded metadata
+ * @param {Object} params.sendOptions - Options for sendInstructions (priorityFee, logger)
+ * @returns {Object} Mint address, transaction signature and slot, and the extensions used
+ */
+async function createToken2022Mint(
+  connection,
+  payer,
+  { decimals, freezeAuthority = null, extensions = DEFAULT_EXTENSIONS, metadata, sendOptions = {} }
+) {
+  const selected = { ...DEFAULT_EXTENSIONS, ...extensions };
+  const mintKeypair = Keypair.generate();
+  const mint = mintKeypair.publicKey;
+  const authority = payer.publicKey;
+
+  const mintLen = getMintLen(getExtensionTypes(selected));
+
+  // Embedded metadata is written after account creation and grows the
+  // account, so fund rent for it up front
+  let metadataLen = 0;
+  if (selected.embeddedMetadata) {
+    metadataLen =
+      TYPE_SIZE +
+      LENGTH_SIZE +
+      pack({
+        mint,
+        updateAuthority: authority,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        uri: metadata.uri,
+        additionalMetadata: [],
+      }).length;
+  }
+
+  const lamports = await connection.getMinimumBalanceForRentExemption(
+    mintLen + metadataLen
+  );
+
+  const transaction = new Transaction().add(
+    SystemProgram.createAccount({
+      fromPubkey: authority,
+      newAccountPubkey: mint,
+      space: mintLen,
+      lamports,
+      programId: TOKEN_2022_PROGRAM_ID,
+    })
+  );
+
+  if (selected.transferFee) {
+    transaction.add(
+      createInitializeTransferFeeConfigInstruction(
+        mint,
+        authority,
+        authority,
+        selected.transferFee.basisPoints,
+        selected.transferFee.maximumFee,
+        TOKEN_2022_PROGRAM_ID
+      )
+    );
+  }
+
+  if (selected.embeddedMetadata) {
+    transaction.add(
+      createInitializeMetadataPointerInstruction(
+        mint,
+        authority,
+        mint, // metadata lives in the mint account itself
+        TOKEN_2022_PROGRAM_ID
+      )
+    );
+  }
+
+  if (selected.permanentDelegate) {
+    transaction.add(
+      createInitializePermanentDelegateInstruction(
+        mint,
+        selected.permanentDelegate,
+        TOKEN_2022_PROGRAM_ID
+      )
+    );
+  }
+
+  if (selected.interestRate !== null && selected.interestRate !== undefined) {
+    transaction.add(
+      createInitializeInterestBearingMintInstruction(
+        mint,
+        authority,
+        selected.interestRate,
+        TOKEN_2022_PROGRAM_ID
+      )
+    );
+  }
+
+  transaction.add(
+    createInitializeMintInstruction(
+      mint,
+      decimals,
+      authority,
+      freezeAuthority,
+      TOKEN_2022_PROGRAM_ID
+    )
+  );
+
+  if (selected.embeddedMetadata) {
+    transaction.add(
+      createInitializeInstruction({
+        programId: TOKEN_2022_PROGRAM_ID,
+        metadata: mint,
+        updateAuthority: authority,
+        mint,
+        mintAuthority: authority,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        uri: metadata.uri,
+      })
+    );
+  }
+
+  const { signature, slot } = await sendInstructions(
+    connection,
+    transaction.instructions,
+    [payer, mintKeypair],
+    sendOptions
+  );
+
+  return { mint, signature, slot, extensions: selected };
+}
+
+/**
+ * Describe an extension selection for the token info record
+ * @param {Object} extensions - Extension selection
+ * @returns {Object} JSON-serialisable description
+ */
+function describeExtensions(extensions) {
+  return {
+    transferFee: extensions.transferFee
+      ? {
+          basisPoints: extensions.transferFee.basisPoints,
+          maximumFee: extensions.transferFee.maximumFee.toString(),
+        }
+      : null,
+    embeddedMetadata: Boolean(extensions.embeddedMetadata),
+    permanentDelegate: extensions.permanentDelegate
+      ? extensions.permanentDelegate.toString()
+      : null,
+    interestRate: extensions.interestRate ?? null,
+  };
+}
+
+module.exports = {
+  DEFAULT_EXTENSIONS,
+  createToken2022Mint,
+  describeExtensions,
+};
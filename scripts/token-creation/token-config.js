@@ -0,0 +1,62 @@
+/**
+ * DOODi token parameters. name and symbol must match doodimeta.json; uri is
+ * where that JSON is published for the on-chain metadata.
+ */
+const TOKEN_CONFIG = {
+  name: "DOODiPALS",
+  symbol: "DOODi",
+  decimals: 6,
+  supply: 1000000000,
+  uri: "",
+};
+
+/**
+ * Build the token record saved after creation
+ * @param {PublicKey} mint - Token mint
+ * @param {Keypair} wallet - Creator wallet
+ * @param {Object} tokenAccount - Creator's token account (getAccount result)
+ * @param {string|null} mintTransaction - Initial mint signature, if tokens were minted at creation
+ * @param {Object} metadataResult - { signature, metadataAccount }
+ * @param {string} network - Network name
+ * @param {Object} networkConfig - Network configuration
+ * @param {boolean} hasMintAuthority - Whether the creator kept the mint authority
+ * @returns {Object} Token record
+ */
+function createTokenInfo(
+  mint,
+  wallet,
+  tokenAccount,
+  mintTransaction,
+  metadataResult,
+  network,
+  networkConfig,
+  hasMintAuthority
+) {
+  return {
+    name: TOKEN_CONFIG.name,
+    symbol: TOKEN_CONFIG.symbol,
+    mintAddress: mint.toString(),
+    decimals: TOKEN_CONFIG.decimals,
+    totalSupply: String(TOKEN_CONFIG.supply),
+    creatorWallet: wallet.publicKey.toString(),
+    creatorTokenAccount: tokenAccount.address.toString(),
+    mintTransaction,
+    metadataTransaction: metadataResult.signature,
+    metadataAccount: metadataResult.metadataAccount.toString(),
+    network,
+    networkConfig: {
+      name: networkConfig.name,
+      cluster: networkConfig.cluster,
+      url: networkConfig.url,
+    },
+    createdAt: new Date().toISOString(),
+    mintAuthority: hasMintAuthority ? wallet.publicKey.toString() : null,
+    freezeAuthority: null,
+    status: hasMintAuthority ? "active" : "completed",
+  };
+}
+
+module.exports = {
+  TOKEN_CONFIG,
+  createTokenInfo,
+};
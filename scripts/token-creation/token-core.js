@@ -1,179 +1,394 @@
+const { Keypair, PublicKey, SystemProgram } = require("@solana/web3.js");
 const {
-  createMint,
-  getOrCreateAssociatedTokenAccount,
-  mintTo,
+  MINT_SIZE,
+  getMinimumBalanceForRentExemptMint,
+  createInitializeMint2Instruction,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAccount,
 } = require("@solana/spl-token");
-const fs = require("fs");
 const { createConnection } = require("./network-config");
-const { loadWallet, ensureSufficientBalance } = require("./wallet-manager");
+const { ensureSufficientBalance } = require("./wallet-manager");
+const { loadSigner } = require("./wallet-guard");
 const { TOKEN_CONFIG, createTokenInfo } = require("./token-config");
 const { createTokenMetadata } = require("./metadata");
+const { validateMetadataFile } = require("./metadata-validator");
+const { getTokenProgramByName } = require("./token-program");
+const { formatTokenAmount } = require("./amounts");
+const { sendInstructions } = require("./transaction-sender");
+const { recordOperation } = require("./ops-log");
+const {
+  InvalidAddressError,
+  MetadataValidationError,
+  TokenRecordExistsError,
+} = require("./errors");
+const {
+  getRecordPath,
+  loadTokenInfo,
+  saveTokenInfo,
+  assertNewTokenRecord,
+} = require("./token-info");
+const {
+  DEFAULT_EXTENSIONS,
+  createToken2022Mint,
+  describeExtensions,
+} = require("./token-2022");
 
 /**
  * Create DOODi token with basic mint and metadata
  * @param {string} network - Network to deploy to (devnet/mainnet)
  * @param {string|null} walletPath - Custom wallet path
- * @returns {Object} Token creation results
+ * @param {Object} options - Creation options
+ * @param {string} options.program - 'spl-token' (default) or 'token-2022'
+ * @param {Object} options.extensions - Token-2022 extension selection (see token-2022.js)
+ * @param {string|null} options.metadataUri - URI the metadata JSON is published at [default: TOKEN_CONFIG.uri];
+ *   required on every path, Metaplex or Token-2022 embedded
+ * @param {string|null} options.freezeAuthority - Freeze authority address, or 'wallet' for the creator
+ *   [default: none - accounts can never be frozen]
+ * @param {string|null} options.tokenInfoPath - Token info file to write [default: tokens/<network>-<symbol>.json]
+ * @param {boolean} options.overwrite - Replace an existing non-mainnet record
+ * @param {Connection|null} options.connection - Connection to use instead of one for the network
+ * @param {Keypair|null} options.keypair - Creator to use instead of loading the wallet file
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Creation result: mint, token account, metadata and record path
+ * @throws {DoodiError} InvalidAddress, MetadataValidation or TokenRecordExists before any transaction is sent
  */
-async function createToken(network = "devnet", walletPath = null) {
+async function createToken(network = "devnet", walletPath = null, options = {}) {
+  const {
+    program = "spl-token",
+    metadataUri = null,
+    freezeAuthority = null,
+    tokenInfoPath = null,
+    overwrite = false,
+    keypair = null,
+    priorityFee = null,
+    logger = console,
+  } = options;
+  const sendOptions = { priorityFee, logger };
+  const extensions = { ...DEFAULT_EXTENSIONS, ...options.extensions };
+
+  const programId = getTokenProgramByName(program);
+  const useToken2022 = program === "token-2022";
+  const useEmbeddedMetadata = useToken2022 && extensions.embeddedMetadata;
+
+  const { getNetworkConfig } = require("./network-config");
+  const networkConfig = getNetworkConfig(network);
+
+  logger.info(`🚀 Creating ${TOKEN_CONFIG.name} on ${networkConfig.name}...\n`);
+  logger.info(`🌐 Network: ${networkConfig.name} (${network})`);
+  logger.info(`🔗 RPC URL: ${networkConfig.url}`);
+  logger.info(`🧩 Token Program: ${program} (${programId.toString()})\n`);
+
+  // Validate metadata before any transaction is sent
+  logger.info("🔎 Validating token metadata...");
+  if (!(metadataUri || TOKEN_CONFIG.uri)) {
+    throw new MetadataValidationError(
+      "Token metadata needs a URI - pass --metadata-uri or set TOKEN_CONFIG.uri - no transactions were sent"
+    );
+  }
+  const validation = await validateMetadataFile("./doodimeta.json", {
+    uri: metadataUri || TOKEN_CONFIG.uri || null,
+  });
+  validation.errors.forEach((error) => logger.error(`   ❌ ${error}`));
+  validation.warnings.forEach((warning) => logger.warn(`   ⚠️  ${warning}`));
+  if (!validation.valid) {
+    throw new MetadataValidationError("Metadata validation failed - no transactions were sent", {
+      errors: validation.errors,
+    });
+  }
+  if (
+    validation.metadata.name !== TOKEN_CONFIG.name ||
+    validation.metadata.symbol !== TOKEN_CONFIG.symbol
+  ) {
+    throw new MetadataValidationError(
+      `doodimeta.json name/symbol (${validation.metadata.name} / ${validation.metadata.symbol}) ` +
+        `do not match TOKEN_CONFIG (${TOKEN_CONFIG.name} / ${TOKEN_CONFIG.symbol}) - no transactions were sent`
+    );
+  }
+  logger.info("✅ Metadata valid\n");
+
+  // Never create a second token over an existing record
+  const recordPath = tokenInfoPath || getRecordPath(network, TOKEN_CONFIG.symbol);
   try {
-    const { getNetworkConfig } = require("./network-config");
-    const networkConfig = getNetworkConfig(network);
+    assertNewTokenRecord(recordPath, network, overwrite);
+  } catch (error) {
+    throw new TokenRecordExistsError(`${error.message} - no transactions were sent`, {
+      recordPath,
+    });
+  }
+  logger.info(`🗂️  Token record: ${recordPath}\n`);
 
-    console.log(`🚀 Creating ${TOKEN_CONFIG.name} on ${networkConfig.name}...\n`);
-    console.log(`🌐 Network: ${networkConfig.name} (${network})`);
-    console.log(`🔗 RPC URL: ${networkConfig.url}\n`);
 
+  // Connect to specified network
+  const connection = options.connection || createConnection(network);
 
-    // Connect to specified network
-    const connection = createConnection(network);
+  // Load wallet
+  const walletKeypair = keypair || (await loadSigner(networkConfig, walletPath, { confirm: options.confirm, logger }));
 
-    // Load wallet
-    const walletKeypair = loadWallet(networkConfig, walletPath);
+  logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
 
-    console.log(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+  let freezeAuthorityKey = null;
+  if (freezeAuthority === "wallet") {
+    freezeAuthorityKey = walletKeypair.publicKey;
+  } else if (freezeAuthority) {
+    try {
+      freezeAuthorityKey = new PublicKey(freezeAuthority);
+    } catch (error) {
+      throw new InvalidAddressError(`Invalid freeze authority: ${freezeAuthority}`, {
+        address: freezeAuthority,
+      });
+    }
+  }
+  if (freezeAuthorityKey) {
+    logger.info(`🧊 Freeze authority: ${freezeAuthorityKey.toString()} (can freeze and thaw any holder's account)`);
+  }
 
-    // Ensure wallet has sufficient balance
-    await ensureSufficientBalance(connection, walletKeypair, networkConfig);
+  // Ensure wallet has sufficient balance
+  await ensureSufficientBalance(connection, walletKeypair, networkConfig, { logger });
 
-    console.log(`\n🪙 Creating ${TOKEN_CONFIG.name} Mint...`);
+  logger.info(`\n🪙 Creating ${TOKEN_CONFIG.name} Mint...`);
 
-    // Create token mint
-    const mint = await createMint(
-      connection,
-      walletKeypair, // payer
-      walletKeypair.publicKey, // mint authority
-      null, // freeze authority
-      TOKEN_CONFIG.decimals
-    );
+  // Create token mint
+  let mint;
+  let metadataResult = null;
+  const transactions = [];
+  if (useToken2022) {
+    const enabled = describeExtensions(extensions);
+    logger.info(`   Extensions:`);
+    logger.info(`   • Transfer fee: ${enabled.transferFee ? `${enabled.transferFee.basisPoints} bps (max ${enabled.transferFee.maximumFee} raw)` : "off"}`);
+    logger.info(`   • Embedded metadata: ${enabled.embeddedMetadata ? "on" : "off"}`);
+    logger.info(`   • Permanent delegate: ${enabled.permanentDelegate || "off"}`);
+    logger.info(`   • Interest rate: ${enabled.interestRate !== null ? `${enabled.interestRate} bps` : "off"}`);
 
-    console.log(`✅ Token Mint Created: ${mint.toString()}`);
+    const result = await createToken2022Mint(connection, walletKeypair, {
+      decimals: TOKEN_CONFIG.decimals,
+      freezeAuthority: freezeAuthorityKey,
+      extensions,
+      metadata: {
+        name: TOKEN_CONFIG.name,
+        symbol: TOKEN_CONFIG.symbol,
+        uri: metadataUri || TOKEN_CONFIG.uri,
+      },
+      sendOptions,
+    });
+    mint = result.mint;
+    transactions.push({ signature: result.signature, slot: result.slot });
 
-    // Get or create associated token account for the creator
-    console.log("\n🏦 Creating associated token account...");
-    const tokenAccount = await getOrCreateAssociatedTokenAccount(
+    // Embedded metadata lives in the mint account and was written in the
+    // same transaction
+    if (useEmbeddedMetadata) {
+      metadataResult = { signature: result.signature, metadataAccount: mint };
+    }
+  } else {
+    const mintKeypair = Keypair.generate();
+    const lamports = await getMinimumBalanceForRentExemptMint(connection);
+    const created = await sendInstructions(
       connection,
-      walletKeypair,
-      mint,
-      walletKeypair.publicKey
+      [
+        SystemProgram.createAccount({
+          fromPubkey: walletKeypair.publicKey,
+          newAccountPubkey: mintKeypair.publicKey,
+          space: MINT_SIZE,
+          lamports,
+          programId,
+        }),
+        createInitializeMint2Instruction(
+          mintKeypair.publicKey,
+          TOKEN_CONFIG.decimals,
+          walletKeypair.publicKey, // mint authority
+          freezeAuthorityKey,
+          programId
+        ),
+      ],
+      [walletKeypair, mintKeypair],
+      sendOptions
     );
+    transactions.push(created);
+    mint = mintKeypair.publicKey;
+  }
+
+  logger.info(`✅ Token Mint Created: ${mint.toString()}`);
 
-    console.log(`✅ Token Account Created: ${tokenAccount.address.toString()}`);
+  // Get or create associated token account for the creator
+  logger.info("\n🏦 Creating associated token account...");
+  const tokenAccountAddress = getAssociatedTokenAddressSync(
+    mint,
+    walletKeypair.publicKey,
+    false,
+    programId
+  );
+  const accountCreated = await sendInstructions(
+    connection,
+    [
+      createAssociatedTokenAccountIdempotentInstruction(
+        walletKeypair.publicKey,
+        tokenAccountAddress,
+        walletKeypair.publicKey,
+        mint,
+        programId
+      ),
+    ],
+    [walletKeypair],
+    sendOptions
+  );
+  transactions.push(accountCreated);
+  const tokenAccount = await getAccount(connection, tokenAccountAddress, "confirmed", programId);
 
-    console.log("\n💡 Skipping initial token minting - tokens will be minted during airdrop operations");
+  logger.info(`✅ Token Account Created: ${tokenAccount.address.toString()}`);
 
-    // Create token metadata
-    console.log("\n📝 Creating token metadata...");
-    const metadataResult = await createTokenMetadata(
+  logger.info("\n💡 Skipping initial token minting - tokens will be minted during airdrop operations");
+
+  // Create token metadata
+  if (useEmbeddedMetadata) {
+    logger.info("\n📝 Token metadata embedded in the Token-2022 mint");
+  } else {
+    logger.info("\n📝 Creating token metadata...");
+    metadataResult = await createTokenMetadata(
       connection,
       mint,
       walletKeypair,
-      walletKeypair.publicKey
-    );
-    console.log(
-      `✅ Token metadata created. Transaction: ${metadataResult.signature}`
-    );
-    console.log(
-      `   Metadata Account: ${metadataResult.metadataAccount.toString()}`
+      walletKeypair.publicKey,
+      { uri: metadataUri || TOKEN_CONFIG.uri, ...sendOptions }
     );
+    transactions.push({ signature: metadataResult.signature, slot: metadataResult.slot });
+  }
+  logger.info(
+    `✅ Token metadata created. Transaction: ${metadataResult.signature}`
+  );
+  logger.info(
+    `   Metadata Account: ${metadataResult.metadataAccount.toString()}`
+  );
 
-    // Save token info
-    console.log("\n💾 Saving token info...");
-    const tokenInfo = createTokenInfo(
-      mint,
-      walletKeypair,
-      tokenAccount,
-      null, // no initial mint transaction
-      metadataResult,
-      network,
-      networkConfig,
-      true // has mint authority
-    );
+  // Save token info
+  logger.info("\n💾 Saving token info...");
+  const tokenInfo = createTokenInfo(
+    mint,
+    walletKeypair,
+    tokenAccount,
+    null, // no initial mint transaction
+    metadataResult,
+    network,
+    networkConfig,
+    true // has mint authority
+  );
+  tokenInfo.tokenProgram = program;
+  tokenInfo.freezeAuthority = freezeAuthorityKey ? freezeAuthorityKey.toString() : null;
+  if (useToken2022) {
+    tokenInfo.extensions = describeExtensions(extensions);
+  }
 
-    fs.writeFileSync(
-      "./doodi-token-info.json",
-      JSON.stringify(tokenInfo, null, 2)
-    );
-    console.log("✅ Token info saved");
+  // An overwritten devnet record stays findable through the log
+  const replaced = loadTokenInfo(recordPath);
+  saveTokenInfo(tokenInfo, recordPath);
+  logger.info("✅ Token info saved");
 
+  const opsLog = recordOperation({
+    type: "create",
+    network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: mint.toString(),
+    params: {
+      name: TOKEN_CONFIG.name,
+      symbol: TOKEN_CONFIG.symbol,
+      decimals: TOKEN_CONFIG.decimals,
+      program,
+      freezeAuthority: tokenInfo.freezeAuthority,
+      ...(useToken2022 && { extensions: tokenInfo.extensions }),
+      recordPath,
+    },
+    transactions,
+    before: replaced ? { replacedMint: replaced.mintAddress } : null,
+    after: {
+      mintAuthority: walletKeypair.publicKey.toString(),
+      freezeAuthority: tokenInfo.freezeAuthority,
+      creatorTokenAccount: tokenAccount.address.toString(),
+      metadataAccount: metadataResult.metadataAccount.toString(),
+      supply: "0",
+    },
+  }, { logger });
 
-    // Verify token info
-    console.log("\n📊 Verifying token creation...");
-    const mintInfo = await connection.getParsedAccountInfo(mint);
-    const mintData = mintInfo.value.data.parsed.info;
+  // Verify token info
+  logger.info("\n📊 Verifying token creation...");
+  const mintInfo = await connection.getParsedAccountInfo(mint);
+  const mintData = mintInfo.value.data.parsed.info;
 
-    console.log(`✅ ${TOKEN_CONFIG.name} Successfully Created:`);
-    console.log(`   Mint Address: ${mint.toString()}`);
-    console.log(`   Decimals: ${mintData.decimals}`);
-    console.log(
-      `   Current Supply: ${mintData.supply} (${
-        Number(mintData.supply) / Math.pow(10, 6)
-      } tokens)`
-    );
-    console.log(
-      `   Maximum Supply: ${TOKEN_CONFIG.supply.toLocaleString()} ${TOKEN_CONFIG.symbol}`
-    );
-    console.log(
-      `   Mint Authority: ${mintData.mintAuthority} (Active)`
-    );
-    console.log(`   Freeze Authority: ${mintData.freezeAuthority || "None"}`);
+  logger.info(`✅ ${TOKEN_CONFIG.name} Successfully Created:`);
+  logger.info(`   Mint Address: ${mint.toString()}`);
+  logger.info(`   Decimals: ${mintData.decimals}`);
+  logger.info(
+    `   Current Supply: ${mintData.supply} (${
+      formatTokenAmount(mintData.supply, mintData.decimals, { grouping: true })
+    } tokens)`
+  );
+  logger.info(
+    `   Maximum Supply: ${TOKEN_CONFIG.supply.toLocaleString()} ${TOKEN_CONFIG.symbol}`
+  );
+  logger.info(
+    `   Mint Authority: ${mintData.mintAuthority} (Active)`
+  );
+  logger.info(`   Freeze Authority: ${mintData.freezeAuthority || "None"}`);
 
-    // Check token account balance
-    const tokenBalance = await connection.getTokenAccountBalance(
-      tokenAccount.address
-    );
-    console.log(`\n💰 Creator Token Balance:`);
-    console.log(`   Account: ${tokenAccount.address.toString()}`);
-    console.log(`   Amount: ${tokenBalance.value.uiAmount || 0} tokens (ready for airdrop operations)`);
-
-    console.log("\n🔗 View on Solana Explorer:");
-    const clusterParam =
-      networkConfig.cluster === "mainnet-beta"
-        ? ""
-        : `?cluster=${networkConfig.cluster}`;
-    console.log(
-      `   Mint: ${
-        networkConfig.explorerUrl
-      }/address/${mint.toString()}${clusterParam}`
-    );
-    console.log(
-      `   Creator Account: ${
-        networkConfig.explorerUrl
-      }/address/${tokenAccount.address.toString()}${clusterParam}`
-    );
-    console.log(
-      `   Metadata Transaction: ${networkConfig.explorerUrl}/tx/${metadataResult.signature}${clusterParam}`
-    );
+  // Check token account balance
+  const tokenBalance = await connection.getTokenAccountBalance(
+    tokenAccount.address
+  );
+  logger.info(`\n💰 Creator Token Balance:`);
+  logger.info(`   Account: ${tokenAccount.address.toString()}`);
+  logger.info(`   Amount: ${tokenBalance.value.uiAmount || 0} tokens (ready for airdrop operations)`);
 
-    console.log(`\n🎉 ${TOKEN_CONFIG.name} creation completed successfully!`);
-    console.log("\n📋 Summary:");
-    console.log(
-      `   • Token Name: ${TOKEN_CONFIG.name} (${TOKEN_CONFIG.symbol})`
-    );
-    console.log(
-      `   • Maximum Supply: ${TOKEN_CONFIG.supply.toLocaleString()} ${
-        TOKEN_CONFIG.symbol
-      }`
-    );
-    console.log(`   • Current Supply: 0 ${TOKEN_CONFIG.symbol} (ready for airdrop)`);
-    console.log(`   • Decimals: ${TOKEN_CONFIG.decimals}`);
-    console.log(`   • Mint Address: ${mint.toString()}`);
-    console.log(`   • Network: ${networkConfig.name}`);
-    console.log(`   • Token created without initial minting`);
-    console.log(`   • Mint Authority: Active (required for airdrop operations)`);
-    console.log(`\n📋 Next Steps:`);
-    console.log(`   • Use airdrop.js to mint tokens directly to recipients`);
-    console.log(`   • Use revoke-mint-authority.js to finalize token supply when done`);
-
-    return {
-      mint: mint.toString(),
-      tokenAccount: tokenAccount.address.toString(),
-      metadataTransaction: metadataResult.signature,
-    };
-  } catch (error) {
-    console.error("❌ Token creation failed:", error);
-    process.exit(1);
-  }
+  logger.info("\n🔗 View on Solana Explorer:");
+  const clusterParam =
+    networkConfig.cluster === "mainnet-beta"
+      ? ""
+      : `?cluster=${networkConfig.cluster}`;
+  logger.info(
+    `   Mint: ${
+      networkConfig.explorerUrl
+    }/address/${mint.toString()}${clusterParam}`
+  );
+  logger.info(
+    `   Creator Account: ${
+      networkConfig.explorerUrl
+    }/address/${tokenAccount.address.toString()}${clusterParam}`
+  );
+  logger.info(
+    `   Metadata Transaction: ${networkConfig.explorerUrl}/tx/${metadataResult.signature}${clusterParam}`
+  );
+
+  logger.info(`\n🎉 ${TOKEN_CONFIG.name} creation completed successfully!`);
+  logger.info("\n📋 Summary:");
+  logger.info(
+    `   • Token Name: ${TOKEN_CONFIG.name} (${TOKEN_CONFIG.symbol})`
+  );
+  logger.info(
+    `   • Maximum Supply: ${TOKEN_CONFIG.supply.toLocaleString()} ${
+      TOKEN_CONFIG.symbol
+    }`
+  );
+  logger.info(`   • Current Supply: 0 ${TOKEN_CONFIG.symbol} (ready for airdrop)`);
+  logger.info(`   • Decimals: ${TOKEN_CONFIG.decimals}`);
+  logger.info(`   • Mint Address: ${mint.toString()}`);
+  logger.info(`   • Network: ${networkConfig.name}`);
+  logger.info(`   • Token created without initial minting`);
+  logger.info(`   • Mint Authority: Active (required for airdrop operations)`);
+  logger.info(`\n📋 Next Steps:`);
+  logger.info(`   • Use airdrop.js to mint tokens directly to recipients`);
+  logger.info(`   • Use revoke-mint-authority.js to finalize token supply when done`);
+
+  return {
+    status: "created",
+    network,
+    mint: mint.toString(),
+    tokenProgram: program,
+    tokenAccount: tokenAccount.address.toString(),
+    freezeAuthority: tokenInfo.freezeAuthority,
+    metadataAccount: metadataResult.metadataAccount.toString(),
+    metadataTransaction: metadataResult.signature,
+    recordPath,
+    explorerUrl: `${networkConfig.explorerUrl}/address/${mint.toString()}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
 }
 
 module.exports = {
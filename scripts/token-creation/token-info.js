@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  InvalidArgumentError,
+  NetworkMismatchError,
+  TokenInfoNotFoundError,
+  TokenRecordExistsError,
+} = require("./errors");
+
+const DEFAULT_TOKEN_INFO_PATH = "./doodi-token-info.json";
+const TOKENS_DIR = "./tokens";
+
+/**
+ * Registry file for a token, keyed by network and symbol
+ * @param {string} network - Network the token lives on
+ * @param {string} symbol - Token symbol
+ * @returns {string} Record path (e.g. tokens/mainnet-doodi.json)
+ */
+function getRecordPath(network, symbol) {
+  const key = `${network}-${symbol}`.toLowerCase().replace(/[^a-z0-9-]/g, "_");
+  return path.join(TOKENS_DIR, `${key}.json`);
+}
+
+/**
+ * List every token record in the registry
+ * @returns {Array<Object>} { path, network, symbol, name, mintAddress } per record
+ */
+function listTokenRecords() {
+  if (!fs.existsSync(TOKENS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(TOKENS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => {
+      const recordPath = path.join(TOKENS_DIR, file);
+      const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+      return {
+        path: recordPath,
+        network: record.network,
+        symbol: record.symbol,
+        name: record.name,
+        mintAddress: record.mintAddress,
+      };
+    });
+}
+
+/**
+ * Find registry records matching a --token selector. A selector is a
+ * symbol, `<network>:<symbol>` or a mint address.
+ * @param {string|null} token - Token selector
+ * @param {string|null} network - Only consider records on this network
+ * @returns {Array<Object>} Matching records (see listTokenRecords)
+ */
+function findTokenRecords(token = null, network = null) {
+  let selectedNetwork = network;
+  let selector = token;
+
+  if (token && token.includes(":")) {
+    const [tokenNetwork, symbol] = token.split(":");
+    if (network && network !== tokenNetwork) {
+      throw new NetworkMismatchError(`Network mismatch: --token ${token} but --network ${network}`, {
+        tokenNetwork,
+        network,
+      });
+    }
+    selectedNetwork = tokenNetwork;
+    selector = symbol;
+  }
+
+  return listTokenRecords().filter(
+    (record) =>
+      (!selectedNetwork || record.network === selectedNetwork) &&
+      (!selector ||
+        record.mintAddress === selector ||
+        (record.symbol || "").toLowerCase() === selector.toLowerCase())
+  );
+}
+
+/**
+ * Resolve the token info file to use. An explicit path wins; otherwise the
+ * registry is searched, and the legacy ./doodi-token-info.json is used while
+ * the registry is empty.
+ * @param {string|null} tokenInfoPath - Explicit path (e.g. from --token-info)
+ * @param {Object} selection - Registry selection
+ * @param {string|null} selection.token - Token selector (e.g. from --token)
+ * @param {string|null} selection.network - Network filter (e.g. from --network)
+ * @returns {string} Token info file path
+ */
+function resolveTokenInfoPath(tokenInfoPath = null, selection = {}) {
+  const { token = null, network = null } = selection;
+
+  if (tokenInfoPath) {
+    return tokenInfoPath;
+  }
+
+  if (listTokenRecords().length === 0) {
+    if (token) {
+      throw new TokenInfoNotFoundError(`Token ${token} not found - the registry in ${TOKENS_DIR} is empty`);
+    }
+    return DEFAULT_TOKEN_INFO_PATH;
+  }
+
+  const matches = findTokenRecords(token, network);
+  if (matches.length === 1) {
+    return matches[0].path;
+  }
+
+  const filter = [token, network].filter(Boolean).join(" on ");
+  if (matches.length === 0) {
+    throw new TokenInfoNotFoundError(`No token${filter ? ` matching ${filter}` : ""} in ${TOKENS_DIR}`);
+  }
+  throw new InvalidArgumentError(
+    `${matches.length} tokens${filter ? ` match ${filter}` : " in the registry"} - pick one with --token ` +
+      `(${matches.map((m) => `${m.network}:${m.symbol}`).join(", ")})`,
+    { token, network, matches: matches.map((m) => m.path) }
+  );
+}
+
+/**
+ * Read the token info file
+ * @param {string|null} tokenInfoPath - Token info file (see resolveTokenInfoPath)
+ * @param {Object} selection - Registry selection when no path is given: { token, network }
+ * @returns {Object|null} Parsed token info, or null if the file does not exist
+ */
+function loadTokenInfo(tokenInfoPath = null, selection = {}) {
+  const filePath = resolveTokenInfoPath(tokenInfoPath, selection);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Write the token info file atomically
+ * @param {Object} tokenInfo - Token info record
+ * @param {string|null} tokenInfoPath - Token info file (see resolveTokenInfoPath)
+ * @param {Object} selection - Registry selection when no path is given: { token, network }
+ */
+function saveTokenInfo(tokenInfo, tokenInfoPath = null, selection = {}) {
+  const filePath = resolveTokenInfoPath(tokenInfoPath, selection);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(tokenInfo, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Refuse to create a token over an existing record. Mainnet records are
+ * never overwritten; other networks need an explicit overwrite.
+ * @param {string} recordPath - Record the new token would be written to
+ * @param {string} network - Network the token is created on
+ * @param {boolean} overwrite - Allow replacing a non-mainnet record
+ */
+function assertNewTokenRecord(recordPath, network, overwrite = false) {
+  // A legacy file that was never migrated describes a token too
+  if (
+    fs.existsSync(DEFAULT_TOKEN_INFO_PATH) &&
+    path.resolve(recordPath) !== path.resolve(DEFAULT_TOKEN_INFO_PATH)
+  ) {
+    const legacy = JSON.parse(fs.readFileSync(DEFAULT_TOKEN_INFO_PATH, "utf8"));
+    if (path.resolve(getRecordPath(legacy.network, legacy.symbol)) === path.resolve(recordPath)) {
+      throw new TokenRecordExistsError(
+        `${DEFAULT_TOKEN_INFO_PATH} already records ${legacy.symbol} on ${legacy.network} - run 'doodi token migrate' first`,
+        { recordPath: DEFAULT_TOKEN_INFO_PATH }
+      );
+    }
+  }
+
+  if (!fs.existsSync(recordPath)) {
+    return;
+  }
+
+  const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+  if (record.network === "mainnet" || network === "mainnet") {
+    throw new TokenRecordExistsError(
+      `${recordPath} already records mainnet token ${record.mintAddress} - mainnet records are never overwritten`,
+      { recordPath, mintAddress: record.mintAddress }
+    );
+  }
+  if (!overwrite) {
+    throw new TokenRecordExistsError(
+      `${recordPath} already records token ${record.mintAddress} - pass --overwrite to replace it`,
+      { recordPath, mintAddress: record.mintAddress }
+    );
+  }
+}
+
+/**
+ * Move the legacy ./doodi-token-info.json into the registry. The record is
+ * written and read back before the legacy file is renamed, and an existing
+ * registry record with different content is never replaced.
+ * @returns {Object} { from, to, backup } paths
+ */
+function migrateLegacyTokenInfo() {
+  if (!fs.existsSync(DEFAULT_TOKEN_INFO_PATH)) {
+    throw new TokenInfoNotFoundError(`${DEFAULT_TOKEN_INFO_PATH} not found - nothing to migrate`);
+  }
+
+  const content = fs.readFileSync(DEFAULT_TOKEN_INFO_PATH, "utf8");
+  const legacy = JSON.parse(content);
+  if (!legacy.network || !legacy.symbol || !legacy.mintAddress) {
+    throw new InvalidArgumentError(`${DEFAULT_TOKEN_INFO_PATH} is missing network, symbol or mintAddress`, {
+      tokenInfoPath: DEFAULT_TOKEN_INFO_PATH,
+    });
+  }
+
+  const recordPath = getRecordPath(legacy.network, legacy.symbol);
+  if (fs.existsSync(recordPath)) {
+    const existing = fs.readFileSync(recordPath, "utf8");
+    if (JSON.stringify(JSON.parse(existing)) !== JSON.stringify(legacy)) {
+      throw new TokenRecordExistsError(`${recordPath} already exists with different content - resolve by hand`, {
+        recordPath,
+      });
+    }
+  } else {
+    saveTokenInfo(legacy, recordPath);
+    const written = fs.readFileSync(recordPath, "utf8");
+    if (JSON.stringify(JSON.parse(written)) !== JSON.stringify(legacy)) {
+      throw new TokenRecordExistsError(`Verification of ${recordPath} failed - ${DEFAULT_TOKEN_INFO_PATH} left in place`, {
+        recordPath,
+      });
+    }
+  }
+
+  const backup = `${DEFAULT_TOKEN_INFO_PATH}.migrated`;
+  fs.renameSync(DEFAULT_TOKEN_INFO_PATH, backup);
+
+  return { from: DEFAULT_TOKEN_INFO_PATH, to: recordPath, backup };
+}
+
+module.exports = {
+  DEFAULT_TOKEN_INFO_PATH,
+  TOKENS_DIR,
+  getRecordPath,
+  listTokenRecords,
+  findTokenRecords,
+  resolveTokenInfoPath,
+  loadTokenInfo,
+  saveTokenInfo,
+  assertNewTokenRecord,
+  migrateLegacyTokenInfo,
+};
@@ -0,0 +1,64 @@
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require("@solana/spl-token");
+const { InvalidArgumentError, InvalidAddressError } = require("./errors");
+
+const TOKEN_PROGRAMS = {
+  "spl-token": TOKEN_PROGRAM_ID,
+  "token-2022": TOKEN_2022_PROGRAM_ID,
+};
+
+/**
+ * Look up a token program ID by name
+ * @param {string} name - 'spl-token' or 'token-2022'
+ * @returns {PublicKey} Program ID
+ */
+function getTokenProgramByName(name) {
+  const programId = TOKEN_PROGRAMS[name];
+  if (!programId) {
+    throw new InvalidArgumentError(
+      `Unknown token program: ${name} (expected ${Object.keys(TOKEN_PROGRAMS).join(" or ")})`,
+      { program: name }
+    );
+  }
+  return programId;
+}
+
+/**
+ * Name of a token program ID
+ * @param {PublicKey} programId - Program ID
+ * @returns {string} 'spl-token' or 'token-2022'
+ */
+function getTokenProgramName(programId) {
+  return programId.equals(TOKEN_2022_PROGRAM_ID) ? "token-2022" : "spl-token";
+}
+
+/**
+ * Detect which token program owns a mint. Every spl-token helper needs the
+ * right program ID, or it fails with an owner mismatch on Token-2022 mints.
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} mint - Token mint
+ * @returns {Promise<PublicKey>} Owning token program ID
+ */
+async function getTokenProgramId(connection, mint) {
+  const accountInfo = await connection.getAccountInfo(mint);
+  if (!accountInfo) {
+    throw new InvalidAddressError(`Mint account not found: ${mint.toString()}`, { address: mint.toString() });
+  }
+
+  const programId = Object.values(TOKEN_PROGRAMS).find((id) =>
+    id.equals(accountInfo.owner)
+  );
+  if (!programId) {
+    throw new InvalidAddressError(
+      `${mint.toString()} is owned by ${accountInfo.owner.toString()}, not a token program`,
+      { address: mint.toString(), owner: accountInfo.owner.toString() }
+    );
+  }
+  return programId;
+}
+
+module.exports = {
+  TOKEN_PROGRAMS,
+  getTokenProgramByName,
+  getTokenProgramName,
+  getTokenProgramId,
+};
@@ -0,0 +1,291 @@
+const { ComputeBudgetProgram, Transaction } = require("@solana/web3.js");
+const bs58 = require("bs58");
+const {
+  SimulationFailedError,
+  TransactionFailedError,
+  TransactionExpiredError,
+} = require("./errors");
+
+/** Priority fee used when the caller does not choose one */
+const DEFAULT_PRIORITY_FEE = "auto";
+
+/** Upper bound for an estimated priority fee, in micro-lamports per compute unit */
+const MAX_AUTO_PRIORITY_FEE = 1000000;
+
+/** Percentile of recent non-zero fees that "auto" pays */
+const AUTO_FEE_PERCENTILE = 75;
+
+/** Compute unit limit of a transaction, used while simulating */
+const MAX_COMPUTE_UNITS = 1400000;
+
+/** Headroom on top of the simulated compute units */
+const COMPUTE_UNIT_MARGIN = 1.2;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = 2000;
+const COMMITMENT_LEVELS = ["processed", "confirmed", "finalized"];
+
+/**
+ * Estimate a priority fee from the fees recently paid to write the same
+ * accounts
+ * @param {Connection} connection - Solana connection
+ * @param {Array<PublicKey>} writableAccounts - Accounts the transaction writes
+ * @param {Object} options - Estimate options
+ * @param {number} options.percentile - Percentile of recent non-zero fees [default: 75]
+ * @param {number} options.maxFee - Cap in micro-lamports per compute unit
+ * @returns {Promise<number>} Micro-lamports per compute unit (0 when the network is quiet)
+ */
+async function estimatePriorityFee(connection, writableAccounts, options = {}) {
+  const { percentile = AUTO_FEE_PERCENTILE, maxFee = MAX_AUTO_PRIORITY_FEE } = options;
+
+  const recent = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: writableAccounts.slice(0, 128),
+  });
+  const fees = recent
+    .map((entry) => entry.prioritizationFee)
+    .filter((fee) => fee > 0)
+    .sort((a, b) => a - b);
+
+  if (fees.length === 0) {
+    return 0;
+  }
+  const index = Math.min(fees.length - 1, Math.floor((fees.length * percentile) / 100));
+  return Math.min(fees[index], maxFee);
+}
+
+/**
+ * List the distinct accounts written by a set of instructions
+ * @param {Array<TransactionInstruction>} instructions - Instructions
+ * @returns {Array<PublicKey>} Writable accounts
+ */
+function getWritableAccounts(instructions) {
+  const seen = new Map();
+  instructions.forEach((instruction) => {
+    instruction.keys
+      .filter((key) => key.isWritable)
+      .forEach((key) => seen.set(key.pubkey.toString(), key.pubkey));
+  });
+  return [...seen.values()];
+}
+
+/**
+ * Resolve the priority fee option to micro-lamports per compute unit
+ * @param {Connection} connection - Solana connection
+ * @param {Array<TransactionInstruction>} instructions - Instructions being sent
+ * @param {string|number} priorityFee - 'auto' or a fixed fee in micro-lamports
+ * @param {number} maxPriorityFee - Cap for 'auto'
+ * @returns {Promise<number>} Micro-lamports per compute unit
+ */
+async function resolvePriorityFee(connection, instructions, priorityFee, maxPriorityFee) {
+  if (priorityFee === "auto") {
+    return estimatePriorityFee(connection, getWritableAccounts(instructions), {
+      maxFee: maxPriorityFee,
+    });
+  }
+  return Number(priorityFee) || 0;
+}
+
+/**
+ * Build a transaction with the compute budget instructions in front
+ * @param {Array<TransactionInstruction>} instructions - Instructions
+ * @param {Object} params - Transaction parameters
+ * @param {PublicKey} params.feePayer - Fee payer
+ * @param {string} params.blockhash - Recent blockhash
+ * @param {number} params.computeUnitLimit - Compute unit limit
+ * @param {number} params.priorityFee - Micro-lamports per compute unit
+ * @returns {Transaction} Unsigned transaction
+ */
+function buildTransaction(instructions, { feePayer, blockhash, computeUnitLimit, priorityFee }) {
+  const transaction = new Transaction();
+  transaction.feePayer = feePayer;
+  transaction.recentBlockhash = blockhash;
+
+  transaction.add(ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }));
+  if (priorityFee > 0) {
+    transaction.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee }));
+  }
+  transaction.add(...instructions);
+  return transaction;
+}
+
+/**
+ * Check whether a signature status has reached a commitment level
+ * @param {Object} status - Signature status
+ * @param {string} commitment - Required commitment
+ * @returns {boolean} Whether the status is at least that committed
+ */
+function meetsCommitment(status, commitment) {
+  return (
+    COMMITMENT_LEVELS.indexOf(status.confirmationStatus) >= COMMITMENT_LEVELS.indexOf(commitment)
+  );
+}
+
+/**
+ * Poll a sent transaction until it confirms or its blockhash expires,
+ * rebroadcasting while it is still unseen (RPC nodes drop transactions
+ * they cannot forward under load)
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {Buffer} rawTransaction - Signed wire transaction
+ * @param {number} lastValidBlockHeight - Last block height the blockhash is valid for
+ * @param {string} commitment - Commitment to wait for
+ * @returns {Promise<Object|null>} Final signature status, or null once the blockhash expired unseen
+ */
+async function waitForConfirmation(connection, signature, rawTransaction, lastValidBlockHeight, commitment) {
+  for (;;) {
+    const {
+      value: [status],
+    } = await connection.getSignatureStatuses([signature]);
+
+    if (status && (status.err || meetsCommitment(status, commitment))) {
+      return status;
+    }
+
+    if (!status) {
+      const blockHeight = await connection.getBlockHeight("confirmed");
+      if (blockHeight > lastValidBlockHeight) {
+        // It may have landed between the two reads - only a signature that
+        // is still unknown after expiry can never land
+        const {
+          value: [late],
+        } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        if (!late) {
+          return null;
+        }
+      } else {
+        await connection
+          .sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 })
+          .catch(() => {}); // the next poll tells whether it landed
+      }
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Send instructions as one transaction and wait for it to confirm. Adds
+ * ComputeBudget instructions (limit sized by simulation, priority fee fixed
+ * or estimated), simulates before sending, and rebuilds with a fresh
+ * blockhash when the previous one expired without the transaction landing.
+ * @param {Connection} connection - Solana connection
+ * @param {Array<TransactionInstruction>} instructions - Instructions to send
+ * @param {Array<Keypair>} signers - Signers; the first pays fees unless feePayer is set
+ * @param {Object} options - Send options
+ * @param {PublicKey} options.feePayer - Fee payer [default: first signer]
+ * @param {string|number} options.priorityFee - 'auto' or micro-lamports per compute unit [default: 'auto']
+ * @param {number} options.maxPriorityFee - Cap for 'auto' [default: 1,000,000]
+ * @param {number|null} options.computeUnitLimit - Fixed compute unit limit [default: simulated + 20%]
+ * @param {string} options.commitment - Commitment to wait for [default: 'confirmed']
+ * @param {number} options.maxAttempts - Blockhashes to try before giving up [default: 3]
+ * @param {Function|null} options.onSigned - Called with { signature, blockhash, lastValidBlockHeight } before each broadcast
+ * @param {Function|null} options.onSent - Called with { signature } once the node accepted it
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} { signature, slot, confirmationStatus, attempts, priorityFee, computeUnitLimit }
+ * @throws {SimulationFailedError} When simulation fails (nothing was sent)
+ * @throws {TransactionFailedError} When the transaction landed with an error
+ * @throws {TransactionExpiredError} When no attempt confirmed before its blockhash expired
+ */
+async function sendInstructions(connection, instructions, signers, options = {}) {
+  const {
+    feePayer = signers[0].publicKey,
+    priorityFee = null,
+    maxPriorityFee = MAX_AUTO_PRIORITY_FEE,
+    computeUnitLimit = null,
+    commitment = "confirmed",
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    onSigned = null,
+    onSent = null,
+    logger = console,
+  } = options;
+
+  const fee = await resolvePriorityFee(
+    connection,
+    instructions,
+    priorityFee ?? DEFAULT_PRIORITY_FEE,
+    maxPriorityFee
+  );
+  let units = computeUnitLimit;
+  let signature = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+
+    const { value: simulation } = await connection.simulateTransaction(
+      buildTransaction(instructions, {
+        feePayer,
+        blockhash,
+        computeUnitLimit: units || MAX_COMPUTE_UNITS,
+        priorityFee: fee,
+      })
+    );
+    if (simulation.err) {
+      throw new SimulationFailedError(
+        `Transaction simulation failed: ${JSON.stringify(simulation.err)}`,
+        { err: simulation.err, logs: simulation.logs || [] }
+      );
+    }
+    if (!units) {
+      units = simulation.unitsConsumed
+        ? Math.min(MAX_COMPUTE_UNITS, Math.ceil(simulation.unitsConsumed * COMPUTE_UNIT_MARGIN))
+        : MAX_COMPUTE_UNITS;
+    }
+
+    const transaction = buildTransaction(instructions, {
+      feePayer,
+      blockhash,
+      computeUnitLimit: units,
+      priorityFee: fee,
+    });
+    transaction.sign(...signers);
+    signature = bs58.encode(transaction.signature);
+    const rawTransaction = transaction.serialize();
+
+    if (onSigned) {
+      await onSigned({ signature, blockhash, lastValidBlockHeight });
+    }
+    await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+    if (onSent) {
+      await onSent({ signature });
+    }
+
+    const status = await waitForConfirmation(
+      connection,
+      signature,
+      rawTransaction,
+      lastValidBlockHeight,
+      commitment
+    );
+
+    if (status && status.err) {
+      throw new TransactionFailedError(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`, {
+        signature,
+        err: status.err,
+      });
+    }
+    if (status) {
+      return {
+        signature,
+        slot: status.slot,
+        confirmationStatus: status.confirmationStatus,
+        attempts: attempt,
+        priorityFee: fee,
+        computeUnitLimit: units,
+      };
+    }
+
+    logger.warn(`   ⚠️  Blockhash expired before ${signature} confirmed (attempt ${attempt}/${maxAttempts})`);
+  }
+
+  throw new TransactionExpiredError(
+    `Transaction did not confirm after ${maxAttempts} attempts - last signature ${signature}`,
+    { signature, attempts: maxAttempts }
+  );
+}
+
+module.exports = {
+  DEFAULT_PRIORITY_FEE,
+  MAX_AUTO_PRIORITY_FEE,
+  estimatePriorityFee,
+  sendInstructions,
+};
@@ -0,0 +1,306 @@
+const { PublicKey } = require("@solana/web3.js");
+const crypto = require("crypto");
+const fs = require("fs");
+const { parseTokenAmount, formatTokenAmount } = require("./amounts");
+const { VestingScheduleError, TransactionPendingError } = require("./errors");
+
+const STATE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a schedule date
+ * @param {string} value - ISO 8601 date
+ * @param {string} field - Field name for the error message
+ * @returns {string} Normalised ISO date
+ */
+function parseScheduleDate(value, field) {
+  const time = Date.parse(value);
+  if (typeof value !== "string" || Number.isNaN(time)) {
+    throw new VestingScheduleError(`${field}: invalid date ${value} (expected ISO 8601, e.g. 2025-10-01T00:00:00Z)`, {
+      field,
+      value,
+    });
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse a whole number of days
+ * @param {*} value - Configured value
+ * @param {string} field - Field name for the error message
+ * @returns {number} Days
+ */
+function parseDays(value, field) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new VestingScheduleError(`${field} must be a whole number of days, 0 or greater`, { field, value });
+  }
+  return value;
+}
+
+/**
+ * Load and validate a vesting schedule. Top-level start, cliffDays and
+ * vestingDays are defaults that each allocation may override.
+ * @param {string} schedulePath - Schedule JSON file
+ * @param {number} decimals - Mint decimals
+ * @returns {Object} { name, allocations: [{ beneficiary, label, total, start, cliffDays, vestingDays }] }
+ * @throws {VestingScheduleError} When the file is missing or malformed
+ */
+function loadVestingSchedule(schedulePath, decimals) {
+  if (!fs.existsSync(schedulePath)) {
+    throw new VestingScheduleError(`Vesting schedule not found: ${schedulePath}`, { schedulePath });
+  }
+
+  const schedule = JSON.parse(fs.readFileSync(schedulePath, "utf8"));
+  const { name, allocations } = schedule;
+
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new VestingScheduleError("Schedule name is required (letters, digits, - and _ only)", { name });
+  }
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    throw new VestingScheduleError("Schedule needs at least one allocation", { name });
+  }
+
+  const seen = new Set();
+  return {
+    name,
+    allocations: allocations.map((allocation, index) => {
+      const entry = `allocations[${index}]`;
+
+      let beneficiary;
+      try {
+        beneficiary = new PublicKey(allocation.beneficiary).toString();
+      } catch (error) {
+        throw new VestingScheduleError(`${entry}: invalid beneficiary ${allocation.beneficiary}`, {
+          beneficiary: allocation.beneficiary,
+        });
+      }
+      if (seen.has(beneficiary)) {
+        throw new VestingScheduleError(`${entry}: duplicate beneficiary ${beneficiary}`, { beneficiary });
+      }
+      seen.add(beneficiary);
+
+      let totalRaw;
+      try {
+        totalRaw = parseTokenAmount(String(allocation.total), decimals);
+      } catch (error) {
+        throw new VestingScheduleError(`${entry}.total: ${error.message}`, { beneficiary });
+      }
+      if (totalRaw <= 0n) {
+        throw new VestingScheduleError(`${entry}.total must be greater than 0`, { beneficiary });
+      }
+
+      const start = allocation.start || schedule.start;
+      return {
+        beneficiary,
+        label: allocation.label || null,
+        total: formatTokenAmount(totalRaw, decimals),
+        start: parseScheduleDate(start, `${entry}.start`),
+        cliffDays: parseDays(allocation.cliffDays ?? schedule.cliffDays ?? 0, `${entry}.cliffDays`),
+        vestingDays: parseDays(allocation.vestingDays ?? schedule.vestingDays, `${entry}.vestingDays`),
+      };
+    }),
+  };
+}
+
+/**
+ * Raw amount of an allocation vested at a point in time. Vesting is linear
+ * from the start over vestingDays; nothing is vested before the cliff, and
+ * what accrued until then unlocks at the cliff.
+ * @param {Object} allocation - Allocation (see loadVestingSchedule)
+ * @param {number} decimals - Mint decimals
+ * @param {Date} at - Point in time [default: now]
+ * @returns {bigint} Vested raw units
+ */
+function getVestedAmount(allocation, decimals, at = new Date()) {
+  const totalRaw = parseTokenAmount(allocation.total, decimals);
+  const start = Date.parse(allocation.start);
+  const elapsed = at.getTime() - start;
+
+  if (elapsed < allocation.cliffDays * DAY_MS) {
+    return 0n;
+  }
+  const duration = allocation.vestingDays * DAY_MS;
+  if (elapsed >= duration) {
+    return totalRaw;
+  }
+  return (totalRaw * BigInt(elapsed)) / BigInt(duration);
+}
+
+/**
+ * Key dates of an allocation
+ * @param {Object} allocation - Allocation (see loadVestingSchedule)
+ * @returns {Object} { cliffAt, endAt } as ISO dates
+ */
+function getVestingDates(allocation) {
+  const start = Date.parse(allocation.start);
+  return {
+    cliffAt: new Date(start + allocation.cliffDays * DAY_MS).toISOString(),
+    endAt: new Date(start + Math.max(allocation.cliffDays, allocation.vestingDays) * DAY_MS).toISOString(),
+  };
+}
+
+/**
+ * Escrow token account of a beneficiary. It is derived from the authority
+ * wallet with a per-schedule seed, so it can be found again from the
+ * schedule alone and is never the wallet's own associated account.
+ * @param {PublicKey} authority - Wallet that owns the escrow accounts
+ * @param {string} scheduleName - Schedule name
+ * @param {string} beneficiary - Beneficiary address
+ * @param {PublicKey} programId - Token program of the mint
+ * @returns {Promise<Object>} { address, seed }
+ */
+async function getEscrowAccount(authority, scheduleName, beneficiary, programId) {
+  // Account seeds are limited to 32 bytes
+  const seed = crypto
+    .createHash("sha256")
+    .update(`${scheduleName}:${beneficiary}`)
+    .digest("hex")
+    .slice(0, 32);
+  const address = await PublicKey.createWithSeed(authority, seed, programId);
+  return { address, seed };
+}
+
+/**
+ * State file path for a schedule
+ * @param {string} scheduleName - Schedule name
+ * @returns {string} State file path
+ */
+function getVestingStatePath(scheduleName) {
+  return `vesting-${scheduleName}.state.json`;
+}
+
+/**
+ * Load vesting progress or start fresh
+ * @param {string} scheduleName - Schedule name
+ * @param {Object} run - { network, mintAddress, decimals } of the token
+ * @returns {Object} Vesting state
+ * @throws {VestingScheduleError} When the state belongs to another mint
+ */
+function loadVestingState(scheduleName, run) {
+  const statePath = getVestingStatePath(scheduleName);
+  if (!fs.existsSync(statePath)) {
+    return {
+      version: STATE_VERSION,
+      name: scheduleName,
+      network: run.network,
+      mintAddress: run.mintAddress,
+      decimals: run.decimals,
+      authority: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      beneficiaries: {},
+    };
+  }
+
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  if (state.mintAddress !== run.mintAddress || state.network !== run.network) {
+    throw new VestingScheduleError(
+      `${statePath} belongs to mint ${state.mintAddress} on ${state.network}`,
+      { statePath, mintAddress: state.mintAddress, network: state.network }
+    );
+  }
+  return state;
+}
+
+/**
+ * Persist vesting progress atomically
+ * @param {Object} state - Vesting state
+ */
+function saveVestingState(state) {
+  state.updatedAt = new Date().toISOString();
+  const statePath = getVestingStatePath(state.name);
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * State entry of a beneficiary, created on first use
+ * @param {Object} state - Vesting state
+ * @param {string} beneficiary - Beneficiary address
+ * @returns {Object} { escrow, funded, released, pending, history }
+ */
+function getBeneficiaryState(state, beneficiary) {
+  if (!state.beneficiaries[beneficiary]) {
+    state.beneficiaries[beneficiary] = {
+      escrow: null,
+      funded: "0",
+      released: "0",
+      pending: null,
+      history: [],
+    };
+  }
+  return state.beneficiaries[beneficiary];
+}
+
+/**
+ * Count a landed deposit or release in a beneficiary's totals
+ * @param {Object} state - Vesting state
+ * @param {Object} entry - Beneficiary state
+ * @param {Object} pending - { action: 'fund'|'release', amount }
+ * @param {string} signature - Transaction that moved the tokens
+ */
+function applyTransfer(state, entry, pending, signature) {
+  const field = pending.action === "fund" ? "funded" : "released";
+  const total = parseTokenAmount(entry[field], state.decimals) + parseTokenAmount(pending.amount, state.decimals);
+  entry[field] = formatTokenAmount(total, state.decimals);
+  entry.pending = null;
+  entry.history.push({
+    action: pending.action,
+    amount: pending.amount,
+    signature,
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Resolve transfers a previous run signed but did not record. Landed ones
+ * are counted; ones whose blockhash expired are dropped.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} state - Vesting state
+ * @returns {Promise<number>} Number of transfers recovered
+ * @throws {TransactionPendingError} When a transfer may still land
+ */
+async function reconcileVestingState(connection, state) {
+  const pending = Object.entries(state.beneficiaries).filter(([, entry]) => entry.pending);
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const blockHeight = await connection.getBlockHeight("confirmed");
+  let recovered = 0;
+
+  for (const [beneficiary, entry] of pending) {
+    const { value: statuses } = await connection.getSignatureStatuses(entry.pending.signatures, {
+      searchTransactionHistory: true,
+    });
+    const landed = entry.pending.signatures.find((signature, i) => statuses[i] && !statuses[i].err);
+
+    if (landed) {
+      applyTransfer(state, entry, entry.pending, landed);
+      recovered++;
+    } else if (blockHeight <= entry.pending.lastValidBlockHeight) {
+      throw new TransactionPendingError(
+        `A ${entry.pending.action} of ${entry.pending.amount} for ${beneficiary} may still land - retry in a minute`,
+        { beneficiary, signatures: entry.pending.signatures }
+      );
+    } else {
+      entry.pending = null;
+    }
+  }
+
+  saveVestingState(state);
+  return recovered;
+}
+
+module.exports = {
+  loadVestingSchedule,
+  getVestedAmount,
+  getVestingDates,
+  getEscrowAccount,
+  getVestingStatePath,
+  loadVestingState,
+  saveVestingState,
+  getBeneficiaryState,
+  applyTransfer,
+  reconcileVestingState,
+};
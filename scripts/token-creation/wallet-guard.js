@@ -0,0 +1,141 @@
+const fs = require("fs");
+const { loadWallet, resolveWalletPath } = require("./wallet-manager");
+const { readKeystore, decryptKeystore } = require("./keystore");
+const { askConfirmation, askSecret } = require("./confirm");
+const { SignerNotAllowedError, MainnetNotConfirmedError } = require("./errors");
+
+const SIGNER_ALLOWLIST_PATH = "./doodi-signers.json";
+
+/** Characters of the address that must be typed to confirm a mainnet run */
+const CONFIRM_PREFIX_LENGTH = 4;
+
+/**
+ * Network name as used on the command line (devnet, mainnet, ...)
+ * @param {Object} networkConfig - Network configuration
+ * @returns {string} Network name
+ */
+function getNetworkName(networkConfig) {
+  return networkConfig.cluster === "mainnet-beta" ? "mainnet" : networkConfig.cluster;
+}
+
+/**
+ * Load the per-network signer allowlist
+ * @param {string} allowlistPath - Allowlist file [default: ./doodi-signers.json]
+ * @returns {Object|null} { <network>: [address, ...] }, or null when there is no file
+ */
+function loadSignerAllowlist(allowlistPath = SIGNER_ALLOWLIST_PATH) {
+  if (!fs.existsSync(allowlistPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(allowlistPath, "utf8"));
+}
+
+/**
+ * Refuse wallets missing from the allowlist of a network. Networks the
+ * allowlist does not mention accept any wallet.
+ * @param {Object} networkConfig - Network configuration
+ * @param {PublicKey} signer - Wallet about to sign
+ * @param {Object} options - { allowlistPath, logger }
+ * @throws {SignerNotAllowedError} When the wallet is not listed
+ */
+function assertSignerAllowed(networkConfig, signer, options = {}) {
+  const { allowlistPath = SIGNER_ALLOWLIST_PATH, logger = console } = options;
+  const network = getNetworkName(networkConfig);
+  const allowlist = loadSignerAllowlist(allowlistPath);
+  const allowed = allowlist && allowlist[network];
+
+  if (!allowed) {
+    if (network === "mainnet") {
+      logger.warn(`⚠️  No mainnet signer allowlist in ${allowlistPath} - any wallet may sign`);
+    }
+    return;
+  }
+
+  if (!allowed.includes(signer.toString())) {
+    throw new SignerNotAllowedError(
+      `Wallet ${signer.toString()} is not allowed to sign on ${network} (see ${allowlistPath})`,
+      { signer: signer.toString(), network, allowlistPath }
+    );
+  }
+}
+
+/**
+ * Make the user type the network name and the first characters of the
+ * address being operated on before a mainnet signer is released.
+ * Unattended runs set DOODI_CONFIRM_MAINNET to the same phrase.
+ * @param {string} address - Mint address, or the wallet when there is no mint yet
+ * @param {Function} confirm - async (question, accepted) => boolean
+ * @throws {MainnetNotConfirmedError} When the phrase does not match
+ */
+async function confirmMainnet(address, confirm = askConfirmation) {
+  const phrase = `mainnet ${address.slice(0, CONFIRM_PREFIX_LENGTH)}`;
+  const preset = process.env.DOODI_CONFIRM_MAINNET;
+
+  const confirmed =
+    preset !== undefined
+      ? preset.trim() === phrase
+      : await confirm(`\n🚨 MAINNET: real funds. Type '${phrase}' to sign for ${address}: `, [phrase]);
+
+  if (!confirmed) {
+    throw new MainnetNotConfirmedError(`Mainnet confirmation did not match '${phrase}' - nothing was signed`, {
+      address,
+    });
+  }
+}
+
+/**
+ * Load the signing wallet with the safety checks around loadWallet: an
+ * encrypted keystore is unlocked with DOODI_WALLET_PASSWORD or a password
+ * prompt, the wallet must be on the network's allowlist, and mainnet needs
+ * the typed confirmation. Script functions given a keypair directly skip
+ * these checks.
+ * @param {Object} networkConfig - Network configuration
+ * @param {string|null} walletPath - Wallet file (defaults to the configured wallet)
+ * @param {Object} options - Additional options
+ * @param {string|null} options.address - Address to confirm on mainnet [default: the wallet]
+ * @param {string|null} options.password - Keystore password [default: DOODI_WALLET_PASSWORD, else prompt]
+ * @param {Function|null} options.confirm - async (question, accepted) => boolean, replaces the terminal prompt
+ * @param {string} options.allowlistPath - Allowlist file [default: ./doodi-signers.json]
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Keypair>} Wallet keypair
+ * @throws {DoodiError} Keystore, SignerNotAllowed or MainnetNotConfirmed
+ */
+async function loadSigner(networkConfig, walletPath, options = {}) {
+  const {
+    address = null,
+    password = null,
+    confirm = askConfirmation,
+    allowlistPath = SIGNER_ALLOWLIST_PATH,
+    logger = console,
+  } = options;
+
+  // The configured default wallet may be a keystore too
+  const resolvedPath = resolveWalletPath(walletPath);
+
+  let keypair;
+  const keystore = readKeystore(resolvedPath);
+  if (keystore) {
+    const secret =
+      password || process.env.DOODI_WALLET_PASSWORD || (await askSecret(`🔑 Password for ${resolvedPath}: `));
+    keypair = await decryptKeystore(keystore, secret);
+  } else {
+    keypair = loadWallet(networkConfig, resolvedPath);
+  }
+
+  assertSignerAllowed(networkConfig, keypair.publicKey, { allowlistPath, logger });
+
+  if (getNetworkName(networkConfig) === "mainnet") {
+    await confirmMainnet(address || keypair.publicKey.toString(), confirm);
+  }
+
+  return keypair;
+}
+
+module.exports = {
+  SIGNER_ALLOWLIST_PATH,
+  getNetworkName,
+  loadSignerAllowlist,
+  assertSignerAllowed,
+  confirmMainnet,
+  loadSigner,
+};
@@ -0,0 +1,91 @@
+const { Keypair, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { InsufficientBalanceError, InvalidArgumentError } = require("./errors");
+
+/** Wallet used when neither --wallet nor DOODI_WALLET is given */
+const DEFAULT_WALLET_PATH = path.join(os.homedir(), ".config", "solana", "id.json");
+
+/** SOL the creator needs to pay for the mint, token account and metadata */
+const MIN_BALANCE_SOL = 0.05;
+
+/** SOL requested from the faucet when a devnet or localnet wallet runs low */
+const AIRDROP_SOL = 1;
+
+/**
+ * Wallet file a command signs with: the explicit path, else DOODI_WALLET,
+ * else the Solana CLI default
+ * @param {string|null} walletPath - Custom wallet path
+ * @returns {string} Wallet file path
+ */
+function resolveWalletPath(walletPath = null) {
+  return walletPath || process.env.DOODI_WALLET || DEFAULT_WALLET_PATH;
+}
+
+/**
+ * Load a plain keypair file (a JSON array of secret key bytes)
+ * @param {Object} networkConfig - Network configuration
+ * @param {string|null} walletPath - Custom wallet path
+ * @returns {Keypair} Wallet keypair
+ * @throws {InvalidArgumentError} When the file is missing or not a keypair
+ */
+function loadWallet(networkConfig, walletPath = null) {
+  const resolvedPath = resolveWalletPath(walletPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new InvalidArgumentError(`No wallet for ${networkConfig.name} at ${resolvedPath}`, {
+      walletPath: resolvedPath,
+    });
+  }
+
+  try {
+    const secretKey = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    return Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  } catch (error) {
+    throw new InvalidArgumentError(`${resolvedPath} is not a keypair file: ${error.message}`, {
+      walletPath: resolvedPath,
+    });
+  }
+}
+
+/**
+ * Make sure the wallet can pay for token creation. Devnet and localnet
+ * wallets are topped up from the faucet; mainnet wallets are not.
+ * @param {Connection} connection - Solana connection
+ * @param {Keypair} wallet - Paying wallet
+ * @param {Object} networkConfig - Network configuration
+ * @param {Object} options - { logger }
+ * @returns {Promise<number>} Wallet balance in lamports
+ * @throws {InsufficientBalanceError} When a mainnet wallet holds too little SOL
+ */
+async function ensureSufficientBalance(connection, wallet, networkConfig, options = {}) {
+  const { logger = console } = options;
+  const required = MIN_BALANCE_SOL * LAMPORTS_PER_SOL;
+
+  const balance = await connection.getBalance(wallet.publicKey, "confirmed");
+  logger.info(`💰 Wallet balance: ${balance / LAMPORTS_PER_SOL} SOL`);
+  if (balance >= required) {
+    return balance;
+  }
+
+  if (networkConfig.cluster === "mainnet-beta") {
+    throw new InsufficientBalanceError(
+      `Wallet holds ${balance / LAMPORTS_PER_SOL} SOL, at least ${MIN_BALANCE_SOL} SOL is needed`,
+      { wallet: wallet.publicKey.toString(), balance, required }
+    );
+  }
+
+  logger.info(`💧 Requesting ${AIRDROP_SOL} SOL airdrop on ${networkConfig.name}...`);
+  const signature = await connection.requestAirdrop(wallet.publicKey, AIRDROP_SOL * LAMPORTS_PER_SOL);
+  const latest = await connection.getLatestBlockhash("confirmed");
+  await connection.confirmTransaction({ signature, ...latest }, "confirmed");
+
+  return connection.getBalance(wallet.publicKey, "confirmed");
+}
+
+module.exports = {
+  DEFAULT_WALLET_PATH,
+  resolveWalletPath,
+  loadWallet,
+  ensureSufficientBalance,
+};
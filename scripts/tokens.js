@@ -0,0 +1,119 @@
+const {
+  DEFAULT_TOKEN_INFO_PATH,
+  TOKENS_DIR,
+  listTokenRecords,
+  migrateLegacyTokenInfo,
+} = require("./token-creation/token-info");
+const { exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+const fs = require("fs");
+
+/**
+ * List the tokens in the registry
+ * @param {Object} options - List options
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Array<Object>} Registry records
+ */
+function listTokens(options = {}) {
+  const { logger = console } = options;
+
+  const records = listTokenRecords();
+
+  if (records.length === 0) {
+    logger.info(`🗂️  No tokens in ${TOKENS_DIR}`);
+    if (fs.existsSync(DEFAULT_TOKEN_INFO_PATH)) {
+      logger.info(`💡 ${DEFAULT_TOKEN_INFO_PATH} found - move it into the registry with 'node tokens.js migrate'`);
+    }
+    return records;
+  }
+
+  logger.info(`🗂️  Tokens in ${TOKENS_DIR}:`);
+  records.forEach((record) => {
+    logger.info(`   • ${`${record.network}:${record.symbol}`.padEnd(20)} ${record.name} - ${record.mintAddress}`);
+    logger.info(`     ${record.path}`);
+  });
+  logger.info(`\n💡 Select one with --token <network>:<symbol>, <symbol> or <mint-address>`);
+
+  return records;
+}
+
+/**
+ * Move the legacy doodi-token-info.json into the registry
+ * @param {Object} options - Migration options
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Object} Migration result ({ from, to, backup })
+ * @throws {DoodiError} TokenInfoNotFound, InvalidArgument or TokenRecordExists (see migrateLegacyTokenInfo)
+ */
+function migrateTokenInfo(options = {}) {
+  const { logger = console } = options;
+
+  logger.info(`🗂️  Migrating ${DEFAULT_TOKEN_INFO_PATH} into ${TOKENS_DIR}...`);
+  const result = migrateLegacyTokenInfo();
+
+  logger.info(`✅ Token record: ${result.to}`);
+  logger.info(`   Legacy file kept as: ${result.backup}`);
+  return result;
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🗂️  Token Registry Script
+
+Each token is recorded in ${TOKENS_DIR}/<network>-<symbol>.json so devnet and
+mainnet deployments (and other tokens) can live side by side.
+
+Usage: node tokens.js <command> [options]
+
+Commands:
+  list       List the tokens in the registry
+  migrate    Move ${DEFAULT_TOKEN_INFO_PATH} into the registry. The record is
+             verified before the old file is renamed to *.migrated, and an
+             existing record with different content is never replaced.
+
+Options:
+  --json     Print the result as JSON on stdout (logs go to stderr)
+
+Selecting a token (doodi.js --token):
+  DOODi                 By symbol (must be unique across networks, or add --network)
+  mainnet:DOODi         By network and symbol
+  <mint-address>        By mint address
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const commands = {
+    list: { label: "Failed to list tokens", run: listTokens },
+    migrate: { label: "Migration failed", run: migrateTokenInfo },
+  };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  try {
+    const result = commands[command].run();
+    if (json) {
+      writeJsonResult(`token ${command}`, result);
+    }
+  } catch (error) {
+    exitWithError(commands[command].label, { json: json ? `token ${command}` : null })(error);
+  }
+}
+
+module.exports = { listTokens, migrateTokenInfo };
@@ -0,0 +1,581 @@
+const { PublicKey, Transaction } = require("@solana/web3.js");
+const {
+  Metadata,
+  createUpdateMetadataAccountV2Instruction,
+} = require("@metaplex-foundation/mpl-token-metadata");
+const fs = require("fs");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const { validateMetadata } = require("./token-creation/metadata-validator");
+const {
+  loadTokenInfo,
+  saveTokenInfo,
+} = require("./token-creation/token-info");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  InvalidArgumentError,
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  MetadataValidationError,
+  NotMetadataAuthorityError,
+} = require("./token-creation/errors");
+const { exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/**
+ * Strip the null padding Metaplex stores in fixed-size string fields
+ * @param {string} value - On-chain string
+ * @returns {string} Trimmed string
+ */
+function trimPadding(value) {
+  return value.replace(/\0/g, "").trim();
+}
+
+/**
+ * Fetch the off-chain JSON the on-chain URI points at
+ * @param {string} uri - Metadata URI
+ * @returns {Promise<Object|null>} Parsed JSON, or null if unreachable
+ */
+async function fetchOffChainMetadata(uri) {
+  if (!uri) {
+    return null;
+  }
+  try {
+    const response = await fetch(uri);
+    if (!response.ok) {
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load the token info file, metadata file, connection, wallet and on-chain metadata
+ * @param {string} metadataPath - Local metadata JSON file
+ * @param {Object} options - Context options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function} options.confirm - async (question) => boolean, used by the mainnet signer guard
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Object} Loaded context
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidArgument or MetadataValidation
+ */
+async function loadMetadataContext(metadataPath, options = {}) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    keypair = null,
+    confirm = askConfirmation,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  if (!tokenInfo.metadataAccount) {
+    throw new InvalidArgumentError("Token info has no metadataAccount recorded", {
+      mintAddress: tokenInfo.mintAddress,
+    });
+  }
+
+  // Token-2022 embedded metadata lives in the mint, not a Metaplex account
+  if (tokenInfo.metadataAccount === tokenInfo.mintAddress) {
+    throw new InvalidArgumentError(
+      "This token uses Token-2022 embedded metadata, which this script does not update",
+      { mintAddress: tokenInfo.mintAddress }
+    );
+  }
+
+  let localMetadata = null;
+  if (metadataPath) {
+    if (!fs.existsSync(metadataPath)) {
+      throw new MetadataValidationError(`Metadata file not found: ${metadataPath}`, { metadataPath });
+    }
+    try {
+      localMetadata = JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+    } catch (error) {
+      throw new MetadataValidationError(`${metadataPath} is not valid JSON: ${error.message}`, { metadataPath });
+    }
+  }
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const walletKeypair =
+    keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm, logger }));
+  const metadataAccount = new PublicKey(tokenInfo.metadataAccount);
+
+  const onChain = await Metadata.fromAccountAddress(connection, metadataAccount);
+
+  return {
+    tokenInfo,
+    networkConfig,
+    connection,
+    walletKeypair,
+    metadataAccount,
+    onChain,
+    localMetadata,
+  };
+}
+
+/**
+ * Verify the wallet may update the metadata account
+ * @param {Object} onChain - On-chain Metadata
+ * @param {Keypair} walletKeypair - Wallet
+ * @throws {NotMetadataAuthorityError} When the metadata is immutable or the wallet is not its update authority
+ */
+function assertCanUpdate(onChain, walletKeypair) {
+  if (!onChain.isMutable) {
+    throw new NotMetadataAuthorityError("Metadata is immutable - it can no longer be changed");
+  }
+
+  if (!onChain.updateAuthority.equals(walletKeypair.publicKey)) {
+    throw new NotMetadataAuthorityError(
+      `Wallet ${walletKeypair.publicKey.toString()} is not the metadata update authority ` +
+        `(update authority: ${onChain.updateAuthority.toString()})`,
+      {
+        signer: walletKeypair.publicKey.toString(),
+        updateAuthority: onChain.updateAuthority.toString(),
+      }
+    );
+  }
+}
+
+/**
+ * Diff the local metadata file against the on-chain metadata account and
+ * update name, symbol and URI with the update authority
+ * @param {string} metadataPath - Local metadata JSON file
+ * @param {Object} options - Update options
+ * @param {string|null} options.uri - New metadata URI (defaults to the file's uri, then the current one)
+ * @param {boolean} options.dryRun - Only show the diff
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Update without prompting
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'updated', 'up-to-date', 'dry-run' or 'cancelled',
+ *   the current and desired fields and the changed ones
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidArgument, MetadataValidation,
+ *   NotMetadataAuthority or a transaction-sender error
+ */
+async function updateMetadata(metadataPath = "./doodimeta.json", options = {}) {
+  const {
+    uri = null,
+    dryRun = false,
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    skipConfirmation = false,
+    priorityFee = null,
+    keypair = null,
+    confirm = askConfirmation,
+    logger = console,
+    network = null,
+  } = options;
+
+  const {
+    tokenInfo,
+    networkConfig,
+    connection,
+    walletKeypair,
+    metadataAccount,
+    onChain,
+    localMetadata,
+  } = await loadMetadataContext(metadataPath, {
+    tokenInfoPath,
+    token,
+    walletPath,
+    connection: options.connection,
+    keypair,
+    confirm,
+    logger,
+    network,
+  });
+
+  logger.info(`📝 ${dryRun ? "DRY RUN - " : ""}Metadata update for ${tokenInfo.name}...`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Metadata Account: ${metadataAccount.toString()}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+  logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+
+  const current = {
+    name: trimPadding(onChain.data.name),
+    symbol: trimPadding(onChain.data.symbol),
+    uri: trimPadding(onChain.data.uri),
+  };
+  const desired = {
+    name: localMetadata.name,
+    symbol: localMetadata.symbol,
+    uri: uri || localMetadata.uri || current.uri,
+  };
+
+  // Validate against the Metaplex fungible token standard
+  const validation = await validateMetadata(localMetadata, { uri: desired.uri });
+  validation.warnings.forEach((warning) => logger.warn(`   ⚠️  ${warning}`));
+  if (!validation.valid) {
+    validation.errors.forEach((error) => logger.error(`   ❌ ${error}`));
+    throw new MetadataValidationError(`${metadataPath} is invalid - metadata was not changed`, {
+      errors: validation.errors,
+    });
+  }
+
+  // On-chain fields
+  logger.info(`\n🔍 On-chain metadata:`);
+  const changes = Object.keys(desired).filter((field) => desired[field] !== current[field]);
+  const summary = {
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    metadataAccount: metadataAccount.toString(),
+    current,
+    desired,
+    changes,
+  };
+  Object.keys(desired).forEach((field) => {
+    if (changes.includes(field)) {
+      logger.info(`   ✏️  ${field.padEnd(7)} ${current[field]}  →  ${desired[field]}`);
+    } else {
+      logger.info(`   ✅ ${field.padEnd(7)} ${current[field]}`);
+    }
+  });
+
+  // Off-chain fields live in the JSON the URI points at and cannot be
+  // changed by this transaction
+  const offChain = await fetchOffChainMetadata(desired.uri);
+  logger.info(`\n🌐 Off-chain metadata (${desired.uri}):`);
+  if (!offChain) {
+    logger.warn(`   ⚠️  Could not fetch metadata JSON from the URI`);
+  } else {
+    ["name", "symbol", "description", "image"].forEach((field) => {
+      const matches = offChain[field] === localMetadata[field];
+      logger.info(`   ${matches ? "✅" : "⚠️ "} ${field.padEnd(11)} ${matches ? "matches" : "differs from"} ${metadataPath}`);
+    });
+    if (["name", "symbol", "description", "image"].some((f) => offChain[f] !== localMetadata[f])) {
+      logger.warn(`\n⚠️  Re-upload ${metadataPath} to ${desired.uri} (or point --uri at the new upload)`);
+    }
+  }
+
+  if (changes.length === 0) {
+    logger.info(`\n✅ On-chain metadata is already up to date`);
+    return { status: "up-to-date", ...summary };
+  }
+
+  if (dryRun) {
+    logger.info(`\n🎯 DRY RUN COMPLETE - Metadata was not changed`);
+    return { status: "dry-run", ...summary };
+  }
+
+  assertCanUpdate(onChain, walletKeypair);
+
+  const confirmed =
+    skipConfirmation ||
+    (await confirm(
+      `\nDo you want to update ${changes.join(", ")} on-chain? (yes/no): `
+    ));
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary };
+  }
+
+  logger.info("\n📝 Updating metadata...");
+  const transaction = new Transaction().add(
+    createUpdateMetadataAccountV2Instruction(
+      {
+        metadata: metadataAccount,
+        updateAuthority: walletKeypair.publicKey,
+      },
+      {
+        updateMetadataAccountArgsV2: {
+          data: {
+            name: desired.name,
+            symbol: desired.symbol,
+            uri: desired.uri,
+            sellerFeeBasisPoints: onChain.data.sellerFeeBasisPoints,
+            creators: onChain.data.creators,
+            collection: onChain.collection,
+            uses: onChain.uses,
+          },
+          updateAuthority: null,
+          primarySaleHappened: null,
+          isMutable: null,
+        },
+      }
+    )
+  );
+
+  const sent = await sendInstructions(connection, transaction.instructions, [walletKeypair], {
+    priorityFee,
+    logger,
+  });
+  const { signature } = sent;
+
+  logger.info(`✅ Metadata updated. Transaction: ${signature}`);
+
+  tokenInfo.name = desired.name;
+  tokenInfo.symbol = desired.symbol;
+  tokenInfo.metadataUri = desired.uri;
+  tokenInfo.metadataUpdatedAt = new Date().toISOString();
+  tokenInfo.metadataUpdateTransaction = signature;
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+  logger.info("\n💾 Token info updated");
+
+  const opsLog = recordOperation({
+    type: "update-metadata",
+    network: tokenInfo.network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { metadataAccount: metadataAccount.toString(), changes },
+    transactions: [sent],
+    before: current,
+    after: desired,
+  }, { logger });
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info(`\n🔗 Transaction: ${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`);
+
+  return {
+    status: "updated",
+    ...summary,
+    signature,
+    transaction: sent,
+    explorerUrl: `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+/**
+ * Permanently lock the metadata account so it can never be updated again
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Skip typing the symbol to confirm
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question, accepted) => boolean, replaces the terminal prompt
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'immutable' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, InvalidArgument, NotMetadataAuthority
+ *   or a transaction-sender error
+ */
+async function makeMetadataImmutable(options = {}) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    skipConfirmation = false,
+    priorityFee = null,
+    keypair = null,
+    confirm = askConfirmation,
+    logger = console,
+    network = null,
+  } = options;
+
+  const {
+    tokenInfo,
+    networkConfig,
+    connection,
+    walletKeypair,
+    metadataAccount,
+    onChain,
+  } = await loadMetadataContext(null, {
+    tokenInfoPath,
+    token,
+    walletPath,
+    connection: options.connection,
+    keypair,
+    confirm,
+    logger,
+    network,
+  });
+
+  logger.info(`🔒 Making metadata immutable for ${tokenInfo.name}...`);
+  logger.info(`   Metadata Account: ${metadataAccount.toString()}`);
+  logger.info(`   Name: ${trimPadding(onChain.data.name)}`);
+  logger.info(`   Symbol: ${trimPadding(onChain.data.symbol)}`);
+  logger.info(`   URI: ${trimPadding(onChain.data.uri)}`);
+  const summary = {
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    metadataAccount: metadataAccount.toString(),
+  };
+
+  assertCanUpdate(onChain, walletKeypair);
+
+  logger.info(`\n⚠️  WARNING: This action is IRREVERSIBLE!`);
+  logger.info(`   Name, symbol and URI can never be changed again.`);
+
+  const symbol = trimPadding(onChain.data.symbol);
+  const confirmed =
+    skipConfirmation ||
+    (await confirm(
+      `\nType the token symbol (${symbol}) to make metadata immutable: `,
+      [symbol]
+    ));
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary };
+  }
+
+  const transaction = new Transaction().add(
+    createUpdateMetadataAccountV2Instruction(
+      {
+        metadata: metadataAccount,
+        updateAuthority: walletKeypair.publicKey,
+      },
+      {
+        updateMetadataAccountArgsV2: {
+          data: null,
+          updateAuthority: null,
+          primarySaleHappened: null,
+          isMutable: false,
+        },
+      }
+    )
+  );
+
+  const sent = await sendInstructions(connection, transaction.instructions, [walletKeypair], {
+    priorityFee,
+    logger,
+  });
+  const { signature } = sent;
+
+  logger.info(`\n✅ Metadata is now immutable. Transaction: ${signature}`);
+
+  tokenInfo.metadataImmutable = true;
+  tokenInfo.metadataImmutableAt = new Date().toISOString();
+  tokenInfo.metadataImmutableTransaction = signature;
+  saveTokenInfo(tokenInfo, tokenInfoPath, { token, network: tokenInfo.network });
+  logger.info("💾 Token info updated");
+
+  const opsLog = recordOperation({
+    type: "make-metadata-immutable",
+    network: tokenInfo.network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: tokenInfo.mintAddress,
+    params: { metadataAccount: metadataAccount.toString() },
+    transactions: [sent],
+    before: { isMutable: true },
+    after: { isMutable: false },
+  }, { logger });
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  logger.info(`🔗 Transaction: ${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`);
+
+  return {
+    status: "immutable",
+    ...summary,
+    signature,
+    transaction: sent,
+    explorerUrl: `${networkConfig.explorerUrl}/tx/${signature}${clusterParam}`,
+    ...(opsLog.error && { opsLogError: opsLog.error }),
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+📝 Update Metadata Script
+
+Sync on-chain Metaplex metadata (name, symbol, URI) with the local metadata file.
+
+Usage: node update-metadata.js [metadata-file] [options]
+       node update-metadata.js make-immutable
+
+Arguments:
+  metadata-file        Local metadata JSON [default: ./doodimeta.json]
+
+Options:
+  --uri <uri>          New metadata URI (defaults to the file's "uri", then the current URI)
+  --dry-run            Show the diff without updating
+  --token <selector>   Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --yes                Skip confirmation prompts
+  --json               Print the result as JSON on stdout (logs go to stderr)
+  --help, -h           Show this help message
+
+Commands:
+  make-immutable       Permanently lock the metadata (separate, IRREVERSIBLE step)
+
+Examples:
+  node update-metadata.js --dry-run                          # Show what differs
+  node update-metadata.js doodimeta.json --uri https://...   # Update name/symbol/URI
+  node update-metadata.js make-immutable                     # Lock metadata forever
+
+⚠️  IMPORTANT WARNINGS:
+  • Description and image live in the off-chain JSON at the URI - upload it first
+  • Wallet must be the metadata update authority
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const tokenIndex = args.findIndex((arg) => arg === "--token");
+  const token = tokenIndex !== -1 && tokenIndex + 1 < args.length ? args[tokenIndex + 1] : null;
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+  const skipConfirmation = args.includes("--yes");
+
+  if (args[0] === "make-immutable") {
+    makeMetadataImmutable({ token, skipConfirmation })
+      .then((result) => {
+        if (json) {
+          writeJsonResult("make-immutable", result);
+        }
+      })
+      .catch(exitWithError("Failed to make metadata immutable", { json: json ? "make-immutable" : null }));
+  } else {
+    const uriIndex = args.findIndex((arg) => arg === "--uri");
+    const uri = uriIndex !== -1 && uriIndex + 1 < args.length ? args[uriIndex + 1] : null;
+    const metadataPath =
+      args[0] && !args[0].startsWith("--") ? args[0] : "./doodimeta.json";
+
+    updateMetadata(metadataPath, { uri, token, dryRun: args.includes("--dry-run"), skipConfirmation })
+      .then((result) => {
+        if (json) {
+          writeJsonResult("update-metadata", result);
+        }
+      })
+      .catch(exitWithError("Metadata update failed", { json: json ? "update-metadata" : null }));
+  }
+}
+
+module.exports = {
+  updateMetadata,
+  makeMetadataImmutable,
+  trimPadding,
+  fetchOffChainMetadata,
+};
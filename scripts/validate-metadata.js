@@ -0,0 +1,126 @@
+const {
+  validateMetadataFile,
+  bundleMetadata,
+} = require("./token-creation/metadata-validator");
+const { MetadataValidationError } = require("./token-creation/errors");
+const { exitWithError } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/**
+ * Print validation results
+ * @param {Object} result - Result of validateMetadataFile
+ * @param {Object} logger - Logger with info/warn/error [default: console]
+ */
+function printValidationResult(result, logger = console) {
+  result.errors.forEach((error) => logger.error(`   ❌ ${error}`));
+  result.warnings.forEach((warning) => logger.warn(`   ⚠️  ${warning}`));
+  if (result.valid && result.warnings.length === 0) {
+    logger.info(`   ✅ No issues found`);
+  }
+}
+
+/**
+ * Validate a metadata file and optionally bundle its image
+ * @param {string} metadataPath - Metadata JSON file
+ * @param {Object} options - Validation options
+ * @param {string|null} options.uri - On-chain URI the JSON will be published at
+ * @param {boolean} options.checkRemote - Fetch the image to verify it
+ * @param {string|null} options.bundleDir - Write a bundle with the image and a hashed files block
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'valid', the warnings and the bundle (if written)
+ * @throws {MetadataValidationError} When the metadata is invalid; details carry the errors
+ */
+async function validateMetadataCommand(metadataPath = "./doodimeta.json", options = {}) {
+  const { uri = null, checkRemote = true, bundleDir = null, logger = console } = options;
+
+  logger.info(`🔎 Validating ${metadataPath}...`);
+  const result = await validateMetadataFile(metadataPath, { uri, checkRemote });
+  printValidationResult(result, logger);
+
+  if (!result.valid) {
+    throw new MetadataValidationError(
+      "Metadata is invalid - fix the errors above before creating or updating the token",
+      { metadataPath, errors: result.errors, warnings: result.warnings }
+    );
+  }
+
+  let bundle = null;
+  if (bundleDir) {
+    logger.info(`\n📦 Bundling assets into ${bundleDir}...`);
+    bundle = await bundleMetadata(result.metadata, bundleDir);
+    logger.info(`   • Image: ${bundle.imageFile} (${bundle.contentType})`);
+    logger.info(`   • SHA-256: ${bundle.sha256}`);
+    logger.info(`   • Metadata: ${bundle.metadataFile}`);
+    logger.info(`\n💡 Upload ${bundle.metadataFile} and use its URL as the token URI`);
+  }
+
+  logger.info(`\n✅ Metadata is valid`);
+  return { status: "valid", metadataPath, warnings: result.warnings, bundle };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🔎 Metadata Validation Script
+
+Check off-chain token metadata against the Metaplex fungible token standard.
+
+Usage: node validate-metadata.js [metadata-file] [options]
+
+Arguments:
+  metadata-file        Metadata JSON to validate [default: ./doodimeta.json]
+
+Options:
+  --uri <uri>          On-chain URI the JSON will be published at (checks length limit)
+  --bundle <dir>       Download the image into <dir> and write metadata.json with a
+                       properties.files block carrying the image SHA-256
+  --skip-remote        Do not fetch the image (offline check only)
+  --json               Print the result as JSON on stdout (logs go to stderr)
+  --help, -h           Show this help message
+
+Checks:
+  • name ≤ 32 bytes, symbol ≤ 10 bytes, URI ≤ 200 bytes
+  • image is an https/ipfs/ar URI served with an image/* content type
+  • properties.files entries carry uri and type; extensions values are strings
+
+Examples:
+  node validate-metadata.js
+  node validate-metadata.js doodimeta.json --bundle ./metadata-bundle
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  const metadataPath =
+    args[0] && !args[0].startsWith("--") ? args[0] : "./doodimeta.json";
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  validateMetadataCommand(metadataPath, {
+    uri: optionValue("--uri"),
+    checkRemote: !args.includes("--skip-remote"),
+    bundleDir: optionValue("--bundle"),
+  })
+    .then((result) => {
+      if (json) {
+        writeJsonResult("validate-metadata", result);
+      }
+    })
+    .catch(exitWithError("Metadata validation failed", { json: json ? "validate-metadata" : null }));
+}
+
+module.exports = { validateMetadataCommand };
@@ -0,0 +1,698 @@
+const { PublicKey, SystemProgram } = require("@solana/web3.js");
+const {
+  getMint,
+  getAccount,
+  getAccountLenForMint,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createInitializeAccount3Instruction,
+  createTransferCheckedInstruction,
+} = require("@solana/spl-token");
+const { createConnection } = require("./token-creation/network-config");
+const { loadSigner } = require("./token-creation/wallet-guard");
+const { getTokenProgramId } = require("./token-creation/token-program");
+const { loadTokenInfo } = require("./token-creation/token-info");
+const { parseTokenAmount, formatTokenAmount } = require("./token-creation/amounts");
+const { askConfirmation } = require("./token-creation/confirm");
+const {
+  loadVestingSchedule,
+  getVestedAmount,
+  getVestingDates,
+  getEscrowAccount,
+  getVestingStatePath,
+  loadVestingState,
+  saveVestingState,
+  getBeneficiaryState,
+  applyTransfer,
+  reconcileVestingState,
+} = require("./token-creation/vesting-schedule");
+const {
+  TokenInfoNotFoundError,
+  NetworkMismatchError,
+  InsufficientBalanceError,
+  TokenAccountNotFoundError,
+  NotTokenAuthorityError,
+  VestingScheduleError,
+  TransactionFailedError,
+  TransactionExpiredError,
+} = require("./token-creation/errors");
+const { sendInstructions } = require("./token-creation/transaction-sender");
+const { recordOperation } = require("./token-creation/ops-log");
+const { exitWithError, parsePriorityFee, parseAddress } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+/**
+ * Load the token record, mint state, schedule and vesting state shared by
+ * the vesting operations
+ * @param {string} schedulePath - Schedule JSON file
+ * @param {Object} options - Operation options (see fundVesting)
+ * @param {boolean} withWallet - Load the signing wallet
+ * @returns {Promise<Object>} { tokenInfo, connection, networkConfig, mint, mintInfo, programId, walletKeypair, schedule, state }
+ */
+async function loadVestingContext(schedulePath, options, withWallet) {
+  const {
+    tokenInfoPath = null,
+    token = null,
+    walletPath = null,
+    keypair = null,
+    logger = console,
+    network = null,
+  } = options;
+
+  const tokenInfo = loadTokenInfo(tokenInfoPath, { token, network });
+  if (!tokenInfo) {
+    throw new TokenInfoNotFoundError("Token info file not found. Please create a token first.");
+  }
+
+  if (network && tokenInfo.network !== network) {
+    throw new NetworkMismatchError(
+      `Network mismatch: token is on ${tokenInfo.network}, but ${network} specified`,
+      { tokenNetwork: tokenInfo.network, network }
+    );
+  }
+
+  const connection = options.connection || createConnection(tokenInfo.network);
+  const mint = new PublicKey(tokenInfo.mintAddress);
+
+  const { getNetworkConfig } = require("./token-creation/network-config");
+  const networkConfig = getNetworkConfig(tokenInfo.network);
+  const walletKeypair = withWallet ? keypair || (await loadSigner(networkConfig, walletPath, { address: tokenInfo.mintAddress, confirm: options.confirm, logger })) : null;
+  if (walletKeypair) {
+    logger.info(`👛 Using wallet: ${walletKeypair.publicKey.toString()}`);
+  }
+
+  const programId = await getTokenProgramId(connection, mint);
+  const mintInfo = await getMint(connection, mint, "confirmed", programId);
+
+  const schedule = loadVestingSchedule(schedulePath, mintInfo.decimals);
+  const state = loadVestingState(schedule.name, {
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    decimals: mintInfo.decimals,
+  });
+
+  if (walletKeypair && state.authority && state.authority !== walletKeypair.publicKey.toString()) {
+    throw new NotTokenAuthorityError(
+      `Schedule ${schedule.name} escrows are owned by ${state.authority}, not wallet ${walletKeypair.publicKey.toString()}`,
+      { signer: walletKeypair.publicKey.toString(), authority: state.authority }
+    );
+  }
+
+  return {
+    tokenInfo,
+    connection,
+    networkConfig,
+    mint,
+    mintInfo,
+    programId,
+    walletKeypair,
+    schedule,
+    state,
+  };
+}
+
+/**
+ * Send a deposit or release and record it in the vesting state and the
+ * operations log. Each signed attempt is saved as pending before it is
+ * broadcast, so a crash can be reconciled on the next run instead of
+ * transferring twice.
+ * @param {Connection} connection - Solana connection
+ * @param {Object} state - Vesting state
+ * @param {Object} entry - Beneficiary state
+ * @param {Object} transfer - { action: 'fund'|'release', amount }
+ * @param {Array<TransactionInstruction>} instructions - Instructions to send
+ * @param {Keypair} walletKeypair - Signer and fee payer
+ * @param {Object} sendOptions - { priorityFee, logger } for sendInstructions
+ * @returns {Promise<Object>} sendInstructions result, with opsLogError when the
+ *   transfer landed but could not be logged
+ */
+async function sendTransfer(connection, state, entry, transfer, instructions, walletKeypair, sendOptions) {
+  const field = transfer.action === "fund" ? "funded" : "released";
+  const before = { [field]: entry[field] };
+  let transaction;
+  try {
+    transaction = await sendInstructions(connection, instructions, [walletKeypair], {
+      ...sendOptions,
+      onSigned: ({ signature, lastValidBlockHeight }) => {
+        entry.pending = {
+          ...transfer,
+          signatures: [...(entry.pending ? entry.pending.signatures : []), signature],
+          lastValidBlockHeight,
+        };
+        saveVestingState(state);
+      },
+    });
+  } catch (error) {
+    // Nothing moved: the transaction failed, never passed simulation or expired unseen
+    if (error instanceof TransactionFailedError || error instanceof TransactionExpiredError) {
+      entry.pending = null;
+      saveVestingState(state);
+    }
+    throw error;
+  }
+
+  applyTransfer(state, entry, transfer, transaction.signature);
+  saveVestingState(state);
+
+  const opsLog = recordOperation({
+    type: `vesting-${transfer.action}`,
+    network: state.network,
+    operator: walletKeypair.publicKey.toString(),
+    mintAddress: state.mintAddress,
+    params: {
+      schedule: state.name,
+      beneficiary: Object.keys(state.beneficiaries).find((address) => state.beneficiaries[address] === entry),
+      escrow: entry.escrow,
+      amount: transfer.amount,
+    },
+    transactions: [transaction],
+    before,
+    after: { [field]: entry[field] },
+  }, { logger: sendOptions.logger });
+  return { ...transaction, ...(opsLog.error && { opsLogError: opsLog.error }) };
+}
+
+/**
+ * Move each allocation's unfunded remainder from the wallet into the
+ * beneficiary's escrow token account, creating the escrow on first use.
+ * Escrows are owned by the wallet: the lock is enforced by this tool, not
+ * by an on-chain program.
+ * @param {string} schedulePath - Schedule JSON file
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {string|null} options.walletPath - Wallet file (defaults to the configured wallet)
+ * @param {boolean} options.skipConfirmation - Fund without prompting
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Keypair|null} options.keypair - Signer to use instead of loading the wallet file
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {string|number|null} options.priorityFee - 'auto' or micro-lamports per compute unit (see transaction-sender.js)
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} Result with status 'funded', 'already-funded' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, VestingSchedule, TokenAccountNotFound,
+ *   InsufficientBalance, NotTokenAuthority, TransactionPending or a transaction-sender error
+ */
+async function fundVesting(schedulePath, options = {}) {
+  const {
+    skipConfirmation = false,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  const { tokenInfo, connection, networkConfig, mint, mintInfo, programId, walletKeypair, schedule, state } =
+    await loadVestingContext(schedulePath, options, true);
+  const { decimals } = mintInfo;
+  const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+
+  logger.info(`🔐 Funding vesting schedule ${schedule.name} for ${tokenInfo.name} (${tokenInfo.symbol})`);
+  logger.info(`   Mint Address: ${tokenInfo.mintAddress}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  const recovered = await reconcileVestingState(connection, state);
+  if (recovered > 0) {
+    logger.info(`♻️  Recovered ${recovered} transfer(s) from an interrupted run`);
+  }
+
+  const deposits = schedule.allocations
+    .map((allocation) => {
+      const entry = getBeneficiaryState(state, allocation.beneficiary);
+      const raw = parseTokenAmount(allocation.total, decimals) - parseTokenAmount(entry.funded, decimals);
+      return { allocation, entry, raw };
+    })
+    .filter((deposit) => deposit.raw > 0n);
+
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress, schedule: schedule.name };
+
+  if (deposits.length === 0) {
+    logger.info("✅ Every allocation is already funded");
+    return { status: "already-funded", ...summary, deposits: [] };
+  }
+
+  const totalRaw = deposits.reduce((sum, deposit) => sum + deposit.raw, 0n);
+  const sourceAccount = getAssociatedTokenAddressSync(mint, walletKeypair.publicKey, false, programId);
+  const source = await getAccount(connection, sourceAccount, "confirmed", programId).catch(() => null);
+  if (!source) {
+    throw new TokenAccountNotFoundError(`Wallet has no token account for ${tokenInfo.symbol}: ${sourceAccount.toString()}`, {
+      tokenAccount: sourceAccount.toString(),
+    });
+  }
+  if (source.amount < totalRaw) {
+    throw new InsufficientBalanceError(
+      `Wallet holds ${format(source.amount)} ${tokenInfo.symbol}, the schedule needs ${format(totalRaw)}`,
+      { balance: formatTokenAmount(source.amount, decimals), required: formatTokenAmount(totalRaw, decimals) }
+    );
+  }
+
+  logger.info(`\n📋 Deposits:`);
+  deposits.forEach(({ allocation, raw }) =>
+    logger.info(`   • ${allocation.label || allocation.beneficiary}: ${format(raw)} ${tokenInfo.symbol}`)
+  );
+  logger.info(`   Total: ${format(totalRaw)} ${tokenInfo.symbol}`);
+
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`\n⚠️  Escrow accounts are owned by this wallet - the lock is enforced by this tool, not on chain.`);
+    confirmed = await confirm("\nMove these tokens into escrow? (yes/no): ");
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary, deposits: [] };
+  }
+
+  state.authority = walletKeypair.publicKey.toString();
+  saveVestingState(state);
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const space = getAccountLenForMint(mintInfo);
+  const results = [];
+
+  for (const { allocation, entry, raw } of deposits) {
+    const { address: escrow, seed } = await getEscrowAccount(
+      walletKeypair.publicKey,
+      schedule.name,
+      allocation.beneficiary,
+      programId
+    );
+
+    const instructions = [];
+    if (!(await connection.getAccountInfo(escrow))) {
+      instructions.push(
+        SystemProgram.createAccountWithSeed({
+          fromPubkey: walletKeypair.publicKey,
+          basePubkey: walletKeypair.publicKey,
+          seed,
+          newAccountPubkey: escrow,
+          lamports: await connection.getMinimumBalanceForRentExemption(space),
+          space,
+          programId,
+        }),
+        createInitializeAccount3Instruction(escrow, mint, walletKeypair.publicKey, programId)
+      );
+    }
+    instructions.push(
+      createTransferCheckedInstruction(
+        sourceAccount,
+        mint,
+        escrow,
+        walletKeypair.publicKey,
+        raw,
+        decimals,
+        [],
+        programId
+      )
+    );
+
+    logger.info(`\n🔐 Funding ${allocation.label || allocation.beneficiary} (${format(raw)} ${tokenInfo.symbol})...`);
+    entry.escrow = escrow.toString();
+    const transaction = await sendTransfer(
+      connection,
+      state,
+      entry,
+      { action: "fund", amount: formatTokenAmount(raw, decimals) },
+      instructions,
+      walletKeypair,
+      { priorityFee, logger }
+    );
+
+    logger.info(`   ✅ Escrow ${escrow.toString()}`);
+    logger.info(`   Transaction: ${transaction.signature} (${transaction.confirmationStatus})`);
+    results.push({
+      beneficiary: allocation.beneficiary,
+      escrow: escrow.toString(),
+      amount: formatTokenAmount(raw, decimals),
+      signature: transaction.signature,
+      explorerUrl: `${networkConfig.explorerUrl}/tx/${transaction.signature}${clusterParam}`,
+      ...(transaction.opsLogError && { opsLogError: transaction.opsLogError }),
+    });
+  }
+
+  logger.info(`\n🎉 ${format(totalRaw)} ${tokenInfo.symbol} locked for ${results.length} beneficiar${results.length === 1 ? "y" : "ies"}`);
+  logger.info(`💾 Progress saved to: ${getVestingStatePath(schedule.name)}`);
+
+  return {
+    status: "funded",
+    ...summary,
+    deposits: results,
+    totalDeposited: formatTokenAmount(totalRaw, decimals),
+  };
+}
+
+/**
+ * Send every beneficiary what has vested and not yet been released, from
+ * their escrow to their associated token account
+ * @param {string} schedulePath - Schedule JSON file
+ * @param {Object} options - Additional options (see fundVesting)
+ * @param {string|null} options.beneficiary - Only release to this beneficiary
+ * @returns {Promise<Object>} Result with status 'released', 'nothing-due' or 'cancelled'
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch, VestingSchedule, NotTokenAuthority,
+ *   TransactionPending or a transaction-sender error
+ */
+async function releaseVested(schedulePath, options = {}) {
+  const {
+    beneficiary = null,
+    skipConfirmation = false,
+    confirm = askConfirmation,
+    priorityFee = null,
+    logger = console,
+  } = options;
+
+  const { tokenInfo, connection, networkConfig, mint, mintInfo, programId, walletKeypair, schedule, state } =
+    await loadVestingContext(schedulePath, options, true);
+  const { decimals } = mintInfo;
+  const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+
+  if (!state.authority) {
+    throw new VestingScheduleError(`Schedule ${schedule.name} has not been funded yet - run vesting fund first`, {
+      schedule: schedule.name,
+    });
+  }
+  if (beneficiary && !schedule.allocations.some((allocation) => allocation.beneficiary === beneficiary)) {
+    throw new VestingScheduleError(`${beneficiary} is not a beneficiary of ${schedule.name}`, { beneficiary });
+  }
+
+  logger.info(`🔓 Releasing vested ${tokenInfo.symbol} for schedule ${schedule.name}`);
+  logger.info(`   Network: ${tokenInfo.network}`);
+
+  const recovered = await reconcileVestingState(connection, state);
+  if (recovered > 0) {
+    logger.info(`♻️  Recovered ${recovered} transfer(s) from an interrupted run`);
+  }
+
+  const now = new Date();
+  const releases = schedule.allocations
+    .filter((allocation) => !beneficiary || allocation.beneficiary === beneficiary)
+    .map((allocation) => {
+      const entry = getBeneficiaryState(state, allocation.beneficiary);
+      const vested = getVestedAmount(allocation, decimals, now);
+      const funded = parseTokenAmount(entry.funded, decimals);
+      const released = parseTokenAmount(entry.released, decimals);
+      if (vested > funded) {
+        logger.warn(
+          `   ⚠️  ${allocation.label || allocation.beneficiary}: ${format(vested - funded)} vested but not funded - run vesting fund`
+        );
+      }
+      const releasable = (vested < funded ? vested : funded) - released;
+      return { allocation, entry, raw: releasable > 0n ? releasable : 0n };
+    })
+    .filter((release) => release.raw > 0n);
+
+  const summary = { network: tokenInfo.network, mintAddress: tokenInfo.mintAddress, schedule: schedule.name };
+
+  if (releases.length === 0) {
+    logger.info("✅ Nothing has vested since the last release");
+    return { status: "nothing-due", ...summary, releases: [] };
+  }
+
+  const totalRaw = releases.reduce((sum, release) => sum + release.raw, 0n);
+  logger.info(`\n📋 Releases:`);
+  releases.forEach(({ allocation, raw }) =>
+    logger.info(`   • ${allocation.label || allocation.beneficiary}: ${format(raw)} ${tokenInfo.symbol}`)
+  );
+  logger.info(`   Total: ${format(totalRaw)} ${tokenInfo.symbol}`);
+
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    confirmed = await confirm("\nRelease these tokens to the beneficiaries? (yes/no): ");
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", ...summary, releases: [] };
+  }
+
+  const clusterParam = networkConfig.cluster === "mainnet-beta" ? "" : `?cluster=${networkConfig.cluster}`;
+  const results = [];
+
+  for (const { allocation, entry, raw } of releases) {
+    const owner = new PublicKey(allocation.beneficiary);
+    const destination = getAssociatedTokenAddressSync(mint, owner, true, programId);
+    const instructions = [
+      createAssociatedTokenAccountIdempotentInstruction(
+        walletKeypair.publicKey,
+        destination,
+        owner,
+        mint,
+        programId
+      ),
+      createTransferCheckedInstruction(
+        new PublicKey(entry.escrow),
+        mint,
+        destination,
+        walletKeypair.publicKey,
+        raw,
+        decimals,
+        [],
+        programId
+      ),
+    ];
+
+    logger.info(`\n🔓 Releasing ${format(raw)} ${tokenInfo.symbol} to ${allocation.label || allocation.beneficiary}...`);
+    const transaction = await sendTransfer(
+      connection,
+      state,
+      entry,
+      { action: "release", amount: formatTokenAmount(raw, decimals) },
+      instructions,
+      walletKeypair,
+      { priorityFee, logger }
+    );
+
+    logger.info(`   ✅ Transaction: ${transaction.signature} (${transaction.confirmationStatus})`);
+    results.push({
+      beneficiary: allocation.beneficiary,
+      tokenAccount: destination.toString(),
+      amount: formatTokenAmount(raw, decimals),
+      released: entry.released,
+      signature: transaction.signature,
+      explorerUrl: `${networkConfig.explorerUrl}/tx/${transaction.signature}${clusterParam}`,
+      ...(transaction.opsLogError && { opsLogError: transaction.opsLogError }),
+    });
+  }
+
+  logger.info(`\n🎉 Released ${format(totalRaw)} ${tokenInfo.symbol} to ${results.length} beneficiar${results.length === 1 ? "y" : "ies"}`);
+
+  return {
+    status: "released",
+    ...summary,
+    releases: results,
+    totalReleased: formatTokenAmount(totalRaw, decimals),
+  };
+}
+
+/**
+ * Show vested, released and locked amounts per beneficiary, with each
+ * escrow's on-chain balance
+ * @param {string} schedulePath - Schedule JSON file
+ * @param {Object} options - Additional options
+ * @param {string|null} options.tokenInfoPath - Token info file [default: ./doodi-token-info.json]
+ * @param {string|null} options.token - Registry token: <symbol>, <network>:<symbol> or <mint-address>
+ * @param {Connection|null} options.connection - Connection to use instead of one for the token network
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @param {string|null} options.network - Expected token network; a different recorded network is an error
+ * @returns {Promise<Object>} { network, mintAddress, schedule, beneficiaries, totals }
+ * @throws {DoodiError} TokenInfoNotFound, NetworkMismatch or VestingSchedule
+ */
+async function showVestingStatus(schedulePath, options = {}) {
+  const { logger = console } = options;
+
+  const { tokenInfo, connection, mintInfo, programId, schedule, state } = await loadVestingContext(
+    schedulePath,
+    options,
+    false
+  );
+  const { decimals } = mintInfo;
+  const format = (raw) => formatTokenAmount(raw, decimals, { grouping: true });
+  const now = new Date();
+
+  logger.info(`🔐 Vesting schedule ${schedule.name} - ${tokenInfo.name} (${tokenInfo.symbol}) on ${tokenInfo.network}`);
+  if (!state.authority) {
+    logger.info(`   💡 Not funded yet - run vesting fund`);
+  }
+
+  const totals = { total: 0n, vested: 0n, released: 0n, locked: 0n, releasable: 0n };
+  const beneficiaries = [];
+
+  for (const allocation of schedule.allocations) {
+    const entry = state.beneficiaries[allocation.beneficiary] || {
+      escrow: null,
+      funded: "0",
+      released: "0",
+      pending: null,
+    };
+    const totalRaw = parseTokenAmount(allocation.total, decimals);
+    const vested = getVestedAmount(allocation, decimals, now);
+    const funded = parseTokenAmount(entry.funded, decimals);
+    const released = parseTokenAmount(entry.released, decimals);
+    const releasable = (vested < funded ? vested : funded) - released;
+    const { cliffAt, endAt } = getVestingDates(allocation);
+
+    let escrowBalance = null;
+    if (entry.escrow) {
+      const escrow = await getAccount(connection, new PublicKey(entry.escrow), "confirmed", programId).catch(
+        () => null
+      );
+      escrowBalance = escrow ? formatTokenAmount(escrow.amount, decimals) : "0";
+    }
+
+    totals.total += totalRaw;
+    totals.vested += vested;
+    totals.released += released;
+    totals.locked += totalRaw - vested;
+    totals.releasable += releasable > 0n ? releasable : 0n;
+
+    logger.info(`\n👤 ${allocation.label ? `${allocation.label} (${allocation.beneficiary})` : allocation.beneficiary}`);
+    logger.info(`   • Total: ${format(totalRaw)}  Funded: ${format(funded)}`);
+    logger.info(`   • Vested: ${format(vested)}  Released: ${format(released)}  Locked: ${format(totalRaw - vested)}`);
+    logger.info(`   • Releasable now: ${format(releasable > 0n ? releasable : 0n)}`);
+    logger.info(`   • Cliff: ${cliffAt}  Fully vested: ${endAt}`);
+    if (entry.escrow) {
+      logger.info(`   • Escrow: ${entry.escrow} (${escrowBalance === null ? "?" : format(parseTokenAmount(escrowBalance, decimals))} on chain)`);
+    }
+    if (entry.pending) {
+      logger.warn(`   ⚠️  Unconfirmed ${entry.pending.action} of ${entry.pending.amount} - resolved on the next fund or release`);
+    }
+
+    beneficiaries.push({
+      beneficiary: allocation.beneficiary,
+      label: allocation.label,
+      total: allocation.total,
+      funded: entry.funded,
+      vested: formatTokenAmount(vested, decimals),
+      released: entry.released,
+      locked: formatTokenAmount(totalRaw - vested, decimals),
+      releasable: formatTokenAmount(releasable > 0n ? releasable : 0n, decimals),
+      cliffAt,
+      endAt,
+      escrow: entry.escrow,
+      escrowBalance,
+      pending: entry.pending,
+    });
+  }
+
+  logger.info(`\n📊 Totals: ${format(totals.vested)} / ${format(totals.total)} ${tokenInfo.symbol} vested, ${format(totals.released)} released, ${format(totals.locked)} locked`);
+
+  Object.keys(totals).forEach((key) => {
+    totals[key] = formatTokenAmount(totals[key], decimals);
+  });
+
+  return {
+    network: tokenInfo.network,
+    mintAddress: tokenInfo.mintAddress,
+    schedule: schedule.name,
+    beneficiaries,
+    totals,
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🔐 Vesting Script
+
+Lock team and partner allocations in per-beneficiary escrow accounts and
+release them on a cliff + linear schedule. The mint comes from the token
+info file.
+
+Usage: node vesting.js <command> <schedule> [options]
+
+Commands:
+  fund <schedule>       Move each allocation's unfunded remainder into its escrow
+  release <schedule>    Send everything that has vested and not been released
+  status <schedule>     Show vested, released and locked amounts per beneficiary
+
+Options:
+  --beneficiary <addr>  release: only this beneficiary
+  --token <selector>    Registry token: <symbol>, <network>:<symbol> or <mint-address>
+  --token-info <path>   Token info file [default: ./doodi-token-info.json]
+  --priority-fee <auto|micro-lamports>
+                        Priority fee per compute unit [default: auto, from recent fees]
+  --yes                 Skip the confirmation prompt
+  --json                Print the result as JSON on stdout (logs go to stderr)
+  --help, -h            Show this help message
+
+Schedule (JSON):
+  {
+    "name": "team-2025",
+    "start": "2025-10-01T00:00:00Z",
+    "cliffDays": 365,                      (default for every allocation)
+    "vestingDays": 1095,                   (linear from start, default for every allocation)
+    "allocations": [
+      { "beneficiary": "<address>", "label": "alice", "total": "50000000" },
+      { "beneficiary": "<address>", "total": "10000000", "cliffDays": 180, "vestingDays": 730 }
+    ]
+  }
+
+Examples:
+  node vesting.js fund team-2025.json
+  node vesting.js release team-2025.json --yes     # From cron
+  node vesting.js status team-2025.json
+
+⚠️  IMPORTANT:
+  • Escrow accounts are owned by the funding wallet - the lock is enforced by this
+    tool, not by an on-chain program. Anyone with the wallet key can move them.
+  • Progress is kept in vesting-<name>.state.json - do not delete it
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [command, schedulePath] = args;
+
+  if (!command || args.includes("--help") || args.includes("-h")) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const optionValue = (name) => {
+    const index = args.findIndex((arg) => arg === name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  };
+
+  if (!["fund", "release", "status"].includes(command)) {
+    console.error(`❌ Unknown command: ${command}`);
+    showUsage();
+    process.exit(1);
+  }
+  if (!schedulePath || schedulePath.startsWith("--")) {
+    console.error("❌ Vesting schedule file is required");
+    showUsage();
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+  const jsonCommand = json ? `vesting ${command}` : null;
+
+  let options;
+  try {
+    options = {
+      tokenInfoPath: optionValue("--token-info"),
+      token: optionValue("--token"),
+      priorityFee: args.includes("--priority-fee") ? parsePriorityFee(optionValue("--priority-fee")) : null,
+      beneficiary: args.includes("--beneficiary") ? parseAddress(optionValue("--beneficiary"), "beneficiary") : null,
+      skipConfirmation: args.includes("--yes"),
+    };
+  } catch (error) {
+    exitWithError("Invalid arguments", { json: jsonCommand })(error);
+  }
+
+  const run = { fund: fundVesting, release: releaseVested, status: showVestingStatus }[command];
+  run(schedulePath, options)
+    .then((result) => {
+      if (json) {
+        writeJsonResult(`vesting ${command}`, result);
+      }
+    })
+    .catch(exitWithError(`Vesting ${command} failed`, { json: jsonCommand }));
+}
+
+module.exports = {
+  fundVesting,
+  releaseVested,
+  showVestingStatus,
+};
@@ -0,0 +1,223 @@
+const { Keypair } = require("@solana/web3.js");
+const fs = require("fs");
+const {
+  readKeystore,
+  encryptKeypair,
+  decryptKeystore,
+  writeWalletFile,
+} = require("./token-creation/keystore");
+const { askConfirmation, askSecret } = require("./token-creation/confirm");
+const { KeystoreError } = require("./token-creation/errors");
+const { exitWithError, parseArgs } = require("./token-creation/cli-args");
+const { useJsonOutput, writeJsonResult } = require("./token-creation/json-output");
+
+const MIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Ask for a new keystore password twice
+ * @returns {Promise<string>} Password
+ * @throws {KeystoreError} When the entries differ
+ */
+async function askNewPassword() {
+  const password = await askSecret("🔑 New keystore password: ");
+  const repeated = await askSecret("🔑 Repeat password: ");
+  if (password !== repeated) {
+    throw new KeystoreError("Passwords do not match - no keystore was written");
+  }
+  return password;
+}
+
+/**
+ * Encrypt a plaintext keypair file (Solana CLI format) into a keystore that
+ * --wallet accepts. The plaintext file is left in place for the user to
+ * remove once the keystore is backed up.
+ * @param {string} keypairPath - Plaintext keypair file
+ * @param {string} keystorePath - Keystore to write (never overwritten)
+ * @param {Object} options - Additional options
+ * @param {string|null} options.password - Keystore password [default: DOODI_WALLET_PASSWORD, else prompt twice]
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'imported'
+ * @throws {KeystoreError} When the keypair is unreadable, the password too short or the keystore exists
+ */
+async function importKeystore(keypairPath, keystorePath, options = {}) {
+  const { password = null, logger = console } = options;
+
+  if (!fs.existsSync(keypairPath)) {
+    throw new KeystoreError(`Keypair file not found: ${keypairPath}`, { path: keypairPath });
+  }
+  if (readKeystore(keypairPath)) {
+    throw new KeystoreError(`${keypairPath} is already an encrypted keystore`, { path: keypairPath });
+  }
+  if (fs.existsSync(keystorePath)) {
+    throw new KeystoreError(`${keystorePath} already exists - wallet files are never overwritten`, {
+      path: keystorePath,
+    });
+  }
+
+  let keypair;
+  try {
+    keypair = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(keypairPath, "utf8"))));
+  } catch (error) {
+    throw new KeystoreError(`${keypairPath} is not a keypair file: ${error.message}`, { path: keypairPath });
+  }
+
+  logger.info(`🔐 Encrypting wallet ${keypair.publicKey.toString()}...`);
+
+  const secret = password || process.env.DOODI_WALLET_PASSWORD || (await askNewPassword());
+  if (secret.length < MIN_PASSWORD_LENGTH) {
+    throw new KeystoreError(`Keystore passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const keystore = await encryptKeypair(keypair, secret);
+  // Prove the keystore opens before anyone deletes the plaintext
+  await decryptKeystore(keystore, secret);
+  writeWalletFile(keystorePath, keystore);
+
+  logger.info(`✅ Keystore written: ${keystorePath}`);
+  logger.info(`   Use it with --wallet ${keystorePath}`);
+  logger.info(`⚠️  ${keypairPath} still holds the key in plaintext - back up the keystore and password, then delete it`);
+
+  return {
+    status: "imported",
+    address: keypair.publicKey.toString(),
+    keystorePath,
+  };
+}
+
+/**
+ * Decrypt a keystore back into a plaintext keypair file, e.g. for the
+ * Solana CLI or a hardware-wallet import
+ * @param {string} keystorePath - Keystore file
+ * @param {string} keypairPath - Plaintext keypair file to write (never overwritten)
+ * @param {Object} options - Additional options
+ * @param {string|null} options.password - Keystore password [default: DOODI_WALLET_PASSWORD, else prompt]
+ * @param {boolean} options.skipConfirmation - Export without prompting
+ * @param {Function|null} options.confirm - async (question) => boolean, replaces the terminal prompt
+ * @param {Object} options.logger - Logger with info/warn/error [default: console]
+ * @returns {Promise<Object>} Result with status 'exported' or 'cancelled'
+ * @throws {KeystoreError} When the keystore is unreadable, the password wrong or the keypair file exists
+ */
+async function exportKeystore(keystorePath, keypairPath, options = {}) {
+  const {
+    password = null,
+    skipConfirmation = false,
+    confirm = askConfirmation,
+    logger = console,
+  } = options;
+
+  const keystore = readKeystore(keystorePath);
+  if (!keystore) {
+    throw new KeystoreError(`${keystorePath} is not an encrypted keystore`, { path: keystorePath });
+  }
+  if (fs.existsSync(keypairPath)) {
+    throw new KeystoreError(`${keypairPath} already exists - wallet files are never overwritten`, {
+      path: keypairPath,
+    });
+  }
+
+  logger.info(`🔓 Exporting wallet ${keystore.address}...`);
+
+  let confirmed = skipConfirmation;
+  if (!skipConfirmation) {
+    logger.info(`⚠️  Anyone who can read ${keypairPath} controls this wallet.`);
+    confirmed = await confirm(`\nWrite the secret key in plaintext to ${keypairPath}? (yes/no): `);
+  }
+
+  if (!confirmed) {
+    logger.info("❌ Operation cancelled by user");
+    return { status: "cancelled", address: keystore.address };
+  }
+
+  const secret = password || process.env.DOODI_WALLET_PASSWORD || (await askSecret(`🔑 Password for ${keystorePath}: `));
+  const keypair = await decryptKeystore(keystore, secret);
+  writeWalletFile(keypairPath, Array.from(keypair.secretKey));
+
+  logger.info(`✅ Keypair written: ${keypairPath} (readable by you only)`);
+
+  return {
+    status: "exported",
+    address: keystore.address,
+    keypairPath,
+  };
+}
+
+// Show usage
+function showUsage() {
+  console.log(`
+🔐 Wallet Keystore Script
+
+Encrypt a keypair file into a password-protected keystore (scrypt + AES-256-GCM),
+or decrypt one back. Keystores work anywhere a wallet path is accepted.
+
+Usage: node wallet.js <import|export> <file> --out <path> [options]
+
+Commands:
+  import <keypair-file>   Encrypt a plaintext keypair into a keystore
+  export <keystore-file>  Decrypt a keystore into a plaintext keypair
+
+Options:
+  --out <path>            File to write (never overwritten)
+  --yes                   Export without the confirmation prompt
+  --json                  Print the result as JSON on stdout (logs go to stderr)
+  --help, -h              Show this help message
+
+Environment:
+  DOODI_WALLET_PASSWORD   Keystore password for unattended runs (otherwise prompted)
+
+Examples:
+  node wallet.js import ~/.config/solana/id.json --out ./wallet.keystore.json
+  node wallet.js export ./wallet.keystore.json --out ./id.json
+
+💡 Signer rules live in ./doodi-signers.json, e.g. { "mainnet": ["<address>"] }:
+   only listed wallets may sign on a listed network. Mainnet runs also ask you
+   to type 'mainnet <first 4 characters of the address>' (or set DOODI_CONFIRM_MAINNET).
+`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  if (json) {
+    useJsonOutput();
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, [
+      { name: "--out", value: "<path>" },
+      { name: "--yes" },
+      { name: "--json" },
+      { name: "--help" },
+    ]);
+  } catch (error) {
+    if (json) {
+      exitWithError("Invalid arguments", { json: "wallet" })(error);
+    }
+    console.error(`❌ ${error.message}`);
+    showUsage();
+    process.exit(1);
+  }
+
+  const { positional, options } = parsed;
+  if (options.help || positional.length === 0) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const [command, file] = positional;
+  const run = { import: importKeystore, export: exportKeystore }[command];
+  if (!run || !file || !options.out) {
+    console.error("❌ Usage: node wallet.js <import|export> <file> --out <path>");
+    process.exit(1);
+  }
+
+  run(file, options.out, { skipConfirmation: Boolean(options.yes) })
+    .then((result) => {
+      if (json) {
+        writeJsonResult(`wallet ${command}`, result);
+      }
+    })
+    .catch(exitWithError(`Wallet ${command} failed`, { json: json ? `wallet ${command}` : null }));
+}
+
+module.exports = { importKeystore, exportKeystore };
@@ -0,0 +1,106 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  STATUS,
+  markRecipients,
+  reconcileJournal,
+  getEntry,
+} = require("../scripts/token-creation/airdrop-journal");
+
+/**
+ * Connection answering signature statuses from a map, at a fixed block height
+ * @param {Object} statuses - { signature: status | null }
+ * @param {number} blockHeight - Current block height
+ * @returns {Object} Fake connection that counts its status lookups
+ */
+function fakeConnection(statuses, blockHeight) {
+  const connection = {
+    statusCalls: 0,
+    async getSignatureStatuses(signatures) {
+      connection.statusCalls++;
+      return { value: signatures.map((signature) => statuses[signature] || null) };
+    },
+    async getBlockHeight() {
+      return blockHeight;
+    },
+  };
+  return connection;
+}
+
+function newJournal() {
+  return { mintAddress: "mint", network: "localnet", mode: "mint", recipients: {} };
+}
+
+describe("airdrop journal", () => {
+  it("records state changes per recipient, keeping earlier fields", () => {
+    const journal = newJournal();
+    const batch = [{ address: "a", amount: "1" }, { address: "b", amount: "2" }];
+
+    markRecipients(journal, batch, STATUS.PENDING, { signature: "sig", lastValidBlockHeight: 100 });
+    markRecipients(journal, batch, STATUS.SENT);
+
+    assert.equal(getEntry(journal, "a").status, STATUS.SENT);
+    assert.equal(getEntry(journal, "a").signature, "sig");
+    assert.equal(getEntry(journal, "b").amount, "2");
+    assert.equal(getEntry(journal, "c"), undefined);
+  });
+
+  it("reconciles in-flight entries against chain state", async () => {
+    const journal = newJournal();
+    markRecipients(journal, [{ address: "landed", amount: "1" }], STATUS.SENT, {
+      signature: "sig-landed",
+      lastValidBlockHeight: 100,
+    });
+    markRecipients(journal, [{ address: "errored", amount: "1" }], STATUS.SENT, {
+      signature: "sig-errored",
+      lastValidBlockHeight: 100,
+    });
+    markRecipients(journal, [{ address: "expired", amount: "1" }], STATUS.PENDING, {
+      signature: "sig-expired",
+      lastValidBlockHeight: 90,
+    });
+    markRecipients(journal, [{ address: "waiting", amount: "1" }], STATUS.PENDING, {
+      signature: "sig-waiting",
+      lastValidBlockHeight: 100,
+    });
+    markRecipients(journal, [{ address: "processed", amount: "1" }], STATUS.SENT, {
+      signature: "sig-processed",
+      lastValidBlockHeight: 90,
+    });
+    markRecipients(journal, [{ address: "done", amount: "1" }], STATUS.CONFIRMED, { signature: "sig-done" });
+
+    const connection = fakeConnection(
+      {
+        "sig-landed": { err: null, confirmationStatus: "finalized" },
+        "sig-errored": { err: { InstructionError: [1, "Custom"] }, confirmationStatus: "confirmed" },
+        "sig-processed": { err: null, confirmationStatus: "processed" },
+      },
+      95
+    );
+
+    const result = await reconcileJournal(connection, journal);
+
+    assert.deepEqual(result, { confirmed: 1, failed: 2, inFlight: 2 });
+    assert.equal(getEntry(journal, "landed").status, STATUS.CONFIRMED);
+    assert.equal(getEntry(journal, "errored").status, STATUS.FAILED);
+    assert.match(getEntry(journal, "errored").error, /InstructionError/);
+    assert.equal(getEntry(journal, "expired").status, STATUS.FAILED);
+    assert.equal(getEntry(journal, "expired").error, "Transaction expired without landing");
+    // Unknown but still within its blockhash window
+    assert.equal(getEntry(journal, "waiting").status, STATUS.PENDING);
+    // Seen on chain but not yet confirmed, even past its blockhash window
+    assert.equal(getEntry(journal, "processed").status, STATUS.SENT);
+    assert.equal(getEntry(journal, "done").status, STATUS.CONFIRMED);
+  });
+
+  it("skips the RPC when nothing is in flight", async () => {
+    const journal = newJournal();
+    markRecipients(journal, [{ address: "a", amount: "1" }], STATUS.FAILED, { signature: "sig" });
+    const connection = fakeConnection({}, 0);
+
+    const result = await reconcileJournal(connection, journal);
+
+    assert.deepEqual(result, { confirmed: 0, failed: 0, inFlight: 0 });
+    assert.equal(connection.statusCalls, 0);
+  });
+});
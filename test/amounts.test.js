@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isDecimalAmount,
+  parseTokenAmount,
+  parseRecordedAmount,
+  formatTokenAmount,
+  percentOf,
+} = require("../scripts/token-creation/amounts");
+
+describe("amounts", () => {
+  it("accepts plain decimal amounts only", () => {
+    assert.equal(isDecimalAmount("1000"), true);
+    assert.equal(isDecimalAmount("0.5"), true);
+    assert.equal(isDecimalAmount(" 12.25 "), true);
+    assert.equal(isDecimalAmount(42), true);
+    for (const value of ["1e6", "-1", "+1", "1,000", ".5", "5.", "abc", "", null, undefined]) {
+      assert.equal(isDecimalAmount(value), false, `${value} should be rejected`);
+    }
+  });
+
+  it("parses UI amounts to raw units without floats", () => {
+    assert.equal(parseTokenAmount("1234.5", 6), 1234500000n);
+    assert.equal(parseTokenAmount("0.000001", 6), 1n);
+    assert.equal(parseTokenAmount("1.500000000", 6), 1500000n);
+    assert.equal(parseTokenAmount("7", 0), 7n);
+    // Beyond Number.MAX_SAFE_INTEGER
+    assert.equal(parseTokenAmount("123456789012.123456", 6), 123456789012123456n);
+  });
+
+  it("rejects digits beyond the mint decimals instead of rounding", () => {
+    assert.throws(() => parseTokenAmount("0.0000001", 6), { code: "INVALID_AMOUNT" });
+    assert.throws(() => parseTokenAmount("1.5", 0), { code: "INVALID_AMOUNT" });
+    assert.throws(() => parseTokenAmount("1e3", 6), { code: "INVALID_AMOUNT" });
+  });
+
+  it("rounds recorded numbers at the mint decimals", () => {
+    assert.equal(parseRecordedAmount(0.1 + 0.2, 6), 300000n);
+    assert.equal(parseRecordedAmount("2.5", 6), 2500000n);
+  });
+
+  it("formats raw units", () => {
+    assert.equal(formatTokenAmount(1234500000n, 6), "1234.5");
+    assert.equal(formatTokenAmount(1n, 6), "0.000001");
+    assert.equal(formatTokenAmount(0n, 6), "0");
+    assert.equal(formatTokenAmount("-2500000", 6), "-2.5");
+    assert.equal(formatTokenAmount(1234567000000n, 6, { grouping: true }), "1,234,567");
+  });
+
+  it("round-trips parse and format", () => {
+    for (const value of ["0.000001", "1", "1000000000", "98765.4321"]) {
+      assert.equal(formatTokenAmount(parseTokenAmount(value, 6), 6), value);
+    }
+  });
+
+  it("computes percentages to four decimal places", () => {
+    assert.equal(percentOf(1n, 3n), 33.3333);
+    assert.equal(percentOf(5n, 5n), 100);
+    assert.equal(percentOf(1n, 0n), 0);
+  });
+});
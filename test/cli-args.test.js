@@ -0,0 +1,84 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseArgs,
+  parseNetwork,
+  parseAmount,
+  parsePositiveInt,
+  parseDate,
+  parsePriorityFee,
+} = require("../scripts/token-creation/cli-args");
+
+const SPECS = [
+  { name: "--batch-size", value: "<n>" },
+  { name: "--dry-run" },
+  { name: "--json" },
+];
+
+describe("cli-args", () => {
+  describe("parseArgs", () => {
+    it("splits positionals, flags and valued options", () => {
+      const { positional, options } = parseArgs(
+        ["devnet", "--batch-size", "4", "recipients.csv", "--dry-run"],
+        SPECS
+      );
+      assert.deepEqual(positional, ["devnet", "recipients.csv"]);
+      assert.deepEqual(options, { batchSize: "4", dryRun: true });
+    });
+
+    it("accepts --name=value, keeping any further '='", () => {
+      const { options } = parseArgs(["--batch-size=a=b"], SPECS);
+      assert.equal(options.batchSize, "a=b");
+    });
+
+    it("maps -h to help", () => {
+      assert.equal(parseArgs(["-h"], SPECS).options.help, true);
+    });
+
+    it("rejects unknown options and missing values", () => {
+      assert.throws(() => parseArgs(["--nope"], SPECS), { code: "INVALID_ARGUMENT" });
+      assert.throws(() => parseArgs(["--batch-size"], SPECS), { code: "INVALID_ARGUMENT" });
+      assert.throws(() => parseArgs(["--batch-size", "--json"], SPECS), { code: "INVALID_ARGUMENT" });
+    });
+  });
+
+  describe("parseDate", () => {
+    it("normalises dates and timestamps to ISO", () => {
+      assert.equal(parseDate("2025-10-01", "--since"), "2025-10-01T00:00:00.000Z");
+      assert.equal(parseDate("2025-10-01T12:30:00Z", "--since"), "2025-10-01T12:30:00.000Z");
+    });
+
+    it("moves a bare date to the end of the day with endOfDay", () => {
+      assert.equal(parseDate("2025-10-01", "--until", { endOfDay: true }), "2025-10-01T23:59:59.999Z");
+      // A timestamp is already exact
+      assert.equal(
+        parseDate("2025-10-01T12:00:00Z", "--until", { endOfDay: true }),
+        "2025-10-01T12:00:00.000Z"
+      );
+    });
+
+    it("rejects invalid dates", () => {
+      assert.throws(() => parseDate("yesterday", "--since"), { code: "INVALID_ARGUMENT" });
+    });
+  });
+
+  it("validates networks, amounts, counts and priority fees", () => {
+    assert.equal(parseNetwork("DevNet"), "devnet");
+    assert.equal(parseNetwork("localnet"), "localnet");
+    assert.throws(() => parseNetwork("testnet-x"), { code: "INVALID_ARGUMENT" });
+
+    assert.equal(parseAmount(" 12.5 "), "12.5");
+    assert.equal(parseAmount("all", "amount", { allowAll: true }), null);
+    assert.throws(() => parseAmount("all"), { code: "INVALID_AMOUNT" });
+    assert.throws(() => parseAmount("0.000"), { code: "INVALID_AMOUNT" });
+    assert.throws(() => parseAmount(undefined), { code: "INVALID_ARGUMENT" });
+
+    assert.equal(parsePositiveInt("8", "--batch-size"), 8);
+    assert.throws(() => parsePositiveInt("0", "--batch-size"), { code: "INVALID_ARGUMENT" });
+    assert.throws(() => parsePositiveInt("1.5", "--batch-size"), { code: "INVALID_ARGUMENT" });
+
+    assert.equal(parsePriorityFee("auto"), "auto");
+    assert.equal(parsePriorityFee("5000"), 5000);
+    assert.throws(() => parsePriorityFee("fast"), { code: "INVALID_ARGUMENT" });
+  });
+});
@@ -0,0 +1,126 @@
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Connection, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const { NETWORKS } = require("../../scripts/token-creation/network-config");
+const { TOKEN_METADATA_PROGRAM_ID } = require("../../scripts/token-creation/metadata");
+
+/** Metaplex token metadata program, dumped from mainnet by `npm run fixtures` */
+const METADATA_PROGRAM_FIXTURE = path.join(__dirname, "..", "fixtures", "mpl_token_metadata.so");
+
+/** How long a fresh validator may take to answer RPC calls */
+const STARTUP_TIMEOUT_MS = 60000;
+
+/** Logger that drops script output, so test output stays readable */
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Why the validator tests cannot run here, if they cannot
+ * @returns {string|null} Skip reason, or null when the validator and fixture are available
+ */
+function validatorSkipReason() {
+  const probe = spawnSync("solana-test-validator", ["--version"], { encoding: "utf8" });
+  if (probe.error) {
+    return "solana-test-validator is not on PATH (install the Solana CLI)";
+  }
+  if (!fs.existsSync(METADATA_PROGRAM_FIXTURE)) {
+    return `${path.relative(process.cwd(), METADATA_PROGRAM_FIXTURE)} is missing (run npm run fixtures)`;
+  }
+  return null;
+}
+
+/**
+ * Start a solana-test-validator on the localnet RPC port with the metadata
+ * program loaded, on a throwaway ledger
+ * @returns {Promise<Object>} { connection, stop } - stop() ends the validator and removes its ledger
+ */
+async function startValidator() {
+  const ledger = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-ledger-"));
+  const rpcPort = new URL(NETWORKS.localnet.url).port;
+  const child = spawn(
+    "solana-test-validator",
+    [
+      "--reset",
+      "--quiet",
+      "--ledger", ledger,
+      "--rpc-port", rpcPort,
+      "--bpf-program", TOKEN_METADATA_PROGRAM_ID.toString(), METADATA_PROGRAM_FIXTURE,
+    ],
+    { stdio: "ignore" }
+  );
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill("SIGTERM");
+      await exited;
+    }
+    fs.rmSync(ledger, { recursive: true, force: true });
+  };
+
+  const connection = new Connection(NETWORKS.localnet.url, "confirmed");
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`solana-test-validator exited with code ${child.exitCode}`);
+    }
+    try {
+      await connection.getLatestBlockhash("confirmed");
+      return { connection, stop };
+    } catch (error) {
+      if (Date.now() > deadline) {
+        await stop();
+        throw new Error(`solana-test-validator did not start within ${STARTUP_TIMEOUT_MS / 1000}s`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+  }
+}
+
+/**
+ * Airdrop SOL to a wallet and wait for it to confirm
+ * @param {Connection} connection - Localnet connection
+ * @param {PublicKey} wallet - Wallet to fund
+ * @param {number} sol - SOL to airdrop
+ */
+async function fund(connection, wallet, sol) {
+  const signature = await connection.requestAirdrop(wallet, sol * LAMPORTS_PER_SOL);
+  const latest = await connection.getLatestBlockhash("confirmed");
+  await connection.confirmTransaction({ signature, ...latest }, "confirmed");
+}
+
+/**
+ * Run the rest of a test in a fresh working directory holding a valid
+ * doodimeta.json, since the scripts read and write relative to the cwd
+ * @returns {Function} Restores the previous cwd and removes the directory
+ */
+function useTempWorkdir() {
+  const previous = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-e2e-"));
+  fs.writeFileSync(
+    path.join(dir, "doodimeta.json"),
+    JSON.stringify({
+      name: "DOODiPALS",
+      symbol: "DOODi",
+      description: "DOODi validator test token",
+      image: "ipfs://bafkreidoodi/doodi.png",
+    })
+  );
+  process.chdir(dir);
+
+  return () => {
+    process.chdir(previous);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+}
+
+module.exports = {
+  METADATA_PROGRAM_FIXTURE,
+  silentLogger,
+  validatorSkipReason,
+  startValidator,
+  fund,
+  useTempWorkdir,
+};
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Keypair } = require("@solana/web3.js");
+const {
+  isKeystore,
+  readKeystore,
+  encryptKeypair,
+  decryptKeystore,
+  writeWalletFile,
+} = require("../scripts/token-creation/keystore");
+
+describe("keystore", () => {
+  const keypair = Keypair.generate();
+  let keystore;
+  let dir;
+
+  // One scrypt derivation takes about a second, so encrypt once
+  before(async () => {
+    keystore = await encryptKeypair(keypair, "correct horse");
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-keystore-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("round-trips a keypair", async () => {
+    assert.equal(keystore.address, keypair.publicKey.toString());
+    assert.equal(JSON.stringify(keystore).includes(Buffer.from(keypair.secretKey).toString("hex")), false);
+
+    const decrypted = await decryptKeystore(JSON.parse(JSON.stringify(keystore)), "correct horse");
+    assert.deepEqual(decrypted.secretKey, keypair.secretKey);
+  });
+
+  it("rejects a wrong password", async () => {
+    await assert.rejects(decryptKeystore(keystore, "wrong horse"), { code: "KEYSTORE_INVALID", message: /Wrong password/ });
+  });
+
+  it("rejects a keystore whose address was changed", async () => {
+    const swapped = { ...keystore, address: Keypair.generate().publicKey.toString() };
+    await assert.rejects(decryptKeystore(swapped, "correct horse"), { code: "KEYSTORE_INVALID" });
+  });
+
+  it("requires a password to encrypt", async () => {
+    await assert.rejects(encryptKeypair(keypair, ""), { code: "KEYSTORE_INVALID" });
+  });
+
+  it("tells keystores from plaintext keypairs and never overwrites wallet files", () => {
+    const keystorePath = path.join(dir, "wallet.keystore.json");
+    const plainPath = path.join(dir, "wallet.json");
+    writeWalletFile(keystorePath, keystore);
+    writeWalletFile(plainPath, Array.from(keypair.secretKey));
+
+    assert.equal(isKeystore(keystore), true);
+    assert.equal(isKeystore(Array.from(keypair.secretKey)), false);
+    assert.deepEqual(readKeystore(keystorePath), keystore);
+    assert.equal(readKeystore(plainPath), null);
+    assert.equal(readKeystore(path.join(dir, "missing.json")), null);
+    assert.equal(fs.statSync(keystorePath).mode & 0o777, 0o600);
+    assert.throws(() => writeWalletFile(keystorePath, keystore), { code: "KEYSTORE_INVALID" });
+  });
+});
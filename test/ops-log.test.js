@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readOperations,
+  appendOperation,
+  recordOperation,
+  verifyChain,
+} = require("../scripts/token-creation/ops-log");
+const { silentLogger } = require("./helpers/validator");
+
+function operation(type, params = {}) {
+  return {
+    type,
+    network: "localnet",
+    operator: "wallet",
+    mintAddress: "mint",
+    params,
+    transactions: [{ signature: `${type}-sig`, slot: 1 }],
+    before: { supply: "0" },
+    after: { supply: "1" },
+  };
+}
+
+describe("ops log", () => {
+  let dir;
+  let logPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-ops-"));
+    logPath = path.join(dir, "doodi-ops.jsonl");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("chains entries from the genesis hash", () => {
+    const first = appendOperation(operation("create"), logPath);
+    const second = appendOperation(operation("mint", { amount: "1" }), logPath);
+
+    assert.equal(first.seq, 1);
+    assert.equal(first.prevHash, "0".repeat(64));
+    assert.equal(second.seq, 2);
+    assert.equal(second.prevHash, first.hash);
+    assert.deepEqual(readOperations(logPath), [first, second]);
+    assert.deepEqual(verifyChain(readOperations(logPath)), []);
+    assert.equal(fs.existsSync(`${logPath}.lock`), false);
+  });
+
+  it("hashes entries canonically, whatever the key order", () => {
+    const entry = appendOperation(operation("create", { b: 2, a: { y: 1, x: [3, { d: 4, c: 5 }] } }), logPath);
+    const reordered = Object.fromEntries(Object.entries(entry).reverse());
+    reordered.params = { a: { x: [3, { c: 5, d: 4 }], y: 1 }, b: 2 };
+
+    assert.notEqual(JSON.stringify(reordered), JSON.stringify(entry));
+    assert.deepEqual(verifyChain([reordered]), []);
+  });
+
+  it("detects modified, removed and reordered entries", () => {
+    appendOperation(operation("create"), logPath);
+    appendOperation(operation("mint", { amount: "1" }), logPath);
+    appendOperation(operation("burn", { amount: "1" }), logPath);
+
+    const lines = fs.readFileSync(logPath, "utf8").trim().split("\n");
+    fs.writeFileSync(logPath, `${lines.map((line, i) => (i === 1 ? line.replace('"amount":"1"', '"amount":"1000"') : line)).join("\n")}\n`);
+    assert.deepEqual(verifyChain(readOperations(logPath)), [
+      { seq: 2, problem: "content does not match its hash - the entry was modified" },
+    ]);
+
+    const entries = readOperations(logPath);
+    const problems = verifyChain([entries[0], entries[2]]);
+    assert.deepEqual(
+      problems.map(({ seq }) => seq),
+      [3, 3]
+    );
+    assert.match(problems[0].problem, /removed or reordered/);
+    assert.match(problems[1].problem, /does not link/);
+  });
+
+  it("skips a torn final line and cuts it off on the next append", () => {
+    const first = appendOperation(operation("create"), logPath);
+    const torn = JSON.stringify(operation("mint")).slice(0, 40);
+    fs.appendFileSync(logPath, torn);
+
+    assert.deepEqual(readOperations(logPath), [first]);
+
+    const second = appendOperation(operation("mint"), logPath);
+    assert.equal(second.seq, 2);
+    assert.equal(fs.readFileSync(logPath, "utf8").includes(torn), false);
+    assert.deepEqual(verifyChain(readOperations(logPath)), []);
+  });
+
+  it("keeps a complete final line that lost its newline", () => {
+    const first = appendOperation(operation("create"), logPath);
+    fs.writeFileSync(logPath, fs.readFileSync(logPath, "utf8").trimEnd());
+
+    assert.deepEqual(readOperations(logPath), [first]);
+    appendOperation(operation("mint"), logPath);
+    assert.equal(readOperations(logPath).length, 2);
+    assert.deepEqual(verifyChain(readOperations(logPath)), []);
+  });
+
+  it("rejects a corrupt line before the end", () => {
+    appendOperation(operation("create"), logPath);
+    fs.appendFileSync(logPath, "{not json\n");
+    assert.throws(() => readOperations(logPath), { code: "OPS_LOG_INVALID", message: /:2: not valid JSON/ });
+  });
+
+  it("reports a failed record instead of throwing", () => {
+    fs.writeFileSync(logPath, "{not json\n");
+    const result = recordOperation(operation("burn"), { logPath, logger: silentLogger });
+
+    assert.equal(result.entry, null);
+    assert.match(result.error, /not valid JSON/);
+  });
+
+  it("reads a missing log as empty", () => {
+    assert.deepEqual(readOperations(path.join(dir, "none.jsonl")), []);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Keypair } = require("@solana/web3.js");
+const { loadPlan, expectAfterStep } = require("../scripts/token-creation/plan-file");
+
+const DECIMALS = 6;
+const METADATA_URI = "https://example.com/doodimeta.json";
+
+describe("plan file", () => {
+  const alice = Keypair.generate().publicKey.toString();
+  const bob = Keypair.generate().publicKey.toString();
+  let dir;
+  let planCount = 0;
+
+  const writePlan = (plan) => {
+    const planPath = path.join(dir, `plan-${++planCount}.json`);
+    fs.writeFileSync(planPath, JSON.stringify(plan));
+    return planPath;
+  };
+  const create = { action: "create", metadataUri: METADATA_URI };
+  const plan = (...steps) => ({ name: "launch", steps: [create, ...steps] });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-plan-"));
+    fs.writeFileSync(path.join(dir, "team.csv"), `address,amount\n${alice},10\n${bob},2.5\n`);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("normalises every step, resolving recipients next to the plan", () => {
+    const loaded = loadPlan(
+      writePlan(
+        plan(
+          { action: "mint", amount: "1000" },
+          { action: "airdrop", recipients: "./team.csv" },
+          { action: "burn", amount: 100 },
+          { action: "revoke" },
+          { action: "airdrop", recipients: "team.csv" }
+        )
+      ),
+      DECIMALS
+    );
+
+    assert.equal(loaded.name, "launch");
+    assert.match(loaded.hash, /^[0-9a-f]{64}$/);
+    assert.deepEqual(loaded.steps[0], {
+      index: 0,
+      action: "create",
+      program: "spl-token",
+      freezeAuthority: null,
+      metadataUri: METADATA_URI,
+    });
+    assert.deepEqual(loaded.steps[1], { index: 1, action: "mint", amount: 1000000000n });
+    assert.equal(loaded.steps[2].recipientsFile, path.join(dir, "team.csv"));
+    assert.equal(loaded.steps[2].mode, "mint");
+    assert.deepEqual(loaded.steps[2].recipients, [
+      { address: alice, amount: 10000000n },
+      { address: bob, amount: 2500000n },
+    ]);
+    assert.deepEqual(loaded.steps[3], { index: 3, action: "burn", amount: 100000000n });
+    // Without a mint authority an airdrop can only transfer
+    assert.equal(loaded.steps[5].mode, "transfer");
+  });
+
+  it("hashes the recipients files along with the plan", () => {
+    const planPath = writePlan(plan({ action: "airdrop", recipients: "team.csv" }));
+    const before = loadPlan(planPath, DECIMALS).hash;
+    assert.equal(loadPlan(planPath, DECIMALS).hash, before);
+
+    const recipientsPath = path.join(dir, "team.csv");
+    const original = fs.readFileSync(recipientsPath, "utf8");
+    fs.writeFileSync(recipientsPath, original.replace("2.5", "3"));
+    try {
+      assert.notEqual(loadPlan(planPath, DECIMALS).hash, before);
+    } finally {
+      fs.writeFileSync(recipientsPath, original);
+    }
+  });
+
+  it("rejects plans that cannot run", () => {
+    const cases = [
+      [{ name: "bad name", steps: [create] }, /name is required/],
+      [{ name: "launch", steps: [{ action: "mint", amount: "1" }] }, /starting with 'create'/],
+      [plan(create), /creates one token, in its first step/],
+      [plan({ action: "transfer" }), /unknown action transfer/],
+      [{ name: "launch", steps: [{ action: "create" }] }, /metadataUri: required/],
+      [{ name: "launch", steps: [{ ...create, program: "token-2023" }] }, /steps\[0\]\.program/],
+      [{ name: "launch", steps: [{ ...create, freezeAuthority: "nope" }] }, /invalid address nope/],
+      [plan({ action: "mint", amount: "0" }), /amount must be greater than 0/],
+      [plan({ action: "burn", amount: "0.0000001" }), /more than 6 decimal places/],
+      [plan({ action: "revoke" }, { action: "mint", amount: "1" }), /cannot mint after/],
+      [plan({ action: "revoke" }, { action: "revoke" }), /already revoked/],
+      [plan({ action: "revoke" }, { action: "airdrop", recipients: "team.csv", mode: "mint" }), /mode: mint is not possible/],
+      [plan({ action: "airdrop", recipients: "missing.csv" }), /recipients: Recipients file not found/],
+    ];
+
+    for (const [content, message] of cases) {
+      assert.throws(() => loadPlan(writePlan(content), DECIMALS), { code: "PLAN_INVALID", message });
+    }
+    assert.throws(() => loadPlan(path.join(dir, "missing.json"), DECIMALS), { code: "PLAN_INVALID" });
+  });
+
+  it("tracks the expected token state step by step", () => {
+    const loaded = loadPlan(
+      writePlan(
+        plan(
+          { action: "mint", amount: "100" },
+          { action: "airdrop", recipients: "team.csv", mode: "transfer" },
+          { action: "burn", amount: "50" },
+          { action: "revoke" }
+        )
+      ),
+      DECIMALS
+    );
+    const states = [];
+    loaded.steps.reduce((expected, step) => {
+      const next = expectAfterStep(expected, step, bob);
+      states.push(next);
+      return next;
+    }, null);
+
+    assert.deepEqual(states[states.length - 1], {
+      supply: 50000000n,
+      // 100 minted, 12.5 sent of which 2.5 back to the wallet, 50 burned
+      creatorBalance: 40000000n,
+      mintAuthority: null,
+      freezeAuthority: null,
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Keypair } = require("@solana/web3.js");
+const { loadRecipients } = require("../scripts/token-creation/recipients");
+
+describe("recipients", () => {
+  const alice = Keypair.generate().publicKey.toString();
+  const bob = Keypair.generate().publicKey.toString();
+  let dir;
+
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-recipients-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads a CSV with a header, comments and extra columns", () => {
+    const recipients = loadRecipients(
+      write("list.csv", `address,amount\n# team\n${alice}, 100 ,note\n\n${bob},0.5\n`)
+    );
+    assert.deepEqual(
+      recipients.map(({ address, amount }) => ({ address, amount })),
+      [
+        { address: alice, amount: "100" },
+        { address: bob, amount: "0.5" },
+      ]
+    );
+    assert.equal(recipients[0].owner.toString(), alice);
+  });
+
+  it("loads JSON arrays, holder snapshots and address maps", () => {
+    const expected = [{ address: alice, amount: "1" }];
+    const strip = (list) => list.map(({ address, amount }) => ({ address, amount }));
+
+    assert.deepEqual(strip(loadRecipients(write("array.json", JSON.stringify([{ address: alice, amount: 1 }])))), expected);
+    assert.deepEqual(
+      strip(loadRecipients(write("snapshot.json", JSON.stringify({ holders: [{ owner: alice, amount: "1" }] })))),
+      expected
+    );
+    assert.deepEqual(strip(loadRecipients(write("map.json", JSON.stringify({ [alice]: "1" })))), expected);
+  });
+
+  it("rejects duplicate recipients", () => {
+    assert.throws(
+      () => loadRecipients(write("dupes.csv", `${alice},1\n${bob},2\n${alice},3\n`)),
+      /Duplicate recipient on entry 3/
+    );
+  });
+
+  it("rejects invalid addresses and amounts", () => {
+    assert.throws(() => loadRecipients(write("bad-address.csv", "not-an-address,1\n")), /Invalid address on entry 1/);
+    assert.throws(() => loadRecipients(write("zero.csv", `${alice},0\n`)), /Invalid amount on entry 1/);
+    assert.throws(() => loadRecipients(write("exponent.csv", `${alice},1e3\n`)), /Invalid amount on entry 1/);
+    assert.throws(() => loadRecipients(path.join(dir, "missing.csv")), /Recipients file not found/);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { Keypair, PublicKey } = require("@solana/web3.js");
+const { TOKEN_2022_PROGRAM_ID, getMint, mintTo } = require("@solana/spl-token");
+const { Metadata } = require("@metaplex-foundation/mpl-token-metadata");
+const { createToken } = require("../scripts/token-creation/token-core");
+const { burnTokens } = require("../scripts/burn-tokens");
+const { revokeMintAuthority } = require("../scripts/revoke-mint-authority");
+const { verifyOpsLog } = require("../scripts/ops-log");
+const { readOperations } = require("../scripts/token-creation/ops-log");
+const { formatTokenAmount } = require("../scripts/token-creation/amounts");
+const {
+  silentLogger,
+  validatorSkipReason,
+  startValidator,
+  fund,
+  useTempWorkdir,
+} = require("./helpers/validator");
+
+const DECIMALS = 6;
+const MINTED = 1000n * 10n ** BigInt(DECIMALS);
+const BURNED = 250n * 10n ** BigInt(DECIMALS);
+
+describe("token lifecycle on localnet", { skip: validatorSkipReason() || false }, () => {
+  let validator;
+  let restoreCwd;
+  let creator;
+
+  before(async () => {
+    validator = await startValidator();
+    restoreCwd = useTempWorkdir();
+    creator = Keypair.generate();
+    await fund(validator.connection, creator.publicKey, 10);
+  });
+
+  after(async () => {
+    if (restoreCwd) {
+      restoreCwd();
+    }
+    if (validator) {
+      await validator.stop();
+    }
+  });
+
+  it("creates, burns and revokes an spl-token mint", async () => {
+    const { connection } = validator;
+    const options = {
+      connection,
+      keypair: creator,
+      logger: silentLogger,
+      metadataUri: "ipfs://bafkreidoodi/metadata.json",
+    };
+
+    // Create
+    const created = await createToken("localnet", null, options);
+    assert.equal(created.status, "created");
+    assert.equal(created.tokenProgram, "spl-token");
+
+    const record = JSON.parse(fs.readFileSync(created.recordPath, "utf8"));
+    assert.equal(record.mintAddress, created.mint);
+    assert.equal(record.network, "localnet");
+    assert.equal(record.decimals, DECIMALS);
+    assert.equal(record.creatorWallet, creator.publicKey.toString());
+    assert.equal(record.creatorTokenAccount, created.tokenAccount);
+    assert.equal(record.mintAuthority, creator.publicKey.toString());
+    assert.equal(record.metadataAccount, created.metadataAccount);
+    assert.equal(record.metadataTransaction, created.metadataTransaction);
+
+    const mint = new PublicKey(created.mint);
+    let mintInfo = await getMint(connection, mint, "confirmed");
+    assert.equal(mintInfo.decimals, DECIMALS);
+    assert.equal(mintInfo.supply, 0n);
+    assert.ok(mintInfo.mintAuthority.equals(creator.publicKey));
+    assert.equal(mintInfo.freezeAuthority, null);
+
+    const metadata = await Metadata.fromAccountAddress(connection, new PublicKey(created.metadataAccount));
+    assert.equal(metadata.data.name.replace(/\0/g, ""), record.name);
+    assert.equal(metadata.data.symbol.replace(/\0/g, ""), record.symbol);
+    assert.ok(metadata.updateAuthority.equals(creator.publicKey));
+
+    // Burn part of a minted balance
+    await mintTo(connection, creator, mint, new PublicKey(created.tokenAccount), creator, MINTED);
+
+    const burned = await burnTokens("localnet", formatTokenAmount(BURNED, DECIMALS), null, false, {
+      ...options,
+      skipConfirmation: true,
+      tokenInfoPath: created.recordPath,
+    });
+    assert.equal(burned.status, "burned");
+
+    mintInfo = await getMint(connection, mint, "confirmed");
+    assert.equal(mintInfo.supply, MINTED - BURNED);
+
+    const burnEntry = readOperations().find((entry) => entry.type === "burn");
+    assert.equal(burnEntry.mintAddress, created.mint);
+    assert.equal(burnEntry.transactions[0].signature, burned.signature);
+    assert.equal(burnEntry.params.rawAmount, BURNED.toString());
+    assert.equal(burnEntry.after.rawSupply, (MINTED - BURNED).toString());
+
+    const ledger = JSON.parse(fs.readFileSync("burn-ledger.json", "utf8"));
+    assert.equal(ledger.burnCount, 1);
+    assert.equal(ledger.totalBurned, formatTokenAmount(BURNED, DECIMALS));
+    assert.equal(ledger.entries[0].signature, burned.signature);
+
+    // Revoke
+    const revoked = await revokeMintAuthority({
+      ...options,
+      network: "localnet",
+      skipConfirmation: true,
+      tokenInfoPath: created.recordPath,
+    });
+    assert.equal(revoked.status, "revoked");
+
+    mintInfo = await getMint(connection, mint, "confirmed");
+    assert.equal(mintInfo.mintAuthority, null);
+    assert.equal(mintInfo.supply, MINTED - BURNED);
+
+    const revokedRecord = JSON.parse(fs.readFileSync(created.recordPath, "utf8"));
+    assert.equal(revokedRecord.mintAuthority, null);
+    assert.equal(revokedRecord.status, "completed");
+    assert.equal(revokedRecord.revokeTransaction, revoked.signature);
+
+    // Every step was logged, and every logged transaction is on chain
+    assert.deepEqual(
+      readOperations().map((entry) => entry.type),
+      ["create", "burn", "revoke-mint-authority"]
+    );
+    const verified = await verifyOpsLog({ connection, logger: silentLogger });
+    assert.equal(verified.status, "valid");
+    assert.deepEqual(verified.problems, []);
+  });
+
+  it("creates a Token-2022 mint with embedded metadata", async () => {
+    const { connection } = validator;
+
+    const created = await createToken("localnet", null, {
+      connection,
+      keypair: creator,
+      logger: silentLogger,
+      program: "token-2022",
+      metadataUri: "ipfs://bafkreidoodi/metadata.json",
+      tokenInfoPath: "tokens/localnet-doodi-2022.json",
+    });
+    assert.equal(created.status, "created");
+    assert.equal(created.metadataAccount, created.mint);
+
+    const record = JSON.parse(fs.readFileSync(created.recordPath, "utf8"));
+    assert.equal(record.tokenProgram, "token-2022");
+    assert.equal(record.extensions.embeddedMetadata, true);
+
+    const mintInfo = await getMint(connection, new PublicKey(created.mint), "confirmed", TOKEN_2022_PROGRAM_ID);
+    assert.equal(mintInfo.decimals, DECIMALS);
+    assert.ok(mintInfo.mintAuthority.equals(creator.publicKey));
+  });
+});
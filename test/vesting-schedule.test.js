@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Keypair } = require("@solana/web3.js");
+const {
+  loadVestingSchedule,
+  getVestedAmount,
+  getVestingDates,
+  getBeneficiaryState,
+  applyTransfer,
+} = require("../scripts/token-creation/vesting-schedule");
+
+const DECIMALS = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = "2025-01-01T00:00:00.000Z";
+
+const daysAfterStart = (days) => new Date(Date.parse(START) + days * DAY_MS);
+
+describe("vesting schedule", () => {
+  const alice = Keypair.generate().publicKey.toString();
+  const bob = Keypair.generate().publicKey.toString();
+  let dir;
+
+  const writeSchedule = (schedule) => {
+    const schedulePath = path.join(dir, `${schedule.name || "unnamed"}-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(schedulePath, JSON.stringify(schedule));
+    return schedulePath;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "doodi-vesting-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("applies top-level defaults and per-allocation overrides", () => {
+    const schedule = loadVestingSchedule(
+      writeSchedule({
+        name: "team",
+        start: "2025-01-01",
+        cliffDays: 90,
+        vestingDays: 365,
+        allocations: [
+          { beneficiary: alice, total: "1000", label: "Alice" },
+          { beneficiary: bob, total: 250.5, cliffDays: 0, vestingDays: 30, start: "2025-06-01T00:00:00Z" },
+        ],
+      }),
+      DECIMALS
+    );
+
+    assert.deepEqual(schedule.allocations, [
+      { beneficiary: alice, label: "Alice", total: "1000", start: START, cliffDays: 90, vestingDays: 365 },
+      { beneficiary: bob, label: null, total: "250.5", start: "2025-06-01T00:00:00.000Z", cliffDays: 0, vestingDays: 30 },
+    ]);
+  });
+
+  it("rejects malformed schedules", () => {
+    const base = { name: "team", start: START, vestingDays: 10 };
+    const cases = [
+      [{ ...base, name: "bad name" }, /name is required/],
+      [{ ...base, allocations: [] }, /at least one allocation/],
+      [{ ...base, allocations: [{ beneficiary: "nope", total: "1" }] }, /invalid beneficiary/],
+      [{ ...base, allocations: [{ beneficiary: alice, total: "1" }, { beneficiary: alice, total: "2" }] }, /duplicate beneficiary/],
+      [{ ...base, allocations: [{ beneficiary: alice, total: "0" }] }, /total must be greater than 0/],
+      [{ ...base, allocations: [{ beneficiary: alice, total: "0.0000001" }] }, /more than 6 decimal places/],
+      [{ ...base, allocations: [{ beneficiary: alice, total: "1", start: "soon" }] }, /invalid date/],
+      [{ ...base, allocations: [{ beneficiary: alice, total: "1", cliffDays: 1.5 }] }, /whole number of days/],
+      [{ ...base, vestingDays: undefined, allocations: [{ beneficiary: alice, total: "1" }] }, /whole number of days/],
+    ];
+
+    for (const [schedule, message] of cases) {
+      assert.throws(() => loadVestingSchedule(writeSchedule(schedule), DECIMALS), {
+        code: "VESTING_SCHEDULE_INVALID",
+        message,
+      });
+    }
+    assert.throws(() => loadVestingSchedule(path.join(dir, "missing.json"), DECIMALS), {
+      code: "VESTING_SCHEDULE_INVALID",
+    });
+  });
+
+  it("vests linearly, unlocking what accrued at the cliff", () => {
+    const allocation = { total: "365", start: START, cliffDays: 90, vestingDays: 365 };
+    const vested = (days) => getVestedAmount(allocation, DECIMALS, daysAfterStart(days));
+
+    assert.equal(vested(-1), 0n);
+    assert.equal(vested(0), 0n);
+    assert.equal(vested(89.99), 0n);
+    assert.equal(vested(90), 90n * 10n ** 6n);
+    assert.equal(vested(100), 100n * 10n ** 6n);
+    assert.equal(vested(365), 365n * 10n ** 6n);
+    assert.equal(vested(1000), 365n * 10n ** 6n);
+  });
+
+  it("rounds vested amounts down and vests a zero-day schedule at once", () => {
+    const allocation = { total: "1", start: START, cliffDays: 0, vestingDays: 3 };
+    assert.equal(getVestedAmount(allocation, DECIMALS, daysAfterStart(1)), 333333n);
+
+    const immediate = { total: "5", start: START, cliffDays: 0, vestingDays: 0 };
+    assert.equal(getVestedAmount(immediate, DECIMALS, daysAfterStart(0)), 5000000n);
+  });
+
+  it("reports the cliff and end dates", () => {
+    assert.deepEqual(getVestingDates({ start: START, cliffDays: 90, vestingDays: 365 }), {
+      cliffAt: daysAfterStart(90).toISOString(),
+      endAt: daysAfterStart(365).toISOString(),
+    });
+    // A cliff past the vesting period ends the schedule at the cliff
+    assert.equal(
+      getVestingDates({ start: START, cliffDays: 400, vestingDays: 365 }).endAt,
+      daysAfterStart(400).toISOString()
+    );
+  });
+
+  it("adds landed transfers to the beneficiary totals exactly", () => {
+    const state = { decimals: DECIMALS, beneficiaries: {} };
+    const entry = getBeneficiaryState(state, alice);
+
+    applyTransfer(state, entry, { action: "fund", amount: "0.1" }, "sig-1");
+    applyTransfer(state, entry, { action: "fund", amount: "0.2" }, "sig-2");
+    applyTransfer(state, entry, { action: "release", amount: "0.3" }, "sig-3");
+
+    assert.equal(entry.funded, "0.3");
+    assert.equal(entry.released, "0.3");
+    assert.equal(entry.pending, null);
+    assert.deepEqual(entry.history.map(({ signature }) => signature), ["sig-1", "sig-2", "sig-3"]);
+    assert.equal(getBeneficiaryState(state, alice), entry);
+  });
+});